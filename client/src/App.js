@@ -1,9 +1,25 @@
 import { useEffect, useState } from 'react';
+import db from './db';
 import ReceiptUpload from './components/ReceiptUpload';
 import Dashboard from './components/Dashboard';
+import ShelfLifeEditor from './components/ShelfLifeEditor';
+import Receipts from './components/Receipts';
+import Cookbook from './components/Cookbook';
+import MealPlanner from './components/MealPlanner';
+import DietaryProfile from './components/DietaryProfile';
+import Login from './components/Login';
+import Household from './components/Household';
+import useHousehold from './hooks/useHousehold';
+
+// ?invite=<token> links are remembered until someone is signed in to accept them
+const INVITE_KEY = 'pendingInvite';
 
 export default function App() {
   const [page, setPage] = useState('dashboard'); // default view
+  const [session, setSession] = useState(undefined); // undefined while the stored session loads
+  const [inviteNotice, setInviteNotice] = useState('');
+  const household = useHousehold(session);
+
   useEffect(() => {
     const saved = localStorage.getItem('page');
     if (saved) setPage(saved);
@@ -12,13 +28,81 @@ export default function App() {
     localStorage.setItem('page', page);
   }, [page]);
 
+  // Session: restore the stored one, then follow sign-in / sign-out
+  useEffect(() => {
+    const token = new URLSearchParams(window.location.search).get('invite');
+    if (token) localStorage.setItem(INVITE_KEY, token);
+
+    db.auth.getSession().then(setSession);
+    return db.auth.onChange(setSession);
+  }, []);
+
+  // Accept a pending invite once signed in
+  const { acceptInvite } = household;
+  useEffect(() => {
+    const token = localStorage.getItem(INVITE_KEY);
+    if (!session || !token) return;
+    localStorage.removeItem(INVITE_KEY);
+    window.history.replaceState(null, '', window.location.pathname);
+    acceptInvite(token).then((error) =>
+      setInviteNotice(error ? `Could not join the household: ${error.message}` : 'You joined the household. 🎉')
+    );
+  }, [session, acceptInvite]);
+
+  const handleLogout = async () => {
+    const { error } = await db.auth.signOut();
+    if (error) console.error('Error signing out:', error);
+    setPage('dashboard');
+  };
+
+  if (session === undefined) return <p className="p-6">Loading...</p>;
+  if (!session) return <Login inviting={Boolean(localStorage.getItem(INVITE_KEY))} />;
+  if (household.loading) return <p className="p-6">Loading...</p>;
+
+  if (page === 'household') {
+    return <Household household={household} session={session} onBack={() => setPage('dashboard')} />;
+  }
+
+  // Everything below reads household-scoped data: remount it when the household changes
+  const householdKey = household.current?.id || 'none';
   if (page === 'scan') {
-    return <ReceiptUpload onContinue={() => setPage('dashboard')} />;
+    return <ReceiptUpload key={householdKey} onContinue={() => setPage('dashboard')} />;
+  }
+  if (page === 'receipts') {
+    return <Receipts key={householdKey} onBack={() => setPage('dashboard')} />;
+  }
+  if (page === 'cookbook') {
+    return <Cookbook key={householdKey} onBack={() => setPage('dashboard')} />;
+  }
+  if (page === 'meal-plan') {
+    return <MealPlanner key={householdKey} onBack={() => setPage('dashboard')} />;
+  }
+  if (page === 'diet') {
+    return <DietaryProfile key={householdKey} onBack={() => setPage('dashboard')} />;
+  }
+  if (page === 'shelf-life') {
+    return <ShelfLifeEditor key={householdKey} onBack={() => setPage('dashboard')} />;
   }
   return (
-    <Dashboard
-      onAddReceipt={() => setPage('scan')}
-      onLogout={() => setPage('dashboard')} // no-op fallback
-    />
+    <>
+      {inviteNotice && (
+        <div className="bg-emerald-50 border-b border-emerald-200 text-emerald-900 text-sm px-6 py-2 flex justify-between">
+          <span>{inviteNotice}</span>
+          <button onClick={() => setInviteNotice('')} aria-label="Dismiss">✕</button>
+        </div>
+      )}
+      <Dashboard
+        key={householdKey}
+        householdName={household.current?.name}
+        onAddReceipt={() => setPage('scan')}
+        onOpenShelfLife={() => setPage('shelf-life')}
+        onOpenReceipts={() => setPage('receipts')}
+        onOpenCookbook={() => setPage('cookbook')}
+        onOpenMealPlan={() => setPage('meal-plan')}
+        onOpenDiet={() => setPage('diet')}
+        onOpenHousehold={() => setPage('household')}
+        onLogout={db.auth.required ? handleLogout : undefined}
+      />
+    </>
   );
 }
@@ -1,8 +1,27 @@
 import { render, screen } from '@testing-library/react';
 import App from './App';
+import db from './db';
 
-test('renders learn react link', () => {
+// The shell runs on the in-memory backend: no network, one local household
+jest.mock('./db', () => {
+  const { createRepositories } = jest.requireActual('./db/repositories');
+  const { createMemoryAdapter } = jest.requireActual('./db/memoryAdapter');
+  return { __esModule: true, BACKEND: 'memory', default: createRepositories(createMemoryAdapter()) };
+});
+// ESM-only; the recipe view is not rendered here
+jest.mock('react-markdown', () => ({ children }) => children);
+
+afterEach(() => jest.restoreAllMocks());
+
+test('opens on the dashboard of the current household', async () => {
+  render(<App />);
+  expect(await screen.findByText('🍳 ChopChop Dashboard')).toBeInTheDocument();
+  expect(screen.getByText(/This device/)).toBeInTheDocument();
+});
+
+test('shows the login screen when nobody is signed in', async () => {
+  jest.spyOn(db.auth, 'getSession').mockResolvedValue(null);
   render(<App />);
-  const linkElement = screen.getByText(/learn react/i);
-  expect(linkElement).toBeInTheDocument();
+  expect(screen.getByText('Loading...')).toBeInTheDocument();
+  expect(await screen.findByText('🍳 ChopChop')).toBeInTheDocument();
 });
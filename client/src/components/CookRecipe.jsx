@@ -0,0 +1,137 @@
+// ==========================
+// IMPORTS
+// ==========================
+import React, { useState } from 'react';
+import db from '../db';
+import { formatQuantity, roundQuantity } from '../lib/units';
+import { LEFTOVER_DAYS, cookPlan, suggestUses } from '../lib/cooking';
+
+// ==========================
+// COOK THIS
+// ==========================
+// Shown under a recipe card: the fridge rows the recipe uses with suggested
+// amounts (lib/cooking.js), editable, plus optional leftovers. Confirming
+// records what was eaten and lowers or removes the rows in one transaction,
+// so a failure leaves the fridge as it was.
+
+export default function CookRecipe({ recipe, onDone, onClose }) {
+  const [uses] = useState(() => suggestUses(recipe));  // Snapshot taken when opened
+  const [amounts, setAmounts] = useState(() => uses.map((u) => String(u.amount)));
+  const [keepLeftovers, setKeepLeftovers] = useState(false);
+  const [portions, setPortions] = useState('1');        // Leftover portions (pcs)
+  const [days, setDays] = useState(String(LEFTOVER_DAYS));
+  const [saving, setSaving] = useState(false);
+
+  const setAmount = (idx, value) => setAmounts((prev) => prev.map((a, i) => (i === idx ? value : a)));
+
+  const handleCook = async () => {
+    const leftovers = keepLeftovers ? { quantity: Number(portions), days: Number(days) } : null;
+    if (leftovers && !(leftovers.quantity > 0 && leftovers.days > 0)) {
+      alert('Enter how many portions are left and for how many days they keep.');
+      return;
+    }
+    const plan = cookPlan(
+      uses.map((u, idx) => ({ item: u.item, amount: Number(amounts[idx]) || 0 })),
+      { recipe, leftovers }
+    );
+
+    setSaving(true);
+    const { error } = await db.items.cook(plan);
+    setSaving(false);
+    if (error) {
+      console.error('Cook error:', error);
+      alert('Could not update the fridge. Nothing was changed — please try again.');
+      return;
+    }
+    onDone();
+  };
+
+  return (
+    <div className="mt-3 p-4 bg-emerald-50 rounded-xl shadow">
+      <h3 className="text-lg font-semibold mb-2 text-emerald-800">🍳 Cook {recipe.title}</h3>
+      {uses.length === 0 ? (
+        <p className="text-sm text-gray-700 mb-3">None of the ingredients are in your fridge.</p>
+      ) : (
+        <>
+          <p className="text-sm text-gray-700 mb-3">
+            How much of each item will you use? Set 0 to leave an item alone.
+          </p>
+          <ul className="space-y-2 mb-3">
+            {uses.map((use, idx) => (
+              <li key={use.item.id} className="flex items-center justify-between gap-2 text-sm">
+                <span>
+                  <span className="font-medium">{use.item.item_name}</span>
+                  <span className="text-gray-500">
+                    {' '}
+                    · {formatQuantity(use.item.quantity, use.item.unit)} left · for {use.ingredients.join(', ')}
+                  </span>
+                </span>
+                <span className="flex items-center gap-1 whitespace-nowrap">
+                  <input
+                    type="number"
+                    min="0"
+                    max={use.item.quantity}
+                    step="any"
+                    value={amounts[idx]}
+                    onChange={(e) => setAmount(idx, e.target.value)}
+                    className="border p-1 rounded w-20"
+                    aria-label={`Amount of ${use.item.item_name}`}
+                  />
+                  <span className="text-gray-500">{use.item.unit !== 'pcs' ? use.item.unit : ''}</span>
+                  <button
+                    type="button"
+                    className="text-xs text-emerald-700 hover:underline"
+                    onClick={() => setAmount(idx, String(roundQuantity(use.item.quantity ?? 1)))}
+                  >
+                    All
+                  </button>
+                </span>
+              </li>
+            ))}
+          </ul>
+        </>
+      )}
+
+      {/* Leftovers */}
+      <label className="flex items-center gap-2 text-sm mb-2">
+        <input type="checkbox" checked={keepLeftovers} onChange={(e) => setKeepLeftovers(e.target.checked)} />
+        Save leftovers in the fridge
+      </label>
+      {keepLeftovers && (
+        <div className="flex flex-wrap items-center gap-2 text-sm mb-3 pl-6">
+          <input
+            type="number"
+            min="1"
+            value={portions}
+            onChange={(e) => setPortions(e.target.value)}
+            className="border p-1 rounded w-16"
+            aria-label="Leftover portions"
+          />
+          portion(s), keep for
+          <input
+            type="number"
+            min="1"
+            value={days}
+            onChange={(e) => setDays(e.target.value)}
+            className="border p-1 rounded w-16"
+            aria-label="Days the leftovers keep"
+          />
+          day(s)
+        </div>
+      )}
+
+      <div className="flex gap-3">
+        <button
+          className="bg-emerald-700 text-white px-4 py-2 rounded hover:bg-emerald-800 disabled:opacity-60"
+          disabled={saving}
+          onClick={handleCook}
+        >
+          {saving ? 'Updating fridge…' : 'Cooked it'}
+        </button>
+        <button className="px-4 py-2 rounded text-sm text-gray-700 border hover:bg-gray-100" onClick={onClose}>
+          Cancel
+        </button>
+      </div>
+    </div>
+  );
+}
@@ -0,0 +1,261 @@
+// ==========================
+// IMPORTS
+// ==========================
+import React, { useEffect, useMemo, useState } from 'react';
+import db from '../db';
+import { COOKBOOK_SORTS, allTags, filterCookbook, parseTags, sortCookbook } from '../lib/cookbook';
+import { missingItems } from '../lib/shopping';
+import useInventory from '../hooks/useInventory';
+import useShelfLife from '../hooks/useShelfLife';
+import useShoppingList from '../hooks/useShoppingList';
+import RecipeCard from './RecipeCard';
+import CookRecipe from './CookRecipe';
+
+// ==========================
+// COOKBOOK
+// ==========================
+// Recipes saved from the generator (lib/cookbook.js), matched against the
+// live fridge. Each one can be rated, annotated, tagged and cooked; cooking
+// through "Cook this" deducts the ingredients and bumps the cooked counter;
+// missing ingredients can go on the shopping list.
+
+const Stars = ({ rating, onRate }) => (
+  <span className="flex gap-0.5" aria-label={`Rated ${rating || 0} of 5`}>
+    {[1, 2, 3, 4, 5].map((n) => (
+      <button
+        key={n}
+        type="button"
+        onClick={() => onRate(n === rating ? null : n)} // Clicking the current rating clears it
+        className={`text-lg leading-none ${n <= (rating || 0) ? 'text-amber-500' : 'text-gray-300 hover:text-amber-300'}`}
+        title={`${n} star${n === 1 ? '' : 's'}`}
+      >
+        ★
+      </button>
+    ))}
+  </span>
+);
+
+export default function Cookbook({ onBack }) {
+  // --------------------------
+  // STATE
+  // --------------------------
+  const [saved, setSaved] = useState([]);               // recipes rows
+  const [loading, setLoading] = useState(true);
+  const [query, setQuery] = useState('');
+  const [tags, setTags] = useState([]);                 // Chosen tag filters (all must match)
+  const [minRating, setMinRating] = useState(0);
+  const [sort, setSort] = useState('makeable');
+  const [cookingId, setCookingId] = useState(null);     // Recipe whose "Cook this" panel is open
+  const [drafts, setDrafts] = useState({});             // id → { notes, tags } being edited
+  const [notice, setNotice] = useState('');             // Added-to-list confirmation
+  const { items, reload: reloadInventory } = useInventory();
+  const { shelfLife } = useShelfLife();
+  const { add: addToList } = useShoppingList();
+
+  // ==========================
+  // READ
+  // ==========================
+  const fetchSaved = async () => {
+    const { data, error } = await db.recipes.list();
+    if (error) {
+      console.error('Error fetching saved recipes:', error);
+      return;
+    }
+    setSaved(data || []);
+  };
+
+  useEffect(() => {
+    (async () => {
+      await fetchSaved();
+      setLoading(false);
+    })();
+  }, []);
+
+  const entries = useMemo(
+    () => sortCookbook(filterCookbook(saved, { query, tags, minRating }), sort, items, { shelfLife }),
+    [saved, query, tags, minRating, sort, items, shelfLife]
+  );
+
+  // ==========================
+  // UPDATE
+  // ==========================
+  const replaceRow = (row) => setSaved((prev) => prev.map((r) => (r.id === row.id ? row : r)));
+
+  const handleUpdate = async (id, patch) => {
+    const { data, error } = await db.recipes.update(id, patch);
+    if (error) {
+      console.error('Error updating recipe:', error);
+      return;
+    }
+    replaceRow(data);
+  };
+
+  const draftOf = (row) => drafts[row.id] || { notes: row.notes || '', tags: (row.tags || []).join(', ') };
+  const setDraft = (row, changes) => setDrafts((prev) => ({ ...prev, [row.id]: { ...draftOf(row), ...changes } }));
+
+  const handleSaveDraft = async (row) => {
+    const draft = drafts[row.id];
+    if (!draft) return;
+    await handleUpdate(row.id, { notes: draft.notes.trim(), tags: parseTags(draft.tags) });
+    setDrafts(({ [row.id]: _, ...rest }) => rest);
+  };
+
+  const handleCooked = async (row) => {
+    setCookingId(null);
+    reloadInventory();
+    const { data, error } = await db.recipes.markCooked(row);
+    if (error) {
+      console.error('Error counting cooked recipe:', error);
+      return;
+    }
+    replaceRow(data);
+  };
+
+  const handleAddMissing = async (match) => {
+    const { added, error } = await addToList(missingItems(match), shelfLife);
+    if (error) return;
+    setNotice(added ? `🛒 Added ${added} item${added === 1 ? '' : 's'} to the shopping list.` : '🛒 Already on the shopping list.');
+  };
+
+  // ==========================
+  // DELETE
+  // ==========================
+  const handleRemove = async (row) => {
+    if (!window.confirm(`Remove "${row.title}" from the cookbook?`)) return;
+    const { error } = await db.recipes.remove(row.id);
+    if (error) {
+      console.error('Error removing recipe:', error);
+      return;
+    }
+    setSaved((prev) => prev.filter((r) => r.id !== row.id));
+  };
+
+  const toggleTag = (tag) => setTags((prev) => (prev.includes(tag) ? prev.filter((t) => t !== tag) : [...prev, tag]));
+
+  // ==========================
+  // RENDER
+  // ==========================
+  return (
+    <div className="min-h-screen bg-gradient-to-br from-gray-50 via-blue-50 to-white p-6">
+      <div className="max-w-4xl mx-auto">
+        <div className="flex justify-between items-center mb-4">
+          <h1 className="text-2xl font-bold text-blue-800">📖 Cookbook</h1>
+          <button
+            onClick={onBack}
+            className="px-4 py-2 bg-blue-700 text-white rounded-lg shadow hover:bg-blue-800 transition"
+          >
+            ← Back to Dashboard
+          </button>
+        </div>
+
+        {/* Search, sort and filters */}
+        <div className="bg-white rounded-xl shadow p-4 mb-6 space-y-3">
+          <div className="flex flex-wrap gap-3">
+            <input
+              type="search"
+              value={query}
+              onChange={(e) => setQuery(e.target.value)}
+              placeholder="Search titles, ingredients, notes…"
+              className="border p-2 rounded flex-1 min-w-[200px]"
+            />
+            <select value={sort} onChange={(e) => setSort(e.target.value)} className="border p-2 rounded">
+              {COOKBOOK_SORTS.map((s) => (
+                <option key={s.key} value={s.key}>
+                  {s.label}
+                </option>
+              ))}
+            </select>
+            <select value={minRating} onChange={(e) => setMinRating(Number(e.target.value))} className="border p-2 rounded">
+              <option value={0}>Any rating</option>
+              {[3, 4, 5].map((n) => (
+                <option key={n} value={n}>
+                  {n}★ and up
+                </option>
+              ))}
+            </select>
+          </div>
+          {allTags(saved).length > 0 && (
+            <div className="flex flex-wrap gap-2">
+              {allTags(saved).map((tag) => (
+                <button
+                  key={tag}
+                  onClick={() => toggleTag(tag)}
+                  className={`px-3 py-1 rounded-full text-xs transition ${
+                    tags.includes(tag) ? 'bg-emerald-700 text-white' : 'bg-gray-200 hover:bg-gray-300'
+                  }`}
+                >
+                  {tag}
+                </button>
+              ))}
+            </div>
+          )}
+        </div>
+
+        {notice && (
+          <div className="mb-4 p-3 bg-emerald-100 border border-emerald-400 text-emerald-800 rounded text-sm">{notice}</div>
+        )}
+
+        {/* Saved recipes */}
+        {loading ? (
+          <p>Loading...</p>
+        ) : saved.length === 0 ? (
+          <p className="text-gray-600 text-sm">No saved recipes yet. Use "Save to cookbook" on a generated recipe.</p>
+        ) : entries.length === 0 ? (
+          <p className="text-gray-600 text-sm">No saved recipes match the search.</p>
+        ) : (
+          <div className="grid grid-cols-1 gap-6">
+            {entries.map(({ row, match }) => (
+              <div key={row.id}>
+                <RecipeCard
+                  recipe={match}
+                  onCook={() => setCookingId(row.id)}
+                  onAddMissing={() => handleAddMissing(match)}
+                />
+                {cookingId === row.id && (
+                  <CookRecipe recipe={match} onDone={() => handleCooked(row)} onClose={() => setCookingId(null)} />
+                )}
+
+                {/* Household's own details */}
+                <div className="mt-2 p-4 bg-white rounded-xl shadow-sm text-sm space-y-2">
+                  <div className="flex flex-wrap items-center justify-between gap-2">
+                    <Stars rating={row.rating} onRate={(rating) => handleUpdate(row.id, { rating })} />
+                    <span className="text-gray-600">
+                      Cooked {row.cooked_count} time{row.cooked_count === 1 ? '' : 's'}
+                      {row.last_cooked_at && ` · last on ${new Date(row.last_cooked_at).toLocaleDateString()}`}
+                    </span>
+                    <button
+                      className="text-xs text-gray-700 border px-2 py-1 rounded hover:bg-gray-100"
+                      onClick={() => handleCooked(row)}
+                      title="Count a time you cooked it without updating the fridge"
+                    >
+                      +1 cooked
+                    </button>
+                    <button className="text-xs text-red-600 hover:underline" onClick={() => handleRemove(row)}>
+                      Remove
+                    </button>
+                  </div>
+                  <textarea
+                    value={draftOf(row).notes}
+                    onChange={(e) => setDraft(row, { notes: e.target.value })}
+                    onBlur={() => handleSaveDraft(row)}
+                    placeholder="Notes (what you changed, what to try next time)"
+                    className="border p-2 rounded w-full"
+                    rows={2}
+                  />
+                  <input
+                    value={draftOf(row).tags}
+                    onChange={(e) => setDraft(row, { tags: e.target.value })}
+                    onBlur={() => handleSaveDraft(row)}
+                    placeholder="Tags, comma separated"
+                    className="border p-2 rounded w-full"
+                    aria-label="Tags"
+                  />
+                </div>
+              </div>
+            ))}
+          </div>
+        )}
+      </div>
+    </div>
+  );
+}
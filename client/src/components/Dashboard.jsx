@@ -8,19 +8,38 @@ import React from 'react';
 // Import subcomponents (each handles a specific feature)
 import Fridge from './Fridge';          // Displays fridge contents (ingredients)
 import RecipeList from './RecipeList';  // Displays or generates recipes
-
-// Note: No Supabase import here — this build has no authentication.
+import Spending from './Spending';      // Grocery spend and price history from receipts
+import WasteReport from './WasteReport'; // What was thrown out and what it cost
+import SyncStatus from './SyncStatus';  // Offline / pending-changes indicator
+import ShoppingList from './ShoppingList'; // What to buy: missing ingredients, low staples, manual
 
 // ==========================
 // 🧩 DASHBOARD COMPONENT
 // ==========================
 //
 // The Dashboard component is the main "home" view of the ChopChop app.
-// It shows the fridge on the left and AI recipe generation on the right.
-// Navigation provides an "Add Receipt" action to move to the scanning flow.
+// It shows the fridge and the shopping list on the left and AI recipe
+// generation on the right, with grocery spending and the food-waste report
+// below the recipes.
+// Navigation provides an "Add Receipt" action to move to the scanning flow,
+// a "Receipts" link to past scans, a "Cookbook" link to saved recipes, a
+// "Meal plan" link to the week's plan, a "Diet" link to the household's
+// dietary profile, a "Shelf life" link to the household's shelf-life editor,
+// the household settings (members, invites) and Logout, next to an
+// indicator that appears while offline or with changes to sync.
+// Signing in and out is handled by App (Supabase auth).
 
-export default function Dashboard({ onAddReceipt }) {
-  // No logout handler — this build intentionally has no authentication.
+export default function Dashboard({
+  householdName,
+  onAddReceipt,
+  onOpenShelfLife,
+  onOpenReceipts,
+  onOpenCookbook,
+  onOpenMealPlan,
+  onOpenDiet,
+  onOpenHousehold,
+  onLogout,
+}) {
 
   // --------------------------
   // 💻 COMPONENT RENDER
@@ -37,8 +56,59 @@ export default function Dashboard({ onAddReceipt }) {
         {/* App title / branding */}
         <h1 className="text-2xl font-bold text-blue-800">🍳 ChopChop Dashboard</h1>
 
-        {/* Right-side buttons (Add Receipt) */}
-        <div className="flex gap-3">
+        {/* Right-side buttons (Household, Receipts, Cookbook, Meal plan, Diet, Shelf life, Add Receipt, Logout) */}
+        <div className="flex gap-3 items-center">
+          {/* Offline / pending changes (hidden while everything is synced) */}
+          <SyncStatus />
+
+          {/* Button to manage who shares this fridge (navigates to household settings) */}
+          <button
+            onClick={onOpenHousehold}
+            className="px-4 py-2 bg-white text-blue-800 border border-blue-200 rounded-lg shadow hover:bg-blue-50 transition"
+          >
+            🏠 {householdName || 'Household'}
+          </button>
+
+          {/* Button to browse past scans (navigates to the receipt history) */}
+          <button
+            onClick={onOpenReceipts}
+            className="px-4 py-2 bg-white text-blue-800 border border-blue-200 rounded-lg shadow hover:bg-blue-50 transition"
+          >
+            🧾 Receipts
+          </button>
+
+          {/* Button to browse saved recipes (navigates to the cookbook) */}
+          <button
+            onClick={onOpenCookbook}
+            className="px-4 py-2 bg-white text-blue-800 border border-blue-200 rounded-lg shadow hover:bg-blue-50 transition"
+          >
+            📖 Cookbook
+          </button>
+
+          {/* Button to plan the week's meals around what expires (navigates to the meal planner) */}
+          <button
+            onClick={onOpenMealPlan}
+            className="px-4 py-2 bg-white text-blue-800 border border-blue-200 rounded-lg shadow hover:bg-blue-50 transition"
+          >
+            📅 Meal plan
+          </button>
+
+          {/* Button to set allergies, diets and limits (navigates to the dietary profile) */}
+          <button
+            onClick={onOpenDiet}
+            className="px-4 py-2 bg-white text-blue-800 border border-blue-200 rounded-lg shadow hover:bg-blue-50 transition"
+          >
+            🥗 Diet
+          </button>
+
+          {/* Button to edit how long food keeps (navigates to the shelf-life editor) */}
+          <button
+            onClick={onOpenShelfLife}
+            className="px-4 py-2 bg-white text-blue-800 border border-blue-200 rounded-lg shadow hover:bg-blue-50 transition"
+          >
+            ⏳ Shelf life
+          </button>
+
           {/* Button to add new receipt (navigates to the receipt upload page) */}
           <button
             onClick={onAddReceipt}
@@ -46,6 +116,16 @@ export default function Dashboard({ onAddReceipt }) {
           >
             + Add Receipt
           </button>
+
+          {/* Sign out (App returns to the login screen); absent on backends without accounts */}
+          {onLogout && (
+            <button
+              onClick={onLogout}
+              className="px-4 py-2 bg-gray-100 text-gray-700 rounded-lg shadow hover:bg-gray-200 transition"
+            >
+              Logout
+            </button>
+          )}
         </div>
       </nav>
 
@@ -67,6 +147,15 @@ export default function Dashboard({ onAddReceipt }) {
             {/* The Fridge component displays all saved grocery items */}
             <Fridge />
           </div>
+
+          {/* --------------------------
+              🛒 SHOPPING LIST SECTION
+              -------------------------- */}
+          <div className="bg-white rounded-xl shadow p-4 mt-6">
+            <h2 className="text-xl font-bold text-blue-700 mb-4">🛒 Shopping List</h2>
+            {/* Missing recipe ingredients, low staples and manual items */}
+            <ShoppingList />
+          </div>
         </div>
 
         {/* --------------------------
@@ -79,6 +168,24 @@ export default function Dashboard({ onAddReceipt }) {
                 to display recipe ideas based on available ingredients */}
             <RecipeList />
           </div>
+
+          {/* --------------------------
+              📊 SPENDING SECTION
+              -------------------------- */}
+          <div className="bg-white rounded-xl shadow p-4 mt-6">
+            <h2 className="text-xl font-bold text-blue-700 mb-4">📊 Grocery Spending</h2>
+            {/* Spend per week/month, category and store, plus price history */}
+            <Spending />
+          </div>
+
+          {/* --------------------------
+              🗑️ WASTE SECTION
+              -------------------------- */}
+          <div className="bg-white rounded-xl shadow p-4 mt-6">
+            <h2 className="text-xl font-bold text-blue-700 mb-4">🗑️ Food Waste</h2>
+            {/* Wasted per month, money lost and most-wasted items */}
+            <WasteReport />
+          </div>
         </div>
       </div>
     </div>
@@ -0,0 +1,94 @@
+// ==========================
+// IMPORTS
+// ==========================
+import React, { useState } from 'react';
+import db from '../db';
+import { formatQuantity } from '../lib/units';
+import { findDuplicateGroups, mergeRows } from '../lib/duplicates';
+
+// ==========================
+// DEDUPLICATE MY FRIDGE
+// ==========================
+// One-off cleanup for rows added before scans merged duplicates: lists groups
+// of rows that are the same item (see lib/duplicates.js) and merges the ticked
+// groups into their oldest row, keeping every row's expiry as a batch.
+
+export default function DeduplicateFridge({ items, shelfLife, onDone, onClose }) {
+  const [groups] = useState(() => findDuplicateGroups(items, shelfLife)); // Snapshot taken when opened
+  const [skipped, setSkipped] = useState(new Set());   // Indexes of groups left alone
+  const [saving, setSaving] = useState(false);
+
+  const toggle = (idx) => {
+    const next = new Set(skipped);
+    if (next.has(idx)) next.delete(idx);
+    else next.add(idx);
+    setSkipped(next);
+  };
+
+  const selected = groups.filter((_, idx) => !skipped.has(idx));
+
+  const handleMerge = async () => {
+    setSaving(true);
+    for (const [keep, ...rest] of selected) {
+      const { error } = await db.items.update(keep.id, mergeRows([keep, ...rest]));
+      if (error) {
+        console.error('Merge error:', error);
+        continue;
+      }
+      const { error: deleteError } = await db.items.remove(rest.map((r) => r.id));
+      if (deleteError) console.error('Delete error:', deleteError);
+    }
+    setSaving(false);
+    onDone();
+  };
+
+  return (
+    <div className="mb-6 p-4 bg-blue-50 rounded-xl shadow">
+      <h3 className="text-lg font-semibold mb-2 text-blue-800">🧹 Deduplicate my fridge</h3>
+      {groups.length === 0 ? (
+        <p className="text-sm text-gray-700">No duplicates found — every item has a single row.</p>
+      ) : (
+        <>
+          <p className="text-sm text-gray-700 mb-3">
+            These rows look like the same item. Merging adds up the quantities and keeps each expiry date.
+          </p>
+          <ul className="space-y-2 mb-3">
+            {groups.map((group, idx) => (
+              <li key={group[0].id} className="flex items-start gap-2 text-sm">
+                <input
+                  type="checkbox"
+                  className="mt-1"
+                  checked={!skipped.has(idx)}
+                  onChange={() => toggle(idx)}
+                  aria-label={`Merge ${group[0].item_name}`}
+                />
+                <span>
+                  <span className="font-medium">{group[0].item_name}</span>
+                  {' ← '}
+                  {group
+                    .slice(1)
+                    .map((r) => `${r.item_name} (${formatQuantity(r.quantity, r.unit)})`)
+                    .join(', ')}
+                </span>
+              </li>
+            ))}
+          </ul>
+        </>
+      )}
+      <div className="flex gap-3">
+        {groups.length > 0 && (
+          <button
+            className="bg-blue-700 text-white px-4 py-2 rounded hover:bg-blue-800 disabled:opacity-60"
+            disabled={saving || selected.length === 0}
+            onClick={handleMerge}
+          >
+            {saving ? 'Merging…' : `Merge ${selected.length} group${selected.length === 1 ? '' : 's'}`}
+          </button>
+        )}
+        <button className="px-4 py-2 rounded text-sm text-gray-700 border hover:bg-gray-100" onClick={onClose}>
+          Close
+        </button>
+      </div>
+    </div>
+  );
+}
@@ -0,0 +1,216 @@
+// ==========================
+// IMPORTS
+// ==========================
+import React, { useEffect, useState } from 'react';
+import { ALLERGENS, CUISINES, DIETS, EQUIPMENT, parseList } from '../lib/dietary';
+import useDietaryProfile from '../hooks/useDietaryProfile';
+
+// ==========================
+// DIETARY PROFILE
+// ==========================
+// The household's allergies, excluded ingredients, diets, preferred
+// cuisines, time limit, servings and equipment (lib/dietary.js). Saved for
+// the whole household and applied to every recipe request, from the recipe
+// panel and the meal planner alike.
+
+// A row of toggle chips for one list field; entries that aren't among the
+// options (an allergy typed in) get a chip too, so they can be removed
+const Chips = ({ options, selected, onChange }) => (
+  <div className="flex flex-wrap gap-2">
+    {[...options, ...selected.filter((s) => !options.includes(s))].map((option) => {
+      const on = selected.includes(option);
+      return (
+        <button
+          key={option}
+          type="button"
+          onClick={() => onChange(on ? selected.filter((s) => s !== option) : [...selected, option])}
+          className={`px-3 py-1 rounded-full text-sm transition ${
+            on ? 'bg-emerald-700 text-white' : 'bg-gray-200 hover:bg-gray-300'
+          }`}
+        >
+          {option}
+        </button>
+      );
+    })}
+  </div>
+);
+
+const asNumber = (text) => (text.trim() === '' ? null : Math.round(Number(text)));
+
+export default function DietaryProfile({ onBack }) {
+  // --------------------------
+  // STATE
+  // --------------------------
+  const { profile, loading, save } = useDietaryProfile();
+  const [draft, setDraft] = useState(null);             // Profile being edited, null until loaded
+  const [excludedText, setExcludedText] = useState(''); // Comma-separated excluded ingredients
+  const [otherAllergen, setOtherAllergen] = useState('');
+  const [saving, setSaving] = useState(false);
+  const [message, setMessage] = useState(null);         // { ok, text } after saving
+
+  useEffect(() => {
+    if (loading) return;
+    setDraft(profile);
+    setExcludedText(profile.excluded.join(', '));
+  }, [loading, profile]);
+
+  const change = (changes) => {
+    setDraft((prev) => ({ ...prev, ...changes }));
+    setMessage(null);
+  };
+
+  const handleAddAllergen = () => {
+    const name = otherAllergen.trim();
+    if (name && !draft.allergens.some((a) => a.toLowerCase() === name.toLowerCase())) {
+      change({ allergens: [...draft.allergens, name] });
+    }
+    setOtherAllergen('');
+  };
+
+  const handleSave = async (e) => {
+    e.preventDefault();
+    const next = { ...draft, excluded: parseList(excludedText) };
+    if (
+      (next.max_minutes !== null && !(next.max_minutes >= 1 && next.max_minutes <= 1440)) ||
+      (next.servings !== null && !(next.servings >= 1 && next.servings <= 24))
+    ) {
+      setMessage({ ok: false, text: 'Max time must be 1–1440 minutes and servings 1–24 (or left empty).' });
+      return;
+    }
+    setSaving(true);
+    const error = await save(next);
+    setSaving(false);
+    setMessage(
+      error
+        ? { ok: false, text: 'Could not save the profile. Please try again.' }
+        : { ok: true, text: 'Saved. Every recipe request now follows this profile.' }
+    );
+  };
+
+  // ==========================
+  // RENDER
+  // ==========================
+  return (
+    <div className="min-h-screen bg-gradient-to-br from-gray-50 via-blue-50 to-white p-6">
+      <div className="max-w-3xl mx-auto">
+        <div className="flex justify-between items-center mb-4">
+          <h1 className="text-2xl font-bold text-blue-800">🥗 Dietary profile</h1>
+          <button
+            onClick={onBack}
+            className="px-4 py-2 bg-blue-700 text-white rounded-lg shadow hover:bg-blue-800 transition"
+          >
+            ← Back to Dashboard
+          </button>
+        </div>
+
+        {!draft ? (
+          <p>Loading...</p>
+        ) : (
+          <form onSubmit={handleSave} className="bg-white rounded-xl shadow p-6 space-y-6 text-sm">
+            {/* Allergies */}
+            <section>
+              <h2 className="font-semibold text-gray-900 mb-1">Allergies</h2>
+              <p className="text-gray-600 mb-2">Recipes containing these are sent back, and flagged if they slip through.</p>
+              <Chips options={ALLERGENS} selected={draft.allergens} onChange={(allergens) => change({ allergens })} />
+              <div className="flex gap-2 mt-2">
+                <input
+                  value={otherAllergen}
+                  onChange={(e) => setOtherAllergen(e.target.value)}
+                  onKeyDown={(e) => {
+                    if (e.key === 'Enter') {
+                      e.preventDefault();
+                      handleAddAllergen();
+                    }
+                  }}
+                  placeholder="Another allergy, e.g. Kiwi"
+                  className="border p-2 rounded flex-1"
+                />
+                <button type="button" onClick={handleAddAllergen} className="px-3 py-2 rounded border hover:bg-gray-100">
+                  Add
+                </button>
+              </div>
+            </section>
+
+            {/* Excluded ingredients */}
+            <section>
+              <h2 className="font-semibold text-gray-900 mb-1">Never use</h2>
+              <input
+                value={excludedText}
+                onChange={(e) => {
+                  setExcludedText(e.target.value);
+                  setMessage(null);
+                }}
+                placeholder="Ingredients, comma separated (e.g. mushrooms, coriander)"
+                className="border p-2 rounded w-full"
+              />
+            </section>
+
+            {/* Diets */}
+            <section>
+              <h2 className="font-semibold text-gray-900 mb-2">Diets</h2>
+              <Chips options={DIETS} selected={draft.diets} onChange={(diets) => change({ diets })} />
+            </section>
+
+            {/* Cuisines */}
+            <section>
+              <h2 className="font-semibold text-gray-900 mb-2">Preferred cuisines</h2>
+              <Chips options={CUISINES} selected={draft.cuisines} onChange={(cuisines) => change({ cuisines })} />
+            </section>
+
+            {/* Limits */}
+            <section className="flex flex-wrap gap-6">
+              <label className="flex items-center gap-2">
+                Max total time
+                <input
+                  type="number"
+                  min="1"
+                  value={draft.max_minutes ?? ''}
+                  onChange={(e) => change({ max_minutes: asNumber(e.target.value) })}
+                  placeholder="Any"
+                  className="border p-2 rounded w-24"
+                />
+                min
+              </label>
+              <label className="flex items-center gap-2">
+                Servings per recipe
+                <input
+                  type="number"
+                  min="1"
+                  value={draft.servings ?? ''}
+                  onChange={(e) => change({ servings: asNumber(e.target.value) })}
+                  placeholder="Any"
+                  className="border p-2 rounded w-24"
+                />
+              </label>
+            </section>
+
+            {/* Equipment */}
+            <section>
+              <h2 className="font-semibold text-gray-900 mb-1">Kitchen equipment</h2>
+              <p className="text-gray-600 mb-2">Leave all off if anything goes.</p>
+              <Chips options={EQUIPMENT} selected={draft.equipment} onChange={(equipment) => change({ equipment })} />
+            </section>
+
+            {message && (
+              <div
+                className={`p-3 rounded border ${
+                  message.ok ? 'bg-emerald-100 border-emerald-400 text-emerald-800' : 'bg-red-100 border-red-400 text-red-700'
+                }`}
+              >
+                {message.text}
+              </div>
+            )}
+
+            <button
+              type="submit"
+              disabled={saving}
+              className="bg-emerald-700 text-white px-6 py-2 rounded-lg shadow hover:bg-emerald-800 disabled:opacity-50"
+            >
+              {saving ? 'Saving…' : 'Save profile'}
+            </button>
+          </form>
+        )}
+      </div>
+    </div>
+  );
+}
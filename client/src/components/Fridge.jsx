@@ -1,75 +1,115 @@
 // ==========================
 // IMPORTS
 // ==========================
-import React, { useEffect, useState } from 'react';
-import { supabase } from '../supabaseClient';
+import React, { useState } from 'react';
+import db from '../db';
+import { DEFAULT_UNIT, UNITS, formatQuantity, roundQuantity } from '../lib/units';
+import { totalsByItem } from '../lib/inventory';
+import { DEFAULT_LOCATION, LOCATIONS, moveItemPatch, suggestLocation } from '../lib/storage';
+import { buildCorrection } from '../lib/expiryHistory';
+import { batchesPatch, consumeBatches, findMatch, mergeRows, rowBatches, setSoonestExpiry } from '../lib/duplicates';
+import { OUTCOMES, outcomeEvent } from '../lib/waste';
+import DeduplicateFridge from './DeduplicateFridge';
+import useShelfLife from '../hooks/useShelfLife';
+import useInventory from '../hooks/useInventory';
+import { fromIsoDate, isoDate } from '../lib/dates';
 
 // ==========================
-// FRIDGE COMPONENT (no auth, no user_id)
+// FRIDGE COMPONENT
 // ==========================
-// Changes for no-auth Supabase (RLS disabled):
-// - Removed all supabase.auth calls
-// - Removed user_id filtering and inserts
-// - Clear-expired deletes only items you currently see as expired (by id)
+// - Reads and writes go through the data layer (src/db), whichever backend is
+//   configured; on Supabase, RLS scopes rows to the current household and the
+//   database fills in household_id, so no filtering or user ids here
+// - Clear-expired removes only items you currently see as expired (by id)
+// - Nothing is removed without an outcome: eaten, thrown out or a mistake is
+//   recorded in fridge_events first (see lib/waste.js)
 // - expires_on is assumed to be timestamptz in DB (pairs with toISOString)
+// - quantity/unit track how much is left; "Use some" lowers it and the row
+//   is deleted once nothing is left
+// - location is fridge / freezer / pantry; moving into or out of the freezer
+//   re-computes expires_on (see lib/storage.js)
+// - the expiry date is optional when adding: left blank, it is estimated
+//   from the shelf-life table (see lib/shelfLife.js)
+// - editing an expiry records the correction in expiry_corrections; future
+//   estimates for that item follow the household's history
+// - merged rows keep one expiry batch per purchase (see lib/duplicates.js):
+//   "Use some" takes from the soonest batch, Clear Expired throws out only
+//   the expired batches
+// - works offline: changes are queued and replayed by the data layer (see
+//   db/offline.js)
+// - the rows come from the shared live inventory (hooks/useInventory.js), so
+//   RecipeList, other tabs and other household members' devices see changes
+//   right away; after each write this panel reloads it
+
+// Add-form hint: where the estimated expiry comes from
+const ESTIMATE_NOTES = {
+  household: ' (your shelf-life settings)',
+  learned: ' (learned from your history)',
+  table: ' (from the shelf-life table)',
+};
 
 export default function Fridge() {
   // --------------------------
   // STATE
   // --------------------------
-  const [items, setItems] = useState([]);             // Fridge rows from DB
+  const { items, loading, reload: fetchItems } = useInventory(); // Live fridge rows (shared)
   const [newItem, setNewItem] = useState('');         // New item input
   const [expiryDate, setExpiryDate] = useState('');   // New item expiry input (yyyy-mm-dd)
+  const [newQuantity, setNewQuantity] = useState('1'); // New item quantity input
+  const [newUnit, setNewUnit] = useState(DEFAULT_UNIT); // New item unit select
+  const [newLocation, setNewLocation] = useState('');  // New item location ('' = suggest from name)
+  const [locationTab, setLocationTab] = useState('all'); // 'all' or a LOCATIONS key
   const [searchTerm, setSearchTerm] = useState('');   // Client-side filter string
   const [editingItemId, setEditingItemId] = useState(null);       // Currently edited row id
   const [newExpiryForEdit, setNewExpiryForEdit] = useState('');    // Temp date during edit
-  const [loading, setLoading] = useState(true);       // Initial fetch spinner
-
-  // ==========================
-  // INITIAL LOAD (no auth)
-  // ==========================
-  // Fetch all items on mount. With RLS disabled, everyone sees the same data.
-  useEffect(() => {
-    (async () => {
-      await fetchItems();
-      setLoading(false);
-    })();
-  }, []);
-
-  // ==========================
-  // READ: FETCH ITEMS
-  // ==========================
-  // Pull all rows and order by soonest expiry first.
-  const fetchItems = async () => {
-    const { data, error } = await supabase
-      .from('fridge')
-      .select('id, item_name, expires_on')
-      .order('expires_on', { ascending: true });
-
-    if (error) {
-      console.error('Error fetching items:', error);
-      return;
-    }
-    setItems(data || []);
-  };
+  const [usingItemId, setUsingItemId] = useState(null);           // Row with the "Use some" input open
+  const [removingItemId, setRemovingItemId] = useState(null);     // Row with the outcome choice open
+  const [useAmount, setUseAmount] = useState('');                  // Amount typed into "Use some"
+  const [deduping, setDeduping] = useState(false);    // "Deduplicate my fridge" panel open
+  const { shelfLife, reload: reloadShelfLife } = useShelfLife(); // Table + overrides + learned history
 
   // ==========================
   // CREATE: ADD NEW ITEM
   // ==========================
-  // Inserts a row with item_name and expires_on. No user_id.
+  // Inserts a row with item_name, quantity/unit and expires_on. No user_id.
+  // A blank date means "use the shelf-life estimate".
   const handleAddItem = async () => {
-    if (!newItem || !expiryDate) {
-      alert('Fill both fields!');
+    if (!newItem) {
+      alert('Enter an item name!');
+      return;
+    }
+    const quantity = Number(newQuantity);
+    if (!(quantity > 0)) {
+      alert('Quantity must be more than 0.');
       return;
     }
 
+    const location = newLocation || suggestLocation(newItem, shelfLife);
+    const estimated = shelfLife.estimate(newItem, location);
+    const expiresOn = expiryDate ? fromIsoDate(expiryDate) : dateInDays(estimated.days);
     const payload = {
       item_name: newItem,
+      quantity: roundQuantity(quantity),
+      unit: newUnit,
+      location,
+      frozen_on: location === 'freezer' ? new Date().toISOString() : null,
       added_on: new Date().toISOString(),                 // DB column timestamptz
-      expires_on: new Date(expiryDate).toISOString(),     // convert yyyy-mm-dd → ISO
+      expires_on: expiresOn.toISOString(),                // local yyyy-mm-dd or estimate → ISO
+      expiry_source: expiryDate ? 'manual' : estimated.source,
     };
 
-    const { error } = await supabase.from('fridge').insert([payload]);
+    // Same item already stored here? Offer to add to it as another batch.
+    const existing = findMatch(payload, items, shelfLife);
+    const merge =
+      existing &&
+      window.confirm(
+        `You already have ${existing.item_name} (${formatQuantity(existing.quantity, existing.unit)}). ` +
+          'Merge into it? Cancel keeps a separate row.'
+      );
+
+    const { error } = merge
+      ? await db.items.update(existing.id, mergeRows([existing, payload]))
+      : await db.items.add([payload]);
 
     if (error) {
       console.error('Insert error:', error);
@@ -77,51 +117,113 @@ export default function Fridge() {
     }
     setNewItem('');
     setExpiryDate('');
+    setNewQuantity('1');
+    setNewUnit(DEFAULT_UNIT);
+    setNewLocation('');
+    fetchItems();
+  };
+
+  // ==========================
+  // OUTCOMES: RECORD WHAT HAPPENED AND REMOVE, TOGETHER
+  // ==========================
+  // The fridge_events rows and the fridge change are one transaction, so a
+  // failure leaves the item where it was with no half-recorded history.
+  const recordOutcome = async (change) => {
+    const { error } = await db.items.recordOutcome(change);
+    if (error) {
+      console.error('Error recording outcome:', error);
+      alert('Could not record what happened to this item. Please try again.');
+      return false;
+    }
+    return true;
+  };
+
+  const handleRemoveItem = async (item, outcome) => {
+    if (!(await recordOutcome({ events: [outcomeEvent(item, outcome)], removals: [item.id] }))) return;
+    setRemovingItemId(null);
     fetchItems();
   };
 
   // ==========================
-  // DELETE: REMOVE ONE ITEM
+  // UPDATE: USE SOME (partial consumption)
+  // ==========================
+  // Lowers the quantity by the amount used; removes the row when it hits zero.
+  const handleUseClick = (item) => {
+    setUsingItemId(item.id);
+    // Pieces default to one; weights/volumes default to half of what's left
+    const q = Number(item.quantity ?? 1);
+    setUseAmount(String((item.unit || DEFAULT_UNIT) === DEFAULT_UNIT ? Math.min(1, q) : roundQuantity(q / 2)));
+  };
+
+  const handleUseSome = async (item, amount) => {
+    const used = Number(amount);
+    if (!(used > 0)) {
+      alert('Enter how much you used.');
+      return;
+    }
+
+    const patch = consumeBatches(item, used);
+    if (patch.quantity <= 0) {
+      await handleRemoveItem(item, 'consumed');
+    } else {
+      const event = outcomeEvent(item, 'consumed', Math.min(used, Number(item.quantity ?? 1)));
+      if (!(await recordOutcome({ events: [event], updates: [{ id: item.id, patch }] }))) return;
+      fetchItems();
+    }
+    setUsingItemId(null);
+    setUseAmount('');
+  };
+
+  // ==========================
+  // UPDATE: MOVE TO ANOTHER LOCATION
   // ==========================
-  const handleDeleteItem = async (itemId) => {
-    const { error } = await supabase.from('fridge').delete().eq('id', itemId);
+  // Freezing extends the expiry by the category's freezer shelf life;
+  // taking it out of the freezer thaws it and shortens the expiry again.
+  const handleMove = async (item, location) => {
+    const patch = moveItemPatch(item, location, new Date(), shelfLife);
+    if (Object.keys(patch).length === 0) return;
+
+    const { error } = await db.items.update(item.id, patch);
     if (error) {
-      console.error('Delete error:', error);
+      console.error('Move error:', error);
       return;
     }
     fetchItems();
   };
 
   // ==========================
-  // BULK DELETE: CLEAR EXPIRED (SAFE LOCAL SCOPE)
+  // BULK REMOVE: CLEAR EXPIRED (SAFE LOCAL SCOPE)
   // ==========================
   // Instead of deleting all expired rows globally, we:
   // 1) compute expired items from the currently loaded list
-  // 2) delete only those ids (prevents accidental global wipe in shared DB)
+  // 2) record every expired batch as wasted
+  // 3) delete only those ids (prevents accidental global wipe in shared DB)
+  // 4) merged rows with fresh batches left only lose their expired batches
+  // Steps 2–4 are one transaction.
   const handleClearExpired = async () => {
     const now = new Date();
-    const expiredIds = items
-      .filter((it) => {
-        if (!it.expires_on) return false;
-        const exp = new Date(it.expires_on);
-        return exp <= now;
-      })
-      .map((it) => it.id);
-
-    if (expiredIds.length === 0) {
+    const isExpired = (b) => Boolean(b.expires_on) && new Date(b.expires_on) <= now;
+    const expiredItems = items.filter(isExpired);
+
+    if (expiredItems.length === 0) {
       alert('No expired items to clear.');
       return;
     }
 
-    const { error } = await supabase
-      .from('fridge')
-      .delete()
-      .in('id', expiredIds);
-
-    if (error) {
-      console.error('Error clearing expired:', error);
-      return;
+    const wasted = expiredItems.flatMap((it) =>
+      rowBatches(it)
+        .filter(isExpired)
+        .map((b) => outcomeEvent(it, 'wasted', b.quantity, b))
+    );
+    const updates = [];
+    const removals = [];
+    for (const it of expiredItems) {
+      const fresh = rowBatches(it).filter((b) => !isExpired(b));
+      if (fresh.length === 0) removals.push(it.id);
+      else updates.push({ id: it.id, patch: batchesPatch(fresh) });
     }
+
+    if (!(await recordOutcome({ events: wasted, updates, removals }))) return;
     fetchItems();
   };
 
@@ -131,27 +233,33 @@ export default function Fridge() {
   const handleEditClick = (itemId, currentExpiry) => {
     setEditingItemId(itemId);
     // Pre-fill date input in yyyy-mm-dd (strip time zone portion)
-    setNewExpiryForEdit(currentExpiry ? currentExpiry.split('T')[0] : '');
+    setNewExpiryForEdit(currentExpiry ? isoDate(new Date(currentExpiry)) : ''); // Local day, as entered
   };
 
   // ==========================
   // UPDATE: SAVE EDITED EXPIRY
   // ==========================
+  // Also records the correction (predicted vs corrected days), in the same
+  // transaction, so the next scan of the same item starts from the
+  // household's own numbers.
   const handleSaveEdit = async () => {
     if (!newExpiryForEdit) {
       alert('Please select a new date.');
       return;
     }
 
-    const { error } = await supabase
-      .from('fridge')
-      .update({ expires_on: new Date(newExpiryForEdit).toISOString() })
-      .eq('id', editingItemId);
+    const item = items.find((it) => it.id === editingItemId);
+    const expiresOn = fromIsoDate(newExpiryForEdit).toISOString(); // local yyyy-mm-dd → ISO
+    const correction = item && buildCorrection(item, expiresOn);
+    const patch = { ...setSoonestExpiry(item, expiresOn), expiry_source: 'manual' };
+    const { error } = await db.items.correctExpiry(editingItemId, patch, correction);
 
     if (error) {
       console.error('Update error:', error);
       return;
     }
+    if (correction) reloadShelfLife();
+
     setEditingItemId(null);
     setNewExpiryForEdit('');
     fetchItems();
@@ -166,6 +274,8 @@ export default function Fridge() {
     return Number.isNaN(parsed.getTime()) ? 'Invalid Date' : parsed.toLocaleDateString();
   };
 
+  const dateInDays = (days) => new Date(Date.now() + days * 24 * 60 * 60 * 1000);
+
   const daysLeft = (dateStr) => {
     if (!dateStr) return null;
     const expiry = new Date(dateStr);
@@ -182,11 +292,21 @@ export default function Fridge() {
     return 'bg-green-100 text-green-800';
   };
 
-  // Client-side filtering by item name
-  const filteredItems = items.filter((item) =>
-    item.item_name.toLowerCase().includes(searchTerm.toLowerCase())
+  // Client-side filtering by location tab and item name
+  const locationOf = (item) => item.location || DEFAULT_LOCATION;
+  const filteredItems = items.filter(
+    (item) =>
+      (locationTab === 'all' || locationOf(item) === locationTab) &&
+      item.item_name.toLowerCase().includes(searchTerm.toLowerCase())
   );
 
+  // Per-item totals across rows (e.g. two milk cartons bought on different days)
+  const totals = totalsByItem(filteredItems, shelfLife);
+
+  // Location + expiry the add form would use for the typed name
+  const suggestedLocation = newItem ? newLocation || suggestLocation(newItem, shelfLife) : null;
+  const estimate = newItem ? shelfLife.estimate(newItem, suggestedLocation) : null;
+
   // ==========================
   // RENDER
   // ==========================
@@ -209,8 +329,65 @@ export default function Fridge() {
         >
           Clear Expired Items
         </button>
+        <button
+          className="bg-blue-100 text-blue-800 px-4 py-2 rounded hover:bg-blue-200 mt-2 md:mt-0"
+          onClick={() => setDeduping(true)}
+        >
+          🧹 Deduplicate
+        </button>
       </div>
 
+      {/* One-off duplicate cleanup */}
+      {deduping && (
+        <DeduplicateFridge
+          items={items}
+          shelfLife={shelfLife}
+          onDone={() => {
+            setDeduping(false);
+            fetchItems();
+          }}
+          onClose={() => setDeduping(false)}
+        />
+      )}
+
+      {/* Location tabs */}
+      <div className="flex gap-2 mb-4" role="tablist">
+        {[{ key: 'all', label: 'All', emoji: '📦' }, ...LOCATIONS].map((loc) => {
+          const count = loc.key === 'all' ? items.length : items.filter((it) => locationOf(it) === loc.key).length;
+          return (
+            <button
+              key={loc.key}
+              role="tab"
+              aria-selected={locationTab === loc.key}
+              onClick={() => setLocationTab(loc.key)}
+              className={`px-3 py-1 rounded-full text-sm transition ${
+                locationTab === loc.key ? 'bg-blue-700 text-white' : 'bg-gray-100 hover:bg-gray-200'
+              }`}
+            >
+              {loc.emoji} {loc.label} ({count})
+            </button>
+          );
+        })}
+      </div>
+
+      {/* Totals per item */}
+      {totals.length > 0 && (
+        <div className="mb-6">
+          <h3 className="text-sm font-semibold text-gray-700 mb-2">Totals</h3>
+          <div className="flex flex-wrap gap-2">
+            {totals.map((t) => (
+              <span
+                key={`${t.item_name}|${t.unit}`}
+                className="px-3 py-1 rounded-full bg-blue-50 text-blue-900 text-xs"
+                title={t.rows > 1 ? `${t.rows} entries` : undefined}
+              >
+                {t.item_name} × {formatQuantity(t.quantity, t.unit)}
+              </span>
+            ))}
+          </div>
+        </div>
+      )}
+
       {/* Items grid */}
       {filteredItems.length === 0 ? (
         <p className="text-gray-600">No items found.</p>
@@ -224,18 +401,98 @@ export default function Fridge() {
                 className={`p-4 rounded-xl shadow hover:scale-105 transition-transform ${getColorClass(days)}`}
               >
                 <h3 className="text-lg font-bold">{item.item_name}</h3>
+                <p className="text-sm">
+                  Quantity: <span className="font-medium">{formatQuantity(item.quantity, item.unit)}</span>
+                </p>
+                <label className="text-sm flex items-center gap-1">
+                  Stored in:
+                  <select
+                    className="bg-transparent font-medium"
+                    value={locationOf(item)}
+                    onChange={(e) => handleMove(item, e.target.value)}
+                  >
+                    {LOCATIONS.map((l) => (
+                      <option key={l.key} value={l.key}>{l.emoji} {l.label}</option>
+                    ))}
+                  </select>
+                </label>
+                {item.frozen_on && (
+                  <p className="text-xs">Frozen on {formatDate(item.frozen_on)}</p>
+                )}
                 <p className="text-sm">
                   Expires on:{' '}
                   <span className="font-medium">{formatDate(item.expires_on)}</span>
                 </p>
+                {item.batches?.length > 1 && (
+                  <ul className="text-xs mt-1">
+                    {item.batches.map((b, idx) => (
+                      <li key={idx}>
+                        Batch {idx + 1}: {formatQuantity(b.quantity, item.unit)} until {formatDate(b.expires_on)}
+                      </li>
+                    ))}
+                  </ul>
+                )}
                 {days !== null && (
                   <p className="text-sm">
                     {days >= 0 ? `${days} day${days === 1 ? '' : 's'} left` : 'Expired'}
                   </p>
                 )}
+                {item.expiry_source === 'learned' && (
+                  <p className="text-xs italic">🧠 learned from your history</p>
+                )}
 
-                {/* Edit / Delete */}
-                {editingItemId === item.id ? (
+                {/* Edit / Use some / Delete */}
+                {usingItemId === item.id ? (
+                  <div className="mt-2">
+                    <div className="flex items-center gap-2">
+                      <input
+                        type="number"
+                        min="0"
+                        step="any"
+                        className="border p-1 rounded w-20 text-sm"
+                        value={useAmount}
+                        onChange={(e) => setUseAmount(e.target.value)}
+                        aria-label={`Amount of ${item.item_name} used`}
+                      />
+                      <span className="text-sm">{item.unit || DEFAULT_UNIT}</span>
+                    </div>
+                    <div className="flex space-x-3 mt-2">
+                      <button
+                        className="bg-blue-500 text-white px-2 py-1 rounded text-xs hover:bg-blue-600"
+                        onClick={() => handleUseSome(item, useAmount)}
+                      >
+                        Use
+                      </button>
+                      <button
+                        className="text-xs text-blue-700 hover:underline"
+                        onClick={() => handleUseSome(item, item.quantity ?? 1)}
+                      >
+                        Use all
+                      </button>
+                      <button className="text-xs text-gray-700 hover:underline" onClick={() => setUsingItemId(null)}>
+                        Cancel
+                      </button>
+                    </div>
+                  </div>
+                ) : removingItemId === item.id ? (
+                  <div className="mt-2">
+                    <p className="text-xs mb-1">What happened to it?</p>
+                    <div className="flex flex-wrap gap-2">
+                      {OUTCOMES.map((o) => (
+                        <button
+                          key={o.key}
+                          className="bg-white/70 px-2 py-1 rounded text-xs hover:bg-white"
+                          onClick={() => handleRemoveItem(item, o.key)}
+                        >
+                          {o.emoji} {o.label}
+                        </button>
+                      ))}
+                      <button className="text-xs text-gray-700 hover:underline" onClick={() => setRemovingItemId(null)}>
+                        Cancel
+                      </button>
+                    </div>
+                  </div>
+                ) : editingItemId === item.id ? (
                   <>
                     <input
                       type="date"
@@ -258,11 +515,17 @@ export default function Fridge() {
                     >
                       Edit
                     </button>
+                    <button
+                      className="text-sm text-emerald-700 hover:underline"
+                      onClick={() => handleUseClick(item)}
+                    >
+                      Use some
+                    </button>
                     <button
                       className="text-sm text-red-600 hover:underline"
-                      onClick={() => handleDeleteItem(item.id)}
+                      onClick={() => setRemovingItemId(item.id)}
                     >
-                      Delete
+                      Remove
                     </button>
                   </div>
                 )}
@@ -283,9 +546,42 @@ export default function Fridge() {
             value={newItem}
             onChange={(e) => setNewItem(e.target.value)}
           />
+          <input
+            className="border p-2 rounded w-20"
+            type="number"
+            min="0"
+            step="any"
+            aria-label="Quantity"
+            value={newQuantity}
+            onChange={(e) => setNewQuantity(e.target.value)}
+          />
+          <select
+            className="border p-2 rounded"
+            aria-label="Unit"
+            value={newUnit}
+            onChange={(e) => setNewUnit(e.target.value)}
+          >
+            {UNITS.map((u) => (
+              <option key={u} value={u}>{u}</option>
+            ))}
+          </select>
+          <select
+            className="border p-2 rounded"
+            aria-label="Location"
+            value={newLocation}
+            onChange={(e) => setNewLocation(e.target.value)}
+          >
+            <option value="">
+              {newItem ? `Auto (${LOCATIONS.find((l) => l.key === suggestLocation(newItem, shelfLife)).label})` : 'Auto location'}
+            </option>
+            {LOCATIONS.map((l) => (
+              <option key={l.key} value={l.key}>{l.emoji} {l.label}</option>
+            ))}
+          </select>
           <input
             className="border p-2 rounded"
             type="date"
+            aria-label="Expiry date (optional)"
             value={expiryDate}
             onChange={(e) => setExpiryDate(e.target.value)}
           />
@@ -296,6 +592,12 @@ export default function Fridge() {
             + Add
           </button>
         </div>
+        {estimate && !expiryDate && (
+          <p className="text-xs text-gray-600 mt-2">
+            No date picked — expires in about {estimate.days} day{estimate.days === 1 ? '' : 's'}
+            {ESTIMATE_NOTES[estimate.source] || ` (typical for ${estimate.category})`}.
+          </p>
+        )}
       </div>
     </div>
   );
@@ -0,0 +1,225 @@
+// ==========================
+// IMPORTS
+// ==========================
+import React, { useState } from 'react';
+
+// ==========================
+// HOUSEHOLD SETTINGS
+// ==========================
+// Who shares this fridge. Members see the same fridge, receipts, shelf-life
+// overrides and waste history. Invites are by email: the invitee opens the
+// link, signs in with that address and joins (see accept_invite in the
+// households_auth migration). Owners can rename the household and remove
+// members; anyone can leave. Users in several households switch here.
+
+const inviteLink = (token) => `${window.location.origin}${window.location.pathname}?invite=${token}`;
+
+export default function Household({ household, session, onBack }) {
+  // --------------------------
+  // STATE
+  // --------------------------
+  const { current, households, members, invites, loading } = household;
+  const [inviteEmail, setInviteEmail] = useState('');
+  const [newName, setNewName] = useState('');       // "New household" form
+  const [renaming, setRenaming] = useState(null);   // Draft name while renaming, null otherwise
+  const [error, setError] = useState('');
+  const [copied, setCopied] = useState(null);       // Token whose link was just copied
+
+  const me = session.user.id;
+  const isOwner = current?.role === 'owner';
+
+  // Runs a useHousehold action and shows its error, if any
+  const act = async (action) => {
+    setError('');
+    const actionError = await action;
+    if (actionError) setError(actionError.message || 'Something went wrong. Please try again.');
+    return !actionError;
+  };
+
+  const handleInvite = async (e) => {
+    e.preventDefault();
+    if (await act(household.invite(inviteEmail))) setInviteEmail('');
+  };
+
+  const handleCreate = async (e) => {
+    e.preventDefault();
+    if (!newName.trim()) return;
+    if (await act(household.createHousehold(newName.trim()))) setNewName('');
+  };
+
+  const handleRename = async () => {
+    if (renaming.trim() && (await act(household.renameHousehold(renaming.trim())))) setRenaming(null);
+  };
+
+  const handleRemove = async (member) => {
+    const leaving = member.user_id === me;
+    const question = leaving
+      ? `Leave ${current.name}? You'll lose access to its fridge.`
+      : `Remove ${member.email || 'this member'} from ${current.name}?`;
+    if (!window.confirm(question)) return;
+    await act(household.removeMember(member.user_id));
+  };
+
+  const copyLink = async (token) => {
+    try {
+      await navigator.clipboard.writeText(inviteLink(token));
+      setCopied(token);
+    } catch {
+      window.prompt('Copy this invite link:', inviteLink(token));
+    }
+  };
+
+  // ==========================
+  // RENDER
+  // ==========================
+  return (
+    <div className="min-h-screen bg-gradient-to-br from-gray-50 via-blue-50 to-white p-6">
+      <div className="max-w-2xl mx-auto bg-white rounded-xl shadow p-6 space-y-6">
+        <div className="flex justify-between items-center">
+          <h1 className="text-2xl font-bold text-blue-800">🏠 Household</h1>
+          <button
+            onClick={onBack}
+            className="px-4 py-2 bg-blue-700 text-white rounded-lg shadow hover:bg-blue-800 transition"
+          >
+            ← Back to Dashboard
+          </button>
+        </div>
+
+        {error && <p className="text-sm text-red-600">{error}</p>}
+        {!household.supported && (
+          <p className="text-sm text-gray-600">
+            This copy of ChopChop keeps its data on this device, so there's one household and no accounts. Use the
+            Supabase backend to share a fridge with others.
+          </p>
+        )}
+
+        {loading || !current ? (
+          <p>Loading...</p>
+        ) : household.supported && (
+          <>
+            {/* Name + switcher */}
+            <div className="space-y-2">
+              {renaming === null ? (
+                <div className="flex items-center gap-2">
+                  <h2 className="text-xl font-semibold">{current.name}</h2>
+                  {isOwner && (
+                    <button onClick={() => setRenaming(current.name)} className="text-xs text-blue-700 underline">
+                      Rename
+                    </button>
+                  )}
+                </div>
+              ) : (
+                <div className="flex gap-2">
+                  <input
+                    className="border rounded p-1 flex-1"
+                    aria-label="Household name"
+                    value={renaming}
+                    onChange={(e) => setRenaming(e.target.value)}
+                  />
+                  <button onClick={handleRename} className="px-3 py-1 bg-blue-700 text-white rounded text-sm">Save</button>
+                  <button onClick={() => setRenaming(null)} className="px-3 py-1 bg-gray-100 rounded text-sm">Cancel</button>
+                </div>
+              )}
+
+              {households.length > 1 && (
+                <label className="text-sm text-gray-700 flex items-center gap-2">
+                  Switch to
+                  <select
+                    className="border rounded p-1 text-sm"
+                    value={current.id}
+                    onChange={(e) => act(household.switchHousehold(e.target.value))}
+                  >
+                    {households.map((h) => (
+                      <option key={h.id} value={h.id}>{h.name}</option>
+                    ))}
+                  </select>
+                </label>
+              )}
+            </div>
+
+            {/* Members */}
+            <div>
+              <h3 className="text-sm font-semibold text-gray-700 mb-2">Members</h3>
+              <ul className="text-sm divide-y">
+                {members.map((m) => (
+                  <li key={m.user_id} className="flex justify-between items-center py-1">
+                    <span>
+                      {m.email || 'Unknown'}
+                      {m.user_id === me && <span className="text-gray-500"> (you)</span>}
+                      {m.role === 'owner' && <span className="text-xs text-amber-700"> · owner</span>}
+                    </span>
+                    {(m.user_id === me || isOwner) && (
+                      <button onClick={() => handleRemove(m)} className="text-xs text-red-600 hover:underline">
+                        {m.user_id === me ? 'Leave' : 'Remove'}
+                      </button>
+                    )}
+                  </li>
+                ))}
+              </ul>
+            </div>
+
+            {/* Invites */}
+            <div>
+              <h3 className="text-sm font-semibold text-gray-700 mb-2">Invite someone</h3>
+              <form onSubmit={handleInvite} className="flex gap-2">
+                <input
+                  type="email"
+                  required
+                  placeholder="their@email.com"
+                  className="border rounded p-2 flex-1 text-sm"
+                  value={inviteEmail}
+                  onChange={(e) => setInviteEmail(e.target.value)}
+                />
+                <button type="submit" className="px-4 py-2 bg-emerald-700 text-white rounded-lg shadow hover:bg-emerald-800 transition text-sm">
+                  Create invite
+                </button>
+              </form>
+              <p className="text-[11px] text-gray-500 mt-1">
+                Send them the link; it works once, for that email address, for 7 days.
+              </p>
+
+              {invites.length > 0 && (
+                <ul className="text-sm mt-3 space-y-1">
+                  {invites.map((inv) => (
+                    <li key={inv.id} className="flex justify-between items-center bg-gray-50 rounded px-2 py-1">
+                      <span>
+                        {inv.email}
+                        <span className="text-xs text-gray-500">
+                          {' '}· expires {new Date(inv.expires_at).toLocaleDateString()}
+                        </span>
+                      </span>
+                      <span className="flex gap-3 text-xs">
+                        <button onClick={() => copyLink(inv.token)} className="text-blue-700 hover:underline">
+                          {copied === inv.token ? 'Copied!' : 'Copy link'}
+                        </button>
+                        <button onClick={() => act(household.revokeInvite(inv.id))} className="text-red-600 hover:underline">
+                          Revoke
+                        </button>
+                      </span>
+                    </li>
+                  ))}
+                </ul>
+              )}
+            </div>
+
+            {/* New household */}
+            <div>
+              <h3 className="text-sm font-semibold text-gray-700 mb-2">Start another household</h3>
+              <form onSubmit={handleCreate} className="flex gap-2">
+                <input
+                  placeholder="e.g. Cabin"
+                  className="border rounded p-2 flex-1 text-sm"
+                  value={newName}
+                  onChange={(e) => setNewName(e.target.value)}
+                />
+                <button type="submit" className="px-4 py-2 bg-gray-100 rounded-lg hover:bg-gray-200 text-sm">
+                  Create
+                </button>
+              </form>
+            </div>
+          </>
+        )}
+      </div>
+    </div>
+  );
+}
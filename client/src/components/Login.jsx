@@ -0,0 +1,120 @@
+// ==========================
+// 🌟 IMPORTS
+// ==========================
+import React, { useState } from 'react';
+import db from '../db';
+
+// ==========================
+// 🔐 LOGIN COMPONENT
+// ==========================
+// Shown while nobody is signed in. Email + password (sign in or create an
+// account) or a passwordless magic link. New accounts get a household of
+// their own from the database (see the households_auth migration); an
+// `?invite=` link is accepted by App once the session exists.
+
+export default function Login({ inviting }) {
+  // --------------------------
+  // 🔧 STATE VARIABLES
+  // --------------------------
+  const [mode, setMode] = useState('signin'); // 'signin' | 'signup' | 'magic'
+  const [email, setEmail] = useState('');
+  const [password, setPassword] = useState('');
+  const [busy, setBusy] = useState(false);
+  const [error, setError] = useState('');
+  const [notice, setNotice] = useState('');   // "Check your inbox" after sign-up / magic link
+
+  // --------------------------
+  // 📨 SUBMIT
+  // --------------------------
+  const handleSubmit = async (e) => {
+    e.preventDefault();
+    setError('');
+    setNotice('');
+    setBusy(true);
+
+    // Come back to the same URL (keeps ?invite=) after the email link
+    const redirectTo = window.location.href;
+    let result;
+    if (mode === 'magic') {
+      result = await db.auth.sendMagicLink({ email, redirectTo });
+      if (!result.error) setNotice('Check your email for a sign-in link.');
+    } else if (mode === 'signup') {
+      result = await db.auth.signUp({ email, password, redirectTo });
+      // With email confirmation on, there's no session until the link is clicked
+      if (!result.error && !result.data.session) setNotice('Check your email to confirm your account.');
+    } else {
+      result = await db.auth.signIn({ email, password });
+    }
+
+    if (result.error) setError(result.error.message);
+    setBusy(false);
+  };
+
+  // --------------------------
+  // 💻 COMPONENT RENDER
+  // --------------------------
+  const tabs = [
+    { key: 'signin', label: 'Sign in' },
+    { key: 'signup', label: 'Create account' },
+    { key: 'magic', label: 'Email me a link' },
+  ];
+
+  return (
+    <div className="min-h-screen flex items-center justify-center bg-gradient-to-br from-gray-50 via-blue-50 to-white p-6">
+      <form onSubmit={handleSubmit} className="w-full max-w-sm bg-white rounded-xl shadow p-6 space-y-4">
+        <h1 className="text-2xl font-bold text-blue-800 text-center">🍳 ChopChop</h1>
+        {inviting && (
+          <p className="text-sm text-emerald-800 bg-emerald-50 border border-emerald-200 rounded p-2">
+            You've been invited to a household. Sign in or create an account with the invited email to join.
+          </p>
+        )}
+
+        <div className="flex gap-1 text-xs">
+          {tabs.map((t) => (
+            <button
+              key={t.key}
+              type="button"
+              onClick={() => setMode(t.key)}
+              className={`flex-1 px-2 py-1 rounded-full ${mode === t.key ? 'bg-blue-700 text-white' : 'bg-gray-100 hover:bg-gray-200'}`}
+            >
+              {t.label}
+            </button>
+          ))}
+        </div>
+
+        <input
+          type="email"
+          required
+          autoComplete="email"
+          placeholder="Email"
+          value={email}
+          onChange={(e) => setEmail(e.target.value)}
+          className="w-full border rounded p-2"
+        />
+        {mode !== 'magic' && (
+          <input
+            type="password"
+            required
+            minLength={6}
+            autoComplete={mode === 'signup' ? 'new-password' : 'current-password'}
+            placeholder="Password"
+            value={password}
+            onChange={(e) => setPassword(e.target.value)}
+            className="w-full border rounded p-2"
+          />
+        )}
+
+        {error && <p className="text-sm text-red-600">{error}</p>}
+        {notice && <p className="text-sm text-emerald-700">{notice}</p>}
+
+        <button
+          type="submit"
+          disabled={busy}
+          className="w-full px-4 py-2 bg-blue-700 text-white rounded-lg shadow hover:bg-blue-800 transition disabled:opacity-50"
+        >
+          {busy ? 'Please wait…' : tabs.find((t) => t.key === mode).label}
+        </button>
+      </form>
+    </div>
+  );
+}
@@ -0,0 +1,361 @@
+// ==========================
+// IMPORTS
+// ==========================
+import React, { useEffect, useMemo, useState } from 'react';
+import db from '../db';
+import { generateRecipes } from '../lib/recipeApi';
+import { formatMinutes } from '../lib/recipes';
+import { formatQuantity } from '../lib/units';
+import {
+  MAX_MEALS_PER_DAY,
+  PLAN_DAYS,
+  avoidDay,
+  fixedSlots,
+  planWeek,
+  shiftSlots,
+  startOfDay,
+} from '../lib/mealPlan';
+import { fromIsoDate, isoDate } from '../lib/dates';
+import useInventory from '../hooks/useInventory';
+import useShelfLife from '../hooks/useShelfLife';
+import useDietaryProfile from '../hooks/useDietaryProfile';
+
+// ==========================
+// MEAL PLANNER
+// ==========================
+// A 7-day plan (lib/mealPlan.js) built from freshly generated recipes (which
+// follow the dietary profile) plus the cookbook, ordered so fridge items are
+// eaten before they expire. Days can be locked, regenerated one at a time
+// (with new recipes for what the fridge holds that morning) or all at once.
+// Only the chosen recipes are saved; what each meal uses and what is still
+// at risk is worked out from the live fridge, so the plan keeps up as food
+// is added or cooked.
+
+const GENERATED_PER_WEEK = 6; // Server maximum per request
+const GENERATED_PER_DAY = 3;
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+const emptySlots = () => Array.from({ length: PLAN_DAYS }, () => ({ locked: false, meals: [] }));
+
+// One recipe per title, the first one seen
+const uniqueRecipes = (recipes) =>
+  recipes.filter((r, idx, all) => r && all.findIndex((other) => other?.title === r.title) === idx);
+
+export default function MealPlanner({ onBack }) {
+  // --------------------------
+  // STATE
+  // --------------------------
+  const { items } = useInventory();                     // Live fridge the plan is checked against
+  const { shelfLife } = useShelfLife();                 // Aliases for ingredient ↔ fridge matching
+  const { profile, loading: profileLoading } = useDietaryProfile(); // Sent with every recipe request
+  const [weekStart, setWeekStart] = useState(() => isoDate(startOfDay()));
+  const [slots, setSlots] = useState(emptySlots);       // [{ locked, meals: [recipe|null] }] per day
+  const [mealsPerDay, setMealsPerDay] = useState(2);
+  const [servings, setServings] = useState(2);
+  const [candidates, setCandidates] = useState([]);     // Recipes the planner may choose from
+  const [loading, setLoading] = useState(true);
+  const [busyDay, setBusyDay] = useState(null);         // 'all' or the day being regenerated
+  const [error, setError] = useState('');
+
+  const hasPlan = slots.some((slot) => slot.meals.some(Boolean));
+
+  // ==========================
+  // LOAD
+  // ==========================
+  // The latest saved plan (moved on to today if it started earlier) and the
+  // cookbook's recipes as candidates
+  useEffect(() => {
+    (async () => {
+      const [{ data: saved, error: planError }, { data: cookbook, error: cookbookError }] = await Promise.all([
+        db.mealPlans.latest(),
+        db.recipes.list(),
+      ]);
+      if (planError) console.error('Error fetching meal plan:', planError);
+      if (cookbookError) console.error('Error fetching saved recipes:', cookbookError);
+
+      const today = startOfDay();
+      const planned = [];
+      if (saved) {
+        const elapsed = Math.round((today - fromIsoDate(saved.week_start)) / DAY_MS);
+        const current = elapsed > 0 ? shiftSlots(saved.days, elapsed) : saved.days;
+        setSlots(current.length ? current : emptySlots());
+        setWeekStart(elapsed > 0 ? isoDate(today) : saved.week_start);
+        setMealsPerDay(saved.meals_per_day);
+        setServings(saved.servings);
+        current.forEach((slot) => planned.push(...slot.meals));
+      }
+      setCandidates(uniqueRecipes([...(cookbook || []).map((row) => row.recipe), ...planned]));
+      setLoading(false);
+    })();
+  }, []);
+
+  // What every meal takes and what's left to waste, from the fridge as it is now
+  const plan = useMemo(
+    () =>
+      planWeek({
+        candidates,
+        items,
+        start: fromIsoDate(weekStart),
+        mealsPerDay,
+        servings,
+        fixed: fixedSlots(slots),
+        shelfLife,
+      }),
+    [candidates, items, weekStart, mealsPerDay, servings, slots, shelfLife]
+  );
+
+  // ==========================
+  // SAVE
+  // ==========================
+  const save = async (changes) => {
+    const row = {
+      week_start: weekStart,
+      meals_per_day: mealsPerDay,
+      servings,
+      days: slots,
+      ...changes,
+      updated_at: new Date().toISOString(),
+    };
+    const { error: saveError } = await db.mealPlans.save(row);
+    if (saveError) {
+      console.error('Error saving meal plan:', saveError);
+      setError('Could not save the meal plan. Please try again.');
+    }
+  };
+
+  // Runs the planner with `options` (regenerate / avoid) and keeps the result
+  const replan = (pool, options = {}, settings = {}) => {
+    const next = { mealsPerDay, servings, ...settings };
+    const result = planWeek({
+      candidates: pool,
+      items,
+      start: fromIsoDate(weekStart),
+      ...next,
+      fixed: fixedSlots(slots, options),
+      avoid: options.avoid,
+      shelfLife,
+    });
+    const nextSlots = result.days.map((day, d) => ({
+      locked: Boolean(slots[d]?.locked),
+      meals: day.meals.map((meal) => meal?.recipe || null),
+    }));
+    setSlots(nextSlots);
+    save({ days: nextSlots, meals_per_day: next.mealsPerDay, servings: next.servings });
+  };
+
+  // New recipes for `fridge`, added to the candidates → the whole pool
+  const fetchMore = async (fridge, count) => {
+    const fresh = await generateRecipes({ items: fridge, profile, count });
+    const pool = uniqueRecipes([...candidates, ...fresh]);
+    setCandidates(pool);
+    return pool;
+  };
+
+  // ==========================
+  // ACTIONS
+  // ==========================
+  const handleGenerate = async () => {
+    setBusyDay('all');
+    setError('');
+    let pool = candidates;
+    try {
+      if (items.length === 0) throw new Error('Add some items to your fridge first.');
+      pool = await fetchMore(items, GENERATED_PER_WEEK);
+    } catch (err) {
+      console.error('Recipe generation error:', err);
+      // Saved recipes can still make a plan
+      setError(
+        pool.length
+          ? `${err.message || 'Failed to generate recipes.'} The plan uses your cookbook only.`
+          : err.message || 'Failed to generate recipes.'
+      );
+    }
+    if (pool.length) replan(pool, { regenerate: 'all' });
+    setBusyDay(null);
+  };
+
+  const handleRegenerateDay = async (d) => {
+    setBusyDay(d);
+    setError('');
+    let pool = candidates;
+    try {
+      pool = await fetchMore(plan.days[d].fridge, GENERATED_PER_DAY);
+    } catch (err) {
+      console.error('Recipe generation error:', err);
+      setError(err.message || 'Failed to generate recipes.');
+    }
+    replan(pool, { regenerate: 'day', day: d, avoid: avoidDay(slots, d) });
+    setBusyDay(null);
+  };
+
+  const handleToggleLock = (d) => {
+    const nextSlots = slots.map((slot, idx) => (idx === d ? { ...slot, locked: !slot.locked } : slot));
+    setSlots(nextSlots);
+    save({ days: nextSlots });
+  };
+
+  const handleMealsPerDay = (value) => {
+    setMealsPerDay(value);
+    if (hasPlan) replan(candidates, {}, { mealsPerDay: value });
+  };
+
+  const handleServings = (value) => {
+    setServings(value);
+    if (hasPlan) save({ servings: value });
+  };
+
+  // ==========================
+  // RENDER
+  // ==========================
+  return (
+    <div className="min-h-screen bg-gradient-to-br from-gray-50 via-blue-50 to-white p-6">
+      <div className="max-w-6xl mx-auto">
+        <div className="flex justify-between items-center mb-4">
+          <h1 className="text-2xl font-bold text-blue-800">📅 Meal plan</h1>
+          <button
+            onClick={onBack}
+            className="px-4 py-2 bg-blue-700 text-white rounded-lg shadow hover:bg-blue-800 transition"
+          >
+            ← Back to Dashboard
+          </button>
+        </div>
+
+        {/* Settings */}
+        <div className="bg-white rounded-xl shadow p-4 mb-6 flex flex-wrap items-center gap-4 text-sm">
+          <label className="flex items-center gap-2">
+            Meals per day
+            <select
+              value={mealsPerDay}
+              onChange={(e) => handleMealsPerDay(Number(e.target.value))}
+              className="border p-2 rounded"
+            >
+              {Array.from({ length: MAX_MEALS_PER_DAY }, (_, i) => i + 1).map((n) => (
+                <option key={n} value={n}>
+                  {n}
+                </option>
+              ))}
+            </select>
+          </label>
+          <label className="flex items-center gap-2">
+            Servings per meal
+            <input
+              type="number"
+              min="1"
+              value={servings}
+              onChange={(e) => handleServings(Math.max(1, Math.round(Number(e.target.value)) || 1))}
+              className="border p-2 rounded w-20"
+            />
+          </label>
+          <button
+            onClick={handleGenerate}
+            disabled={busyDay !== null || loading || profileLoading}
+            className="ml-auto bg-emerald-700 text-white px-4 py-2 rounded-lg shadow hover:bg-emerald-800 disabled:opacity-50"
+          >
+            {busyDay === 'all' ? 'Planning…' : hasPlan ? '↻ Regenerate unlocked days' : '✨ Plan my week'}
+          </button>
+        </div>
+
+        {error && <div className="mb-4 p-3 bg-red-100 border border-red-400 text-red-700 rounded text-sm">{error}</div>}
+
+        {loading ? (
+          <p>Loading...</p>
+        ) : !hasPlan ? (
+          <p className="text-gray-600 text-sm">
+            No plan yet. "Plan my week" picks recipes that use up what expires first, from new suggestions and your
+            cookbook.
+          </p>
+        ) : (
+          <>
+            {/* Days */}
+            <div className="grid grid-cols-1 md:grid-cols-2 lg:grid-cols-3 gap-4 mb-6">
+              {plan.days.map((day, d) => (
+                <div
+                  key={day.date}
+                  className={`bg-white rounded-xl shadow p-4 text-sm ${slots[d]?.locked ? 'ring-2 ring-blue-300' : ''}`}
+                >
+                  <div className="flex items-center justify-between mb-2">
+                    <h2 className="font-semibold text-blue-800">
+                      {fromIsoDate(day.date).toLocaleDateString(undefined, { weekday: 'long', day: 'numeric', month: 'short' })}
+                    </h2>
+                    <div className="flex gap-2">
+                      <button
+                        onClick={() => handleToggleLock(d)}
+                        disabled={busyDay !== null}
+                        className="text-xs border px-2 py-1 rounded hover:bg-gray-100 disabled:opacity-50"
+                        title={slots[d]?.locked ? 'Unlock this day' : 'Keep this day when regenerating'}
+                      >
+                        {slots[d]?.locked ? '🔒 Locked' : '🔓 Lock'}
+                      </button>
+                      <button
+                        onClick={() => handleRegenerateDay(d)}
+                        disabled={busyDay !== null || profileLoading || slots[d]?.locked}
+                        className="text-xs border px-2 py-1 rounded hover:bg-gray-100 disabled:opacity-50"
+                      >
+                        {busyDay === d ? '…' : '↻ Regenerate'}
+                      </button>
+                    </div>
+                  </div>
+
+                  <ul className="space-y-3">
+                    {day.meals.map((meal, m) => (
+                      <li key={m}>
+                        {meal ? (
+                          <>
+                            <p className="font-medium text-emerald-800">
+                              {meal.recipe.violations?.length > 0 && (
+                                <span title={`Doesn't fit your dietary profile: ${meal.recipe.violations.join('; ')}`}>⚠️ </span>
+                              )}
+                              {meal.recipe.title}
+                              <span className="text-gray-500 font-normal"> · ⏱️ {formatMinutes(meal.recipe.time_minutes)}</span>
+                            </p>
+                            {meal.uses.length > 0 && (
+                              <div className="flex flex-wrap gap-1 mt-1">
+                                {meal.uses.map((use) => (
+                                  <span
+                                    key={use.name}
+                                    className={`px-2 py-0.5 rounded-full text-xs ${
+                                      use.expiring ? 'bg-amber-100 text-amber-800' : 'bg-emerald-50 text-emerald-700'
+                                    }`}
+                                  >
+                                    {use.name} · {formatQuantity(use.amount, use.unit)}
+                                  </span>
+                                ))}
+                              </div>
+                            )}
+                          </>
+                        ) : (
+                          <p className="text-gray-400">Nothing left to use up — free choice</p>
+                        )}
+                      </li>
+                    ))}
+                  </ul>
+                </div>
+              ))}
+            </div>
+
+            {/* Food the plan doesn't save */}
+            <div className="bg-white rounded-xl shadow p-4 text-sm">
+              <h2 className="font-semibold text-red-700 mb-2">🗑️ Still at risk this week</h2>
+              {plan.atRisk.length === 0 ? (
+                <p className="text-emerald-700">Everything that expires this week gets eaten. 🎉</p>
+              ) : (
+                <ul className="divide-y">
+                  {plan.atRisk.map(({ item, quantity, day }) => (
+                    <li key={item.id} className="flex justify-between py-1.5">
+                      <span>
+                        {item.item_name} · {formatQuantity(quantity, item.unit || 'pcs')}
+                      </span>
+                      <span className="text-gray-500">
+                        expires {fromIsoDate(plan.days[day].date).toLocaleDateString(undefined, { weekday: 'long' })}
+                      </span>
+                    </li>
+                  ))}
+                </ul>
+              )}
+            </div>
+          </>
+        )}
+      </div>
+    </div>
+  );
+}
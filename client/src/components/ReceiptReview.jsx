@@ -0,0 +1,305 @@
+// ==========================
+// IMPORTS
+// ==========================
+import React from 'react';
+import { DEFAULT_UNIT, UNITS, formatQuantity, roundQuantity } from '../lib/units';
+import { LOCATIONS, suggestLocation } from '../lib/storage';
+
+// ==========================
+// RECEIPT REVIEW (STAGING EDITOR)
+// ==========================
+// Editable table of parsed receipt items shown between parsing and insert.
+// The parent owns the rows (so it can re-fill them after a re-scan) and
+// decides what "confirm" does; this component only edits the list.
+//
+// Row shape: { key, item, quantity, unit, location, perish_in_days,
+//              expires_on (yyyy-mm-dd), selected, price, expiry_source } — price and
+//              expiry_source ('household' | 'learned' | 'table' | 'category' | 'llm') are carried
+//              through from the parser untouched.
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+let nextKey = 1;
+
+// Tooltip on the days field: where the estimate came from
+const EXPIRY_SOURCE_LABELS = {
+  table: 'From the shelf-life table',
+  learned: 'Learned from your history of expiry corrections',
+  household: "From your household's shelf-life overrides",
+  category: 'Estimated from the food category',
+  llm: 'Estimated by AI (item not in the shelf-life table)',
+  manual: 'Set by you',
+};
+
+// --------------------------
+// Helpers (exported for the parent)
+// --------------------------
+
+// Local yyyy-mm-dd for a date `days` from today
+export const dateInDays = (days) => {
+  const d = new Date(Date.now() + (Number(days) || 0) * DAY_MS);
+  const offset = d.getTimezoneOffset() * 60 * 1000;
+  return new Date(d.getTime() - offset).toISOString().split('T')[0];
+};
+
+// Whole days between today and a yyyy-mm-dd string (never negative)
+export const daysUntil = (dateStr) => {
+  if (!dateStr) return 0;
+  const today = new Date(dateInDays(0));
+  const target = new Date(dateStr);
+  if (Number.isNaN(target.getTime())) return 0;
+  return Math.max(0, Math.round((target - today) / DAY_MS));
+};
+
+// Turn parsed items ({ item, perish_in_days, quantity?, unit?, price?, location? }) into staging rows
+export const toReviewRows = (parsedItems) =>
+  parsedItems.map((it) => {
+    const days = Math.max(0, Math.round(Number(it.perish_in_days) || 0));
+    return {
+      key: nextKey++,
+      item: String(it.item || '').trim(),
+      perish_in_days: days,
+      expires_on: dateInDays(days),
+      selected: false,
+      quantity: it.quantity ?? 1,
+      unit: UNITS.includes(it.unit) ? it.unit : DEFAULT_UNIT,
+      location: LOCATIONS.some((l) => l.key === it.location) ? it.location : suggestLocation(it.item),
+      price: it.price ?? null,
+      expiry_source: it.expiry_source ?? null,
+      keep_separate: false,
+    };
+  });
+
+// findExisting(row) → the fridge row this one would merge into, or null.
+// Matching rows are merged on confirm unless "Keep separate" is picked.
+export default function ReceiptReview({ rows, onChange, onConfirm, onCancel, saving, findExisting = () => null }) {
+  // --------------------------
+  // Row edits
+  // --------------------------
+  const updateRow = (key, patch) => {
+    onChange(rows.map((row) => (row.key === key ? { ...row, ...patch } : row)));
+  };
+
+  // Perish days and expiry date are two views of the same value; keep them in step.
+  // A hand-edited expiry is no longer the table's or the LLM's estimate.
+  const handleDaysChange = (key, value) => {
+    const days = Math.max(0, Math.round(Number(value) || 0));
+    updateRow(key, { perish_in_days: days, expires_on: dateInDays(days), expiry_source: 'manual' });
+  };
+
+  const handleDateChange = (key, value) => {
+    updateRow(key, { expires_on: value, perish_in_days: daysUntil(value), expiry_source: 'manual' });
+  };
+
+  const handleDrop = (key) => {
+    onChange(rows.filter((row) => row.key !== key));
+  };
+
+  const handleAdd = () => {
+    onChange([...rows, ...toReviewRows([{ item: '', perish_in_days: 7 }])]);
+  };
+
+  // Merge selected rows into the first one selected. The merged row keeps the
+  // first name and the soonest expiry, so nothing is assumed to last longer.
+  // Quantities are added up for rows in the same unit as the first; prices
+  // are always added up (it's what was paid for all of them).
+  const handleMerge = () => {
+    const selected = rows.filter((row) => row.selected);
+    if (selected.length < 2) return;
+
+    const [target] = selected;
+    const soonest = selected.reduce((min, row) => Math.min(min, row.perish_in_days), Infinity);
+    const quantity = selected
+      .filter((row) => row.unit === target.unit)
+      .reduce((sum, row) => sum + (Number(row.quantity) || 0), 0);
+    const priced = selected.filter((row) => row.price !== null && row.price !== '');
+    const merged = {
+      ...target,
+      quantity: roundQuantity(quantity),
+      price: priced.length ? roundQuantity(priced.reduce((sum, row) => sum + Number(row.price), 0)) : null,
+      perish_in_days: soonest,
+      expires_on: dateInDays(soonest),
+      selected: false,
+    };
+
+    onChange(
+      rows
+        .filter((row) => !row.selected || row.key === target.key)
+        .map((row) => (row.key === target.key ? merged : row))
+    );
+  };
+
+  const selectedCount = rows.filter((row) => row.selected).length;
+  const confirmable = rows.filter((row) => row.item.trim()).length;
+
+  // ==========================
+  // RENDER
+  // ==========================
+  return (
+    <div className="mt-6 bg-green-50 p-4 rounded-lg">
+      <h3 className="font-bold text-sm mb-1 text-emerald-800">Review scanned items</h3>
+      <p className="text-xs text-gray-600 mb-3">
+        Fix names, amounts and expiry dates, drop anything that isn't food, then confirm.
+      </p>
+
+      <table className="w-full text-sm">
+        <thead>
+          <tr className="text-left text-xs text-gray-600">
+            <th className="pb-1 w-6" aria-label="Select" />
+            <th className="pb-1">Item</th>
+            <th className="pb-1 w-16">Qty</th>
+            <th className="pb-1 w-20">Unit</th>
+            <th className="pb-1 w-24">Store in</th>
+            <th className="pb-1 w-20">Price</th>
+            <th className="pb-1 w-16">Days</th>
+            <th className="pb-1 w-32">Expires</th>
+            <th className="pb-1 w-6" aria-label="Remove" />
+          </tr>
+        </thead>
+        <tbody>
+          {rows.map((row) => {
+            const existing = row.item.trim() ? findExisting(row) : null;
+            return (
+              <tr key={row.key} className="align-middle">
+                <td className="py-1">
+                  <input
+                    type="checkbox"
+                    checked={row.selected}
+                    onChange={(e) => updateRow(row.key, { selected: e.target.checked })}
+                    aria-label={`Select ${row.item || 'row'}`}
+                  />
+                </td>
+                <td className="py-1 pr-2">
+                  <input
+                    type="text"
+                    className="border rounded px-2 py-1 w-full"
+                    value={row.item}
+                    placeholder="Item name"
+                    onChange={(e) => updateRow(row.key, { item: e.target.value })}
+                  />
+                  {existing && (
+                    <div className="flex items-center gap-1 mt-1 text-xs text-blue-800">
+                      <span>Already have {existing.item_name} ({formatQuantity(existing.quantity, existing.unit)}):</span>
+                      <select
+                        className="bg-transparent font-medium"
+                        value={row.keep_separate ? 'separate' : 'merge'}
+                        onChange={(e) => updateRow(row.key, { keep_separate: e.target.value === 'separate' })}
+                        aria-label={`Merge ${row.item} with ${existing.item_name}`}
+                      >
+                        <option value="merge">Merge</option>
+                        <option value="separate">Keep separate</option>
+                      </select>
+                    </div>
+                  )}
+                </td>
+                <td className="py-1 pr-2">
+                  <input
+                    type="number"
+                    min="0"
+                    step="any"
+                    className="border rounded px-2 py-1 w-full"
+                    value={row.quantity}
+                    onChange={(e) => updateRow(row.key, { quantity: e.target.value })}
+                    aria-label={`Quantity of ${row.item || 'row'}`}
+                  />
+                </td>
+                <td className="py-1 pr-2">
+                  <select
+                    className="border rounded px-1 py-1 w-full"
+                    value={row.unit}
+                    onChange={(e) => updateRow(row.key, { unit: e.target.value })}
+                    aria-label={`Unit of ${row.item || 'row'}`}
+                  >
+                    {UNITS.map((u) => (
+                      <option key={u} value={u}>{u}</option>
+                    ))}
+                  </select>
+                </td>
+                <td className="py-1 pr-2">
+                  <select
+                    className="border rounded px-1 py-1 w-full"
+                    value={row.location}
+                    onChange={(e) => updateRow(row.key, { location: e.target.value })}
+                    aria-label={`Storage location of ${row.item || 'row'}`}
+                  >
+                    {LOCATIONS.map((l) => (
+                      <option key={l.key} value={l.key}>{l.emoji} {l.label}</option>
+                    ))}
+                  </select>
+                </td>
+                <td className="py-1 pr-2">
+                  <input
+                    type="number"
+                    min="0"
+                    step="0.01"
+                    className="border rounded px-2 py-1 w-full"
+                    value={row.price ?? ''}
+                    placeholder="—"
+                    onChange={(e) => updateRow(row.key, { price: e.target.value === '' ? null : e.target.value })}
+                    aria-label={`Price of ${row.item || 'row'}`}
+                  />
+                </td>
+                <td className="py-1 pr-2">
+                  <input
+                    type="number"
+                    min="0"
+                    className="border rounded px-2 py-1 w-full"
+                    value={row.perish_in_days}
+                    onChange={(e) => handleDaysChange(row.key, e.target.value)}
+                    title={EXPIRY_SOURCE_LABELS[row.expiry_source]}
+                  />
+                </td>
+                <td className="py-1 pr-2">
+                  <input
+                    type="date"
+                    className="border rounded px-1 py-1 w-full"
+                    value={row.expires_on}
+                    onChange={(e) => handleDateChange(row.key, e.target.value)}
+                  />
+                </td>
+                <td className="py-1">
+                  <button
+                    className="text-red-600 hover:text-red-800"
+                    onClick={() => handleDrop(row.key)}
+                    aria-label={`Remove ${row.item || 'row'}`}
+                  >
+                    ✕
+                  </button>
+                </td>
+              </tr>
+            );
+          })}
+        </tbody>
+      </table>
+
+      {/* Row actions */}
+      <div className="flex gap-3 mt-3 text-sm">
+        <button className="text-emerald-800 hover:underline" onClick={handleAdd}>
+          + Add row
+        </button>
+        <button
+          className="text-blue-700 hover:underline disabled:text-gray-400 disabled:no-underline"
+          onClick={handleMerge}
+          disabled={selectedCount < 2}
+        >
+          Merge selected ({selectedCount})
+        </button>
+      </div>
+
+      {/* Confirm / discard */}
+      <button
+        onClick={onConfirm}
+        disabled={saving || confirmable === 0}
+        className="mt-4 w-full bg-emerald-800 text-white px-4 py-2 rounded hover:bg-emerald-900 transition disabled:opacity-60"
+      >
+        {saving ? 'Adding…' : `Add ${confirmable} item${confirmable === 1 ? '' : 's'} to fridge`}
+      </button>
+      <button
+        onClick={onCancel}
+        disabled={saving}
+        className="mt-2 w-full py-2 rounded text-sm text-gray-700 border hover:bg-gray-100 transition disabled:opacity-60"
+      >
+        Discard scan
+      </button>
+    </div>
+  );
+}
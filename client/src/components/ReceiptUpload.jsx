@@ -1,136 +1,383 @@
 // ==========================
 // 🌟 IMPORTS
 // ==========================
-import React, { useState } from 'react';
+import React, { useEffect, useRef, useState } from 'react';
 import Tesseract from 'tesseract.js';         // Client-side OCR engine for extracting text from images
-import { supabase } from '../supabaseClient'; // Supabase client (anon key; no auth session)
+import db from '../db';                       // Data layer (Supabase, local server or in-memory)
+import ReceiptReview, { dateInDays, toReviewRows } from './ReceiptReview'; // Staging editor for parsed items
+import { parseReceiptMeta } from '../lib/receiptParser';  // Store / date / total from the OCR text
+import { parseReceiptWithFallback } from '../lib/receiptApi'; // Server parse, offline parser as fallback
+import { enhanceReceiptImage } from '../lib/imagePreprocess'; // Canvas cleanup before OCR
+import { loadReceiptPages, stitchPageTexts } from '../lib/receiptPages'; // Multi-photo / PDF receipts
+import { roundQuantity } from '../lib/units';
+import { findMatch, mergeRows } from '../lib/duplicates'; // Same item already in the fridge?
+import { boughtItems } from '../lib/shopping';        // Shopping-list items this receipt covers
+import useShelfLife from '../hooks/useShelfLife';
+import { fromIsoDate } from '../lib/dates';               // yyyy-mm-dd as a local date
 
 // ==========================
 // 🧾 RECEIPT UPLOAD COMPONENT
 // ==========================
-// Allows the user to upload a receipt image, run OCR to extract text,
-// send it to Gemini API for cleaning/structuring, and automatically
-// insert parsed grocery items into Supabase.
+// Allows the user to upload one or more receipt photos or a PDF, enhance each
+// page for OCR (grayscale, contrast, crop, deskew, threshold), OCR every page
+// and stitch the text in order (overlapping lines removed), send it to the
+// server's /api/receipts/parse for cleaning/structuring (by whichever LLM
+// provider the server is configured with, see server/lib/llm.js), then stage
+// the parsed grocery items for review. Only rows the user confirms are
+// inserted; rows that match an item already in the fridge are merged into it
+// (as an extra expiry batch) unless the user keeps them separate. Each
+// confirmed scan is kept in `receipts` (OCR text, photos, store, date, total,
+// parsed items) and the fridge rows it creates link back to it via receipt_id.
+// Shopping-list items the receipt covers are ticked off.
 //
-// NOTE (no-auth build):
-// - No calls to supabase.auth.*
-// - Inserts go straight into public.fridge with columns: item_name, added_on, expires_on
-// - Your DB must have RLS DISABLED on public.fridge (demo-only)
+// NOTE:
+// - Inserts go through db.items (src/db) with columns: item_name, quantity, unit,
+//   location, frozen_on, added_on, expires_on, expiry_source, receipt_id
+// - On Supabase, household_id is left to its database default (the user's
+//   current household); RLS rejects rows for any other household
 
 export default function ReceiptUpload({ onContinue }) {
   // --------------------------
   // 🔧 STATE VARIABLES
   // --------------------------
-  const [image, setImage] = useState(null);             // Uploaded receipt file
-  const [cleanedItems, setCleanedItems] = useState([]); // AI-cleaned grocery items (array of { item, perish_in_days })
+  const [pages, setPages] = useState([]);               // [{ id, name, original: Blob, enhanced: Blob|null, enhancing }]
+  const [preparing, setPreparing] = useState(false);    // Reading files / rendering PDF pages
+  const [reviewRows, setReviewRows] = useState([]);     // Staged items awaiting review (see ReceiptReview)
   const [loading, setLoading] = useState(false);        // Spinner during OCR + API
+  const [saving, setSaving] = useState(false);          // Insert of confirmed rows in flight
+  const [addedCount, setAddedCount] = useState(null);   // Rows inserted by the last confirm (null until then)
+  const [mergedCount, setMergedCount] = useState(0);    // Rows merged into existing fridge items by the last confirm
+  const [tickedCount, setTickedCount] = useState(0);    // Shopping-list items the last confirm ticked off
+  const [fridgeItems, setFridgeItems] = useState([]);   // Current fridge rows, for duplicate matching
+  const [scan, setScan] = useState(null);               // Last scan: { ocrText, items, parser } (null before)
+  const [receiptMeta, setReceiptMeta] = useState({ store: '', purchased_on: '', total: '' }); // Editable receipt details
+  const [keepPhotos, setKeepPhotos] = useState(true);   // Upload the receipt photos with the history record
   const [error, setError] = useState('');               // Error message for UI
-  const [ocrProgress, setOcrProgress] = useState(null); // 0–100 progress for OCR (null when idle)
+  const [notice, setNotice] = useState('');             // Non-fatal info (e.g. offline fallback used)
+  const [pageProgress, setPageProgress] = useState([]); // 0–100 OCR progress per page (empty when idle)
+  const [ocrSource, setOcrSource] = useState('enhanced'); // Which images OCR reads: 'enhanced' | 'original'
+  const [scannedWith, setScannedWith] = useState(null); // Source used by the last scan (null before first scan)
+  const [previews, setPreviews] = useState({});         // { [pageId]: { original, enhanced } } object URLs
+  const uploadRun = useRef(0);                          // Ignores results from a previous file selection
+  const savedReceiptId = useRef(null);                  // Receipt row of this scan, once saved (reused if a confirm is retried)
+  const { shelfLife } = useShelfLife();                 // Bundled shelf-life table + household overrides
 
-  // ==========================
-  // 🖼️ IMAGE SELECTION HANDLER
-  // ==========================
-  const handleImageChange = (e) => {
-    setImage(e.target.files[0]);
-    setCleanedItems([]);
-    setError('');
-    setOcrProgress(null);
+  // Fridge rows the review step matches new items against
+  const fetchFridgeItems = async () => {
+    const { data, error: fetchError } = await db.items.list();
+    if (fetchError) {
+      console.error('Error fetching fridge items:', fetchError);
+      return;
+    }
+    setFridgeItems(data || []);
+  };
+
+  useEffect(() => {
+    fetchFridgeItems();
+  }, []);
+
+  // Price paid per unit (per l, per pcs…), kept on the fridge row so waste can be costed
+  const unitPrice = (row) => {
+    const price = Number(row.price);
+    const quantity = Number(row.quantity);
+    return row.price !== null && row.price !== '' && price >= 0 && quantity > 0
+      ? Math.round((price / quantity) * 10000) / 10000
+      : null;
   };
 
+  const asFridgeRow = (row) => ({ item_name: row.item.trim(), unit: row.unit, location: row.location });
+  const findExisting = (row) => findMatch(asFridgeRow(row), fridgeItems, shelfLife);
+
+  const enhancing = pages.some((p) => p.enhancing);
+  const hasEnhanced = pages.length > 0 && pages.every((p) => p.enhanced);
+
+  // Object URLs for the previews; revoked whenever the pages change
+  useEffect(() => {
+    const urls = {};
+    pages.forEach((p) => {
+      urls[p.id] = {
+        original: URL.createObjectURL(p.original),
+        enhanced: p.enhanced ? URL.createObjectURL(p.enhanced) : null,
+      };
+    });
+    setPreviews(urls);
+    return () =>
+      Object.values(urls).forEach(({ original, enhanced }) => {
+        URL.revokeObjectURL(original);
+        if (enhanced) URL.revokeObjectURL(enhanced);
+      });
+  }, [pages]);
+
   // ==========================
-  // 🤖 GEMINI API CALL
+  // 🖼️ FILE SELECTION HANDLER
   // ==========================
-  const callGeminiAPI = async (ocrText) => {
-    const requestBody = {
-      contents: [
-        {
-          parts: [
-            {
-              text:
-                `Extract a deduplicated list of generic grocery items from this receipt text.
-                 For each item, estimate perish days. Add a relevant emoji before each item name
-                 if appropriate; otherwise none. Return as JSON like
-                 [{"item": "🍞 Bread", "perish_in_days": 5}].\n\nReceipt:\n${ocrText}`,
-            },
-          ],
-        },
-      ],
-    };
+  // Accepts several photos and/or PDFs. PDFs are rendered to one image per page.
+  const handleFilesChange = async (e) => {
+    const files = Array.from(e.target.files || []);
+    const run = ++uploadRun.current;
+    setPages([]);
+    setScannedWith(null);
+    setReviewRows([]);
+    setScan(null);
+    setAddedCount(null);
+    setError('');
+    setNotice('');
+    setPageProgress([]);
+    if (files.length === 0) return;
 
-    const response = await fetch('http://localhost:5001/api/gemini', {
-      method: 'POST',
-      headers: { 'Content-Type': 'application/json' },
-      body: JSON.stringify(requestBody),
-    });
+    let loaded;
+    setPreparing(true);
+    try {
+      loaded = await loadReceiptPages(files);
+    } catch (err) {
+      console.error('Could not read receipt files:', err);
+      if (run === uploadRun.current) setError(err.message || 'Could not read the selected files.');
+      return;
+    } finally {
+      if (run === uploadRun.current) setPreparing(false);
+    }
+    if (run !== uploadRun.current) return;
+
+    setOcrSource('enhanced');
+    setPages(loaded.map((p) => ({ id: p.id, name: p.name, original: p.blob, enhanced: null, enhancing: true })));
 
-    const data = await response.json();
-    if (data.text) return data.text;
-    if (data.candidates?.length > 0) {
-      return data.candidates[0].content.parts[0].text;
+    // Preprocess each page so the before/after preview is ready before scanning
+    let failed = 0;
+    for (const page of loaded) {
+      let enhanced = null;
+      try {
+        ({ blob: enhanced } = await enhanceReceiptImage(page.blob));
+      } catch (err) {
+        console.warn(`Image enhancement failed for ${page.name}, using original:`, err);
+        failed++;
+      }
+      if (run !== uploadRun.current) return;
+      setPages((prev) => prev.map((p) => (p.id === page.id ? { ...p, enhanced, enhancing: false } : p)));
+    }
+    if (failed) {
+      setOcrSource('original');
+      setNotice(`Could not enhance ${failed === loaded.length ? 'these images' : `${failed} page(s)`}, so the originals will be scanned.`);
     }
-    throw new Error('Gemini returned no usable text.');
+  };
+
+  // Reorder pages (photos of one long receipt should be top → bottom)
+  const movePage = (idx, delta) => {
+    setPages((prev) => {
+      const next = [...prev];
+      const [page] = next.splice(idx, 1);
+      next.splice(idx + delta, 0, page);
+      return next;
+    });
   };
 
   // ==========================
   // 📸 SCAN RECEIPT HANDLER
   // ==========================
-  // 1) OCR → 2) Gemini → 3) Parse → 4) Insert into Supabase (no auth)
+  // 1) OCR → 2) Parse via server → 3) Stage for review (insert happens on confirm)
   const handleScan = async () => {
-    if (!image) return;
+    if (pages.length === 0) return;
+    const source = ocrSource === 'enhanced' && hasEnhanced ? 'enhanced' : 'original';
     setLoading(true);
     setError('');
-    setOcrProgress(0);
+    setNotice('');
+    setAddedCount(null);
+    setPageProgress(pages.map(() => 0));
+    setScannedWith(source);
 
+    let worker;
     try {
-      // ---- Step 1: OCR extraction (with progress updates)
-      const result = await Tesseract.recognize(image, 'eng', {
+      // ---- Step 1: OCR every page with one worker (progress tracked per page)
+      let current = 0;
+      worker = await Tesseract.createWorker('eng', 1, {
         logger: (m) => {
           // m.status can be: 'loading tesseract core', 'initializing tesseract', 'recognizing text', etc.
-          if (typeof m.progress === 'number') {
+          if (m.status === 'recognizing text' && typeof m.progress === 'number') {
             // Convert fraction [0,1] to percentage [0,100]
-            setOcrProgress(Math.round(m.progress * 100));
+            const pct = Math.round(m.progress * 100);
+            setPageProgress((prev) => prev.map((v, i) => (i === current ? pct : v)));
           }
         },
       });
 
-      const extractedText = result.data.text;
-      if (!extractedText.trim()) throw new Error('No text extracted from the image.');
-
-      // ---- Step 2: Call Gemini via backend
-      const geminiText = await callGeminiAPI(extractedText);
-
-      // ---- Step 3: Normalize JSON (strip ```json fences) and parse
-      const cleanedText = geminiText
-        .trim()
-        .replace(/```json/g, '')
-        .replace(/```/g, '')
-        .trim();
-
-      const parsedItems = JSON.parse(cleanedText); // [{ item: "🍅 Tomato", perish_in_days: 3 }, ...]
-      setCleanedItems(parsedItems);
-
-      // ---- Step 4: Insert into Supabase (no user_id; RLS disabled)
-      const now = new Date();
-      const itemsToInsert = parsedItems.map((it) => ({
-        item_name: it.item,
-        added_on: now.toISOString(),
-        // Convert days → ms and add to "now"
-        expires_on: new Date(now.getTime() + (it.perish_in_days || 0) * 24 * 60 * 60 * 1000).toISOString(),
-      }));
-
-      const { error: insertError } = await supabase.from('fridge').insert(itemsToInsert);
-      if (insertError) throw insertError;
+      const texts = [];
+      for (let idx = 0; idx < pages.length; idx++) {
+        current = idx;
+        const page = pages[idx];
+        const { data } = await worker.recognize(source === 'enhanced' ? page.enhanced : page.original);
+        texts.push(data.text);
+        setPageProgress((prev) => prev.map((v, i) => (i === idx ? 100 : v)));
+      }
+
+      const extractedText = stitchPageTexts(texts);
+      if (!extractedText.trim()) throw new Error('No text extracted from the receipt.');
+
+      // ---- Step 2: Parse into validated items via backend,
+      //      falling back to the offline parser if the LLM route fails
+      //      Known items get their expiry from the shelf-life table; the
+      //      LLM's estimate is only kept for items the table doesn't know.
+      const { items: parsedItems, parser } = await parseReceiptWithFallback(extractedText, shelfLife);
+      if (parser === 'offline') {
+        setNotice('AI parsing is unavailable, so items were read with the offline parser. Double-check names and expiry dates.');
+      }
+      setScan({ ocrText: extractedText, items: parsedItems, parser });
+      savedReceiptId.current = null;
+      const meta = parseReceiptMeta(extractedText);
+      setReceiptMeta({ store: meta.store || '', purchased_on: meta.purchased_on || '', total: meta.total ?? '' });
+
+      // ---- Step 3: Stage for review ("🍅 Tomato" style names, as stored in the fridge)
+      setReviewRows(
+        toReviewRows(
+          parsedItems.map((it) => ({ ...it, item: `${it.emoji} ${it.name}`.trim() }))
+        )
+      );
     } catch (err) {
       console.error('Scan failed:', err);
       setError(err.message || 'Something went wrong during scanning.');
     } finally {
+      if (worker) worker.terminate();
       setLoading(false);
-      // Leave the last progress value visible under the overlay session,
-      // or reset it if you prefer:
-      // setOcrProgress(null);
     }
   };
 
+  // ==========================
+  // ✅ CONFIRM REVIEWED ITEMS
+  // ==========================
+  // Inserts only the rows left in the review table (household_id comes from the DB default).
+  // Rows matching an existing item are folded into it: quantities are added
+  // and the new purchase becomes another expiry batch. The fridge changes are
+  // one transaction, and a retry after a failure reuses the receipt already
+  // saved, so confirming again never adds the receipt or its items twice.
+  const handleConfirm = async () => {
+    const confirmed = reviewRows.filter((row) => row.item.trim());
+    if (confirmed.length === 0) return;
+    setSaving(true);
+    setError('');
+
+    try {
+      const receiptId = await saveReceipt(confirmed);
+      const now = new Date().toISOString();
+      const toRow = (row) => ({
+        item_name: row.item.trim(),
+        quantity: Number(row.quantity) > 0 ? roundQuantity(row.quantity) : 1,
+        unit: row.unit,
+        location: row.location,
+        frozen_on: row.location === 'freezer' ? now : null,
+        added_on: now,
+        expires_on: fromIsoDate(row.expires_on || dateInDays(row.perish_in_days)).toISOString(), // local yyyy-mm-dd → ISO
+        expiry_source: row.expiry_source,
+        receipt_id: receiptId,
+        unit_price: unitPrice(row),
+      });
+
+      // Group incoming rows by the fridge row they merge into
+      const merges = new Map();
+      const itemsToInsert = [];
+      for (const row of confirmed) {
+        const existing = row.keep_separate ? null : findExisting(row);
+        if (existing) merges.set(existing, [...(merges.get(existing) || []), toRow(row)]);
+        else itemsToInsert.push(toRow(row));
+      }
+
+      const { error: stockError } = await db.items.stock({
+        updates: [...merges].map(([existing, incoming]) => ({ id: existing.id, patch: mergeRows([existing, ...incoming]) })),
+        additions: itemsToInsert,
+      });
+      if (stockError) throw stockError;
+
+      savedReceiptId.current = null;
+      setReviewRows([]);
+      setScan(null);
+      setAddedCount(itemsToInsert.length);
+      setMergedCount([...merges.values()].reduce((n, rows) => n + rows.length, 0));
+      fetchFridgeItems();
+      setTickedCount(await tickOffShoppingList(confirmed.map((row) => row.item.trim())));
+    } catch (err) {
+      console.error('Insert failed:', err);
+      setError(err.message || 'Could not add items to the fridge.');
+    } finally {
+      setSaving(false);
+    }
+  };
+
+  // Bought it: remove matching shopping-list items → how many (never fails the scan)
+  const tickOffShoppingList = async (names) => {
+    const { data: list, error: listError } = await db.shopping.list();
+    if (listError) {
+      console.error('Error fetching the shopping list:', listError);
+      return 0;
+    }
+    const bought = boughtItems(list || [], names, shelfLife);
+    if (bought.length === 0) return 0;
+    const { error: removeError } = await db.shopping.remove(bought.map((it) => it.id));
+    if (removeError) {
+      console.error('Error updating the shopping list:', removeError);
+      return 0;
+    }
+    return bought.length;
+  };
+
+  const handleDiscard = () => {
+    savedReceiptId.current = null;
+    setReviewRows([]);
+    setScan(null);
+  };
+
+  // ==========================
+  // 🗂️ RECEIPT HISTORY RECORD
+  // ==========================
+  // Inserts the scan into `receipts` and, if asked, uploads the original page
+  // photos (the `receipts` storage bucket on Supabase). Returns the new receipt id.
+  // The line items saved are the reviewed rows, so fixed names and prices
+  // are what spending analytics see. When this scan's receipt was already
+  // saved by a confirm that failed later, it is updated instead, so a retry
+  // never adds the receipt twice.
+  const saveReceipt = async (confirmed) => {
+    const record = {
+      store: receiptMeta.store.trim() || null,
+      purchased_on: receiptMeta.purchased_on || null,
+      total: receiptMeta.total === '' ? null : Number(receiptMeta.total),
+      ocr_text: scan.ocrText,
+      items: confirmed.map((row) => ({
+        name: row.item.trim(),
+        emoji: '',
+        quantity: Number(row.quantity) > 0 ? roundQuantity(row.quantity) : 1,
+        unit: row.unit,
+        price: row.price === null || row.price === '' ? null : Number(row.price),
+        location: row.location,
+        perish_in_days: row.perish_in_days,
+      })),
+      parser: scan.parser,
+    };
+    if (savedReceiptId.current) {
+      const { error: updateError } = await db.receipts.update(savedReceiptId.current, record);
+      if (updateError) throw updateError;
+      return savedReceiptId.current;
+    }
+
+    const { data: receipt, error: receiptError } = await db.receipts.create(record);
+    if (receiptError) throw receiptError;
+    savedReceiptId.current = receipt.id;
+
+    if (keepPhotos) {
+      const paths = [];
+      for (let idx = 0; idx < pages.length; idx++) {
+        const file = pages[idx].original;
+        const ext = file.type === 'image/png' ? 'png' : 'jpg';
+        const { data: path, error: uploadError } = await db.receipts.uploadPhoto(receipt, `page-${idx + 1}.${ext}`, file);
+        if (uploadError) {
+          console.error('Receipt photo upload failed:', uploadError);
+          continue;
+        }
+        paths.push(path);
+      }
+      if (paths.length > 0) {
+        const { error: pathsError } = await db.receipts.update(receipt.id, { image_paths: paths });
+        if (pathsError) console.error('Could not save receipt photo paths:', pathsError);
+      }
+    }
+    return receipt.id;
+  };
+
   // ==========================
   // 💻 COMPONENT RENDER
   // ==========================
@@ -147,45 +394,121 @@ export default function ReceiptUpload({ onContinue }) {
             <div className="h-8 w-8 rounded-full border-4 border-gray-200 border-t-gray-700 animate-spin" />
             <div className="text-sm font-medium text-gray-800">Scanning receipt…</div>
 
-            {/* Progress bar (shows when we have a numeric progress) */}
-            {typeof ocrProgress === 'number' && (
-              <div className="w-56">
-                <div className="h-2 bg-gray-200 rounded">
-                  <div
-                    className="h-2 bg-emerald-600 rounded transition-all"
-                    style={{ width: `${Math.min(Math.max(ocrProgress, 0), 100)}%` }}
-                  />
-                </div>
-                <div className="mt-1 text-xs text-gray-600">{ocrProgress}%</div>
+            {/* One progress bar per page */}
+            {pageProgress.length > 0 && (
+              <div className="w-56 space-y-2">
+                {pageProgress.map((pct, idx) => (
+                  <div key={idx}>
+                    <div className="flex justify-between text-xs text-gray-600 mb-0.5">
+                      <span>Page {idx + 1}</span>
+                      <span>{pct}%</span>
+                    </div>
+                    <div className="h-2 bg-gray-200 rounded">
+                      <div
+                        className="h-2 bg-emerald-600 rounded transition-all"
+                        style={{ width: `${Math.min(Math.max(pct, 0), 100)}%` }}
+                      />
+                    </div>
+                  </div>
+                ))}
               </div>
             )}
           </div>
         </div>
       )}
 
-      <div className="p-8 max-w-lg w-full bg-white rounded-xl shadow-lg relative z-10">
+      <div className="p-8 max-w-2xl w-full bg-white rounded-xl shadow-lg relative z-10">
         <h2 className="text-3xl font-extrabold text-center text-emerald-800 mb-2">ChopChop</h2>
         <p className="text-center text-gray-600 mb-6">
-          Upload your receipt to stock your fridge and get recipe ideas.
+          Upload your receipt (photos or a PDF) to stock your fridge and get recipe ideas.
         </p>
 
         <input
           type="file"
-          accept="image/*"
-          onChange={handleImageChange}
+          accept="image/*,application/pdf"
+          multiple
+          onChange={handleFilesChange}
           disabled={loading}
           className="mb-4 w-full border rounded px-3 py-2 text-sm shadow-sm disabled:opacity-60
                      file:border-none file:bg-emerald-800 file:text-white file:px-4 file:py-2"
         />
 
+        {preparing && <p className="mb-4 text-sm text-gray-600">Reading pages…</p>}
+
+        {/* Before / after preview per page; click a column to choose what OCR reads */}
+        {pages.length > 0 && (
+          <div className="mb-4 space-y-3">
+            {pages.map((page, idx) => (
+              <div key={page.id} className="border rounded-lg p-2">
+                <div className="flex items-center justify-between text-xs text-gray-700 mb-1">
+                  <span className="truncate">
+                    Page {idx + 1} · {page.name}
+                  </span>
+                  {pages.length > 1 && (
+                    <span className="flex gap-2 shrink-0">
+                      <button onClick={() => movePage(idx, -1)} disabled={idx === 0 || loading} aria-label="Move page up" className="disabled:opacity-30">
+                        ↑
+                      </button>
+                      <button onClick={() => movePage(idx, 1)} disabled={idx === pages.length - 1 || loading} aria-label="Move page down" className="disabled:opacity-30">
+                        ↓
+                      </button>
+                    </span>
+                  )}
+                </div>
+                <div className="grid grid-cols-2 gap-3">
+                  {[
+                    { key: 'original', label: 'Original', url: previews[page.id]?.original },
+                    { key: 'enhanced', label: page.enhancing ? 'Enhancing…' : 'Enhanced', url: previews[page.id]?.enhanced },
+                  ].map(({ key, label, url }) => {
+                    const active = ocrSource === key && (key === 'original' || hasEnhanced);
+                    return (
+                      <button
+                        key={key}
+                        type="button"
+                        onClick={() => setOcrSource(key)}
+                        disabled={!url || loading || (key === 'enhanced' && !hasEnhanced)}
+                        className={`rounded-lg border-2 p-1 text-left transition ${
+                          active ? 'border-emerald-700' : 'border-transparent hover:border-gray-300'
+                        }`}
+                      >
+                        <div className="h-40 bg-gray-100 rounded flex items-center justify-center overflow-hidden">
+                          {url ? (
+                            <img src={url} alt={`${label} page ${idx + 1}`} className="max-h-40 object-contain" />
+                          ) : page.enhancing ? (
+                            <div className="h-6 w-6 rounded-full border-4 border-gray-200 border-t-gray-700 animate-spin" />
+                          ) : (
+                            <span className="text-xs text-gray-500">Not available</span>
+                          )}
+                        </div>
+                        <div className="mt-1 text-xs text-gray-700">
+                          {label}
+                          {active && <span className="ml-1 text-emerald-700">· used for OCR</span>}
+                        </div>
+                      </button>
+                    );
+                  })}
+                </div>
+              </div>
+            ))}
+          </div>
+        )}
+
         <button
           onClick={handleScan}
-          disabled={!image || loading}
+          disabled={pages.length === 0 || loading || enhancing || preparing}
           className={`w-full mb-3 py-2 rounded-lg font-semibold text-white shadow transition ${
             loading ? 'bg-emerald-300 cursor-not-allowed' : 'bg-emerald-800 hover:bg-emerald-900'
           }`}
         >
-          {loading ? 'Scanning…' : 'Scan Receipt'}
+          {loading
+            ? 'Scanning…'
+            : enhancing
+              ? 'Enhancing image…'
+              : scannedWith
+                ? `Re-run OCR on ${ocrSource === 'enhanced' && hasEnhanced ? 'enhanced' : 'original'} image${pages.length === 1 ? '' : 's'}`
+                : pages.length > 1
+                  ? `Scan ${pages.length} Pages`
+                  : 'Scan Receipt'}
         </button>
 
         <button
@@ -204,19 +527,76 @@ export default function ReceiptUpload({ onContinue }) {
           </div>
         )}
 
-        {/* Cleaned Items Preview */}
-        {cleanedItems.length > 0 && (
-          <div className="mt-6 bg-green-50 p-4 rounded-lg">
-            <h3 className="font-bold text-sm mb-2 text-emerald-800">Cleaned grocery items:</h3>
-            <ul className="list-disc list-inside space-y-1 text-sm text-gray-800">
-              {cleanedItems.map((it, idx) => (
-                <li key={idx}>
-                  <span className="mr-2">{it.item}</span>
-                  <span className="text-gray-600">(perish in {Number(it.perish_in_days) || 0} days)</span>
-                </li>
-              ))}
-            </ul>
+        {/* Notice */}
+        {notice && (
+          <div className="mt-4 p-3 bg-yellow-50 border border-yellow-300 text-yellow-800 rounded text-sm">
+            {notice}
+          </div>
+        )}
+
+        {/* Receipt details for the history (read from the text, editable) */}
+        {reviewRows.length > 0 && scan && (
+          <div className="mt-6 grid grid-cols-3 gap-3 text-sm">
+            <label className="flex flex-col text-xs text-gray-600">
+              Store
+              <input
+                type="text"
+                className="border rounded px-2 py-1 text-sm text-gray-900"
+                value={receiptMeta.store}
+                onChange={(e) => setReceiptMeta({ ...receiptMeta, store: e.target.value })}
+              />
+            </label>
+            <label className="flex flex-col text-xs text-gray-600">
+              Purchase date
+              <input
+                type="date"
+                className="border rounded px-2 py-1 text-sm text-gray-900"
+                value={receiptMeta.purchased_on}
+                onChange={(e) => setReceiptMeta({ ...receiptMeta, purchased_on: e.target.value })}
+              />
+            </label>
+            <label className="flex flex-col text-xs text-gray-600">
+              Total
+              <input
+                type="number"
+                min="0"
+                step="0.01"
+                className="border rounded px-2 py-1 text-sm text-gray-900"
+                value={receiptMeta.total}
+                onChange={(e) => setReceiptMeta({ ...receiptMeta, total: e.target.value })}
+              />
+            </label>
+            <label className="col-span-3 flex items-center gap-2 text-xs text-gray-700">
+              <input type="checkbox" checked={keepPhotos} onChange={(e) => setKeepPhotos(e.target.checked)} />
+              Keep the receipt photos in your receipt history
+            </label>
+          </div>
+        )}
 
+        {/* Review / edit parsed items before they reach the fridge */}
+        {reviewRows.length > 0 && (
+          <ReceiptReview
+            rows={reviewRows}
+            onChange={setReviewRows}
+            onConfirm={handleConfirm}
+            onCancel={handleDiscard}
+            saving={saving}
+            findExisting={findExisting}
+          />
+        )}
+
+        {/* Success */}
+        {addedCount !== null && (
+          <div className="mt-6 bg-green-50 p-4 rounded-lg">
+            <p className="text-sm text-emerald-800">
+              Added {addedCount} item{addedCount === 1 ? '' : 's'} to your fridge
+              {mergedCount > 0 && ` and merged ${mergedCount} into items you already had`}.
+            </p>
+            {tickedCount > 0 && (
+              <p className="text-sm text-emerald-800">
+                Ticked {tickedCount} item{tickedCount === 1 ? '' : 's'} off your shopping list.
+              </p>
+            )}
             <button
               onClick={onContinue}
               className="mt-4 w-full bg-emerald-800 text-white px-4 py-2 rounded hover:bg-emerald-900 transition"
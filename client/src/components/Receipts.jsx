@@ -0,0 +1,236 @@
+// ==========================
+// IMPORTS
+// ==========================
+import React, { useEffect, useState } from 'react';
+import db from '../db';
+import { formatQuantity } from '../lib/units';
+import { parseReceiptMeta } from '../lib/receiptParser';
+import { parseReceiptWithFallback } from '../lib/receiptApi';
+import useShelfLife from '../hooks/useShelfLife';
+
+// ==========================
+// RECEIPT HISTORY
+// ==========================
+// Past scans from the `receipts` table, newest purchase first. Opening one
+// shows its parsed items (and the fridge rows it created) next to the raw OCR
+// text and photos. "Re-parse" runs the stored text through the parser again —
+// useful after the parser, abbreviations or shelf-life table improved.
+
+const formatDate = (dateStr) => (dateStr ? new Date(`${dateStr}T00:00:00`).toLocaleDateString() : 'Unknown date');
+const formatMoney = (n) => (n == null ? '—' : `$${Number(n).toFixed(2)}`);
+
+export default function Receipts({ onBack }) {
+  // --------------------------
+  // STATE
+  // --------------------------
+  const [receipts, setReceipts] = useState([]);       // History list
+  const [selected, setSelected] = useState(null);     // Full receipt being viewed
+  const [linkedItems, setLinkedItems] = useState([]); // Fridge rows that came from the selected receipt
+  const [photoUrls, setPhotoUrls] = useState([]);     // Signed URLs of the selected receipt's photos
+  const [loading, setLoading] = useState(true);
+  const [reparsing, setReparsing] = useState(false);
+  const [notice, setNotice] = useState('');
+  const { shelfLife } = useShelfLife();
+
+  // ==========================
+  // READ
+  // ==========================
+  const fetchReceipts = async () => {
+    const { data, error } = await db.receipts.list();
+
+    if (error) {
+      console.error('Error fetching receipts:', error);
+      return;
+    }
+    setReceipts(data || []);
+  };
+
+  useEffect(() => {
+    (async () => {
+      await fetchReceipts();
+      setLoading(false);
+    })();
+  }, []);
+
+  const openReceipt = async (id) => {
+    setNotice('');
+    const [{ data: receipt, error }, { data: fridgeRows }] = await Promise.all([
+      db.receipts.get(id),
+      db.items.forReceipt(id),
+    ]);
+    if (error || !receipt) {
+      console.error('Error fetching receipt:', error);
+      return;
+    }
+    setSelected(receipt);
+    setLinkedItems(fridgeRows || []);
+
+    const urls = [];
+    for (const path of receipt.image_paths || []) {
+      const { data: url } = await db.receipts.photoUrl(path);
+      if (url) urls.push(url);
+    }
+    setPhotoUrls(urls);
+  };
+
+  // ==========================
+  // RE-PARSE
+  // ==========================
+  // Replaces the stored line items; store / date / total are only filled in
+  // where they were missing so hand-made fixes survive.
+  const handleReparse = async () => {
+    setReparsing(true);
+    setNotice('');
+    try {
+      const { items, parser } = await parseReceiptWithFallback(selected.ocr_text, shelfLife);
+      const meta = parseReceiptMeta(selected.ocr_text);
+      const patch = {
+        items,
+        parser,
+        reparsed_at: new Date().toISOString(),
+        store: selected.store ?? meta.store,
+        purchased_on: selected.purchased_on ?? meta.purchased_on,
+        total: selected.total ?? meta.total,
+      };
+
+      const { error } = await db.receipts.update(selected.id, patch);
+      if (error) throw error;
+
+      setSelected({ ...selected, ...patch });
+      setNotice(
+        `Re-parsed ${items.length} item${items.length === 1 ? '' : 's'}` +
+          (parser === 'offline' ? ' with the offline parser (AI parsing is unavailable).' : '.')
+      );
+      fetchReceipts();
+    } catch (err) {
+      console.error('Re-parse failed:', err);
+      setNotice(err.message || 'Could not re-parse this receipt.');
+    } finally {
+      setReparsing(false);
+    }
+  };
+
+  // ==========================
+  // RENDER
+  // ==========================
+  return (
+    <div className="min-h-screen bg-gradient-to-br from-gray-50 via-blue-50 to-white p-6">
+      <div className="max-w-6xl mx-auto">
+        <div className="flex justify-between items-center mb-4">
+          <h1 className="text-2xl font-bold text-blue-800">🧾 Receipts</h1>
+          <button
+            onClick={onBack}
+            className="px-4 py-2 bg-blue-700 text-white rounded-lg shadow hover:bg-blue-800 transition"
+          >
+            ← Back to Dashboard
+          </button>
+        </div>
+
+        <div className="flex gap-6">
+          {/* List of past scans */}
+          <div className="w-1/3 bg-white rounded-xl shadow p-4 self-start">
+            {loading ? (
+              <p>Loading...</p>
+            ) : receipts.length === 0 ? (
+              <p className="text-gray-600 text-sm">No receipts yet. Scanned receipts show up here.</p>
+            ) : (
+              <ul className="divide-y">
+                {receipts.map((r) => (
+                  <li key={r.id}>
+                    <button
+                      onClick={() => openReceipt(r.id)}
+                      className={`w-full text-left py-2 px-2 rounded transition ${
+                        selected?.id === r.id ? 'bg-blue-50' : 'hover:bg-gray-50'
+                      }`}
+                    >
+                      <div className="flex justify-between text-sm font-medium">
+                        <span>{r.store || 'Unknown store'}</span>
+                        <span>{formatMoney(r.total)}</span>
+                      </div>
+                      <div className="text-xs text-gray-600">
+                        {formatDate(r.purchased_on)} · {r.items.length} item{r.items.length === 1 ? '' : 's'}
+                      </div>
+                    </button>
+                  </li>
+                ))}
+              </ul>
+            )}
+          </div>
+
+          {/* Selected receipt: items beside the OCR text */}
+          <div className="w-2/3">
+            {!selected ? (
+              <p className="text-gray-600">Pick a receipt to see its items and text.</p>
+            ) : (
+              <div className="bg-white rounded-xl shadow p-4">
+                <div className="flex justify-between items-start mb-3">
+                  <div>
+                    <h2 className="text-xl font-bold text-blue-700">{selected.store || 'Unknown store'}</h2>
+                    <p className="text-sm text-gray-600">
+                      {formatDate(selected.purchased_on)} · Total {formatMoney(selected.total)}
+                      {selected.parser === 'offline' && ' · read by the offline parser'}
+                    </p>
+                  </div>
+                  <button
+                    onClick={handleReparse}
+                    disabled={reparsing}
+                    className="px-3 py-1.5 bg-emerald-700 text-white rounded hover:bg-emerald-800 text-sm disabled:opacity-60"
+                  >
+                    {reparsing ? 'Re-parsing…' : '↻ Re-parse'}
+                  </button>
+                </div>
+                {notice && <p className="mb-3 text-sm text-yellow-800 bg-yellow-50 p-2 rounded">{notice}</p>}
+
+                <div className="grid grid-cols-2 gap-4">
+                  <div>
+                    <h3 className="font-semibold text-sm mb-2">Parsed items</h3>
+                    <table className="w-full text-sm">
+                      <tbody>
+                        {selected.items.map((it, idx) => (
+                          <tr key={idx} className="border-b">
+                            <td className="py-1 pr-2">{`${it.emoji || ''} ${it.name}`.trim()}</td>
+                            <td className="py-1 pr-2 text-gray-600">{formatQuantity(it.quantity, it.unit)}</td>
+                            <td className="py-1 text-right">{formatMoney(it.price)}</td>
+                          </tr>
+                        ))}
+                      </tbody>
+                    </table>
+
+                    <h3 className="font-semibold text-sm mt-4 mb-2">Still in your fridge</h3>
+                    {linkedItems.length === 0 ? (
+                      <p className="text-xs text-gray-600">Nothing from this receipt is left.</p>
+                    ) : (
+                      <ul className="text-sm space-y-1">
+                        {linkedItems.map((it) => (
+                          <li key={it.id}>
+                            {it.item_name} · {formatQuantity(it.quantity, it.unit)}
+                          </li>
+                        ))}
+                      </ul>
+                    )}
+                  </div>
+
+                  <div>
+                    <h3 className="font-semibold text-sm mb-2">Receipt text</h3>
+                    <pre className="text-xs bg-gray-50 border rounded p-2 whitespace-pre-wrap max-h-96 overflow-y-auto">
+                      {selected.ocr_text}
+                    </pre>
+                    {photoUrls.length > 0 && (
+                      <div className="flex gap-2 mt-3 overflow-x-auto">
+                        {photoUrls.map((url, idx) => (
+                          <a key={url} href={url} target="_blank" rel="noreferrer">
+                            <img src={url} alt={`Receipt page ${idx + 1}`} className="h-32 rounded border object-contain" />
+                          </a>
+                        ))}
+                      </div>
+                    )}
+                  </div>
+                </div>
+              </div>
+            )}
+          </div>
+        </div>
+      </div>
+    </div>
+  );
+}
@@ -0,0 +1,118 @@
+// ==========================
+// IMPORTS
+// ==========================
+import React from 'react';
+import { formatAmount, formatMinutes } from '../lib/recipes';
+
+// ==========================
+// RECIPE CARD
+// ==========================
+// One structured recipe (lib/recipes.js) whose ingredients have been matched
+// against the fridge with matchRecipe(): each ingredient shows whether it's
+// in the fridge, expiring soon or missing; `violations` (from the server's
+// dietary-profile check) are shown as a warning. `onCook` adds a "Cook this"
+// button, `onSave` a "Save to cookbook" one (shown as saved once `saved` is
+// true) and `onAddMissing` one that puts the missing ingredients on the
+// shopping list. A `writing` card is one still being streamed: fields may be
+// missing (and it's given no actions yet).
+
+const STATUS = {
+  in_fridge: { label: 'In fridge', className: 'bg-emerald-100 text-emerald-800' },
+  expiring: { label: 'Expiring soon', className: 'bg-amber-100 text-amber-800' },
+  missing: { label: 'Missing', className: 'bg-gray-100 text-gray-600' },
+};
+
+export default function RecipeCard({ recipe, onCook, onSave, saved = false, onAddMissing, writing = false }) {
+  const { title, servings, time_minutes, ingredients, steps, tags, counts, violations = [] } = recipe;
+  const fromFridge = counts.in_fridge + counts.expiring;
+
+  return (
+    <div className="bg-white rounded-xl p-6 shadow-md hover:shadow-lg transition overflow-y-auto max-h-[600px] text-sm leading-relaxed">
+      {/* Title + meta */}
+      <h3 className="text-2xl font-extrabold text-emerald-800 mb-1">{title}</h3>
+      <p className="text-gray-600 mb-2">
+        🍽️ {servings ?? '…'} serving{servings === 1 ? '' : 's'} · ⏱️ {time_minutes ? formatMinutes(time_minutes) : '…'}
+        {writing && <span className="ml-2 text-emerald-700 animate-pulse">✍️ Writing…</span>}
+      </p>
+      {tags.length > 0 && (
+        <div className="flex flex-wrap gap-1 mb-3">
+          {tags.map((tag) => (
+            <span key={tag} className="px-2 py-0.5 rounded-full bg-emerald-50 text-emerald-700 text-xs">
+              {tag}
+            </span>
+          ))}
+        </div>
+      )}
+
+      {/* Dietary profile warning */}
+      {violations.length > 0 && (
+        <p className="mb-3 p-2 rounded bg-red-50 border border-red-200 text-red-800">
+          ⚠️ Doesn't fit your dietary profile: {violations.join('; ')}
+        </p>
+      )}
+
+      {/* Fridge summary */}
+      <p className="mb-3 text-gray-700">
+        Uses {fromFridge} of {ingredients.length} ingredients from your fridge
+        {counts.expiring > 0 && <span className="text-amber-700"> ({counts.expiring} expiring soon)</span>}
+        {counts.missing > 0 && <span> · {counts.missing} missing</span>}
+      </p>
+      {/* Actions */}
+      {((onCook && fromFridge > 0) || onSave || (onAddMissing && counts.missing > 0)) && (
+        <div className="flex flex-wrap gap-2 mb-4">
+          {onCook && fromFridge > 0 && (
+            <button
+              onClick={onCook}
+              className="px-4 py-2 rounded-lg bg-emerald-700 text-white font-semibold hover:bg-emerald-800"
+            >
+              🍳 Cook this
+            </button>
+          )}
+          {onSave && (
+            <button
+              onClick={onSave}
+              disabled={saved}
+              className="px-4 py-2 rounded-lg border border-emerald-700 text-emerald-800 font-semibold hover:bg-emerald-50 disabled:opacity-60 disabled:cursor-default"
+            >
+              {saved ? '📖 Saved' : '📖 Save to cookbook'}
+            </button>
+          )}
+          {onAddMissing && counts.missing > 0 && (
+            <button
+              onClick={onAddMissing}
+              className="px-4 py-2 rounded-lg border border-gray-300 text-gray-700 font-semibold hover:bg-gray-50"
+            >
+              🛒 Add missing to list
+            </button>
+          )}
+        </div>
+      )}
+
+      {/* Ingredients */}
+      <h4 className="font-semibold text-gray-900 mb-1">Ingredients</h4>
+      <ul className="mb-4 space-y-1">
+        {ingredients.map((ing, idx) => (
+          <li key={`${ing.name}-${idx}`} className="flex items-center justify-between gap-2">
+            <span>
+              <span className="text-gray-500">{formatAmount(ing.quantity, ing.unit)}</span> {ing.name}
+            </span>
+            <span
+              className={`px-2 py-0.5 rounded-full text-xs whitespace-nowrap ${STATUS[ing.status].className}`}
+              title={ing.matches.map((m) => m.item_name).join(', ')}
+            >
+              {STATUS[ing.status].label}
+            </span>
+          </li>
+        ))}
+      </ul>
+
+      {/* Steps */}
+      <h4 className="font-semibold text-gray-900 mb-1">Instructions</h4>
+      <ol className="list-decimal pl-5 space-y-1 marker:text-emerald-600">
+        {steps.map((step, idx) => (
+          <li key={idx}>{step}</li>
+        ))}
+      </ol>
+    </div>
+  );
+}
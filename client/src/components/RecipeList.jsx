@@ -1,139 +1,131 @@
 // ==========================
 // IMPORTS
 // ==========================
-import React, { useEffect, useState } from 'react';
-import { supabase } from '../supabaseClient';
-import ReactMarkdown from 'react-markdown';
+import React, { useEffect, useMemo, useRef, useState } from 'react';
+import { streamRecipes } from '../lib/recipeApi';
+import { matchRecipe } from '../lib/recipes';
+import { savedRecipeRow } from '../lib/cookbook';
+import { missingItems } from '../lib/shopping';
+import { summarizeProfile } from '../lib/dietary';
+import db from '../db';
+import useInventory from '../hooks/useInventory';
+import useShelfLife from '../hooks/useShelfLife';
+import useShoppingList from '../hooks/useShoppingList';
+import useDietaryProfile from '../hooks/useDietaryProfile';
+import RecipeCard from './RecipeCard';
+import CookRecipe from './CookRecipe';
 
 // ==========================
 // RECIPE LIST COMPONENT
 // ==========================
-// Pulls items from the fridge table, lets the user choose dietary filters,
-// calls your Gemini backend to generate recipes, and renders the result as Markdown.
+// Uses the live fridge items (shared with the Fridge panel, so new items count
+// straight away) and the household's dietary profile (see DietaryProfile),
+// asks the server for structured recipes (validated JSON, see
+// server/lib/recipeSchema.js; any that break the profile are flagged) and
+// renders them as cards with every ingredient matched against the fridge.
+// The reply is streamed, so cards fill in while the model writes; "Cancel"
+// stops the request (and the model call behind it).
+// Matching is recomputed as the fridge changes. "Cook this" deducts what a
+// recipe used from the fridge (see CookRecipe); "Save to cookbook" keeps a
+// recipe for later (see Cookbook), and cooking a saved one counts it there.
+// Missing ingredients can be put on the shopping list.
 export default function RecipeList() {
   // ---------- State ----------
-  const [fridgeItems, setFridgeItems] = useState([]);   // [{ item_name, expires_on }, ...]
-  const [selectedFilters, setSelectedFilters] = useState([]); // e.g., ["Vegetarian", "High Protein"]
-  const [recipes, setRecipes] = useState([]);           // Array of Markdown strings (each recipe section)
+  const { items: fridgeItems, reload } = useInventory(); // [{ item_name, quantity, unit, expires_on }, ...] by expiry
+  const [recipes, setRecipes] = useState([]);           // Structured recipes from the server (lib/recipes.js)
   const [loading, setLoading] = useState(false);        // UI spinner/disabled during async work
   const [error, setError] = useState("");               // Error message for UI
+  const { shelfLife } = useShelfLife();                 // Aliases for ingredient ↔ fridge matching
+  const [cookingIdx, setCookingIdx] = useState(null);   // Recipe whose "Cook this" panel is open
+  const [savedRows, setSavedRows] = useState({});       // Recipe index → its cookbook row once saved
+  const [notice, setNotice] = useState("");             // Cooked / added-to-list confirmation
+  const { add: addToList } = useShoppingList();
+  const { profile, loading: profileLoading } = useDietaryProfile(); // Applied to every request
+  const requestRef = useRef(null);                      // AbortController of the running request
+
+  // Leaving the dashboard cancels a request still running
+  useEffect(() => () => requestRef.current?.abort(), []);
+
+  // Recipes with each ingredient marked in fridge / expiring soon / missing
+  const matchedRecipes = useMemo(
+    () => recipes.map((recipe) => matchRecipe(recipe, fridgeItems, { shelfLife })),
+    [recipes, fridgeItems, shelfLife]
+  );
 
-  // Available toggle filters shown as “chips”
-  const availableFilters = [
-    "Vegetarian",
-    "High Protein",
-    "Chicken Dishes",
-    "High Veggie",
-    "Low Calorie",
-  ];
-
-  // On first render, load current fridge items
-  useEffect(() => {
-    fetchFridgeItems();
-  }, []);
-
-  // --------------------------
-  // Fetch items from Supabase
-  // --------------------------
-  // Sort by expiry so the AI can prioritize near-expiring ingredients.
-  const fetchFridgeItems = async () => {
-    const { data, error } = await supabase
-      .from('fridge')
-      .select('item_name, expires_on')
-      .order('expires_on', { ascending: true });
+  // --------------------------------
+  // Main handler to generate recipes
+  // --------------------------------
+  // Clears old results, shows loading, streams from the server (partial
+  // recipes replace the cards as they grow), handles errors and cancelling.
+  // The server prioritizes the soonest-expiring items (see buildRecipePrompt).
+  const handleGenerateRecipes = async () => {
+    setLoading(true);
+    setError("");
+    setRecipes([]);
+    setCookingIdx(null);
+    setNotice("");
+    setSavedRows({});
+    const request = new AbortController();
+    requestRef.current = request;
 
-    if (error) {
-      console.error('Error fetching fridge items:', error);
-    } else {
-      setFridgeItems(data || []);
+    try {
+      if (fridgeItems.length === 0) throw new Error("Add some items to your fridge first.");
+      setRecipes(
+        await streamRecipes({ items: fridgeItems, profile, signal: request.signal, onPartial: setRecipes })
+      );
+    } catch (err) {
+      if (err.name === "AbortError") {
+        setRecipes([]);
+        setNotice("Recipe generation cancelled.");
+      } else {
+        console.error("Recipe generation error:", err);
+        setRecipes([]);
+        setError(err.message || "Failed to generate recipes.");
+      }
+    } finally {
+      requestRef.current = null;
+      setLoading(false);
     }
   };
 
+  const handleCancel = () => requestRef.current?.abort();
+
   // --------------------------------
-  // Toggle a filter chip on or off
+  // Recipe cooked: fridge updated
   // --------------------------------
-  const handleFilterChange = (filter) => {
-    setSelectedFilters((prev) =>
-      prev.includes(filter)
-        ? prev.filter((f) => f !== filter)
-        : [...prev, filter]
-    );
+  const handleCooked = async (recipe, idx) => {
+    setCookingIdx(null);
+    setNotice(`🍳 Enjoy your ${recipe.title}! The fridge has been updated.`);
+    reload();
+    if (!savedRows[idx]) return;
+    const { data, error } = await db.recipes.markCooked(savedRows[idx]);
+    if (error) console.error("Error counting cooked recipe:", error);
+    else setSavedRows((prev) => ({ ...prev, [idx]: data }));
   };
 
-  // ------------------------------------------------
-  // Call Gemini via your local Express proxy backend
-  // ------------------------------------------------
-  // Builds an instruction prompt that:
-  // - Lists the user’s ingredients (from fridge)
-  // - Lists selected filters
-  // - Requests 3 detailed recipes in Markdown with a consistent structure
-  // The API response is normalized into separate Markdown sections per recipe.
-  const callGeminiAPI = async (fridgeItems, selectedFilters) => {
-    // Flatten ingredient names into a comma-separated list
-    const ingredientList = fridgeItems.map(item => item.item_name).join(', ');
-    const filterText = selectedFilters.length > 0 ? selectedFilters.join(', ') : "any";
-
-    // Gemini request payload
-    const requestBody = {
-      contents: [
-        {
-          parts: [
-            {
-              text: `Given the following ingredients from my fridge: ${ingredientList}.\n\nI want 3 detailed recipe suggestions that:\n- Prioritize ingredients that will expire soon.\n- Fit these dietary filters: ${filterText}.\n- Format the response in clean Markdown:\n  - Use H2 headings (##) for each recipe title\n  - Bold section titles like **Ingredients:** and **Instructions:**\n  - Bullet lists for ingredients\n  - Numbered steps for instructions\n\nPlease avoid extra text outside the recipes.`
-            }
-          ]
-        }
-      ]
-    };
-
-    try {
-      // POST to local server which proxies to Gemini
-      const response = await fetch("http://localhost:5001/api/gemini", {
-        method: "POST",
-        headers: { "Content-Type": "application/json" },
-        body: JSON.stringify(requestBody),
-      });
-
-      // Backend returns { text } or a Gemini-style { candidates: [...] }
-      const data = await response.json();
-      const textResponse =
-        data.text || (data.candidates?.length > 0 ? data.candidates[0].content.parts[0].text : "");
-
-      // Defensive: if API responds empty or ill-formatted
-      if (!textResponse || typeof textResponse !== 'string') {
-        throw new Error("Empty response from AI.");
-      }
-
-      // Split into discrete recipe sections by H2 headings.
-      // Keep the "##" so ReactMarkdown renders headings properly.
-      const recipeSections = textResponse
-        .split(/^##\s+/gm)       // split on lines that start with "## "
-        .filter(Boolean)         // remove empty sections
-        .map((section) => `## ${section.trim()}`);
-
-      setRecipes(recipeSections);
-    } catch (error) {
-      console.error("Gemini API Error:", error);
-      throw error;
+  // --------------------------------
+  // Missing ingredients → shopping list
+  // --------------------------------
+  const handleAddMissing = async (recipe) => {
+    const { added, error } = await addToList(missingItems(recipe), shelfLife);
+    if (error) {
+      setError("Could not update the shopping list. Please try again.");
+      return;
     }
+    setNotice(added ? `🛒 Added ${added} item${added === 1 ? "" : "s"} to the shopping list.` : "🛒 Already on the shopping list.");
   };
 
   // --------------------------------
-  // Main handler to generate recipes
+  // Save a generated recipe to the cookbook
   // --------------------------------
-  // Clears old results, shows loading, calls AI, handles errors.
-  const handleGenerateRecipes = async () => {
-    setLoading(true);
-    setError("");
-    setRecipes([]);
-
-    try {
-      await callGeminiAPI(fridgeItems, selectedFilters);
-    } catch (err) {
-      setError(err.message || "Failed to generate recipes.");
-    } finally {
-      setLoading(false);
+  const handleSave = async (recipe, idx) => {
+    const { data, error } = await db.recipes.save(savedRecipeRow(recipe));
+    if (error) {
+      console.error("Error saving recipe:", error);
+      setError("Could not save the recipe. Please try again.");
+      return;
     }
+    setSavedRows((prev) => ({ ...prev, [idx]: data }));
   };
 
   // ==========================
@@ -142,41 +134,42 @@ export default function RecipeList() {
   return (
     <div className="bg-gradient-to-br from-emerald-50 via-green-50 to-white p-6 rounded-2xl shadow-sm">
       
-      {/* Filter chips */}
-      <div className="mb-6 p-4 rounded-lg bg-emerald-100/30 shadow-sm">
-        <div className="flex flex-wrap gap-3 justify-center">
-          {availableFilters.map((filter) => (
-            <label
-              key={filter}
-              className={`flex items-center space-x-2 px-4 py-2 rounded-full cursor-pointer text-sm shadow-sm transition ${
-                selectedFilters.includes(filter)
-                  ? 'bg-emerald-700 text-white'
-                  : 'bg-gray-200 hover:bg-gray-300'
-              }`}
-            >
-              {/* Hidden checkbox to keep keyboard/assistive tech semantics if needed */}
-              <input
-                type="checkbox"
-                checked={selectedFilters.includes(filter)}
-                onChange={() => handleFilterChange(filter)}
-                className="hidden"
-              />
-              <span>{filter}</span>
-            </label>
-          ))}
-        </div>
+      {/* Dietary profile in effect */}
+      <div className="mb-6 p-4 rounded-lg bg-emerald-100/30 shadow-sm text-sm text-emerald-900">
+        {summarizeProfile(profile).length > 0 ? (
+          <div className="flex flex-wrap gap-2 items-center">
+            <span className="font-semibold">🥗 Dietary profile:</span>
+            {summarizeProfile(profile).map((part) => (
+              <span key={part} className="px-3 py-1 rounded-full bg-white shadow-sm">
+                {part}
+              </span>
+            ))}
+          </div>
+        ) : (
+          <p>🥗 No dietary profile yet. Add allergies, diets and limits under "Diet" so every recipe follows them.</p>
+        )}
       </div>
 
-      {/* Generate button */}
-      <button
-        onClick={handleGenerateRecipes}
-        disabled={loading}
-        className={`w-full py-3 rounded-xl font-semibold text-white shadow-md transition ${
-          loading ? 'bg-emerald-300 cursor-not-allowed' : 'bg-emerald-700 hover:bg-emerald-800'
-        }`}
-      >
-        {loading ? "Generating Recipes..." : "Generate Recipes"}
-      </button>
+      {/* Generate / cancel buttons */}
+      <div className="flex gap-3">
+        <button
+          onClick={handleGenerateRecipes}
+          disabled={loading || profileLoading}
+          className={`flex-1 py-3 rounded-xl font-semibold text-white shadow-md transition ${
+            loading || profileLoading ? 'bg-emerald-300 cursor-not-allowed' : 'bg-emerald-700 hover:bg-emerald-800'
+          }`}
+        >
+          {loading ? "Generating Recipes..." : "Generate Recipes"}
+        </button>
+        {loading && (
+          <button
+            onClick={handleCancel}
+            className="px-6 py-3 rounded-xl font-semibold border border-emerald-700 text-emerald-800 hover:bg-emerald-50"
+          >
+            ✕ Cancel
+          </button>
+        )}
+      </div>
 
       {/* Error display */}
       {error && (
@@ -185,26 +178,29 @@ export default function RecipeList() {
         </div>
       )}
 
+      {/* Cooked / added-to-list notice */}
+      {notice && (
+        <div className="mt-4 p-3 bg-emerald-100 border border-emerald-400 text-emerald-800 rounded">{notice}</div>
+      )}
+
       {/* Recipe cards */}
       <div className="mt-8 grid grid-cols-1 gap-6">
-        {recipes.map((recipeText, idx) => (
-          <div
-            key={idx}
-            className="bg-white rounded-xl p-6 shadow-md hover:shadow-lg transition overflow-y-auto max-h-[600px] text-sm leading-relaxed prose prose-base prose-headings:text-emerald-800 prose-h2:text-3xl prose-h2:font-bold prose-strong:text-gray-900 prose-li:marker:text-emerald-600"
-          >
-            {/* Render Markdown with limited overrides for consistent styling */}
-            <ReactMarkdown
-              components={{
-                h2: ({ node, ...props }) => (
-                  <h2 className="text-3xl font-extrabold text-emerald-800 mb-4" {...props} />
-                ),
-                strong: ({ node, ...props }) => (
-                  <strong className="font-semibold text-gray-900" {...props} />
-                ),
-              }}
-            >
-              {recipeText}
-            </ReactMarkdown>
+        {matchedRecipes.map((recipe, idx) => (
+          <div key={`${recipe.title}-${idx}`}>
+            {loading ? (
+              <RecipeCard recipe={recipe} writing />
+            ) : (
+              <RecipeCard
+                recipe={recipe}
+                onCook={() => setCookingIdx(idx)}
+                onSave={() => handleSave(recipe, idx)}
+                saved={Boolean(savedRows[idx])}
+                onAddMissing={() => handleAddMissing(recipe)}
+              />
+            )}
+            {cookingIdx === idx && (
+              <CookRecipe recipe={recipe} onDone={() => handleCooked(recipe, idx)} onClose={() => setCookingIdx(null)} />
+            )}
           </div>
         ))}
       </div>
@@ -0,0 +1,277 @@
+// ==========================
+// IMPORTS
+// ==========================
+import React, { useState } from 'react';
+import db from '../db';
+import { CATEGORY_NAMES, STORAGE_KEYS } from '../lib/shelfLife';
+import { normalizeItemName } from '../lib/itemNames';
+import { LOCATIONS } from '../lib/storage';
+import useShelfLife from '../hooks/useShelfLife';
+
+// ==========================
+// SHELF-LIFE EDITOR
+// ==========================
+// Lists the bundled shelf-life table merged with the household's overrides.
+// Editing a row upserts into `shelf_life_overrides` (keyed by household and
+// normalized item name); Reset deletes the override so the table value applies
+// again.
+// Custom items that aren't in the table can be added at the bottom.
+
+const LOCATION_LABELS = Object.fromEntries(LOCATIONS.map((l) => [l.key, `${l.emoji} ${l.label}`]));
+
+// '' → null (use the table), otherwise a whole number of days
+const toDays = (value) => (value === '' || value == null ? null : Math.max(0, Math.round(Number(value) || 0)));
+
+const emptyDraft = { name: '', aliases: '', category: 'other', fridge: '', freezer: '', pantry: '' };
+
+export default function ShelfLifeEditor({ onBack }) {
+  // --------------------------
+  // STATE
+  // --------------------------
+  const { shelfLife, reload } = useShelfLife();
+  const [searchTerm, setSearchTerm] = useState('');     // Filters by name or alias
+  const [editingKey, setEditingKey] = useState(null);   // entry.key being edited
+  const [draft, setDraft] = useState(emptyDraft);       // Values of the row being edited
+  const [newEntry, setNewEntry] = useState(emptyDraft); // "Add custom item" form
+  const [saving, setSaving] = useState(false);
+
+  const entries = shelfLife.entries();
+  const term = normalizeItemName(searchTerm);
+  const visible = term
+    ? entries.filter((e) => [e.key, ...e.aliases].some((a) => normalizeItemName(a).includes(term)))
+    : entries;
+
+  // ==========================
+  // SAVE / RESET
+  // ==========================
+  const saveOverride = async (row) => {
+    setSaving(true);
+    const { error } = await db.shelfLife.saveOverride({ ...row, updated_at: new Date().toISOString() });
+    setSaving(false);
+
+    if (error) {
+      console.error('Error saving shelf-life override:', error);
+      alert('Could not save. Please try again.');
+      return false;
+    }
+    await reload();
+    return true;
+  };
+
+  const handleEditClick = (entry) => {
+    setEditingKey(entry.key);
+    setDraft({
+      category: entry.category,
+      fridge: entry.days.fridge ?? '',
+      freezer: entry.days.freezer ?? '',
+      pantry: entry.days.pantry ?? '',
+    });
+  };
+
+  const handleSaveEdit = async (entry) => {
+    const ok = await saveOverride({
+      item_key: entry.key,
+      category: draft.category,
+      fridge_days: toDays(draft.fridge),
+      freezer_days: toDays(draft.freezer),
+      pantry_days: toDays(draft.pantry),
+    });
+    if (ok) setEditingKey(null);
+  };
+
+  const handleReset = async (entry) => {
+    const { error } = await db.shelfLife.resetOverride(entry.key);
+    if (error) {
+      console.error('Error resetting shelf-life override:', error);
+      return;
+    }
+    reload();
+  };
+
+  const handleAddCustom = async () => {
+    const key = normalizeItemName(newEntry.name);
+    if (!key) {
+      alert('Enter an item name.');
+      return;
+    }
+    const ok = await saveOverride({
+      item_key: key,
+      category: newEntry.category,
+      aliases: newEntry.aliases.split(',').map((a) => a.trim()).filter(Boolean),
+      fridge_days: toDays(newEntry.fridge),
+      freezer_days: toDays(newEntry.freezer),
+      pantry_days: toDays(newEntry.pantry),
+    });
+    if (ok) setNewEntry(emptyDraft);
+  };
+
+  // ==========================
+  // RENDER
+  // ==========================
+  const daysInput = (value, onChange, label) => (
+    <input
+      type="number"
+      min="0"
+      className="border rounded p-1 w-20 text-sm"
+      aria-label={label}
+      value={value}
+      onChange={(e) => onChange(e.target.value)}
+    />
+  );
+
+  return (
+    <div className="min-h-screen bg-gradient-to-br from-gray-50 via-blue-50 to-white p-6">
+      <div className="max-w-4xl mx-auto bg-white rounded-xl shadow p-6">
+        <div className="flex justify-between items-center mb-4">
+          <h1 className="text-2xl font-bold text-blue-800">⏳ Shelf life</h1>
+          <button
+            onClick={onBack}
+            className="px-4 py-2 bg-blue-700 text-white rounded-lg shadow hover:bg-blue-800 transition"
+          >
+            ← Back to Dashboard
+          </button>
+        </div>
+        <p className="text-sm text-gray-600 mb-4">
+          How long food keeps in each place, in days. Scans and manual adds use these numbers;
+          change any of them to match your household.
+        </p>
+
+        <input
+          type="text"
+          placeholder="Search items..."
+          className="border p-2 rounded mb-4 w-full"
+          value={searchTerm}
+          onChange={(e) => setSearchTerm(e.target.value)}
+        />
+
+        {/* Table of items */}
+        <div className="overflow-x-auto">
+          <table className="w-full text-sm">
+            <thead>
+              <tr className="text-left text-gray-600 border-b">
+                <th className="py-2 pr-2">Item</th>
+                <th className="py-2 pr-2">Category</th>
+                {STORAGE_KEYS.map((k) => (
+                  <th key={k} className="py-2 pr-2">{LOCATION_LABELS[k]}</th>
+                ))}
+                <th className="py-2" />
+              </tr>
+            </thead>
+            <tbody>
+              {visible.map((entry) =>
+                editingKey === entry.key ? (
+                  <tr key={entry.key} className="border-b bg-blue-50">
+                    <td className="py-2 pr-2 font-medium">{entry.label}</td>
+                    <td className="py-2 pr-2">
+                      <select
+                        className="border rounded p-1 text-sm"
+                        aria-label="Category"
+                        value={draft.category}
+                        onChange={(e) => setDraft({ ...draft, category: e.target.value })}
+                      >
+                        {CATEGORY_NAMES.map((c) => (
+                          <option key={c} value={c}>{c}</option>
+                        ))}
+                      </select>
+                    </td>
+                    {STORAGE_KEYS.map((k) => (
+                      <td key={k} className="py-2 pr-2">
+                        {daysInput(draft[k], (v) => setDraft({ ...draft, [k]: v }), `${k} days`)}
+                      </td>
+                    ))}
+                    <td className="py-2 whitespace-nowrap">
+                      <button
+                        className="text-blue-600 hover:underline mr-3 disabled:opacity-50"
+                        disabled={saving}
+                        onClick={() => handleSaveEdit(entry)}
+                      >
+                        Save
+                      </button>
+                      <button className="text-gray-600 hover:underline" onClick={() => setEditingKey(null)}>
+                        Cancel
+                      </button>
+                    </td>
+                  </tr>
+                ) : (
+                  <tr key={entry.key} className="border-b">
+                    <td className="py-2 pr-2">
+                      <span className="font-medium">{entry.label}</span>
+                      {entry.overridden && (
+                        <span className="ml-2 px-2 py-0.5 rounded-full bg-amber-100 text-amber-800 text-xs">
+                          {entry.custom ? 'custom' : 'edited'}
+                        </span>
+                      )}
+                      {entry.aliases.length > 0 && (
+                        <div className="text-xs text-gray-500">{entry.aliases.join(', ')}</div>
+                      )}
+                    </td>
+                    <td className="py-2 pr-2">{entry.category}</td>
+                    {STORAGE_KEYS.map((k) => (
+                      <td key={k} className="py-2 pr-2">{entry.days[k] ?? '—'}</td>
+                    ))}
+                    <td className="py-2 whitespace-nowrap">
+                      <button className="text-blue-600 hover:underline mr-3" onClick={() => handleEditClick(entry)}>
+                        Edit
+                      </button>
+                      {entry.overridden && (
+                        <button className="text-red-600 hover:underline" onClick={() => handleReset(entry)}>
+                          {entry.custom ? 'Delete' : 'Reset'}
+                        </button>
+                      )}
+                    </td>
+                  </tr>
+                )
+              )}
+            </tbody>
+          </table>
+          {visible.length === 0 && <p className="text-gray-600 mt-4">No items match your search.</p>}
+        </div>
+
+        {/* Add custom item */}
+        <div className="mt-8 p-4 bg-green-50 rounded-xl shadow">
+          <h3 className="text-lg font-semibold mb-2 text-emerald-700">Add Custom Item</h3>
+          <div className="flex flex-wrap gap-2 items-center">
+            <input
+              className="border p-2 rounded flex-1 min-w-[10rem]"
+              type="text"
+              placeholder="e.g. kimchi"
+              value={newEntry.name}
+              onChange={(e) => setNewEntry({ ...newEntry, name: e.target.value })}
+            />
+            <input
+              className="border p-2 rounded flex-1 min-w-[10rem]"
+              type="text"
+              placeholder="Other names, comma separated"
+              value={newEntry.aliases}
+              onChange={(e) => setNewEntry({ ...newEntry, aliases: e.target.value })}
+            />
+            <select
+              className="border p-2 rounded"
+              aria-label="Category"
+              value={newEntry.category}
+              onChange={(e) => setNewEntry({ ...newEntry, category: e.target.value })}
+            >
+              {CATEGORY_NAMES.map((c) => (
+                <option key={c} value={c}>{c}</option>
+              ))}
+            </select>
+            {STORAGE_KEYS.map((k) => (
+              <label key={k} className="text-xs flex flex-col">
+                {LOCATION_LABELS[k]}
+                {daysInput(newEntry[k], (v) => setNewEntry({ ...newEntry, [k]: v }), `${k} days`)}
+              </label>
+            ))}
+            <button
+              className="bg-emerald-700 text-white px-4 py-2 rounded hover:bg-green-600 disabled:opacity-50"
+              disabled={saving}
+              onClick={handleAddCustom}
+            >
+              + Add
+            </button>
+          </div>
+          <p className="text-xs text-gray-600 mt-2">Leave a location blank to use the category's default.</p>
+        </div>
+      </div>
+    </div>
+  );
+}
@@ -0,0 +1,251 @@
+// ==========================
+// IMPORTS
+// ==========================
+import React, { useEffect, useState } from 'react';
+import db from '../db';
+import { UNITS, formatQuantity } from '../lib/units';
+import { SOURCES, exportList, stapleStatus, staplesToBuy } from '../lib/shopping';
+import useInventory from '../hooks/useInventory';
+import useShelfLife from '../hooks/useShelfLife';
+import useShoppingList from '../hooks/useShoppingList';
+
+// ==========================
+// SHOPPING LIST
+// ==========================
+// The household's list (lib/shopping.js): items added by hand, from a
+// recipe's missing ingredients ("Add missing to list" on a recipe card) or
+// from "always keep" staples that are out or low. Ticking an item removes
+// it, and so does scanning a receipt that has it. The list can be copied as
+// plain text or a markdown checklist.
+
+const STAPLE_STATUS = {
+  ok: { label: 'Stocked', className: 'text-emerald-700' },
+  low: { label: 'Low', className: 'text-amber-700' },
+  out: { label: 'Out', className: 'text-red-700' },
+};
+
+export default function ShoppingList() {
+  // --------------------------
+  // STATE
+  // --------------------------
+  const { items: list, loading, add, remove } = useShoppingList(); // shopping_items rows, oldest first
+  const { items: fridgeItems } = useInventory();        // For staple stock levels
+  const { shelfLife } = useShelfLife();                 // Aliases for name matching
+  const [newName, setNewName] = useState('');
+  const [staples, setStaples] = useState([]);           // "Always keep" items
+  const [showStaples, setShowStaples] = useState(false);
+  const [stapleName, setStapleName] = useState('');
+  const [stapleMin, setStapleMin] = useState('1');
+  const [stapleUnit, setStapleUnit] = useState('pcs');
+  const [exported, setExported] = useState(null);       // { format, text } shown when copying isn't possible
+  const [notice, setNotice] = useState('');
+
+  const fetchStaples = async () => {
+    const { data, error } = await db.staples.list();
+    if (error) {
+      console.error('Error fetching staples:', error);
+      return;
+    }
+    setStaples(data || []);
+  };
+
+  useEffect(() => {
+    fetchStaples();
+  }, []);
+
+  const lowStaples = staplesToBuy(staples, fridgeItems, shelfLife);
+
+  // ==========================
+  // LIST
+  // ==========================
+  const handleAdd = async () => {
+    const name = newName.trim();
+    if (!name) return;
+    const { added, error } = await add([{ name, source: 'manual' }], shelfLife);
+    if (error) return;
+    setNotice(added ? '' : `${name} is already on the list.`);
+    setNewName('');
+  };
+
+  const handleAddStaples = async () => {
+    const { added, error } = await add(lowStaples, shelfLife);
+    if (!error) setNotice(added ? `Added ${added} staple${added === 1 ? '' : 's'}.` : 'Those staples are already on the list.');
+  };
+
+  const handleExport = async (format) => {
+    const text = exportList(list, format);
+    try {
+      await navigator.clipboard.writeText(text);
+      setExported(null);
+      setNotice(`Copied the list as ${format === 'markdown' ? 'Markdown' : 'text'}.`);
+    } catch {
+      setExported({ format, text }); // No clipboard access: show it to copy by hand
+    }
+  };
+
+  // ==========================
+  // STAPLES
+  // ==========================
+  const handleAddStaple = async () => {
+    const name = stapleName.trim();
+    const minQuantity = Number(stapleMin);
+    if (!name || !(minQuantity > 0)) {
+      alert('Enter a name and how much you always want at home.');
+      return;
+    }
+    const { error } = await db.staples.add({ name, min_quantity: minQuantity, unit: stapleUnit });
+    if (error) {
+      console.error('Error adding staple:', error);
+      return;
+    }
+    setStapleName('');
+    setStapleMin('1');
+    fetchStaples();
+  };
+
+  const handleRemoveStaple = async (id) => {
+    const { error } = await db.staples.remove(id);
+    if (error) {
+      console.error('Error removing staple:', error);
+      return;
+    }
+    fetchStaples();
+  };
+
+  // ==========================
+  // RENDER
+  // ==========================
+  return (
+    <div className="text-sm">
+      {/* Manual add */}
+      <div className="flex gap-2 mb-3">
+        <input
+          value={newName}
+          onChange={(e) => setNewName(e.target.value)}
+          onKeyDown={(e) => e.key === 'Enter' && handleAdd()}
+          placeholder="Add an item…"
+          className="border p-2 rounded flex-1"
+        />
+        <button onClick={handleAdd} className="bg-blue-700 text-white px-4 py-2 rounded hover:bg-blue-800">
+          Add
+        </button>
+      </div>
+
+      {/* Staples running low */}
+      {lowStaples.length > 0 && (
+        <div className="mb-3 p-2 bg-amber-50 rounded flex items-center justify-between gap-2">
+          <span className="text-amber-800">
+            Running low: {lowStaples.map((s) => s.name).join(', ')}
+          </span>
+          <button onClick={handleAddStaples} className="text-xs text-amber-800 border border-amber-300 px-2 py-1 rounded hover:bg-amber-100">
+            Add to list
+          </button>
+        </div>
+      )}
+
+      {notice && <p className="mb-2 text-gray-600">{notice}</p>}
+
+      {/* List */}
+      {loading ? (
+        <p>Loading...</p>
+      ) : list.length === 0 ? (
+        <p className="text-gray-600 mb-3">Nothing to buy. Add items by hand, from a recipe or from your staples.</p>
+      ) : (
+        <ul className="divide-y mb-3">
+          {list.map((it) => (
+            <li key={it.id} className="flex items-center justify-between gap-2 py-1.5">
+              <label className="flex items-center gap-2 cursor-pointer">
+                <input type="checkbox" checked={false} onChange={() => remove(it.id)} aria-label={`Bought ${it.name}`} />
+                <span>
+                  <span className="font-medium">{it.name}</span>
+                  {it.quantity != null && <span className="text-gray-500"> · {formatQuantity(it.quantity, it.unit || 'pcs')}</span>}
+                  {it.note && <span className="text-gray-500"> · {it.note}</span>}
+                </span>
+              </label>
+              <span className={`px-2 py-0.5 rounded-full text-xs ${SOURCES[it.source]?.className || SOURCES.manual.className}`}>
+                {SOURCES[it.source]?.label || SOURCES.manual.label}
+              </span>
+            </li>
+          ))}
+        </ul>
+      )}
+
+      {/* Export */}
+      {list.length > 0 && (
+        <div className="flex gap-2 mb-3">
+          <button onClick={() => handleExport('text')} className="px-3 py-1 rounded border text-gray-700 hover:bg-gray-100">
+            📋 Copy as text
+          </button>
+          <button onClick={() => handleExport('markdown')} className="px-3 py-1 rounded border text-gray-700 hover:bg-gray-100">
+            📋 Copy as Markdown
+          </button>
+        </div>
+      )}
+      {exported && (
+        <textarea
+          readOnly
+          value={exported.text}
+          onFocus={(e) => e.target.select()}
+          className="w-full border rounded p-2 font-mono text-xs mb-3"
+          rows={Math.min(12, exported.text.split('\n').length)}
+          aria-label="Shopping list export"
+        />
+      )}
+
+      {/* Staples editor */}
+      <button onClick={() => setShowStaples((v) => !v)} className="text-blue-700 hover:underline">
+        {showStaples ? 'Hide' : 'Manage'} “always keep” staples ({staples.length})
+      </button>
+      {showStaples && (
+        <div className="mt-2 p-3 bg-gray-50 rounded">
+          <ul className="mb-2 space-y-1">
+            {staples.map((staple) => {
+              const { have, status } = stapleStatus(staple, fridgeItems, shelfLife);
+              return (
+                <li key={staple.id} className="flex items-center justify-between gap-2">
+                  <span>
+                    {staple.name} · keep {formatQuantity(staple.min_quantity, staple.unit)}
+                    <span className={`ml-2 ${STAPLE_STATUS[status].className}`}>
+                      {STAPLE_STATUS[status].label} ({formatQuantity(have, staple.unit)})
+                    </span>
+                  </span>
+                  <button onClick={() => handleRemoveStaple(staple.id)} className="text-xs text-red-600 hover:underline">
+                    Remove
+                  </button>
+                </li>
+              );
+            })}
+          </ul>
+          <div className="flex gap-2">
+            <input
+              value={stapleName}
+              onChange={(e) => setStapleName(e.target.value)}
+              placeholder="e.g. Milk"
+              className="border p-1 rounded flex-1"
+              aria-label="Staple name"
+            />
+            <input
+              type="number"
+              min="0"
+              step="any"
+              value={stapleMin}
+              onChange={(e) => setStapleMin(e.target.value)}
+              className="border p-1 rounded w-20"
+              aria-label="Minimum to keep"
+            />
+            <select value={stapleUnit} onChange={(e) => setStapleUnit(e.target.value)} className="border p-1 rounded">
+              {UNITS.map((u) => (
+                <option key={u} value={u}>
+                  {u}
+                </option>
+              ))}
+            </select>
+            <button onClick={handleAddStaple} className="bg-blue-700 text-white px-3 py-1 rounded hover:bg-blue-800">
+              Keep
+            </button>
+          </div>
+        </div>
+      )}
+    </div>
+  );
+}
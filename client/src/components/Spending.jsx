@@ -0,0 +1,204 @@
+// ==========================
+// IMPORTS
+// ==========================
+import React, { useEffect, useState } from 'react';
+import db from '../db';
+import {
+  PRICE_JUMP_THRESHOLD,
+  priceHistory,
+  priceJumps,
+  purchaseLines,
+  spendByCategory,
+  spendByPeriod,
+  spendByStore,
+} from '../lib/spending';
+import useShelfLife from '../hooks/useShelfLife';
+
+// ==========================
+// SPENDING PANEL
+// ==========================
+// Grocery spend and price history from the saved receipts (see lib/spending.js).
+// Bars are plain divs and the price chart is a small inline SVG — no chart
+// library needed for a handful of points.
+
+const money = (n) => `$${Number(n).toFixed(2)}`;
+
+const periodLabel = (period, mode) =>
+  mode === 'week'
+    ? `Week of ${new Date(`${period}T00:00:00`).toLocaleDateString(undefined, { month: 'short', day: 'numeric' })}`
+    : new Date(`${period}-01T00:00:00`).toLocaleDateString(undefined, { month: 'short', year: 'numeric' });
+
+// Horizontal bar list: [{ label, value, note? }]
+function Bars({ rows }) {
+  const max = Math.max(...rows.map((r) => r.value), 0);
+  return (
+    <ul className="space-y-1">
+      {rows.map((r) => (
+        <li key={r.label} className="text-xs">
+          <div className="flex justify-between mb-0.5">
+            <span>{r.label}</span>
+            <span className="font-medium">
+              {money(r.value)}
+              {r.note && <span className="text-gray-500 font-normal"> · {r.note}</span>}
+            </span>
+          </div>
+          <div className="h-2 bg-gray-100 rounded">
+            <div className="h-2 bg-blue-500 rounded" style={{ width: `${max ? (r.value / max) * 100 : 0}%` }} />
+          </div>
+        </li>
+      ))}
+    </ul>
+  );
+}
+
+// Unit price over time for one item
+function PriceChart({ series }) {
+  const width = 320;
+  const height = 120;
+  const pad = 24;
+  const prices = series.points.map((p) => p.unitPrice);
+  const min = Math.min(...prices);
+  const max = Math.max(...prices);
+  const x = (i) => pad + (series.points.length === 1 ? 0 : (i * (width - 2 * pad)) / (series.points.length - 1));
+  const y = (v) => (max === min ? height / 2 : height - pad - ((v - min) * (height - 2 * pad)) / (max - min));
+  const path = series.points.map((p, i) => `${i ? 'L' : 'M'}${x(i)},${y(p.unitPrice)}`).join(' ');
+
+  return (
+    <svg viewBox={`0 0 ${width} ${height}`} className="w-full" role="img" aria-label={`Price of ${series.name} over time`}>
+      <path d={path} fill="none" stroke="#2563eb" strokeWidth="2" />
+      {series.points.map((p, i) => (
+        <g key={i}>
+          <circle cx={x(i)} cy={y(p.unitPrice)} r="3" fill="#2563eb">
+            <title>{`${p.date} · ${p.store} · ${money(p.unitPrice)}/${series.unit}`}</title>
+          </circle>
+          <text x={x(i)} y={y(p.unitPrice) - 6} fontSize="9" textAnchor="middle" fill="#374151">
+            {money(p.unitPrice)}
+          </text>
+        </g>
+      ))}
+      <text x={pad} y={height - 4} fontSize="9" fill="#6b7280">{series.points[0].date}</text>
+      <text x={width - pad} y={height - 4} fontSize="9" textAnchor="end" fill="#6b7280">
+        {series.points[series.points.length - 1].date}
+      </text>
+    </svg>
+  );
+}
+
+export default function Spending() {
+  // --------------------------
+  // STATE
+  // --------------------------
+  const [receipts, setReceipts] = useState([]);      // Saved receipts with their line items
+  const [periodMode, setPeriodMode] = useState('month'); // 'week' | 'month'
+  const [chartKey, setChartKey] = useState('');      // Item shown in the price chart ('' = most bought)
+  const [loading, setLoading] = useState(true);
+  const { shelfLife } = useShelfLife();
+
+  useEffect(() => {
+    (async () => {
+      const { data, error } = await db.receipts.list();
+      if (error) console.error('Error fetching receipts:', error);
+      else setReceipts(data || []);
+      setLoading(false);
+    })();
+  }, []);
+
+  if (loading) return <p>Loading...</p>;
+  if (receipts.length === 0) {
+    return <p className="text-gray-600 text-sm">Scan a receipt to start tracking your grocery spending.</p>;
+  }
+
+  // ==========================
+  // DERIVED DATA
+  // ==========================
+  const periods = spendByPeriod(receipts, periodMode).slice(-8).reverse();
+  const stores = spendByStore(receipts);
+  const lines = purchaseLines(receipts, shelfLife);
+  const categories = spendByCategory(lines);
+  const history = priceHistory(lines);
+  const jumps = priceJumps(history);
+  const chartSeries = history.find((s) => `${s.key}|${s.unit}` === chartKey) || history[0];
+
+  // ==========================
+  // RENDER
+  // ==========================
+  return (
+    <div className="space-y-6">
+      {/* Price jumps */}
+      {jumps.length > 0 && (
+        <div className="p-3 bg-amber-50 border border-amber-200 rounded-lg">
+          <h3 className="text-sm font-semibold text-amber-900 mb-1">⚠️ Price jumps</h3>
+          <ul className="text-xs text-amber-900 space-y-0.5">
+            {jumps.map((j) => (
+              <li key={`${j.key}|${j.unit}`}>
+                {j.name}: {money(j.previous)} → {money(j.latest)}/{j.unit} (+{Math.round(j.change * 100)}%) at {j.store}
+              </li>
+            ))}
+          </ul>
+          <p className="text-[10px] text-amber-700 mt-1">
+            Flagged when the latest price per unit is {Math.round(PRICE_JUMP_THRESHOLD * 100)}%+ above the previous purchase.
+          </p>
+        </div>
+      )}
+
+      {/* Spend per week / month */}
+      <div>
+        <div className="flex justify-between items-center mb-2">
+          <h3 className="text-sm font-semibold text-gray-700">Spend per {periodMode}</h3>
+          <div className="flex gap-1 text-xs">
+            {['week', 'month'].map((mode) => (
+              <button
+                key={mode}
+                onClick={() => setPeriodMode(mode)}
+                className={`px-2 py-0.5 rounded-full ${periodMode === mode ? 'bg-blue-700 text-white' : 'bg-gray-100 hover:bg-gray-200'}`}
+              >
+                {mode === 'week' ? 'Weekly' : 'Monthly'}
+              </button>
+            ))}
+          </div>
+        </div>
+        <Bars rows={periods.map((p) => ({ label: periodLabel(p.period, periodMode), value: p.total }))} />
+      </div>
+
+      {/* Per category / per store */}
+      <div className="grid grid-cols-2 gap-4">
+        <div>
+          <h3 className="text-sm font-semibold text-gray-700 mb-2">By category</h3>
+          <Bars rows={categories.map((c) => ({ label: c.category, value: c.total }))} />
+        </div>
+        <div>
+          <h3 className="text-sm font-semibold text-gray-700 mb-2">By store</h3>
+          <Bars
+            rows={stores.map((s) => ({ label: s.store, value: s.total, note: `${s.visits} visit${s.visits === 1 ? '' : 's'}` }))}
+          />
+        </div>
+      </div>
+
+      {/* Price over time */}
+      <div>
+        <div className="flex justify-between items-center mb-2">
+          <h3 className="text-sm font-semibold text-gray-700">Price over time</h3>
+          {history.length > 0 && (
+            <select
+              className="border rounded text-xs p-1"
+              aria-label="Item to chart"
+              value={chartSeries ? `${chartSeries.key}|${chartSeries.unit}` : ''}
+              onChange={(e) => setChartKey(e.target.value)}
+            >
+              {history.map((s) => (
+                <option key={`${s.key}|${s.unit}`} value={`${s.key}|${s.unit}`}>
+                  {s.name} ({s.points.length}×, per {s.unit})
+                </option>
+              ))}
+            </select>
+          )}
+        </div>
+        {chartSeries ? (
+          <PriceChart series={chartSeries} />
+        ) : (
+          <p className="text-xs text-gray-600">Items you buy more than once will show up here.</p>
+        )}
+      </div>
+    </div>
+  );
+}
@@ -0,0 +1,73 @@
+// ==========================
+// IMPORTS
+// ==========================
+import React from 'react';
+import useSyncStatus from '../hooks/useSyncStatus';
+
+// ==========================
+// SYNC STATUS (navbar indicator)
+// ==========================
+// Offline / pending-changes badge for the offline queue (db/offline.js).
+// Nothing is shown while online with nothing to sync. Conflicts — queued
+// edits skipped because someone changed or removed the item later — and
+// changes the server rejected are listed until dismissed.
+
+const REASONS = {
+  newer: 'changed on another device after your offline edit, so theirs was kept',
+  deleted: 'was removed on another device, so your offline edit was dropped',
+};
+
+export default function SyncStatus() {
+  const { supported, online, pending, syncing, failed, conflicts, retry, dismissProblems } = useSyncStatus();
+  const problems = conflicts.length + failed;
+
+  if (!supported || (online && !pending && !syncing && !problems)) return null;
+
+  let label = '✅ Synced';
+  let tone = 'bg-emerald-50 text-emerald-800 border-emerald-200';
+  if (!online) {
+    label = pending ? `📴 Offline · ${pending} change${pending === 1 ? '' : 's'} waiting` : '📴 Offline';
+    tone = 'bg-gray-100 text-gray-700 border-gray-300';
+  } else if (syncing) {
+    label = `🔄 Syncing ${pending}…`;
+    tone = 'bg-blue-50 text-blue-800 border-blue-200';
+  } else if (pending) {
+    label = `⏳ ${pending} change${pending === 1 ? '' : 's'} waiting`;
+    tone = 'bg-amber-50 text-amber-800 border-amber-200';
+  }
+
+  return (
+    <div className="relative">
+      <div className={`flex items-center gap-2 px-3 py-2 border rounded-lg text-sm ${tone}`} title="Changes made offline are saved on this device and sent when you're back online">
+        <span>{label}</span>
+        {online && pending > 0 && !syncing && (
+          <button onClick={retry} className="underline hover:no-underline">
+            Retry
+          </button>
+        )}
+      </div>
+
+      {/* Conflicts from the last sync, until dismissed */}
+      {problems > 0 && (
+        <div className="absolute right-0 mt-2 w-80 bg-white border border-amber-200 rounded-lg shadow-lg p-3 text-sm z-20">
+          <p className="font-semibold text-amber-800 mb-1">Some offline changes weren't applied</p>
+          <ul className="list-disc pl-5 text-gray-700 space-y-1">
+            {conflicts.map((c, idx) => (
+              <li key={`${c.id}-${idx}`}>
+                {c.item_name} {REASONS[c.reason] || 'could not be synced'}.
+              </li>
+            ))}
+            {failed > 0 && (
+              <li>
+                {failed} change{failed === 1 ? ' was' : 's were'} rejected by the server.
+              </li>
+            )}
+          </ul>
+          <button onClick={dismissProblems} className="mt-2 text-blue-700 underline hover:no-underline">
+            Dismiss
+          </button>
+        </div>
+      )}
+    </div>
+  );
+}
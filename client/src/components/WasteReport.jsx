@@ -0,0 +1,110 @@
+// ==========================
+// IMPORTS
+// ==========================
+import React, { useEffect, useState } from 'react';
+import db from '../db';
+import { formatQuantity } from '../lib/units';
+import { OUTCOMES, mostWasted, wasteByMonth, wasteRate } from '../lib/waste';
+import useShelfLife from '../hooks/useShelfLife';
+
+// ==========================
+// WASTE REPORT
+// ==========================
+// What got thrown out, per month, what it cost (from receipt prices) and which
+// items are wasted most often — built from fridge_events (see lib/waste.js).
+
+const money = (n) => `$${Number(n).toFixed(2)}`;
+const monthLabel = (month) =>
+  new Date(`${month}-01T00:00:00`).toLocaleDateString(undefined, { month: 'long', year: 'numeric' });
+const OUTCOME_BY_KEY = Object.fromEntries(OUTCOMES.map((o) => [o.key, o]));
+
+export default function WasteReport() {
+  const [events, setEvents] = useState([]);   // fridge_events, newest first
+  const [loading, setLoading] = useState(true);
+  const { shelfLife } = useShelfLife();
+
+  useEffect(() => {
+    (async () => {
+      const { data, error } = await db.events.list({ limit: 2000 });
+      if (error) console.error('Error fetching fridge events:', error);
+      else setEvents(data || []);
+      setLoading(false);
+    })();
+  }, []);
+
+  if (loading) return <p>Loading...</p>;
+  if (events.length === 0) {
+    return (
+      <p className="text-gray-600 text-sm">
+        Nothing recorded yet. When you remove an item, say whether it was eaten or thrown out.
+      </p>
+    );
+  }
+
+  const months = wasteByMonth(events).slice(0, 6);
+  const top = mostWasted(events, shelfLife);
+  const rate = wasteRate(events);
+
+  return (
+    <div className="space-y-5 text-sm">
+      <p>
+        <span className="text-2xl font-bold text-red-700">{Math.round(rate * 100)}%</span>
+        <span className="text-gray-600"> of the food you finished tracking was thrown out.</span>
+      </p>
+
+      {/* Per month */}
+      <div>
+        <h3 className="text-sm font-semibold text-gray-700 mb-2">Wasted per month</h3>
+        {months.length === 0 ? (
+          <p className="text-xs text-gray-600">Nothing thrown out yet. 🎉</p>
+        ) : (
+          <table className="w-full text-xs">
+            <tbody>
+              {months.map((m) => (
+                <tr key={m.month} className="border-b">
+                  <td className="py-1">{monthLabel(m.month)}</td>
+                  <td className="py-1">{m.items} item{m.items === 1 ? '' : 's'}</td>
+                  <td className="py-1 text-right font-medium text-red-700">
+                    {money(m.cost)}
+                    {m.unpriced > 0 && <span className="text-gray-500 font-normal"> + {m.unpriced} unpriced</span>}
+                  </td>
+                </tr>
+              ))}
+            </tbody>
+          </table>
+        )}
+      </div>
+
+      {/* Most wasted */}
+      {top.length > 0 && (
+        <div>
+          <h3 className="text-sm font-semibold text-gray-700 mb-2">Wasted most often</h3>
+          <ul className="text-xs space-y-1">
+            {top.map((t) => (
+              <li key={t.key} className="flex justify-between">
+                <span>{t.name}</span>
+                <span>
+                  {t.times}× {t.cost > 0 && <span className="text-red-700">({money(t.cost)})</span>}
+                </span>
+              </li>
+            ))}
+          </ul>
+          <p className="text-[11px] text-gray-500 mt-1">Consider buying these in smaller amounts.</p>
+        </div>
+      )}
+
+      {/* History */}
+      <div>
+        <h3 className="text-sm font-semibold text-gray-700 mb-2">Recent history</h3>
+        <ul className="text-xs space-y-0.5 text-gray-700">
+          {events.slice(0, 8).map((e) => (
+            <li key={e.id}>
+              {OUTCOME_BY_KEY[e.outcome]?.emoji} {e.item_name} · {formatQuantity(e.quantity, e.unit)} ·{' '}
+              {new Date(e.occurred_at).toLocaleDateString()}
+            </li>
+          ))}
+        </ul>
+      </div>
+    </div>
+  );
+}
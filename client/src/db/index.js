@@ -0,0 +1,32 @@
+// ==========================
+// BACKEND SELECTION
+// ==========================
+// REACT_APP_DATA_BACKEND picks where data lives:
+//   supabase  hosted / `supabase start` project with accounts (default)
+//   local     the Express server's SQLite store (run it with LOCAL_DB set)
+//   memory    this browser tab only, nothing saved
+// Components import `db` and never talk to a backend directly. The supabase
+// and local backends keep an offline copy of the fridge (see ./offline.js).
+import { createRepositories } from './repositories';
+import { createSupabaseAdapter } from './supabaseAdapter';
+import { createLocalAdapter } from './localAdapter';
+import { createMemoryAdapter } from './memoryAdapter';
+import { withOfflineCache } from './offline';
+import { createIndexedDbStorage } from './offlineStorage';
+
+const ADAPTERS = {
+  supabase: createSupabaseAdapter,
+  local: createLocalAdapter,
+  memory: createMemoryAdapter,
+};
+
+const requested = process.env.REACT_APP_DATA_BACKEND || 'supabase';
+if (!ADAPTERS[requested]) console.warn(`Unknown REACT_APP_DATA_BACKEND "${requested}", using supabase`);
+
+export const BACKEND = ADAPTERS[requested] ? requested : 'supabase';
+
+const adapter = ADAPTERS[BACKEND]();
+const offlineCapable = BACKEND !== 'memory' && typeof indexedDB !== 'undefined';
+
+const db = createRepositories(offlineCapable ? withOfflineCache(adapter, { storage: createIndexedDbStorage() }) : adapter);
+export default db;
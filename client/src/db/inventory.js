@@ -0,0 +1,83 @@
+// ==========================
+// LIVE INVENTORY
+// ==========================
+// One copy of the fridge rows shared by every view (Fridge, RecipeList…), so
+// a change made in one panel shows up in the others without a reload.
+// While anyone is subscribed the store listens to the backend's change feed
+// — Supabase realtime, or the local server's /api/db/changes stream — and to
+// the offline queue, and reloads (debounced) when rows change in another
+// tab or on another device. Views that write call `reload()` afterwards.
+//
+// The subscribe/getSnapshot pair fits React's useSyncExternalStore.
+// createLiveList() is the same store for any table with a list() and a
+// change feed (the shopping list uses it too).
+
+export const RELOAD_DELAY_MS = 150; // bursts (a receipt adds many rows) → one fetch
+
+export const createInventoryStore = (db, options) =>
+  createLiveList({ load: db.items.list, subscribe: db.items.subscribe, sync: db.sync, label: 'items' }, options);
+
+// load() → { data, error }; subscribe(onChange) → unsubscribe; sync: db.sync or null
+export function createLiveList({ load, subscribe, sync = null, label = 'rows' }, { delay = RELOAD_DELAY_MS } = {}) {
+  let state = { items: [], loading: true, error: null };
+  const listeners = new Set();
+  let stopFeeds = null;
+  let timer = null;
+  let latest = 0; // only the newest fetch may land
+
+  const set = (changes) => {
+    state = { ...state, ...changes };
+    listeners.forEach((listener) => listener());
+  };
+
+  const reload = async () => {
+    const request = ++latest;
+    const { data, error } = await load();
+    if (request !== latest) return;
+    if (error) {
+      console.error(`Error fetching ${label}:`, error);
+      set({ loading: false, error });
+      return;
+    }
+    set({ items: data || [], loading: false, error: null });
+  };
+
+  const scheduleReload = () => {
+    clearTimeout(timer);
+    timer = setTimeout(reload, delay);
+  };
+
+  // First subscriber: fresh fetch (the household may have changed) + feeds
+  const start = () => {
+    state = { items: [], loading: true, error: null };
+    const stops = [subscribe(scheduleReload)];
+    if (sync) {
+      let version = null;
+      stops.push(
+        sync.subscribe((status) => {
+          if (version !== null && status.version !== version) scheduleReload();
+          version = status.version;
+        })
+      );
+    }
+    reload();
+    return () => stops.forEach((stop) => stop());
+  };
+
+  return {
+    getSnapshot: () => state,
+    subscribe: (listener) => {
+      listeners.add(listener);
+      if (listeners.size === 1) stopFeeds = start();
+      return () => {
+        listeners.delete(listener);
+        if (listeners.size === 0) {
+          stopFeeds();
+          stopFeeds = null;
+          clearTimeout(timer);
+        }
+      };
+    },
+    reload,
+  };
+}
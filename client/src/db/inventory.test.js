@@ -0,0 +1,48 @@
+import { createRepositories } from './repositories';
+import { createMemoryAdapter } from './memoryAdapter';
+import { createInventoryStore } from './inventory';
+
+const wait = (ms) => new Promise((resolve) => setTimeout(resolve, ms));
+
+const setup = () => {
+  const adapter = createMemoryAdapter({ fridge: [{ id: 1, item_name: 'Milk' }] });
+  const db = createRepositories(adapter);
+  return { adapter, db, store: createInventoryStore(db, { delay: 5 }) };
+};
+
+test('loads on the first subscriber and follows changes made elsewhere', async () => {
+  const { db, store } = setup();
+  let renders = 0;
+  const stop = store.subscribe(() => renders++);
+  expect(store.getSnapshot().loading).toBe(true);
+  await wait(10);
+  expect(store.getSnapshot().items.map((r) => r.item_name)).toEqual(['Milk']);
+
+  // Another "tab" writing through the same backend
+  await db.items.add([{ item_name: 'Eggs' }, { item_name: 'Bread' }]);
+  await db.items.remove([1]);
+  await wait(20);
+  expect(store.getSnapshot().items.map((r) => r.item_name).sort()).toEqual(['Bread', 'Eggs']);
+  expect(renders).toBe(2); // initial load + one debounced reload for the burst
+  stop();
+});
+
+test('every view shares the same snapshot', async () => {
+  const { store } = setup();
+  const stopA = store.subscribe(() => {});
+  const stopB = store.subscribe(() => {});
+  await wait(10);
+  expect(store.getSnapshot()).toBe(store.getSnapshot());
+  stopA();
+  stopB();
+});
+
+test('stops listening once nobody is subscribed', async () => {
+  const { db, store } = setup();
+  const stop = store.subscribe(() => {});
+  await wait(10);
+  stop();
+  await db.items.add([{ item_name: 'Eggs' }]);
+  await wait(20);
+  expect(store.getSnapshot().items).toHaveLength(1);
+});
@@ -0,0 +1,45 @@
+// ==========================
+// LOCAL ACCOUNT
+// ==========================
+// The local and in-memory backends have no accounts: everyone using the
+// device is one user in one household. Sign-in is never required, logout is
+// a no-op and household management reports that it needs Supabase.
+
+export const LOCAL_USER = { id: 'local', email: '' };
+export const LOCAL_HOUSEHOLD = { id: 'local', name: 'This device', role: 'owner' };
+
+const session = { user: LOCAL_USER };
+const unsupported = async () => ({
+  data: null,
+  error: new Error('Accounts and shared households need the Supabase backend.'),
+});
+
+export const localAuth = {
+  required: false,
+  getSession: async () => session,
+  onChange: () => () => {},
+  signIn: unsupported,
+  signUp: unsupported,
+  sendMagicLink: unsupported,
+  signOut: async () => ({ error: null }),
+};
+
+export const localHouseholds = {
+  supported: false,
+  load: async () => ({
+    data: {
+      households: [LOCAL_HOUSEHOLD],
+      currentId: LOCAL_HOUSEHOLD.id,
+      members: [{ user_id: LOCAL_USER.id, role: 'owner', email: LOCAL_USER.email }],
+      invites: [],
+    },
+    error: null,
+  }),
+  switchTo: unsupported,
+  create: unsupported,
+  acceptInvite: unsupported,
+  rename: unsupported,
+  invite: unsupported,
+  revokeInvite: unsupported,
+  removeMember: unsupported,
+};
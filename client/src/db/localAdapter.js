@@ -0,0 +1,106 @@
+// ==========================
+// LOCAL BACKEND (Express + SQLite)
+// ==========================
+// Talks to the /api/db routes of the ChopChop server, which keep the tables
+// in a SQLite file (or in memory) — see server/lib/localStore.js. Start the
+// server with LOCAL_DB set and the app runs without any hosted service.
+import { localAuth, localHouseholds } from './localAccount';
+
+const API_URL = process.env.REACT_APP_API_URL || 'http://localhost:5001';
+
+// → { data, error } like supabase-js; server errors keep their `code`
+async function call(method, path, body) {
+  try {
+    const response = await fetch(`${API_URL}/api/db${path}`, {
+      method,
+      headers: { 'Content-Type': 'application/json' },
+      body: body === undefined ? undefined : JSON.stringify(body),
+    });
+    const payload = await response.json();
+    if (!response.ok) {
+      const err = new Error(payload.error || 'Local database request failed.');
+      err.code = payload.code;
+      err.details = payload.details;
+      return { data: null, error: err };
+    }
+    return { data: payload.data, error: null };
+  } catch (err) {
+    return { data: null, error: err };
+  }
+}
+
+const filePath = (path) => path.split('/').map(encodeURIComponent).join('/');
+
+// One /api/db/changes stream per tab, shared by every subscriber. EventSource
+// reconnects on its own; changes made while it was down are unknown, so every
+// subscriber is told to refresh when it comes back.
+function createChangeFeed() {
+  const listeners = new Set(); // { table, onChange }
+  let source = null;
+  let dropped = false;
+
+  const open = () => {
+    source = new EventSource(`${API_URL}/api/db/changes`);
+    source.addEventListener('change', (event) => {
+      const change = JSON.parse(event.data);
+      listeners.forEach((l) => l.table === change.table && l.onChange(change));
+    });
+    source.onerror = () => {
+      dropped = true;
+    };
+    source.onopen = () => {
+      if (dropped) listeners.forEach((l) => l.onChange({ table: l.table, op: 'reconnect', ids: [] }));
+      dropped = false;
+    };
+  };
+
+  return (table, onChange) => {
+    if (typeof EventSource === 'undefined') return () => {};
+    const listener = { table, onChange };
+    listeners.add(listener);
+    if (!source) open();
+    return () => {
+      listeners.delete(listener);
+      if (!listeners.size && source) {
+        source.close();
+        source = null;
+      }
+    };
+  };
+}
+
+export function createLocalAdapter() {
+  const subscribe = createChangeFeed();
+  return {
+    name: 'local',
+
+    list: (table, query = {}) => call('POST', `/${table}/query`, query),
+    insert: (table, rows) => call('POST', `/${table}`, { rows }),
+    upsert: (table, rows, onConflict) => call('POST', `/${table}`, { rows, onConflict }),
+    update: (table, filters, patch) => call('PATCH', `/${table}`, { filters, patch }),
+    remove: (table, filters) => call('DELETE', `/${table}`, { filters }),
+    batch: (ops) => call('POST', '/batch', { ops }),
+    // onChange({ table, op, ids }) after any write to `table`, from any client; → unsubscribe
+    subscribe,
+
+    files: {
+      upload: async (path, file) => {
+        try {
+          const response = await fetch(`${API_URL}/api/db/files/${filePath(path)}`, {
+            method: 'PUT',
+            headers: { 'Content-Type': file.type || 'application/octet-stream' },
+            body: file,
+          });
+          if (!response.ok) throw new Error((await response.json()).error || 'Upload failed.');
+          return { data: { path }, error: null };
+        } catch (err) {
+          return { data: null, error: err };
+        }
+      },
+      url: async (path) => ({ data: `${API_URL}/api/db/files/${filePath(path)}`, error: null }),
+    },
+
+    auth: localAuth,
+    households: localHouseholds,
+  };
+}
@@ -0,0 +1,182 @@
+// ==========================
+// IN-MEMORY BACKEND
+// ==========================
+// Tables as arrays in this tab — nothing is persisted. Used by tests and by
+// REACT_APP_DATA_BACKEND=memory for a quick offline demo without the server.
+// Column defaults mirror the migrations in supabase/migrations/.
+import { matchesFilters, runQuery } from './query';
+import { localAuth, localHouseholds } from './localAccount';
+
+const now = () => new Date().toISOString();
+
+const DEFAULTS = {
+  fridge: () => ({
+    quantity: 1,
+    unit: 'pcs',
+    location: 'fridge',
+    frozen_on: null,
+    added_on: now(),
+    expires_on: null,
+    expiry_source: null,
+    batches: [],
+    receipt_id: null,
+    unit_price: null,
+    updated_at: now(),
+  }),
+  receipts: () => ({ image_paths: [], items: [], parser: null, created_at: now(), reparsed_at: null }),
+  recipes: () => ({
+    recipe: {},
+    rating: null,
+    notes: '',
+    tags: [],
+    cooked_count: 0,
+    last_cooked_at: null,
+    created_at: now(),
+    updated_at: now(),
+  }),
+  fridge_events: () => ({ unit: 'pcs', occurred_at: now() }),
+  expiry_corrections: () => ({ location: 'fridge', created_at: now() }),
+  shelf_life_overrides: () => ({ aliases: [], category: null, updated_at: now() }),
+  shopping_items: () => ({ quantity: null, unit: null, source: 'manual', note: null, created_at: now() }),
+  staples: () => ({ min_quantity: 1, unit: 'pcs', created_at: now() }),
+  meal_plans: () => ({ meals_per_day: 2, servings: 2, days: [], created_at: now(), updated_at: now() }),
+  dietary_profiles: () => ({
+    allergens: [],
+    excluded: [],
+    diets: [],
+    cuisines: [],
+    max_minutes: null,
+    servings: null,
+    equipment: [],
+    updated_at: now(),
+  }),
+};
+
+// Tables whose updated_at the database bumps on every update (unless the
+// update sets it itself — offline replays do, see ./offline.js)
+const TOUCHED_ON_UPDATE = new Set(['fridge', 'recipes', 'meal_plans', 'dietary_profiles']);
+
+// Column defaults of a new row (also used for rows added while offline)
+export const rowDefaults = (table) => (DEFAULTS[table] ? DEFAULTS[table]() : {});
+
+const copy = (value) => JSON.parse(JSON.stringify(value));
+const ok = (data) => Promise.resolve({ data: copy(data), error: null });
+
+export function createMemoryAdapter(seed = {}) {
+  const tables = new Map(Object.entries(copy(seed)));
+  const files = new Map();
+  const listeners = new Set(); // { table, onChange } — writes made through this adapter
+  let nextId = 1 + Math.max(0, ...[...tables.values()].flat().map((r) => Number(r.id) || 0));
+
+  const rowsOf = (table) => {
+    if (!DEFAULTS[table]) throw new Error(`Unknown table "${table}"`);
+    if (!tables.has(table)) tables.set(table, []);
+    return tables.get(table);
+  };
+  const attempt = (fn) => {
+    try {
+      return fn();
+    } catch (err) {
+      return Promise.resolve({ data: null, error: err });
+    }
+  };
+
+  const notify = (table, op, result) =>
+    result.then((res) => {
+      if (!res.error) {
+        const change = { table, op, ids: res.data.map((r) => r.id) };
+        listeners.forEach((l) => l.table === table && l.onChange(change));
+      }
+      return res;
+    });
+
+  const insertRow = (table, row) => {
+    const rows = rowsOf(table);
+    const created = { ...DEFAULTS[table](), ...copy(row), id: nextId++ };
+    rows.push(created);
+    return created;
+  };
+
+  // Table operations on the live arrays → affected rows (throw on bad input)
+  const insertRows = (table, rows) => rows.map((r) => insertRow(table, r));
+  const updateRows = (table, filters, patch) => {
+    const touch = TOUCHED_ON_UPDATE.has(table) && !('updated_at' in patch) ? { updated_at: now() } : {};
+    return rowsOf(table)
+      .filter((r) => matchesFilters(r, filters))
+      .map((r) => Object.assign(r, copy(patch), touch));
+  };
+  const removeRows = (table, filters) => {
+    const rows = rowsOf(table);
+    const removed = rows.filter((r) => matchesFilters(r, filters));
+    tables.set(table, rows.filter((r) => !removed.includes(r)));
+    return removed;
+  };
+  const OPS = {
+    insert: (o) => insertRows(o.table, o.rows),
+    update: (o) => updateRows(o.table, o.filters, o.patch),
+    remove: (o) => removeRows(o.table, o.filters),
+  };
+
+  return {
+    name: 'memory',
+
+    list: (table, query) => attempt(() => ok(runQuery(rowsOf(table), query))),
+
+    insert: (table, rows) => notify(table, 'insert', attempt(() => ok(insertRows(table, rows)))),
+
+    // Rows matching every onConflict column are updated, the rest inserted
+    upsert: (table, rows, onConflict) =>
+      notify(table, 'upsert', attempt(() => {
+        const saved = rows.map((r) => {
+          const key = Object.fromEntries(onConflict.map((c) => [c, r[c] ?? null]));
+          const existing = rowsOf(table).find((x) => matchesFilters(x, key));
+          return existing ? Object.assign(existing, copy(r)) : insertRow(table, r);
+        });
+        return ok(saved);
+      })),
+
+    update: (table, filters, patch) => notify(table, 'update', attempt(() => ok(updateRows(table, filters, patch)))),
+
+    remove: (table, filters) => notify(table, 'delete', attempt(() => ok(removeRows(table, filters)))),
+
+    // All or nothing: the tables are restored if any op fails
+    batch: async (ops) => {
+      const saved = copy([...tables]);
+      const savedNextId = nextId;
+      try {
+        const results = ops.map((o) => {
+          if (!OPS[o.op]) throw new Error(`Unknown batch op "${o.op}"`);
+          return OPS[o.op](o);
+        });
+        ops.forEach((o, idx) => notify(o.table, o.op === 'remove' ? 'delete' : o.op, ok(results[idx])));
+        return { data: copy(results), error: null };
+      } catch (err) {
+        tables.clear();
+        saved.forEach(([table, rows]) => tables.set(table, rows));
+        nextId = savedNextId;
+        return { data: null, error: err };
+      }
+    },
+
+    subscribe: (table, onChange) => {
+      const listener = { table, onChange };
+      listeners.add(listener);
+      return () => listeners.delete(listener);
+    },
+
+    files: {
+      upload: async (path, file) => {
+        files.set(path, file);
+        return { data: { path }, error: null };
+      },
+      url: async (path) => {
+        const file = files.get(path);
+        const url = file && typeof URL.createObjectURL === 'function' ? URL.createObjectURL(file) : null;
+        return { data: url, error: url ? null : new Error(`No file at ${path}`) };
+      },
+    },
+
+    auth: localAuth,
+    households: localHouseholds,
+  };
+}
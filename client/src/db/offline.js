@@ -0,0 +1,353 @@
+// ==========================
+// OFFLINE CACHE & SYNC QUEUE
+// ==========================
+// Wraps a backend adapter so the fridge keeps working without a connection:
+//
+// - Reads of `fridge` go to the backend when it's reachable and refresh a
+//   local copy (IndexedDB, see ./offlineStorage.js); offline they are served
+//   from that copy.
+// - Writes to the fridge and its history tables (OFFLINE_TABLES), single or
+//   batched, go straight through when online. Offline — or when the request
+//   fails for network reasons — they are applied to the local copy, queued
+//   and replayed in order once the connection is back. Rows added offline
+//   get a temporary negative id that is swapped for the real one during
+//   replay.
+// - Conflicts are last-writer-wins on fridge.updated_at: a queued edit or
+//   delete is skipped when the row was changed elsewhere after the offline
+//   change was made (or is gone), and reported in the sync status. Times come
+//   from the device clocks, so a badly wrong clock can tip close calls.
+//   Batches (e.g. cooking a recipe) replay as one transaction, unchecked.
+//
+// The sync status ({ online, pending, syncing, failed, conflicts, version })
+// drives the indicator in the dashboard; `version` goes up after every replay
+// so views can reload.
+import { matchesFilters, runQuery } from './query';
+import { rowDefaults } from './memoryAdapter';
+
+export const OFFLINE_TABLES = new Set(['fridge', 'fridge_events', 'expiry_corrections']);
+const CACHED_TABLE = 'fridge';
+
+// fetch() failures look like this in Chrome, Firefox, Safari and Node
+export const isNetworkError = (error) =>
+  Boolean(error) && /failed to fetch|networkerror|network request failed|load failed|fetch failed/i.test(String(error.message || error));
+
+const isTempId = (id) => typeof id === 'number' && id < 0;
+const time = (ts) => (ts ? Date.parse(ts) : 0);
+const copy = (value) => JSON.parse(JSON.stringify(value));
+
+let tempCounter = 0;
+const tempId = () => -(Date.now() * 1000 + (tempCounter++ % 1000));
+
+export function withOfflineCache(
+  adapter,
+  { storage, isOnline = () => navigator.onLine, now = () => new Date().toISOString(), listen = true }
+) {
+  // --------------------------
+  // State (per scope: one user's household on one backend)
+  // --------------------------
+  let scope = 'default';
+  let cache = null; // fridge rows as last known here (null = never loaded)
+  let queue = [];   // pending writes, oldest first
+  let idMap = {};   // temp id → server id, for rows added offline
+  let flushing = null;
+  const status = { online: isOnline(), pending: 0, syncing: false, failed: 0, conflicts: [], version: 0 };
+  const listeners = new Set();
+
+  const emit = (changes = {}) => {
+    Object.assign(status, changes, { pending: queue.length });
+    listeners.forEach((listener) => listener({ ...status }));
+  };
+
+  const key = (name) => `${scope}:${name}`;
+  const persist = () =>
+    Promise.all([storage.set(key('cache'), cache), storage.set(key('queue'), queue), storage.set(key('idMap'), idMap)]).catch(
+      (err) => console.error('Could not save the offline copy:', err)
+    );
+
+  const load = async () => {
+    try {
+      const [savedCache, savedQueue, savedIdMap] = await Promise.all([
+        storage.get(key('cache')),
+        storage.get(key('queue')),
+        storage.get(key('idMap')),
+      ]);
+      cache = savedCache ?? null;
+      queue = savedQueue ?? [];
+      idMap = savedIdMap ?? {};
+    } catch (err) {
+      console.error('Could not read the offline copy:', err);
+      cache = null;
+      queue = [];
+      idMap = {};
+    }
+    emit();
+  };
+  let ready = load();
+
+  // --------------------------
+  // Local copy
+  // --------------------------
+  const applyToCache = (op, rows) => {
+    if (op.table !== CACHED_TABLE || cache === null) return;
+    if (op.op === 'insert') {
+      cache = [...cache, ...rows];
+    } else if (op.op === 'update') {
+      const byId = new Map(rows.map((r) => [r.id, r]));
+      cache = cache.map((r) => byId.get(r.id) || r);
+    } else {
+      const gone = new Set(rows.map((r) => r.id));
+      cache = cache.filter((r) => !gone.has(r.id));
+    }
+  };
+
+  const refreshCache = async () => {
+    const { data, error } = await adapter.list(CACHED_TABLE);
+    if (error) return;
+    cache = data;
+    idMap = {};
+    await persist();
+  };
+
+  // --------------------------
+  // Queue
+  // --------------------------
+  // Makes a write ready to queue (temp ids, updated_at, names for conflict
+  // reports) → the rows it affects, as the backend would return them
+  const prepare = (op) => {
+    const matching = cache && op.filters ? cache.filter((r) => matchesFilters(r, op.filters)) : [];
+    let result = [];
+
+    if (op.op === 'insert') {
+      if (op.table === CACHED_TABLE) {
+        op.rows = op.rows.map((r) => ({ ...rowDefaults(op.table), ...r, id: tempId(), updated_at: op.at }));
+      }
+      result = op.rows;
+    } else if (op.op === 'update') {
+      if (op.table === CACHED_TABLE) op.patch = { ...op.patch, updated_at: op.at };
+      result = matching.map((r) => ({ ...r, ...op.patch }));
+    } else {
+      result = matching;
+    }
+    // Names, so conflicts can be reported after the rows are gone
+    op.names = Object.fromEntries(matching.map((r) => [r.id, r.item_name]));
+    applyToCache(op, result);
+    return result;
+  };
+
+  const enqueue = async (op) => {
+    op.at = now();
+    let result;
+    if (op.op === 'batch') {
+      result = op.ops.map((o) => {
+        o.at = op.at;
+        return prepare(o);
+      });
+    } else {
+      result = prepare(op);
+    }
+
+    queue = [...queue, op];
+    await persist();
+    emit();
+    if (isOnline()) flush();
+    return { data: copy(result), error: null };
+  };
+
+  const resolveId = (id) => (isTempId(id) ? idMap[id] ?? id : id);
+
+  const conflict = (op, id, reason) => {
+    status.conflicts = [...status.conflicts, { id, item_name: op.names?.[id] || 'An item', reason, at: op.at }];
+  };
+
+  // Rows as sent to the backend: no temp ids, references to offline rows resolved
+  const serverRows = (rows) =>
+    rows.map(({ id, ...row }) => {
+      const out = isTempId(id) ? row : { id, ...row };
+      if ('fridge_id' in out) {
+        const fridgeId = resolveId(out.fridge_id);
+        out.fridge_id = isTempId(fridgeId) ? null : fridgeId;
+      }
+      return out;
+    });
+
+  const rememberIds = (rows, saved) =>
+    rows.forEach((r, idx) => {
+      if (isTempId(r.id) && saved?.[idx]) idMap[r.id] = saved[idx].id;
+    });
+
+  // A batch replays as one transaction, as it was meant to (no last-writer-wins
+  // check: it records what was actually done, e.g. cooking). Ops on rows that
+  // never reached the backend are dropped.
+  const replayBatch = async (op) => {
+    const sent = [];
+    for (const o of op.ops) {
+      if (o.op === 'insert') {
+        sent.push({ source: o, op: { ...o, rows: serverRows(o.rows) } });
+        continue;
+      }
+      const ids = [].concat(o.filters.id ?? []).map(resolveId).filter((id) => !isTempId(id));
+      if (o.filters.id !== undefined && ids.length === 0) continue;
+      const filters = o.filters.id === undefined ? o.filters : { ...o.filters, id: ids };
+      sent.push({ source: o, op: { op: o.op, table: o.table, filters, patch: o.patch } });
+    }
+    if (!sent.length) return null;
+    const { data, error } = await adapter.batch(sent.map((s) => s.op));
+    if (error) return error;
+    sent.forEach((s, idx) => {
+      if (s.source.op === 'insert') rememberIds(s.source.rows, data?.[idx]);
+    });
+    return null;
+  };
+
+  // One queued write against the backend → null, or the error that stopped it
+  const replay = async (op) => {
+    if (op.op === 'batch') return replayBatch(op);
+    if (op.op === 'insert') {
+      const { data, error } = await adapter.insert(op.table, serverRows(op.rows));
+      if (error) return error;
+      rememberIds(op.rows, data);
+      return null;
+    }
+
+    const ids = [].concat(op.filters.id ?? []).map(resolveId);
+    if (op.table !== CACHED_TABLE || ids.length === 0) {
+      const { error } = op.op === 'update' ? await adapter.update(op.table, op.filters, op.patch) : await adapter.remove(op.table, op.filters);
+      return error;
+    }
+
+    // Last writer wins: skip rows changed (or deleted) after this offline change
+    const live = ids.filter((id) => !isTempId(id));
+    const { data: current, error } = live.length ? await adapter.list(op.table, { filters: { id: live } }) : { data: [] };
+    if (error) return error;
+    const targets = [];
+    for (const id of ids) {
+      const row = current.find((r) => r.id === id);
+      if (!row) {
+        if (op.op === 'update') conflict(op, id, 'deleted');
+      } else if (time(row.updated_at) > time(op.at)) {
+        conflict(op, id, 'newer');
+      } else {
+        targets.push(id);
+      }
+    }
+    if (targets.length === 0) return null;
+    const { error: writeError } =
+      op.op === 'update'
+        ? await adapter.update(op.table, { id: targets.length === 1 ? targets[0] : targets }, op.patch)
+        : await adapter.remove(op.table, { id: targets });
+    return writeError;
+  };
+
+  // Replays the queue in order; stops (keeping the rest) at the first network failure
+  const flush = () => {
+    if (flushing) return flushing;
+    flushing = (async () => {
+      await ready;
+      if (!isOnline() || queue.length === 0) return;
+      emit({ syncing: true });
+      let replayed = 0;
+      while (queue.length) {
+        const error = await replay(queue[0]);
+        if (error && isNetworkError(error)) break;
+        if (error) {
+          console.error('Offline change rejected by the server, dropping it:', error);
+          status.failed += 1;
+        }
+        queue = queue.slice(1);
+        replayed += 1;
+        await persist();
+      }
+      if (queue.length === 0) await refreshCache();
+      emit({ syncing: false, version: status.version + (replayed ? 1 : 0) });
+    })().finally(() => {
+      flushing = null;
+    });
+    return flushing;
+  };
+
+  // --------------------------
+  // Adapter surface
+  // --------------------------
+  const write = async (op, direct) => {
+    await ready;
+    if (isOnline() && queue.length === 0) {
+      const result = await direct();
+      if (!result.error) {
+        if (op.op === 'batch') op.ops.forEach((o, idx) => applyToCache(o, result.data?.[idx] || []));
+        else applyToCache(op, result.data || []);
+        await persist();
+        return result;
+      }
+      if (!isNetworkError(result.error)) return result;
+    }
+    return enqueue(op);
+  };
+
+  if (listen && typeof window !== 'undefined') {
+    window.addEventListener('online', () => {
+      emit({ online: true });
+      flush();
+    });
+    window.addEventListener('offline', () => emit({ online: false }));
+  }
+
+  return {
+    ...adapter,
+
+    list: async (table, query = {}) => {
+      if (table !== CACHED_TABLE) return adapter.list(table, query);
+      await ready;
+      if (isOnline() && queue.length === 0) {
+        const result = await adapter.list(table, query);
+        if (!result.error) {
+          if (!query.filters && !query.limit) {
+            cache = result.data;
+            await persist();
+          }
+          return result;
+        }
+        if (!isNetworkError(result.error)) return result;
+      } else if (isOnline()) {
+        flush(); // pending changes first; the view reloads when `version` moves
+      }
+      if (cache === null) {
+        return { data: null, error: new Error('Offline, and the fridge has not been loaded on this device yet.') };
+      }
+      return { data: copy(runQuery(cache, query)), error: null };
+    },
+
+    insert: (table, rows) =>
+      OFFLINE_TABLES.has(table)
+        ? write({ op: 'insert', table, rows }, () => adapter.insert(table, rows))
+        : adapter.insert(table, rows),
+    update: (table, filters, patch) =>
+      OFFLINE_TABLES.has(table)
+        ? write({ op: 'update', table, filters, patch }, () => adapter.update(table, filters, patch))
+        : adapter.update(table, filters, patch),
+    remove: (table, filters) =>
+      OFFLINE_TABLES.has(table)
+        ? write({ op: 'remove', table, filters }, () => adapter.remove(table, filters))
+        : adapter.remove(table, filters),
+    batch: (ops) =>
+      ops.every((o) => OFFLINE_TABLES.has(o.table))
+        ? write({ op: 'batch', ops: ops.map((o) => ({ ...o })) }, () => adapter.batch(ops))
+        : adapter.batch(ops),
+
+    sync: {
+      subscribe: (listener) => {
+        listeners.add(listener);
+        listener({ ...status });
+        return () => listeners.delete(listener);
+      },
+      flush,
+      // Cache and queue are kept per scope so households never see each other's data
+      setScope: (next) => {
+        if (next === scope) return ready;
+        scope = next;
+        ready = load();
+        return ready;
+      },
+      clearProblems: () => emit({ conflicts: [], failed: 0 }),
+    },
+  };
+}
@@ -0,0 +1,170 @@
+import { createRepositories } from './repositories';
+import { createMemoryAdapter } from './memoryAdapter';
+import { isNetworkError, withOfflineCache } from './offline';
+import { createMemoryStorage } from './offlineStorage';
+
+// A memory backend behind a switchable "network"
+const setup = ({ storage = createMemoryStorage(), remote } = {}) => {
+  const net = { online: true };
+  const backend =
+    remote ||
+    createMemoryAdapter({
+      fridge: [
+        { id: 1, item_name: 'Milk', quantity: 1, updated_at: '2026-10-19T08:00:00.000Z' },
+        { id: 2, item_name: 'Eggs', quantity: 6, updated_at: '2026-10-19T08:00:00.000Z' },
+      ],
+    });
+  const unreachable = (fn) => (...args) =>
+    net.online ? fn(...args) : Promise.resolve({ data: null, error: new TypeError('Failed to fetch') });
+  const flaky = {
+    ...backend,
+    list: unreachable(backend.list),
+    insert: unreachable(backend.insert),
+    update: unreachable(backend.update),
+    remove: unreachable(backend.remove),
+    batch: unreachable(backend.batch),
+  };
+  let clock = Date.parse('2026-10-19T09:00:00.000Z');
+  const adapter = withOfflineCache(flaky, {
+    storage,
+    isOnline: () => net.online,
+    now: () => new Date((clock += 1000)).toISOString(),
+    listen: false,
+  });
+  return { db: createRepositories(adapter), backend, net, storage };
+};
+
+const names = (rows) => rows.map((r) => r.item_name).sort();
+
+test('reads fall back to the last copy while offline', async () => {
+  const { db, net } = setup();
+  await db.items.list();
+  net.online = false;
+  const { data, error } = await db.items.list();
+  expect(error).toBeNull();
+  expect(names(data)).toEqual(['Eggs', 'Milk']);
+});
+
+test('offline writes apply locally, queue, and replay in order', async () => {
+  const { db, net, backend } = setup();
+  await db.items.list();
+  net.online = false;
+
+  const { data: added } = await db.items.add([{ item_name: 'Yogurt', quantity: 2 }]);
+  expect(added[0].id).toBeLessThan(0);
+  await db.events.add([{ fridge_id: added[0].id, item_name: 'Yogurt', quantity: 1, outcome: 'consumed' }]);
+  await db.items.update(added[0].id, { quantity: 1 });
+  await db.items.remove([2]);
+
+  expect(names((await db.items.list()).data)).toEqual(['Milk', 'Yogurt']);
+  const seen = [];
+  db.sync.subscribe((s) => seen.push(s));
+  expect(seen[0].pending).toBe(4);
+
+  net.online = true;
+  await db.sync.flush();
+
+  const { data: remote } = await backend.list('fridge');
+  expect(names(remote)).toEqual(['Milk', 'Yogurt']);
+  const yogurt = remote.find((r) => r.item_name === 'Yogurt');
+  expect(yogurt.quantity).toBe(1);
+  expect((await backend.list('fridge_events')).data[0].fridge_id).toBe(yogurt.id);
+
+  const last = seen[seen.length - 1];
+  expect(last).toMatchObject({ pending: 0, syncing: false, conflicts: [], version: 1 });
+  expect((await db.items.list()).data.every((r) => r.id > 0)).toBe(true);
+});
+
+test('an offline batch applies locally and replays as one transaction', async () => {
+  const { db, net, backend } = setup();
+  await db.items.list();
+  net.online = false;
+
+  const { data: added } = await db.items.add([{ item_name: 'Yogurt', quantity: 2 }]);
+  await db.items.cook({
+    events: [{ fridge_id: added[0].id, item_name: 'Yogurt', quantity: 2, outcome: 'consumed' }],
+    updates: [{ id: 2, patch: { quantity: 2 } }],
+    removals: [added[0].id],
+    additions: [{ item_name: 'Leftovers', quantity: 1 }],
+  });
+  expect(names((await db.items.list()).data)).toEqual(['Eggs', 'Leftovers', 'Milk']);
+
+  net.online = true;
+  await db.sync.flush();
+
+  const { data: remote } = await backend.list('fridge');
+  expect(remote.map((r) => [r.item_name, r.quantity]).sort()).toEqual([['Eggs', 2], ['Leftovers', 1], ['Milk', 1]]);
+  const yogurtId = (await backend.list('fridge_events')).data[0].fridge_id;
+  expect(yogurtId).toBeGreaterThan(0);
+  expect((await db.items.list()).data.every((r) => r.id > 0)).toBe(true);
+});
+
+test('last writer wins: a later change elsewhere beats a queued edit', async () => {
+  const { db, net, backend } = setup();
+  await db.items.list();
+  net.online = false;
+  await db.items.update(1, { quantity: 0.5 }); // at 09:00:01
+  await db.items.update(2, { quantity: 3 });   // at 09:00:02
+
+  // Another device edits Milk later and deletes Eggs
+  await backend.update('fridge', { id: 1 }, { quantity: 0.25, updated_at: '2026-10-19T10:00:00.000Z' });
+  await backend.remove('fridge', { id: 2 });
+
+  net.online = true;
+  await db.sync.flush();
+
+  expect((await backend.list('fridge')).data.map((r) => r.quantity)).toEqual([0.25]);
+  let status;
+  db.sync.subscribe((s) => (status = s));
+  expect(status.conflicts.map((c) => [c.item_name, c.reason])).toEqual([
+    ['Milk', 'newer'],
+    ['Eggs', 'deleted'],
+  ]);
+  db.sync.clearProblems();
+  expect(status.conflicts).toEqual([]);
+});
+
+test('queued edits older than the last remote change are applied otherwise', async () => {
+  const { db, net, backend } = setup();
+  await db.items.list();
+  net.online = false;
+  await db.items.update(1, { quantity: 0.5 });
+  net.online = true;
+  await db.sync.flush();
+  expect((await backend.list('fridge', { filters: { id: 1 } })).data[0].quantity).toBe(0.5);
+});
+
+test('the queue survives a reload and stays per scope', async () => {
+  const storage = createMemoryStorage();
+  const remote = createMemoryAdapter({ fridge: [{ id: 1, item_name: 'Milk' }] });
+  const first = setup({ storage, remote });
+  await first.db.sync.setScope('alice:home');
+  await first.db.items.list();
+  first.net.online = false;
+  await first.db.items.add([{ item_name: 'Bread' }]);
+
+  const second = setup({ storage, remote });
+  second.net.online = false;
+  await second.db.sync.setScope('alice:work');
+  expect((await second.db.items.list()).error).toBeTruthy(); // never loaded there
+
+  await second.db.sync.setScope('alice:home');
+  expect(names((await second.db.items.list()).data)).toEqual(['Bread', 'Milk']);
+  second.net.online = true;
+  await second.db.sync.flush();
+  expect(names((await remote.list('fridge')).data)).toEqual(['Bread', 'Milk']);
+});
+
+test('errors other than the network are returned, not queued', async () => {
+  const backend = createMemoryAdapter();
+  const remote = { ...backend, insert: async () => ({ data: null, error: { message: 'null value in column "item_name"' } }) };
+  const { db } = setup({ remote });
+  const { error } = await db.items.add([{ quantity: 1 }]);
+  expect(error.message).toMatch(/null value/);
+
+  let status;
+  db.sync.subscribe((s) => (status = s));
+  expect(status.pending).toBe(0);
+  expect(isNetworkError(new TypeError('Failed to fetch'))).toBe(true);
+  expect(isNetworkError(error)).toBe(false);
+});
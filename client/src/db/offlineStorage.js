@@ -0,0 +1,48 @@
+// ==========================
+// OFFLINE STORAGE
+// ==========================
+// Tiny key-value stores for the offline cache and sync queue (./offline.js):
+// IndexedDB in the browser, a Map in tests. Values must be structured-cloneable.
+
+const DB_VERSION = 1;
+const STORE = 'kv';
+
+export function createIndexedDbStorage(name = 'chopchop-offline') {
+  let opening = null;
+  const open = () => {
+    opening =
+      opening ||
+      new Promise((resolve, reject) => {
+        const request = indexedDB.open(name, DB_VERSION);
+        request.onupgradeneeded = () => request.result.createObjectStore(STORE);
+        request.onsuccess = () => resolve(request.result);
+        request.onerror = () => reject(request.error);
+      });
+    return opening;
+  };
+
+  const run = async (mode, action) => {
+    const db = await open();
+    return new Promise((resolve, reject) => {
+      const tx = db.transaction(STORE, mode);
+      const request = action(tx.objectStore(STORE));
+      tx.oncomplete = () => resolve(request.result);
+      tx.onerror = () => reject(tx.error);
+    });
+  };
+
+  return {
+    get: (key) => run('readonly', (store) => store.get(key)),
+    set: (key, value) => run('readwrite', (store) => store.put(value, key)),
+  };
+}
+
+export function createMemoryStorage() {
+  const values = new Map();
+  return {
+    get: async (key) => values.get(key),
+    set: async (key, value) => {
+      values.set(key, value);
+    },
+  };
+}
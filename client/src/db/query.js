@@ -0,0 +1,43 @@
+// ==========================
+// QUERY SEMANTICS
+// ==========================
+// Every backend takes the same small query shape:
+//   filters  { column: value }   value → equals, [values] → in, null → is null
+//   order    [{ column, ascending = true, nullsFirst }]
+//   limit    number
+// Nulls sort like Postgres: last when ascending, first when descending,
+// unless nullsFirst says otherwise. The in-memory backend uses these helpers
+// directly; the SQLite store in server/lib/localStore.js mirrors them in SQL.
+
+export function matchesFilters(row, filters = {}) {
+  return Object.entries(filters).every(([column, value]) => {
+    const cell = row[column] ?? null;
+    if (Array.isArray(value)) return value.some((v) => v === cell);
+    return value === null ? cell === null : cell === value;
+  });
+}
+
+const compareValues = (a, b) => {
+  if (typeof a === 'number' && typeof b === 'number') return a - b;
+  return String(a).localeCompare(String(b));
+};
+
+export function sortRows(rows, order = []) {
+  return [...rows].sort((a, b) => {
+    for (const { column, ascending = true, nullsFirst = !ascending } of order) {
+      const x = a[column] ?? null;
+      const y = b[column] ?? null;
+      if (x === null && y === null) continue;
+      if (x === null) return nullsFirst ? -1 : 1;
+      if (y === null) return nullsFirst ? 1 : -1;
+      const diff = compareValues(x, y);
+      if (diff !== 0) return ascending ? diff : -diff;
+    }
+    return 0;
+  });
+}
+
+export function runQuery(rows, { filters, order, limit } = {}) {
+  const sorted = sortRows(rows.filter((r) => matchesFilters(r, filters)), order);
+  return limit ? sorted.slice(0, limit) : sorted;
+}
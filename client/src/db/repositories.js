@@ -0,0 +1,175 @@
+// ==========================
+// DATA ACCESS
+// ==========================
+// What the app reads and writes — fridge items, receipts, recipes, outcome
+// events, the shopping list and shelf-life data — on top of a backend
+// adapter. Adapters (supabaseAdapter, localAdapter, memoryAdapter) only
+// provide table primitives (list / insert / upsert / update / remove with the
+// query shape in ./query.js, batch for several writes in one transaction), a
+// change feed (subscribe), photo files, auth and households; every call
+// resolves to { data, error } like supabase-js, so callers handle errors the
+// same way whichever backend is configured.
+
+const first = async (request) => {
+  const { data, error } = await request;
+  return { data: data?.[0] ?? null, error };
+};
+
+const asList = (ids) => (Array.isArray(ids) ? ids : [ids]);
+
+export function createRepositories(adapter) {
+  // Events, row updates, removals and new fridge rows → one adapter batch
+  const applyChanges = async ({ events: eventRows = [], updates = [], removals = [], additions = [] }) => {
+    const ops = [
+      ...(eventRows.length ? [{ op: 'insert', table: 'fridge_events', rows: eventRows }] : []),
+      ...updates.map(({ id, patch }) => ({ op: 'update', table: 'fridge', filters: { id }, patch })),
+      ...(removals.length ? [{ op: 'remove', table: 'fridge', filters: { id: removals } }] : []),
+      ...(additions.length ? [{ op: 'insert', table: 'fridge', rows: additions }] : []),
+    ];
+    if (!ops.length) return { data: [], error: null };
+    return adapter.batch(ops);
+  };
+
+  // --------------------------
+  // Fridge items
+  // --------------------------
+  const items = {
+    list: () => adapter.list('fridge', { order: [{ column: 'expires_on', ascending: true }] }),
+    forReceipt: (receiptId) => adapter.list('fridge', { filters: { receipt_id: receiptId } }),
+    add: (rows) => adapter.insert('fridge', rows),
+    update: (id, patch) => first(adapter.update('fridge', { id }, patch)),
+    remove: (ids) => adapter.remove('fridge', { id: asList(ids) }),
+    // A cooking plan (lib/cooking.js) in one transaction: consumed events
+    // first, then row updates and removals, then new rows (leftovers)
+    cook: (plan) => applyChanges(plan),
+    // A confirmed receipt in one transaction: merges into existing rows, then new rows
+    stock: ({ updates = [], additions = [] }) => applyChanges({ updates, additions }),
+    // Eaten / thrown out / mistake: the events and the fridge change they
+    // describe succeed or fail together, so nothing is counted twice or lost
+    recordOutcome: ({ events: eventRows, updates = [], removals = [] }) => applyChanges({ events: eventRows, updates, removals }),
+    // A hand-edited expiry and the correction it teaches the shelf-life table
+    correctExpiry: (id, patch, correction) =>
+      adapter.batch([
+        { op: 'update', table: 'fridge', filters: { id }, patch },
+        ...(correction ? [{ op: 'insert', table: 'expiry_corrections', rows: [correction] }] : []),
+      ]),
+    // onChange({ table, op, ids }) when the fridge changes anywhere; → unsubscribe
+    subscribe: (onChange) => (adapter.subscribe ? adapter.subscribe('fridge', onChange) : () => {}),
+  };
+
+  // --------------------------
+  // Outcome events (eaten / thrown out / mistake)
+  // --------------------------
+  const events = {
+    list: ({ limit = 2000 } = {}) =>
+      adapter.list('fridge_events', { order: [{ column: 'occurred_at', ascending: false }], limit }),
+    add: (rows) => adapter.insert('fridge_events', rows),
+  };
+
+  // --------------------------
+  // Receipts (+ their photos)
+  // --------------------------
+  const receipts = {
+    // Newest purchase first; receipts without a date after the dated ones
+    list: () =>
+      adapter.list('receipts', {
+        order: [
+          { column: 'purchased_on', ascending: false, nullsFirst: false },
+          { column: 'created_at', ascending: false },
+        ],
+      }),
+    get: (id) => first(adapter.list('receipts', { filters: { id } })),
+    create: (receipt) => first(adapter.insert('receipts', [receipt])),
+    update: (id, patch) => first(adapter.update('receipts', { id }, patch)),
+    // Stored under <household id>/<receipt id>/<name> (household id only where
+    // the backend has households), which is what the storage policy expects
+    uploadPhoto: async (receipt, name, file) => {
+      const path = [receipt.household_id, receipt.id, name].filter((part) => part != null).join('/');
+      const { error } = await adapter.files.upload(path, file);
+      return { data: error ? null : path, error };
+    },
+    photoUrl: (path) => adapter.files.url(path),
+  };
+
+  // --------------------------
+  // Saved recipes
+  // --------------------------
+  const recipes = {
+    list: () => adapter.list('recipes', { order: [{ column: 'created_at', ascending: false }] }),
+    save: (recipe) => first(adapter.insert('recipes', [recipe])),
+    update: (id, patch) => first(adapter.update('recipes', { id }, patch)),
+    markCooked: (saved) =>
+      first(
+        adapter.update(
+          'recipes',
+          { id: saved.id },
+          { cooked_count: (saved.cooked_count || 0) + 1, last_cooked_at: new Date().toISOString() }
+        )
+      ),
+    remove: (id) => adapter.remove('recipes', { id }),
+  };
+
+  // --------------------------
+  // Shopping list and "always keep" staples
+  // --------------------------
+  const shopping = {
+    list: () => adapter.list('shopping_items', { order: [{ column: 'created_at', ascending: true }] }),
+    add: (rows) => adapter.insert('shopping_items', rows),
+    // Checked off or bought: the row just goes
+    remove: (ids) => adapter.remove('shopping_items', { id: asList(ids) }),
+    subscribe: (onChange) => (adapter.subscribe ? adapter.subscribe('shopping_items', onChange) : () => {}),
+  };
+
+  const staples = {
+    list: () => adapter.list('staples', { order: [{ column: 'name', ascending: true }] }),
+    add: (row) => first(adapter.insert('staples', [row])),
+    update: (id, patch) => first(adapter.update('staples', { id }, patch)),
+    remove: (id) => adapter.remove('staples', { id }),
+  };
+
+  // --------------------------
+  // Meal plans (one per week, keyed by its first day)
+  // --------------------------
+  const mealPlans = {
+    latest: () => first(adapter.list('meal_plans', { order: [{ column: 'week_start', ascending: false }], limit: 1 })),
+    save: (plan) => first(adapter.upsert('meal_plans', [plan], ['week_start'])),
+  };
+
+  // --------------------------
+  // Dietary profile (one row per household, created on first save)
+  // --------------------------
+  const dietaryProfile = {
+    get: () => first(adapter.list('dietary_profiles', { limit: 1 })),
+    save: ({ id, ...profile }) =>
+      first(id ? adapter.update('dietary_profiles', { id }, profile) : adapter.insert('dietary_profiles', [profile])),
+  };
+
+  // --------------------------
+  // Shelf-life overrides and expiry corrections
+  // --------------------------
+  const shelfLife = {
+    overrides: () => adapter.list('shelf_life_overrides'),
+    saveOverride: (row) => first(adapter.upsert('shelf_life_overrides', [row], ['item_key'])),
+    resetOverride: (itemKey) => adapter.remove('shelf_life_overrides', { item_key: itemKey }),
+    corrections: ({ limit = 1000 } = {}) =>
+      adapter.list('expiry_corrections', { order: [{ column: 'created_at', ascending: false }], limit }),
+    addCorrection: (row) => adapter.insert('expiry_corrections', [row]),
+  };
+
+  return {
+    backend: adapter.name,
+    items,
+    events,
+    receipts,
+    recipes,
+    shopping,
+    staples,
+    mealPlans,
+    dietaryProfile,
+    shelfLife,
+    auth: adapter.auth,
+    households: adapter.households,
+    // Offline queue status/controls when the adapter is wrapped by ./offline.js
+    sync: adapter.sync || null,
+  };
+}
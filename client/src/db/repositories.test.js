@@ -0,0 +1,218 @@
+import { createRepositories } from './repositories';
+import { createMemoryAdapter } from './memoryAdapter';
+import { runQuery } from './query';
+
+const fresh = () =>
+  createRepositories(
+    createMemoryAdapter({
+      fridge: [
+        { id: 1, item_name: 'Milk', quantity: 1, unit: 'l', expires_on: '2026-10-25T00:00:00.000Z', receipt_id: 7 },
+        { id: 2, item_name: 'Rice', quantity: 1, unit: 'kg', expires_on: null, receipt_id: null },
+        { id: 3, item_name: 'Eggs', quantity: 6, unit: 'pcs', expires_on: '2026-10-21T00:00:00.000Z', receipt_id: 7 },
+      ],
+    })
+  );
+
+describe('query semantics', () => {
+  const rows = [
+    { id: 1, d: '2026-01-02' },
+    { id: 2, d: null },
+    { id: 3, d: '2026-01-01' },
+  ];
+
+  test('nulls sort last ascending and first descending, like Postgres', () => {
+    expect(runQuery(rows, { order: [{ column: 'd' }] }).map((r) => r.id)).toEqual([3, 1, 2]);
+    expect(runQuery(rows, { order: [{ column: 'd', ascending: false }] }).map((r) => r.id)).toEqual([2, 1, 3]);
+    expect(runQuery(rows, { order: [{ column: 'd', ascending: false, nullsFirst: false }] }).map((r) => r.id)).toEqual([1, 3, 2]);
+  });
+
+  test('filters: equals, in and is null', () => {
+    expect(runQuery(rows, { filters: { id: 3 } }).map((r) => r.id)).toEqual([3]);
+    expect(runQuery(rows, { filters: { id: [1, 2] } }).map((r) => r.id)).toEqual([1, 2]);
+    expect(runQuery(rows, { filters: { d: null } }).map((r) => r.id)).toEqual([2]);
+  });
+});
+
+describe('items', () => {
+  test('list is ordered by soonest expiry, undated last', async () => {
+    const { data, error } = await fresh().items.list();
+    expect(error).toBeNull();
+    expect(data.map((r) => r.item_name)).toEqual(['Eggs', 'Milk', 'Rice']);
+  });
+
+  test('add fills column defaults and returns the new rows', async () => {
+    const db = fresh();
+    const { data } = await db.items.add([{ item_name: 'Yogurt' }]);
+    expect(data[0]).toMatchObject({ id: 4, item_name: 'Yogurt', quantity: 1, unit: 'pcs', location: 'fridge', batches: [] });
+    expect((await db.items.list()).data).toHaveLength(4);
+  });
+
+  test('update, remove and forReceipt', async () => {
+    const db = fresh();
+    const { data: updated } = await db.items.update(1, { quantity: 0.5 });
+    expect(updated.quantity).toBe(0.5);
+
+    await db.items.remove([3]);
+    expect((await db.items.forReceipt(7)).data.map((r) => r.id)).toEqual([1]);
+  });
+
+  test('returned rows are copies', async () => {
+    const db = fresh();
+    const { data } = await db.items.list();
+    data[0].item_name = 'changed';
+    expect((await db.items.list()).data[0].item_name).toBe('Eggs');
+  });
+});
+
+describe('cooking', () => {
+  test('cook writes events, updates, removals and leftovers together', async () => {
+    const db = fresh();
+    const { error } = await db.items.cook({
+      events: [{ fridge_id: 3, item_name: 'Eggs', quantity: 6, outcome: 'consumed' }],
+      updates: [{ id: 1, patch: { quantity: 0.5 } }],
+      removals: [3],
+      additions: [{ item_name: 'Leftovers: Omelette', quantity: 2 }],
+    });
+    expect(error).toBeNull();
+    const { data } = await db.items.list();
+    expect(data.map((r) => [r.item_name, r.quantity])).toEqual([
+      ['Milk', 0.5],
+      ['Rice', 1],
+      ['Leftovers: Omelette', 2],
+    ]);
+    expect((await db.events.list()).data).toHaveLength(1);
+  });
+
+  test('a failing step leaves everything as it was', async () => {
+    const adapter = createMemoryAdapter({ fridge: [{ id: 1, item_name: 'Milk', quantity: 1 }] });
+    const { error } = await adapter.batch([
+      { op: 'update', table: 'fridge', filters: { id: 1 }, patch: { quantity: 0 } },
+      { op: 'insert', table: 'fridge', rows: [{ item_name: 'Leftovers' }] },
+      { op: 'insert', table: 'nope', rows: [{}] },
+    ]);
+    expect(error.message).toMatch(/Unknown table/);
+    expect((await adapter.list('fridge')).data).toEqual([expect.objectContaining({ id: 1, quantity: 1 })]);
+    expect((await adapter.insert('fridge', [{ item_name: 'Yogurt' }])).data[0].id).toBe(2);
+  });
+});
+
+describe('stocking and outcomes', () => {
+  test('stock merges into existing rows and adds new ones together', async () => {
+    const db = fresh();
+    const { error } = await db.items.stock({
+      updates: [{ id: 1, patch: { quantity: 2 } }],
+      additions: [{ item_name: 'Butter', receipt_id: 8 }],
+    });
+    expect(error).toBeNull();
+    expect((await db.items.forReceipt(8)).data.map((r) => r.item_name)).toEqual(['Butter']);
+    expect((await db.items.list()).data.find((r) => r.id === 1).quantity).toBe(2);
+  });
+
+  test('recordOutcome writes the events together with the fridge change', async () => {
+    const db = fresh();
+    const { error } = await db.items.recordOutcome({
+      events: [{ fridge_id: 3, item_name: 'Eggs', quantity: 6, outcome: 'wasted' }],
+      updates: [{ id: 1, patch: { quantity: 0.5 } }],
+      removals: [3],
+    });
+    expect(error).toBeNull();
+    expect((await db.items.list()).data.map((r) => r.id)).toEqual([1, 2]);
+    expect((await db.events.list()).data.map((e) => e.outcome)).toEqual(['wasted']);
+  });
+
+  test('correctExpiry saves the new expiry and the correction together', async () => {
+    const db = fresh();
+    const correction = { item_name: 'Milk', location: 'fridge', predicted_days: 7, corrected_days: 10 };
+    const { error } = await db.items.correctExpiry(1, { expires_on: '2026-10-28T00:00:00.000Z' }, correction);
+    expect(error).toBeNull();
+    expect((await db.items.list()).data.find((r) => r.id === 1).expires_on).toBe('2026-10-28T00:00:00.000Z');
+    expect((await db.shelfLife.corrections()).data).toEqual([expect.objectContaining(correction)]);
+  });
+});
+
+describe('receipts', () => {
+  test('create, get and photo paths', async () => {
+    const db = fresh();
+    const { data: receipt } = await db.receipts.create({ store: 'Aldi', ocr_text: 'MILK 1.29', items: [] });
+    expect((await db.receipts.get(receipt.id)).data.store).toBe('Aldi');
+
+    // No household id on backends without households
+    const { data: path } = await db.receipts.uploadPhoto(receipt, 'page-1.jpg', new Blob(['x']));
+    expect(path).toBe(`${receipt.id}/page-1.jpg`);
+    expect((await db.receipts.uploadPhoto({ ...receipt, household_id: 'h1' }, 'page-1.jpg', new Blob(['x']))).data).toBe(
+      `h1/${receipt.id}/page-1.jpg`
+    );
+  });
+
+  test('list puts undated receipts after dated ones', async () => {
+    const db = fresh();
+    await db.receipts.create({ store: 'A', purchased_on: null, ocr_text: '' });
+    await db.receipts.create({ store: 'B', purchased_on: '2026-10-01', ocr_text: '' });
+    await db.receipts.create({ store: 'C', purchased_on: '2026-10-10', ocr_text: '' });
+    expect((await db.receipts.list()).data.map((r) => r.store)).toEqual(['C', 'B', 'A']);
+  });
+
+  test('get of a missing receipt resolves to null', async () => {
+    expect(await fresh().receipts.get(99)).toEqual({ data: null, error: null });
+  });
+});
+
+describe('shelf life', () => {
+  test('saveOverride upserts by item key', async () => {
+    const db = fresh();
+    await db.shelfLife.saveOverride({ item_key: 'milk', fridge_days: 9 });
+    await db.shelfLife.saveOverride({ item_key: 'milk', fridge_days: 4 });
+    const { data } = await db.shelfLife.overrides();
+    expect(data).toHaveLength(1);
+    expect(data[0].fridge_days).toBe(4);
+
+    await db.shelfLife.resetOverride('milk');
+    expect((await db.shelfLife.overrides()).data).toEqual([]);
+  });
+});
+
+describe('meal plans', () => {
+  test('save replaces the week it is for; latest is the newest week', async () => {
+    const db = fresh();
+    expect(await db.mealPlans.latest()).toEqual({ data: null, error: null });
+
+    await db.mealPlans.save({ week_start: '2026-10-12', days: [] });
+    await db.mealPlans.save({ week_start: '2026-10-19', servings: 4, days: [{ locked: false, meals: [null] }] });
+    await db.mealPlans.save({ week_start: '2026-10-19', servings: 3, days: [{ locked: true, meals: [null] }] });
+
+    const { data } = await db.mealPlans.latest();
+    expect(data).toMatchObject({ week_start: '2026-10-19', servings: 3, meals_per_day: 2 });
+    expect(data.days[0].locked).toBe(true);
+  });
+});
+
+describe('dietary profile', () => {
+  test('the first save creates the row, later ones update it', async () => {
+    const db = fresh();
+    expect((await db.dietaryProfile.get()).data).toBeNull();
+
+    const { data: created } = await db.dietaryProfile.save({ allergens: ['Peanuts'] });
+    expect(created).toMatchObject({ allergens: ['Peanuts'], diets: [], max_minutes: null });
+    await db.dietaryProfile.save({ id: created.id, diets: ['Vegan'] });
+
+    const { data } = await db.dietaryProfile.get();
+    expect(data).toMatchObject({ id: created.id, allergens: ['Peanuts'], diets: ['Vegan'] });
+  });
+});
+
+describe('errors', () => {
+  test('unknown tables resolve to { error } instead of throwing', async () => {
+    const adapter = createMemoryAdapter();
+    const { data, error } = await adapter.list('nope');
+    expect(data).toBeNull();
+    expect(error.message).toMatch(/Unknown table/);
+  });
+
+  test('backends without accounts report one local household', async () => {
+    const db = fresh();
+    expect(db.auth.required).toBe(false);
+    const { data } = await db.households.load('local');
+    expect(data.households).toHaveLength(1);
+    expect((await db.households.invite('local', 'a@b.c')).error).toBeTruthy();
+  });
+});
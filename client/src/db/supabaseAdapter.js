@@ -0,0 +1,164 @@
+// ==========================
+// SUPABASE BACKEND
+// ==========================
+// The hosted (or `supabase start`) Postgres with accounts, households and
+// RLS. Rows are scoped to the signed-in user's current household by the
+// database, so nothing here filters by household.
+import { supabase } from '../supabaseClient';
+
+// Unique keys are per household in these tables (see the households_auth migration)
+const HOUSEHOLD_SCOPED = new Set([
+  'fridge',
+  'receipts',
+  'recipes',
+  'fridge_events',
+  'expiry_corrections',
+  'shelf_life_overrides',
+  'meal_plans',
+]);
+
+const PHOTO_BUCKET = 'receipts';
+const PHOTO_URL_TTL = 60 * 60; // seconds a signed photo URL stays valid
+
+let channelCount = 0;
+
+// Realtime row changes (tables must be in the supabase_realtime publication,
+// see the fridge_realtime migration). RLS decides which inserts and updates a
+// member receives; deletes arrive for any row, with only the id.
+function subscribeToTable(table, onChange) {
+  let subscribedBefore = false;
+  const channel = supabase
+    .channel(`${table}-changes-${++channelCount}`)
+    .on('postgres_changes', { event: '*', schema: 'public', table }, (payload) => {
+      const row = payload.new?.id !== undefined ? payload.new : payload.old;
+      onChange({ table, op: payload.eventType.toLowerCase(), ids: row?.id !== undefined ? [row.id] : [] });
+    })
+    .subscribe((status) => {
+      if (status !== 'SUBSCRIBED') return;
+      // Rejoined after a dropped connection: whatever changed meanwhile was missed
+      if (subscribedBefore) onChange({ table, op: 'reconnect', ids: [] });
+      subscribedBefore = true;
+    });
+  return () => {
+    supabase.removeChannel(channel);
+  };
+}
+
+function applyFilters(query, filters = {}) {
+  for (const [column, value] of Object.entries(filters)) {
+    if (Array.isArray(value)) query = query.in(column, value);
+    else if (value === null) query = query.is(column, null);
+    else query = query.eq(column, value);
+  }
+  return query;
+}
+
+// --------------------------
+// Households
+// --------------------------
+// → { data: { households: [{ id, name, role }], currentId, members, invites }, error }
+async function loadHouseholds(userId) {
+  const [profileRes, householdsRes, membershipsRes] = await Promise.all([
+    supabase.from('profiles').select('current_household_id').eq('id', userId).single(),
+    supabase.from('households').select('id, name').order('created_at'),
+    supabase.from('household_members').select('household_id, role').eq('user_id', userId),
+  ]);
+  const error = profileRes.error || householdsRes.error || membershipsRes.error;
+  if (error) return { data: null, error };
+
+  const roles = Object.fromEntries(membershipsRes.data.map((m) => [m.household_id, m.role]));
+  const households = householdsRes.data.map((h) => ({ ...h, role: roles[h.id] || 'member' }));
+  let currentId = profileRes.data.current_household_id;
+  if (!households.some((h) => h.id === currentId)) {
+    // Left (or was removed from) the current household → fall back to another one
+    currentId = households[0]?.id || null;
+    if (currentId) await supabase.rpc('set_current_household', { household: currentId });
+  }
+  if (!currentId) return { data: { households, currentId, members: [], invites: [] }, error: null };
+
+  const [membersRes, invitesRes] = await Promise.all([
+    supabase.from('household_members').select('user_id, role, joined_at').eq('household_id', currentId),
+    supabase
+      .from('household_invites')
+      .select('id, email, token, created_at, expires_at')
+      .eq('household_id', currentId)
+      .is('accepted_at', null)
+      .gt('expires_at', new Date().toISOString())
+      .order('created_at', { ascending: false }),
+  ]);
+  if (membersRes.error) console.error('Error fetching members:', membersRes.error);
+  if (invitesRes.error) console.error('Error fetching invites:', invitesRes.error);
+
+  // household_members and profiles both point at auth.users, so join by hand
+  const rows = membersRes.data || [];
+  const { data: profiles } = await supabase
+    .from('profiles')
+    .select('id, email')
+    .in('id', rows.map((m) => m.user_id));
+  const emails = Object.fromEntries((profiles || []).map((p) => [p.id, p.email]));
+  const members = rows.map((m) => ({ ...m, email: emails[m.user_id] || '' }));
+  return { data: { households, currentId, members, invites: invitesRes.data || [] }, error: null };
+}
+
+export function createSupabaseAdapter() {
+  return {
+    name: 'supabase',
+
+    list: (table, { filters, order = [], limit } = {}) => {
+      let query = applyFilters(supabase.from(table).select('*'), filters);
+      for (const { column, ascending = true, nullsFirst } of order) {
+        query = query.order(column, { ascending, nullsFirst });
+      }
+      return limit ? query.limit(limit) : query;
+    },
+    insert: (table, rows) => supabase.from(table).insert(rows).select(),
+    upsert: (table, rows, onConflict) =>
+      supabase
+        .from(table)
+        .upsert(rows, { onConflict: (HOUSEHOLD_SCOPED.has(table) ? ['household_id', ...onConflict] : onConflict).join(',') })
+        .select(),
+    update: (table, filters, patch) => applyFilters(supabase.from(table).update(patch), filters).select(),
+    remove: (table, filters) => applyFilters(supabase.from(table).delete(), filters).select(),
+    // One transaction under the caller's RLS (see the apply_batch migration)
+    batch: (ops) => supabase.rpc('apply_batch', { ops }),
+    subscribe: subscribeToTable,
+
+    files: {
+      upload: (path, file) =>
+        supabase.storage.from(PHOTO_BUCKET).upload(path, file, { contentType: file.type || 'image/jpeg' }),
+      url: async (path) => {
+        const { data, error } = await supabase.storage.from(PHOTO_BUCKET).createSignedUrl(path, PHOTO_URL_TTL);
+        return { data: data?.signedUrl || null, error };
+      },
+    },
+
+    auth: {
+      required: true,
+      getSession: async () => (await supabase.auth.getSession()).data.session,
+      onChange: (callback) => {
+        const { data } = supabase.auth.onAuthStateChange((_event, session) => callback(session));
+        return () => data.subscription.unsubscribe();
+      },
+      signIn: ({ email, password }) => supabase.auth.signInWithPassword({ email, password }),
+      signUp: ({ email, password, redirectTo }) =>
+        supabase.auth.signUp({ email, password, options: { emailRedirectTo: redirectTo } }),
+      sendMagicLink: ({ email, redirectTo }) =>
+        supabase.auth.signInWithOtp({ email, options: { emailRedirectTo: redirectTo } }),
+      signOut: () => supabase.auth.signOut(),
+    },
+
+    households: {
+      supported: true,
+      load: loadHouseholds,
+      switchTo: (id) => supabase.rpc('set_current_household', { household: id }),
+      create: (name) => supabase.rpc('create_household', { household_name: name }),
+      acceptInvite: (token) => supabase.rpc('accept_invite', { invite_token: token }),
+      rename: (id, name) => supabase.from('households').update({ name }).eq('id', id),
+      invite: (householdId, email) =>
+        supabase.from('household_invites').insert([{ household_id: householdId, email: email.trim().toLowerCase() }]),
+      revokeInvite: (id) => supabase.from('household_invites').delete().eq('id', id),
+      removeMember: (householdId, userId) =>
+        supabase.from('household_members').delete().eq('household_id', householdId).eq('user_id', userId),
+    },
+  };
+}
@@ -0,0 +1,40 @@
+// ==========================
+// useDietaryProfile HOOK
+// ==========================
+// The household's dietary profile (lib/dietary.js), empty until one is
+// saved. Recipe panels wait for `loading` to clear so no request goes out
+// without it.
+import { useCallback, useEffect, useMemo, useState } from 'react';
+import db from '../db';
+import { profileFields } from '../lib/dietary';
+
+export default function useDietaryProfile() {
+  const [row, setRow] = useState(null);
+  const [loading, setLoading] = useState(true);
+
+  useEffect(() => {
+    (async () => {
+      const { data, error } = await db.dietaryProfile.get();
+      if (error) console.error('Error fetching dietary profile:', error);
+      else setRow(data);
+      setLoading(false);
+    })();
+  }, []);
+
+  // Profile fields → error or null
+  const save = useCallback(
+    async (profile) => {
+      const { data, error } = await db.dietaryProfile.save({ id: row?.id, ...profile });
+      if (error) {
+        console.error('Error saving dietary profile:', error);
+        return error;
+      }
+      setRow(data);
+      return null;
+    },
+    [row]
+  );
+
+  const profile = useMemo(() => profileFields(row), [row]);
+  return { profile, loading, save };
+}
@@ -0,0 +1,103 @@
+// ==========================
+// useHousehold HOOK
+// ==========================
+// The signed-in user's households, the current one (profiles.current_household_id)
+// with its members and pending invites, and the actions of the Household page.
+// Every app table is scoped to the current household by RLS, so switching
+// households changes what every other query returns. Backends without
+// accounts (local, memory) report a single household and `supported: false`.
+// The last loaded state is kept in localStorage so the app still opens
+// offline, and the offline copy of the fridge follows the current household.
+// State belongs to one user: it is cleared on sign-out or a change of user,
+// and `loading` stays true until the new user's household (and sync scope)
+// is in place, so nothing renders with the previous user's data.
+import { useCallback, useEffect, useRef, useState } from 'react';
+import db from '../db';
+
+const cacheKey = (userId) => `household:${userId}`;
+const SIGNED_OUT_SCOPE = 'signed-out';
+
+export default function useHousehold(session) {
+  const userId = session?.user?.id;
+  const [households, setHouseholds] = useState([]); // [{ id, name, role }]
+  const [currentId, setCurrentId] = useState(null);
+  const [members, setMembers] = useState([]);       // [{ user_id, role, email }]
+  const [invites, setInvites] = useState([]);       // Pending invites of the current household
+  const [loadedFor, setLoadedFor] = useState(null); // User the state above belongs to
+  const latestUser = useRef(userId);
+  latestUser.current = userId;
+
+  const reload = useCallback(async () => {
+    if (!userId) return;
+    let { data, error } = await db.households.load(userId);
+    if (latestUser.current !== userId) return; // Signed out or switched user meanwhile
+    if (error) {
+      console.error('Error fetching household:', error);
+      data = JSON.parse(localStorage.getItem(cacheKey(userId)) || 'null');
+    } else {
+      localStorage.setItem(cacheKey(userId), JSON.stringify(data));
+    }
+    if (data) {
+      await db.sync?.setScope(`${userId}:${data.currentId}`);
+      if (latestUser.current !== userId) return;
+      setHouseholds(data.households);
+      setCurrentId(data.currentId);
+      setMembers(data.members);
+      setInvites(data.invites);
+    }
+    setLoadedFor(userId);
+  }, [userId]);
+
+  // A new (or no) user starts from nothing; on sign-out the offline cache and
+  // queue leave the previous household's scope right away
+  useEffect(() => {
+    setHouseholds([]);
+    setCurrentId(null);
+    setMembers([]);
+    setInvites([]);
+    setLoadedFor(null);
+    if (!userId) db.sync?.setScope(SIGNED_OUT_SCOPE);
+  }, [userId]);
+
+  useEffect(() => {
+    reload();
+  }, [reload]);
+
+  // --------------------------
+  // ACTIONS (each returns an error or null)
+  // --------------------------
+  const run = async (promise) => {
+    const { error } = await promise;
+    if (error) {
+      console.error('Household action failed:', error);
+      return error;
+    }
+    await reload();
+    return null;
+  };
+
+  const switchHousehold = (id) => run(db.households.switchTo(id));
+  const createHousehold = (name) => run(db.households.create(name));
+  const acceptInvite = (token) => run(db.households.acceptInvite(token));
+  const renameHousehold = (name) => run(db.households.rename(currentId, name));
+  const invite = (email) => run(db.households.invite(currentId, email));
+  const revokeInvite = (id) => run(db.households.revokeInvite(id));
+  const removeMember = (memberId) => run(db.households.removeMember(currentId, memberId));
+
+  return {
+    supported: db.households.supported,
+    households,
+    current: households.find((h) => h.id === currentId) || null,
+    members,
+    invites,
+    loading: !userId || loadedFor !== userId,
+    reload,
+    switchHousehold,
+    createHousehold,
+    acceptInvite,
+    renameHousehold,
+    invite,
+    revokeInvite,
+    removeMember,
+  };
+}
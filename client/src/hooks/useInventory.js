@@ -0,0 +1,17 @@
+// ==========================
+// useInventory HOOK
+// ==========================
+// The live fridge rows (see db/inventory.js), shared by every component that
+// uses this hook: { items, loading, error, reload }. Call reload() after a
+// write so this tab updates right away; other tabs and devices follow through
+// the backend's change feed.
+import { useSyncExternalStore } from 'react';
+import db from '../db';
+import { createInventoryStore } from '../db/inventory';
+
+const inventory = createInventoryStore(db);
+
+export default function useInventory() {
+  const state = useSyncExternalStore(inventory.subscribe, inventory.getSnapshot);
+  return { ...state, reload: inventory.reload };
+}
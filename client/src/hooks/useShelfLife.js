@@ -0,0 +1,34 @@
+// ==========================
+// useShelfLife HOOK
+// ==========================
+// Loads the household's shelf-life overrides and expiry corrections and
+// returns the merged lookup (see lib/shelfLife.js). Until they arrive — or if
+// loading fails — the bundled table is used on its own.
+import { useCallback, useEffect, useMemo, useState } from 'react';
+import db from '../db';
+import { createShelfLife } from '../lib/shelfLife';
+
+export default function useShelfLife() {
+  const [overrides, setOverrides] = useState([]);
+  const [corrections, setCorrections] = useState([]);
+
+  const reload = useCallback(async () => {
+    const [overridesRes, correctionsRes] = await Promise.all([
+      db.shelfLife.overrides(),
+      db.shelfLife.corrections({ limit: 1000 }),
+    ]);
+
+    if (overridesRes.error) console.error('Error fetching shelf-life overrides:', overridesRes.error);
+    else setOverrides(overridesRes.data || []);
+
+    if (correctionsRes.error) console.error('Error fetching expiry corrections:', correctionsRes.error);
+    else setCorrections(correctionsRes.data || []);
+  }, []);
+
+  useEffect(() => {
+    reload();
+  }, [reload]);
+
+  const shelfLife = useMemo(() => createShelfLife(overrides, corrections), [overrides, corrections]);
+  return { shelfLife, overrides, reload };
+}
@@ -0,0 +1,40 @@
+// ==========================
+// useShoppingList HOOK
+// ==========================
+// The household's shopping list, live like the fridge (see db/inventory.js):
+// { items, loading, error, reload, add, remove }. add(rows) skips names that
+// are already on the list and resolves to { added, error }.
+import { useSyncExternalStore } from 'react';
+import db from '../db';
+import { createLiveList } from '../db/inventory';
+import { newListItems } from '../lib/shopping';
+
+const shoppingList = createLiveList({
+  load: db.shopping.list,
+  subscribe: db.shopping.subscribe,
+  label: 'shopping list',
+});
+
+// Checked against a fresh copy: the page calling this may not be showing the list
+const add = async (rows, shelfLife) => {
+  const { data: list, error: listError } = await db.shopping.list();
+  if (listError) return { added: 0, error: listError };
+  const fresh = newListItems(list || [], rows, shelfLife);
+  if (!fresh.length) return { added: 0, error: null };
+  const { error } = await db.shopping.add(fresh);
+  if (error) console.error('Error adding to the shopping list:', error);
+  else shoppingList.reload();
+  return { added: error ? 0 : fresh.length, error };
+};
+
+const remove = async (ids) => {
+  const { error } = await db.shopping.remove(ids);
+  if (error) console.error('Error removing from the shopping list:', error);
+  else shoppingList.reload();
+  return { error };
+};
+
+export default function useShoppingList() {
+  const state = useSyncExternalStore(shoppingList.subscribe, shoppingList.getSnapshot);
+  return { ...state, reload: shoppingList.reload, add, remove };
+}
@@ -0,0 +1,24 @@
+// ==========================
+// useSyncStatus HOOK
+// ==========================
+// Live status of the offline queue (see db/offline.js): whether the browser is
+// online, how many changes are waiting, conflicts from the last replay and a
+// `version` that goes up whenever queued changes reach the backend. Backends
+// without an offline copy (memory) report `supported: false`.
+import { useEffect, useState } from 'react';
+import db from '../db';
+
+const IDLE = { online: true, pending: 0, syncing: false, failed: 0, conflicts: [], version: 0 };
+
+export default function useSyncStatus() {
+  const [status, setStatus] = useState(IDLE);
+
+  useEffect(() => (db.sync ? db.sync.subscribe(setStatus) : undefined), []);
+
+  return {
+    ...status,
+    supported: Boolean(db.sync),
+    retry: () => db.sync?.flush(),
+    dismissProblems: () => db.sync?.clearProblems(),
+  };
+}
@@ -0,0 +1,55 @@
+// ==========================
+// STORE ABBREVIATIONS
+// ==========================
+// Receipt printers truncate item names ("ORG BNNA", "BNLS CHKN BRST").
+// Each key is one upper-case receipt token; the value is what it expands to.
+// An empty string drops the token (marketing words that aren't part of the
+// generic item name). Extend per store by passing extra entries to
+// parseReceiptText(text, { abbreviations }) — they override these.
+
+const ABBREVIATIONS = {
+  // ---- Qualifiers we drop
+  ORG: '', ORGNC: '', ORGANIC: '', GV: '', KS: '', PC: '', NN: '', STORE: '',
+  BRAND: '', FRSH: '', FRESH: '', LRG: '', LG: '', SML: '', SM: '', MED: '',
+  CNV: '', CONV: '', EA: '', PK: '', CT: '',
+
+  // ---- Produce
+  BNNA: 'banana', BNNAS: 'banana', BAN: 'banana', BANANAS: 'banana',
+  APPL: 'apple', APPLS: 'apple', GALA: 'gala', HNYCRSP: 'honeycrisp',
+  AVCD: 'avocado', AVO: 'avocado', AVOC: 'avocado',
+  TOM: 'tomato', TOMS: 'tomato', TMTO: 'tomato', ROMA: 'roma',
+  POTS: 'potato', PTTO: 'potato', SWT: 'sweet',
+  ONIO: 'onion', ONN: 'onion', YEL: 'yellow', RD: 'red', GRN: 'green',
+  LTTC: 'lettuce', LETT: 'lettuce', ROM: 'romaine', SPNCH: 'spinach', SPIN: 'spinach',
+  BROC: 'broccoli', BRCLI: 'broccoli', CAUL: 'cauliflower', CARR: 'carrot', CRRT: 'carrot', CRTS: 'carrot',
+  CUKE: 'cucumber', CUCMBR: 'cucumber', PEPP: 'pepper', PPR: 'pepper', BELL: 'bell',
+  MSHRM: 'mushroom', MUSH: 'mushroom', GRLC: 'garlic', GING: 'ginger', CILN: 'cilantro',
+  STRWB: 'strawberry', STRAWB: 'strawberry', BLUEB: 'blueberry', BLBRY: 'blueberry', RASPB: 'raspberry',
+  GRPS: 'grapes', LMN: 'lemon', LIM: 'lime', ORNG: 'orange', ORNGS: 'orange',
+
+  // ---- Meat & fish
+  BNLS: 'boneless', SKNLS: 'skinless', CHKN: 'chicken', CHIC: 'chicken', CKN: 'chicken',
+  BRST: 'breast', THGH: 'thigh', THGHS: 'thigh', GRND: 'ground', GR: 'ground',
+  BF: 'beef', BEF: 'beef', TRKY: 'turkey', TURK: 'turkey', PRK: 'pork', CHP: 'chop',
+  BCN: 'bacon', SSG: 'sausage', SAUS: 'sausage', SLMN: 'salmon', SALM: 'salmon', TLPA: 'tilapia', SHRMP: 'shrimp',
+
+  // ---- Dairy & eggs
+  MLK: 'milk', WHL: 'whole', SKM: 'skim', '2PCT': '2%', '2%MLK': '2% milk',
+  BTR: 'butter', BUTR: 'butter', CHS: 'cheese', CHSE: 'cheese', CHED: 'cheddar', CHDR: 'cheddar',
+  SHRED: 'shredded', SHRD: 'shredded', MOZZ: 'mozzarella', PARM: 'parmesan', YGRT: 'yogurt', YOG: 'yogurt', YGT: 'yogurt', GRK: 'greek',
+  CRM: 'cream', SR: 'sour', HVY: 'heavy', EGG: 'eggs', EGGS: 'eggs', DZ: '', DOZ: '',
+
+  // ---- Bakery & pantry
+  BRD: 'bread', BRED: 'bread', WHT: 'white', WW: 'whole wheat', BGL: 'bagel', BGLS: 'bagel',
+  TORT: 'tortilla', TRTLA: 'tortilla', PSTA: 'pasta', SPAG: 'spaghetti', RCE: 'rice',
+  CRL: 'cereal', OATM: 'oatmeal', PB: 'peanut butter', JLY: 'jelly', OJ: 'orange juice',
+  JCE: 'juice', JC: 'juice', SDA: 'soda', WTR: 'water', TOFU: 'tofu',
+};
+
+// Tokens that are only safe to expand on their own or next to the words listed:
+// "POT" and "SWT POT" are potatoes, "POT ROAST" and "POT PIE" are not.
+export const CONTEXTUAL = {
+  POT: { expansion: 'potato', with: ['SWT', 'SWEET', 'RSST', 'RUSSET', 'YUKON', 'GOLD', 'RED', 'RD', 'YEL', 'BAKING'] },
+};
+
+export default ABBREVIATIONS;
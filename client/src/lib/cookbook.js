@@ -0,0 +1,81 @@
+// ==========================
+// COOKBOOK
+// ==========================
+// Saved recipes (`recipes` table): the recipe as generated in `recipe`, plus
+// the household's own rating (1–5 or null), notes, tags and how often it was
+// cooked. Search, filters and sorts run on the client over the whole list.
+// "What can I make now" ranks by the share of ingredients in the fridge (see
+// matchRecipe in ./recipes.js), then by how many of them expire soon.
+
+import { matchRecipe } from './recipes';
+
+export const COOKBOOK_SORTS = [
+  { key: 'makeable', label: 'What can I make now' },
+  { key: 'rating', label: 'Top rated' },
+  { key: 'cooked', label: 'Most cooked' },
+  { key: 'newest', label: 'Newest' },
+];
+
+// Generated (possibly matched) recipe → new `recipes` row
+export function savedRecipeRow(recipe) {
+  const { title, servings, time_minutes, ingredients, steps, tags } = recipe;
+  return {
+    title,
+    recipe: {
+      title,
+      servings,
+      time_minutes,
+      ingredients: ingredients.map(({ name, quantity, unit }) => ({ name, quantity, unit })),
+      steps,
+      tags,
+    },
+    tags,
+  };
+}
+
+// "Vegetarian, quick ,, pasta" → ['vegetarian', 'quick', 'pasta']
+export const parseTags = (text) => [
+  ...new Set(
+    String(text)
+      .split(',')
+      .map((t) => t.trim().toLowerCase())
+      .filter(Boolean)
+  ),
+];
+
+export const allTags = (saved) => [...new Set(saved.flatMap((r) => r.tags || []))].sort();
+
+// Search matches title, notes, tags and ingredient names; every chosen tag
+// must be present
+export function filterCookbook(saved, { query = '', tags = [], minRating = 0 } = {}) {
+  const words = query.toLowerCase().split(/\s+/).filter(Boolean);
+  return saved.filter((row) => {
+    if (minRating && !(row.rating >= minRating)) return false;
+    if (!tags.every((t) => (row.tags || []).includes(t))) return false;
+    const text = [
+      row.title,
+      row.notes,
+      ...(row.tags || []),
+      ...(row.recipe?.ingredients || []).map((ing) => ing.name),
+    ]
+      .join(' ')
+      .toLowerCase();
+    return words.every((w) => text.includes(w));
+  });
+}
+
+// Saved rows → [{ row, match }] in the chosen order
+export function sortCookbook(saved, sort, items, options) {
+  const entries = saved.map((row) => ({ row, match: matchRecipe(row.recipe, items, options) }));
+  const have = ({ counts }) => counts.in_fridge + counts.expiring;
+  const share = ({ match }) => (match.ingredients.length ? have(match) / match.ingredients.length : 0);
+  const newest = (a, b) => String(b.row.created_at).localeCompare(String(a.row.created_at));
+  const compare = {
+    makeable: (a, b) =>
+      share(b) - share(a) || b.match.counts.expiring - a.match.counts.expiring || (b.row.rating || 0) - (a.row.rating || 0),
+    rating: (a, b) => (b.row.rating || 0) - (a.row.rating || 0) || b.row.cooked_count - a.row.cooked_count,
+    cooked: (a, b) => b.row.cooked_count - a.row.cooked_count || (b.row.rating || 0) - (a.row.rating || 0),
+    newest: () => 0,
+  }[sort];
+  return entries.sort((a, b) => compare(a, b) || newest(a, b));
+}
@@ -0,0 +1,62 @@
+import { allTags, filterCookbook, parseTags, savedRecipeRow, sortCookbook } from './cookbook';
+import { matchRecipe } from './recipes';
+import { DEFAULT_SHELF_LIFE } from './shelfLife';
+
+const now = new Date('2026-10-19T12:00:00Z');
+
+const fridge = [
+  { id: 1, item_name: 'Eggs', quantity: 6, unit: 'pcs', expires_on: '2026-11-02T00:00:00Z' },
+  { id: 2, item_name: 'Spinach', quantity: 1, unit: 'pack', expires_on: '2026-10-20T00:00:00Z' },
+  { id: 3, item_name: 'Rice', quantity: 1, unit: 'kg', expires_on: null },
+];
+
+const recipe = (title, names, extra = {}) => ({
+  id: title.length,
+  title,
+  recipe: {
+    title,
+    servings: 2,
+    time_minutes: 20,
+    ingredients: names.map((name) => ({ name, quantity: 1, unit: null })),
+    steps: ['Cook'],
+    tags: [],
+  },
+  rating: null,
+  notes: '',
+  tags: [],
+  cooked_count: 0,
+  created_at: '2026-10-01T00:00:00Z',
+  ...extra,
+});
+
+const saved = [
+  recipe('Fried Rice', ['Rice', 'Eggs', 'Soy sauce'], { rating: 4, tags: ['quick'], cooked_count: 3 }),
+  recipe('Spinach Omelette', ['Eggs', 'Spinach'], { notes: 'Add feta next time', created_at: '2026-10-10T00:00:00Z' }),
+  recipe('Beef Stew', ['Beef', 'Carrots', 'Potatoes', 'Rice'], { rating: 5, tags: ['slow', 'winter'] }),
+];
+
+test('a saved row keeps the recipe as generated, without fridge matches', () => {
+  const generated = { ...saved[1].recipe, tags: ['vegetarian'] };
+  const row = savedRecipeRow(matchRecipe(generated, fridge, { now }));
+  expect(row.tags).toEqual(['vegetarian']);
+  expect(row.recipe.ingredients[0]).toEqual({ name: 'Eggs', quantity: 1, unit: null });
+  expect(parseTags('Vegetarian, quick ,, vegetarian')).toEqual(['vegetarian', 'quick']);
+  expect(allTags(saved)).toEqual(['quick', 'slow', 'winter']);
+});
+
+test('search covers title, notes and ingredients; tags and rating filter', () => {
+  const titles = (rows) => rows.map((r) => r.title);
+  expect(titles(filterCookbook(saved, { query: 'feta' }))).toEqual(['Spinach Omelette']);
+  expect(titles(filterCookbook(saved, { query: 'rice' }))).toEqual(['Fried Rice', 'Beef Stew']);
+  expect(titles(filterCookbook(saved, { tags: ['slow'] }))).toEqual(['Beef Stew']);
+  expect(titles(filterCookbook(saved, { minRating: 4 }))).toEqual(['Fried Rice', 'Beef Stew']);
+});
+
+test('"what can I make now" ranks by the share of ingredients in the fridge', () => {
+  const order = (sort) =>
+    sortCookbook(saved, sort, fridge, { shelfLife: DEFAULT_SHELF_LIFE, now }).map((e) => e.row.title);
+  expect(order('makeable')).toEqual(['Spinach Omelette', 'Fried Rice', 'Beef Stew']);
+  expect(order('rating')).toEqual(['Beef Stew', 'Fried Rice', 'Spinach Omelette']);
+  expect(order('cooked')).toEqual(['Fried Rice', 'Beef Stew', 'Spinach Omelette']);
+  expect(order('newest')[0]).toBe('Spinach Omelette');
+});
@@ -0,0 +1,134 @@
+// ==========================
+// COOKING A RECIPE
+// ==========================
+// "Cook this" turns a matched recipe (lib/recipes.js) into fridge changes:
+//   suggestUses()  how much of each matching fridge row the recipe needs,
+//                  converted to the row's unit where possible (250 g of a
+//                  1 kg row is 0.25), soonest-expiring rows first
+//   cookPlan()     the amounts the user confirmed → consumed events, row
+//                  updates / removals and an optional leftovers row, which
+//                  db.items.cook() writes in one transaction
+// Amounts that can't be converted ("2 cups" of cheese in grams, "to taste")
+// are suggested as 0 for the user to fill in.
+
+import { consumeBatches } from './duplicates';
+import { DEFAULT_UNIT, roundQuantity } from './units';
+import { outcomeEvent } from './waste';
+
+export const LEFTOVER_DAYS = 3;
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+// --------------------------
+// Units
+// --------------------------
+// unit → [dimension, size in the dimension's base unit (g, ml, pieces)]
+const UNIT_SIZES = {
+  g: ['mass', 1],
+  kg: ['mass', 1000],
+  oz: ['mass', 28.35],
+  lb: ['mass', 453.6],
+  ml: ['volume', 1],
+  l: ['volume', 1000],
+  tsp: ['volume', 5],
+  tbsp: ['volume', 15],
+  cup: ['volume', 240],
+  pcs: ['count', 1],
+  dozen: ['count', 12],
+  pack: ['pack', 1],
+};
+
+const UNIT_ALIASES = {
+  gram: 'g', grams: 'g', kilogram: 'kg', kilograms: 'kg', ounce: 'oz', ounces: 'oz',
+  pound: 'lb', pounds: 'lb', lbs: 'lb', milliliter: 'ml', millilitre: 'ml', liter: 'l', litre: 'l',
+  teaspoon: 'tsp', teaspoons: 'tsp', tablespoon: 'tbsp', tablespoons: 'tbsp', cups: 'cup',
+  piece: 'pcs', pieces: 'pcs', pc: 'pcs', packs: 'pack', packet: 'pack', packets: 'pack',
+};
+
+// Recipe units are free text ("Tbsp", "grams", null for a count)
+const unitSize = (unit) => {
+  const u = String(unit || DEFAULT_UNIT).trim().toLowerCase().replace(/\.$/, '');
+  return UNIT_SIZES[UNIT_ALIASES[u] || u] || null;
+};
+
+// 250 g → kg = 0.25; null when the units measure different things
+export function convertAmount(quantity, fromUnit, toUnit) {
+  if (quantity === null || quantity === undefined) return null;
+  const from = unitSize(fromUnit);
+  const to = unitSize(toUnit);
+  if (!from || !to || from[0] !== to[0]) return null;
+  return roundQuantity((Number(quantity) * from[1]) / to[1]);
+}
+
+// --------------------------
+// Suggested amounts
+// --------------------------
+const expiryTime = (item) => (item.expires_on ? new Date(item.expires_on).getTime() : Infinity);
+
+// Matched recipe → [{ item, amount, ingredients: [names] }], one per fridge row
+export function suggestUses(recipe) {
+  const uses = new Map(); // fridge id → use
+  const entryFor = (item) => {
+    if (!uses.has(item.id)) uses.set(item.id, { item, amount: 0, ingredients: [] });
+    return uses.get(item.id);
+  };
+
+  for (const ing of recipe.ingredients) {
+    const rows = [...(ing.matches || [])].sort((a, b) => expiryTime(a) - expiryTime(b));
+    if (!rows.length) continue;
+
+    // Unknown amount: offer the soonest row and let the user say how much
+    const convertible = rows.filter((it) => convertAmount(ing.quantity, ing.unit, it.unit || DEFAULT_UNIT) !== null);
+    if (!convertible.length) {
+      entryFor(rows[0]).ingredients.push(ing.name);
+      continue;
+    }
+
+    // Work in the ingredient's unit so rows in kg and g can share one need
+    let need = Number(ing.quantity);
+    for (const item of convertible) {
+      if (need <= 0) break;
+      const use = entryFor(item);
+      const unit = item.unit || DEFAULT_UNIT;
+      const available = roundQuantity(Number(item.quantity ?? 1) - use.amount);
+      const taken = Math.min(convertAmount(need, ing.unit, unit), available);
+      if (taken <= 0) continue;
+      use.amount = roundQuantity(use.amount + taken);
+      use.ingredients.push(ing.name);
+      need = roundQuantity(need - convertAmount(taken, unit, ing.unit));
+    }
+  }
+  return [...uses.values()];
+}
+
+// --------------------------
+// Plan
+// --------------------------
+// Leftovers go back into the fridge as their own item with a short expiry
+export function leftoversRow(recipe, { quantity, days = LEFTOVER_DAYS }, now = new Date()) {
+  return {
+    item_name: `🍲 Leftovers: ${recipe.title}`,
+    quantity: roundQuantity(quantity),
+    unit: DEFAULT_UNIT,
+    location: 'fridge',
+    frozen_on: null,
+    added_on: now.toISOString(),
+    expires_on: new Date(now.getTime() + days * DAY_MS).toISOString(),
+    expiry_source: 'manual',
+  };
+}
+
+// [{ item, amount }] → { events, updates: [{ id, patch }], removals: [id], additions }
+export function cookPlan(uses, { recipe, leftovers = null, now = new Date() }) {
+  const plan = { events: [], updates: [], removals: [], additions: [] };
+  for (const { item, amount } of uses) {
+    const used = Math.min(Number(amount), Number(item.quantity ?? 1));
+    if (!(used > 0)) continue;
+    plan.events.push(outcomeEvent(item, 'consumed', used));
+    const patch = consumeBatches(item, used);
+    if (patch.quantity <= 0) plan.removals.push(item.id);
+    else plan.updates.push({ id: item.id, patch });
+  }
+  if (leftovers && leftovers.quantity > 0) plan.additions.push(leftoversRow(recipe, leftovers, now));
+  return plan;
+}
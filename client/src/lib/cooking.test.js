@@ -0,0 +1,74 @@
+import { convertAmount, cookPlan, suggestUses } from './cooking';
+import { matchRecipe } from './recipes';
+import { DEFAULT_SHELF_LIFE } from './shelfLife';
+
+const now = new Date('2026-10-19T12:00:00Z');
+
+const fridge = [
+  { id: 1, item_name: '🥚 Eggs', quantity: 6, unit: 'pcs', expires_on: '2026-11-02T00:00:00Z' },
+  { id: 2, item_name: 'Baby Spinach', quantity: 1, unit: 'pack', expires_on: '2026-10-20T00:00:00Z' },
+  { id: 3, item_name: 'Chicken', quantity: 0.3, unit: 'kg', expires_on: '2026-10-21T00:00:00Z' },
+  { id: 4, item_name: 'Chicken', quantity: 500, unit: 'g', expires_on: '2026-10-24T00:00:00Z' },
+  { id: 5, item_name: 'Whole Milk', quantity: 1, unit: 'l', expires_on: '2026-10-25T00:00:00Z' },
+];
+
+const recipe = {
+  title: 'Chicken & Spinach Omelette',
+  servings: 2,
+  time_minutes: 20,
+  ingredients: [
+    { name: 'Eggs', quantity: 4, unit: null },
+    { name: 'Spinach', quantity: 50, unit: 'g' },
+    { name: 'Chicken', quantity: 400, unit: 'grams' },
+    { name: 'Milk', quantity: 2, unit: 'Tbsp' },
+  ],
+  steps: ['Cook'],
+  tags: [],
+};
+
+test('amounts convert within mass, volume and counts only', () => {
+  expect(convertAmount(250, 'g', 'kg')).toBe(0.25);
+  expect(convertAmount(2, 'tbsp', 'ml')).toBe(30);
+  expect(convertAmount(1, 'cups', 'l')).toBe(0.24);
+  expect(convertAmount(3, null, 'dozen')).toBe(0.25);
+  expect(convertAmount(100, 'g', 'ml')).toBeNull();
+  expect(convertAmount(null, 'g', 'g')).toBeNull();
+});
+
+test('suggested uses take from the soonest-expiring rows in their own units', () => {
+  const matched = matchRecipe(recipe, fridge, { shelfLife: DEFAULT_SHELF_LIFE, now });
+  const uses = suggestUses(matched);
+  expect(uses.map((u) => [u.item.id, u.amount, u.ingredients])).toEqual([
+    [1, 4, ['Eggs']],
+    [2, 0, ['Spinach']], // grams of a pack: the user says how much
+    [3, 0.3, ['Chicken']],
+    [4, 100, ['Chicken']],
+    [5, 0.03, ['Milk']],
+  ]);
+});
+
+test('the plan records what was eaten, updates partial rows and removes empty ones', () => {
+  const uses = [
+    { item: fridge[0], amount: 4 },
+    { item: fridge[1], amount: 0 },
+    { item: { ...fridge[2], batches: [] }, amount: 5 }, // more than there is → the whole row
+  ];
+  const plan = cookPlan(uses, { recipe, leftovers: { quantity: 2, days: 2 }, now });
+
+  expect(plan.events.map((e) => [e.fridge_id, e.quantity, e.outcome])).toEqual([
+    [1, 4, 'consumed'],
+    [3, 0.3, 'consumed'],
+  ]);
+  expect(plan.updates).toEqual([{ id: 1, patch: { quantity: 2, expires_on: '2026-11-02T00:00:00Z', batches: [] } }]);
+  expect(plan.removals).toEqual([3]);
+  expect(plan.additions).toEqual([
+    expect.objectContaining({
+      item_name: '🍲 Leftovers: Chicken & Spinach Omelette',
+      quantity: 2,
+      unit: 'pcs',
+      location: 'fridge',
+      expires_on: '2026-10-21T12:00:00.000Z',
+    }),
+  ]);
+  expect(cookPlan(uses, { recipe, now }).additions).toEqual([]);
+});
@@ -0,0 +1,18 @@
+// ==========================
+// CALENDAR DATES
+// ==========================
+// Date inputs and expiry days are 'yyyy-mm-dd' in the user's own timezone.
+// new Date('yyyy-mm-dd') reads them as UTC midnight, which is the previous
+// evening anywhere west of UTC, so they go through these helpers instead.
+
+// Local calendar date → 'yyyy-mm-dd'
+export const isoDate = (date) => {
+  const pad = (n) => String(n).padStart(2, '0');
+  return `${date.getFullYear()}-${pad(date.getMonth() + 1)}-${pad(date.getDate())}`;
+};
+
+// 'yyyy-mm-dd' → that day's local midnight
+export const fromIsoDate = (iso) => {
+  const [y, m, d] = iso.split('-').map(Number);
+  return new Date(y, m - 1, d);
+};
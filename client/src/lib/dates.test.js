@@ -0,0 +1,8 @@
+import { fromIsoDate, isoDate } from './dates';
+
+test('yyyy-mm-dd round-trips through local midnight', () => {
+  const date = fromIsoDate('2026-03-01');
+  expect([date.getFullYear(), date.getMonth(), date.getDate(), date.getHours()]).toEqual([2026, 2, 1, 0]);
+  expect(isoDate(date)).toBe('2026-03-01');
+  expect(isoDate(new Date(2026, 11, 31, 23, 59))).toBe('2026-12-31');
+});
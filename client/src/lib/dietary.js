@@ -0,0 +1,59 @@
+// ==========================
+// DIETARY PROFILE
+// ==========================
+// The household's allergens, excluded ingredients, diets, preferred cuisines,
+// time limit, servings and kitchen equipment. It goes with every recipe
+// request; the server puts it in the prompt and flags recipes that still
+// break it (server/lib/dietaryProfile.js, which knows which ingredients each
+// allergen and restrictive diet below rules out — keep the labels in sync).
+
+export const ALLERGENS = ['Peanuts', 'Tree nuts', 'Dairy', 'Eggs', 'Gluten', 'Soy', 'Fish', 'Shellfish', 'Sesame'];
+
+export const DIETS = [
+  'Vegetarian',
+  'Vegan',
+  'Pescatarian',
+  'Dairy-free',
+  'Gluten-free',
+  'High protein',
+  'Low calorie',
+  'Low carb',
+];
+
+export const CUISINES = ['Italian', 'Mexican', 'Indian', 'Chinese', 'Thai', 'Japanese', 'Mediterranean', 'Middle Eastern'];
+
+export const EQUIPMENT = ['Stovetop', 'Oven', 'Microwave', 'Air fryer', 'Slow cooker', 'Blender', 'Grill'];
+
+// dietary_profiles row (or nothing saved yet) → just the profile fields
+export const profileFields = (row) => ({
+  allergens: row?.allergens || [],
+  excluded: row?.excluded || [],
+  diets: row?.diets || [],
+  cuisines: row?.cuisines || [],
+  max_minutes: row?.max_minutes ?? null,
+  servings: row?.servings ?? null,
+  equipment: row?.equipment || [],
+});
+
+// "Mushrooms, coriander ,, mushrooms" → ['Mushrooms', 'coriander']
+export const parseList = (text) => {
+  const seen = new Set();
+  return String(text)
+    .split(',')
+    .map((t) => t.trim())
+    .filter((t) => t && !seen.has(t.toLowerCase()) && seen.add(t.toLowerCase()));
+};
+
+// Short summary for the recipe panels, e.g.
+// ['Vegetarian', 'no Peanuts, mushrooms', '≤ 30 min', 'serves 2', 'Italian', 'Stovetop, Oven only']
+export function summarizeProfile(profile) {
+  const avoid = [...profile.allergens, ...profile.excluded];
+  return [
+    ...profile.diets,
+    avoid.length ? `no ${avoid.join(', ')}` : null,
+    profile.max_minutes ? `≤ ${profile.max_minutes} min` : null,
+    profile.servings ? `serves ${profile.servings}` : null,
+    profile.cuisines.length ? profile.cuisines.join(' or ') : null,
+    profile.equipment.length ? `${profile.equipment.join(', ')} only` : null,
+  ].filter(Boolean);
+}
@@ -0,0 +1,33 @@
+import { parseList, profileFields, summarizeProfile } from './dietary';
+
+test('a saved row becomes a profile; nothing saved is an empty one', () => {
+  expect(profileFields(null)).toEqual({
+    allergens: [],
+    excluded: [],
+    diets: [],
+    cuisines: [],
+    max_minutes: null,
+    servings: null,
+    equipment: [],
+  });
+  const row = { id: 4, household_id: 'h1', diets: ['Vegan'], max_minutes: 20, updated_at: '2026-10-19T00:00:00Z' };
+  expect(profileFields(row)).toMatchObject({ diets: ['Vegan'], max_minutes: 20, servings: null });
+  expect(profileFields(row)).not.toHaveProperty('id');
+});
+
+test('free-text lists and the summary', () => {
+  expect(parseList('Mushrooms, coriander ,, mushrooms')).toEqual(['Mushrooms', 'coriander']);
+  expect(summarizeProfile(profileFields(null))).toEqual([]);
+  expect(
+    summarizeProfile({
+      ...profileFields(null),
+      allergens: ['Peanuts'],
+      excluded: ['mushrooms'],
+      diets: ['Vegetarian'],
+      max_minutes: 30,
+      servings: 2,
+      cuisines: ['Italian', 'Thai'],
+      equipment: ['Stovetop'],
+    })
+  ).toEqual(['Vegetarian', 'no Peanuts, mushrooms', '≤ 30 min', 'serves 2', 'Italian or Thai', 'Stovetop only']);
+});
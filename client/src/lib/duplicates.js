@@ -0,0 +1,103 @@
+// ==========================
+// DUPLICATE ITEMS & EXPIRY BATCHES
+// ==========================
+// "Milk", "🥛 Milk" and "Whole Milk" are the same item: names are matched by
+// shelf-life key (aliases) or, for unknown items, by normalized name (emoji,
+// case and plurals ignored). Rows are only merged when they also share a unit
+// and a storage location, so quantities can simply be added up.
+//
+// A merged fridge row keeps every purchase as a batch in `batches`
+// ([{ quantity, expires_on, added_on, receipt_id }], soonest expiry first). The row's own
+// quantity is the sum and its expires_on the soonest batch. Single-batch rows
+// leave `batches` empty and use the row columns.
+
+import { normalizeItemName } from './itemNames';
+import { DEFAULT_UNIT, roundQuantity } from './units';
+import { DEFAULT_LOCATION } from './storage';
+
+export const itemKey = (name, shelfLife) => shelfLife?.lookup(name)?.key ?? normalizeItemName(name);
+
+const mergeKey = (row, shelfLife) =>
+  `${itemKey(row.item_name, shelfLife)}|${row.unit || DEFAULT_UNIT}|${row.location || DEFAULT_LOCATION}`;
+
+// Existing fridge row the new row would merge into, or null
+export function findMatch(row, items, shelfLife) {
+  if (!normalizeItemName(row.item_name)) return null;
+  const key = mergeKey(row, shelfLife);
+  return items.find((it) => mergeKey(it, shelfLife) === key) || null;
+}
+
+// Groups of two or more rows that are the same item (oldest row first)
+export function findDuplicateGroups(items, shelfLife) {
+  const groups = new Map();
+  for (const it of items) {
+    const key = mergeKey(it, shelfLife);
+    groups.set(key, [...(groups.get(key) || []), it]);
+  }
+  return [...groups.values()]
+    .filter((rows) => rows.length > 1)
+    .map((rows) => [...rows].sort((a, b) => a.id - b.id));
+}
+
+// --------------------------
+// Batches
+// --------------------------
+const expiryTime = (batch) => (batch.expires_on ? new Date(batch.expires_on).getTime() : Infinity);
+
+export function rowBatches(row) {
+  if (Array.isArray(row.batches) && row.batches.length) return row.batches;
+  return [
+    {
+      quantity: Number(row.quantity ?? 1),
+      expires_on: row.expires_on ?? null,
+      added_on: row.added_on ?? null,
+      receipt_id: row.receipt_id ?? null,
+    },
+  ];
+}
+
+// Batches → the fridge columns that describe them
+export function batchesPatch(batches) {
+  const sorted = batches
+    .filter((b) => b.quantity > 0)
+    .sort((a, b) => expiryTime(a) - expiryTime(b));
+  return {
+    quantity: roundQuantity(sorted.reduce((sum, b) => sum + b.quantity, 0)),
+    expires_on: sorted.length ? sorted[0].expires_on : null,
+    batches: sorted.length > 1 ? sorted : [],
+  };
+}
+
+// Patch for the row that absorbs all `rows` (the first row is kept). The
+// unit price becomes the quantity-weighted average of the rows that have one.
+export function mergeRows(rows) {
+  const patch = batchesPatch(rows.flatMap(rowBatches));
+  const priced = rows.filter((r) => r.unit_price != null);
+  const pricedQuantity = priced.reduce((sum, r) => sum + Number(r.quantity ?? 1), 0);
+  if (pricedQuantity > 0) {
+    const cost = priced.reduce((sum, r) => sum + Number(r.unit_price) * Number(r.quantity ?? 1), 0);
+    patch.unit_price = Math.round((cost / pricedQuantity) * 10000) / 10000;
+  }
+  return patch;
+}
+
+// Using some takes from the batch that expires first
+export function consumeBatches(row, amount) {
+  let left = amount;
+  const batches = rowBatches(row).map((b) => ({ ...b }));
+  batches.sort((a, b) => expiryTime(a) - expiryTime(b));
+  for (const b of batches) {
+    const used = Math.min(b.quantity, left);
+    b.quantity = roundQuantity(b.quantity - used);
+    left = roundQuantity(left - used);
+    if (left <= 0) break;
+  }
+  return batchesPatch(batches);
+}
+
+// Editing the expiry of a merged row fixes the batch that expires first
+export function setSoonestExpiry(row, expiresOn) {
+  const [first, ...rest] = batchesPatch(rowBatches(row).map((b) => ({ ...b }))).batches;
+  if (!first) return { expires_on: expiresOn, batches: [] };
+  return batchesPatch([{ ...first, expires_on: expiresOn }, ...rest]);
+}
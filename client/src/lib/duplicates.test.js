@@ -0,0 +1,61 @@
+import { consumeBatches, findDuplicateGroups, findMatch, mergeRows } from './duplicates';
+import { DEFAULT_SHELF_LIFE } from './shelfLife';
+
+const row = (id, item_name, extra = {}) => ({
+  id,
+  item_name,
+  quantity: 1,
+  unit: 'l',
+  location: 'fridge',
+  added_on: '2026-10-01T00:00:00.000Z',
+  expires_on: '2026-10-08T00:00:00.000Z',
+  batches: [],
+  ...extra,
+});
+
+describe('matching', () => {
+  const fridge = [row(1, '🥛 Milk'), row(2, 'Oat Milk'), row(3, 'Eggs', { unit: 'pcs' })];
+
+  test('ignores emoji, case, plurals and aliases', () => {
+    expect(findMatch({ item_name: 'WHOLE MILK', unit: 'l', location: 'fridge' }, fridge, DEFAULT_SHELF_LIFE).id).toBe(1);
+    expect(findMatch({ item_name: '🥚 egg', unit: 'pcs', location: 'fridge' }, fridge, DEFAULT_SHELF_LIFE).id).toBe(3);
+    expect(findMatch({ item_name: 'almond milk', unit: 'l', location: 'fridge' }, fridge, DEFAULT_SHELF_LIFE).id).toBe(2);
+  });
+
+  test('matches irregular plurals', () => {
+    const pantry = [row(4, 'Bread Loaf', { unit: 'pcs', location: 'pantry' })];
+    expect(findMatch({ item_name: 'Bread Loaves', unit: 'pcs', location: 'pantry' }, pantry, DEFAULT_SHELF_LIFE).id).toBe(4);
+  });
+
+  test('needs the same unit and location', () => {
+    expect(findMatch({ item_name: 'Milk', unit: 'ml', location: 'fridge' }, fridge, DEFAULT_SHELF_LIFE)).toBeNull();
+    expect(findMatch({ item_name: 'Milk', unit: 'l', location: 'freezer' }, fridge, DEFAULT_SHELF_LIFE)).toBeNull();
+  });
+
+  test('findDuplicateGroups groups near-duplicates oldest first', () => {
+    const groups = findDuplicateGroups([row(5, 'Whole Milk'), row(1, 'Milk'), row(2, 'Bread', { unit: 'pcs' })], DEFAULT_SHELF_LIFE);
+    expect(groups.map((g) => g.map((r) => r.id))).toEqual([[1, 5]]);
+  });
+});
+
+describe('batches', () => {
+  const older = row(1, 'Milk', { quantity: 1, expires_on: '2026-10-08T00:00:00.000Z' });
+  const newer = row(2, 'Milk', { quantity: 2, expires_on: '2026-10-15T00:00:00.000Z' });
+
+  test('merging sums quantities and keeps both expiry batches', () => {
+    const patch = mergeRows([newer, older]);
+    expect(patch.quantity).toBe(3);
+    expect(patch.expires_on).toBe('2026-10-08T00:00:00.000Z');
+    expect(patch.batches.map((b) => b.quantity)).toEqual([1, 2]);
+  });
+
+  test('using some takes from the batch that expires first', () => {
+    const merged = { ...older, ...mergeRows([older, newer]) };
+    const patch = consumeBatches(merged, 1.5);
+    expect(patch).toEqual({
+      quantity: 1.5,
+      expires_on: '2026-10-15T00:00:00.000Z',
+      batches: [],
+    });
+  });
+});
@@ -0,0 +1,39 @@
+// ==========================
+// SERVER-SENT EVENTS OVER FETCH
+// ==========================
+// EventSource can only GET, so streams that need a request body (recipe
+// generation) are read from a fetch response instead. Only the `event:` and
+// `data:` fields are used; data is JSON.
+
+// Text received so far → complete events and the unfinished rest
+export function parseEvents(buffer) {
+  const blocks = buffer.replace(/\r\n/g, '\n').split('\n\n');
+  const rest = blocks.pop();
+  const events = [];
+  for (const block of blocks) {
+    let event = 'message';
+    const data = [];
+    for (const line of block.split('\n')) {
+      if (line.startsWith('event:')) event = line.slice(6).trim();
+      else if (line.startsWith('data:')) data.push(line.slice(5).replace(/^ /, ''));
+    }
+    if (data.length) events.push({ event, data: JSON.parse(data.join('\n')) });
+  }
+  return { events, rest };
+}
+
+// Calls onEvent(event, data) for each event until the stream ends (or the
+// fetch's signal aborts it, which rejects with an AbortError)
+export async function readEventStream(response, onEvent) {
+  const reader = response.body.getReader();
+  const decoder = new TextDecoder();
+  let buffer = '';
+  for (;;) {
+    const { value, done } = await reader.read();
+    if (done) break;
+    buffer += decoder.decode(value, { stream: true });
+    const { events, rest } = parseEvents(buffer);
+    buffer = rest;
+    events.forEach(({ event, data }) => onEvent(event, data));
+  }
+}
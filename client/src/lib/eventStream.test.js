@@ -0,0 +1,11 @@
+import { parseEvents } from './eventStream';
+
+test('complete events are parsed and a half-received one is kept for later', () => {
+  const { events, rest } = parseEvents(
+    'retry: 3000\n\n: ping\n\nevent: partial\ndata: {"attempt":1,"recipes":[]}\n\nevent: done\ndata: {"rec'
+  );
+  expect(events).toEqual([{ event: 'partial', data: { attempt: 1, recipes: [] } }]);
+  expect(rest).toBe('event: done\ndata: {"rec');
+
+  expect(parseEvents(`${rest}ipes":[]}\r\n\r\n`)).toEqual({ events: [{ event: 'done', data: { recipes: [] } }], rest: '' });
+});
@@ -0,0 +1,70 @@
+// ==========================
+// LEARNED SHELF LIFE
+// ==========================
+// Every time someone fixes an expiry date in the fridge, the correction is
+// stored in `expiry_corrections` (item, location, predicted days, corrected
+// days). The household's learned shelf life for an item is the median of
+// its most recent corrected days, per location — robust to the odd typo and
+// quick to follow a change of habits. createShelfLife() consults it ahead of
+// the table and the LLM (see lib/shelfLife.js).
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+// Only the latest corrections count, so old habits fade out
+export const HISTORY_WINDOW = 9;
+
+export function median(values) {
+  if (!values.length) return null;
+  const sorted = [...values].sort((a, b) => a - b);
+  const mid = Math.floor(sorted.length / 2);
+  return sorted.length % 2 ? sorted[mid] : Math.round((sorted[mid - 1] + sorted[mid]) / 2);
+}
+
+// The day an item's current expiry is counted from: when it went into the
+// freezer for frozen items, when it was added otherwise.
+const shelfStart = (item) =>
+  new Date(item.location === 'freezer' && item.frozen_on ? item.frozen_on : item.added_on);
+
+// Whole calendar days in the user's timezone, so an item added late in the
+// evening still counts the next morning as one day later.
+const localDay = (value) => {
+  const d = new Date(value);
+  return new Date(d.getFullYear(), d.getMonth(), d.getDate());
+};
+const daysBetween = (from, to) => Math.round((localDay(to) - localDay(from)) / DAY_MS);
+
+// Fridge row + the newly picked expiry → expiry_corrections row, or null when
+// nothing actually changed (or the row has no dates to compare).
+export function buildCorrection(item, newExpiresOn) {
+  const start = shelfStart(item);
+  if (!item.expires_on || Number.isNaN(start.getTime())) return null;
+
+  const predicted = daysBetween(start, item.expires_on);
+  const corrected = daysBetween(start, newExpiresOn);
+  if (predicted === corrected || corrected < 0) return null;
+
+  return {
+    item_name: item.item_name,
+    location: item.location || 'fridge',
+    predicted_days: predicted,
+    corrected_days: corrected,
+  };
+}
+
+// corrections: expiry_corrections rows; keyFor: name → item key (so aliases
+// of the same item pool their history). Returns Map "key|location" →
+// { days, samples }.
+export function learnShelfLife(corrections, keyFor) {
+  const byKey = new Map();
+  const newestFirst = [...corrections].sort((a, b) => String(b.created_at).localeCompare(String(a.created_at)));
+  for (const row of newestFirst) {
+    const id = `${keyFor(row.item_name)}|${row.location || 'fridge'}`;
+    const days = byKey.get(id) || [];
+    if (days.length < HISTORY_WINDOW) days.push(row.corrected_days);
+    byKey.set(id, days);
+  }
+
+  const learned = new Map();
+  for (const [id, days] of byKey) learned.set(id, { days: median(days), samples: days.length });
+  return learned;
+}
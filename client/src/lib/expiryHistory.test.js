@@ -0,0 +1,54 @@
+import { fromIsoDate } from './dates';
+import { buildCorrection, HISTORY_WINDOW, learnShelfLife, median } from './expiryHistory';
+
+test('median of odd and even length lists', () => {
+  expect(median([5, 1, 9])).toBe(5);
+  expect(median([4, 7])).toBe(6);
+  expect(median([])).toBeNull();
+});
+
+describe('buildCorrection', () => {
+  const item = {
+    item_name: 'Milk',
+    location: 'fridge',
+    added_on: '2026-10-01T12:00:00.000Z',
+    expires_on: '2026-10-08T12:00:00.000Z',
+  };
+
+  test('records predicted vs corrected days counted from when the item was added', () => {
+    expect(buildCorrection(item, '2026-10-13T12:00:00.000Z')).toEqual({
+      item_name: 'Milk',
+      location: 'fridge',
+      predicted_days: 7,
+      corrected_days: 12,
+    });
+  });
+
+  test('counts frozen items from the day they were frozen', () => {
+    const frozen = { ...item, location: 'freezer', frozen_on: '2026-10-05T12:00:00.000Z', expires_on: '2027-01-03T12:00:00.000Z' };
+    expect(buildCorrection(frozen, '2026-12-04T12:00:00.000Z')).toMatchObject({ predicted_days: 90, corrected_days: 60 });
+  });
+
+  test('counts whole local days, whatever time the item was added', () => {
+    const lateNight = { ...item, added_on: new Date(2026, 9, 1, 23, 30).toISOString(), expires_on: new Date(2026, 9, 3).toISOString() };
+    expect(buildCorrection(lateNight, fromIsoDate('2026-10-04').toISOString())).toMatchObject({
+      predicted_days: 2,
+      corrected_days: 3,
+    });
+  });
+
+  test('ignores edits that change nothing', () => {
+    expect(buildCorrection(item, item.expires_on)).toBeNull();
+  });
+});
+
+test('learnShelfLife keeps only the most recent corrections per item and location', () => {
+  const rows = Array.from({ length: HISTORY_WINDOW + 3 }, (_, i) => ({
+    item_name: 'Bread',
+    location: 'pantry',
+    corrected_days: i < 3 ? 30 : 4,                      // three stale outliers first
+    created_at: `2026-10-${String(i + 1).padStart(2, '0')}`,
+  }));
+  const learned = learnShelfLife(rows, (name) => name.toLowerCase());
+  expect(learned.get('bread|pantry')).toEqual({ days: 4, samples: HISTORY_WINDOW });
+});
@@ -0,0 +1,271 @@
+// ==========================
+// RECEIPT IMAGE PREPROCESSING
+// ==========================
+// Cleans up phone photos of thermal-paper receipts before Tesseract sees them:
+//   grayscale → contrast stretch → auto-crop to the paper → deskew → adaptive threshold
+//
+// The steps are pure functions over a grayscale buffer { pixels, width, height }
+// (pixels: Uint8ClampedArray, one byte per pixel) so they can be tested without
+// a canvas. enhanceReceiptImage() is the browser glue: File/Blob in, PNG Blob out.
+
+const MAX_SIDE = 2000; // downscale huge photos; Tesseract gains nothing above this
+
+// --------------------------
+// Grayscale (ITU-R BT.601 luma)
+// --------------------------
+export function toGrayscale({ data, width, height }) {
+  const pixels = new Uint8ClampedArray(width * height);
+  for (let i = 0, p = 0; p < pixels.length; i += 4, p++) {
+    pixels[p] = 0.299 * data[i] + 0.587 * data[i + 1] + 0.114 * data[i + 2];
+  }
+  return { pixels, width, height };
+}
+
+// --------------------------
+// Contrast stretch: map the 2nd–98th percentile range onto 0–255
+// --------------------------
+export function stretchContrast({ pixels, width, height }, clip = 0.02) {
+  const hist = new Array(256).fill(0);
+  for (const v of pixels) hist[v]++;
+
+  const cut = pixels.length * clip;
+  let lo = 0;
+  let hi = 255;
+  for (let acc = 0; lo < 255 && acc + hist[lo] <= cut; lo++) acc += hist[lo];
+  for (let acc = 0; hi > 0 && acc + hist[hi] <= cut; hi--) acc += hist[hi];
+  if (hi <= lo) return { pixels: pixels.slice(), width, height };
+
+  const scale = 255 / (hi - lo);
+  const out = new Uint8ClampedArray(pixels.length);
+  for (let p = 0; p < pixels.length; p++) out[p] = (pixels[p] - lo) * scale;
+  return { pixels: out, width, height };
+}
+
+// --------------------------
+// Otsu's global threshold (used to tell paper from background)
+// --------------------------
+export function otsuThreshold(pixels) {
+  const hist = new Array(256).fill(0);
+  for (const v of pixels) hist[v]++;
+
+  let sum = 0;
+  for (let t = 0; t < 256; t++) sum += t * hist[t];
+
+  let sumB = 0;
+  let weightB = 0;
+  let best = 0;
+  let threshold = 127;
+  for (let t = 0; t < 256; t++) {
+    weightB += hist[t];
+    if (weightB === 0) continue;
+    const weightF = pixels.length - weightB;
+    if (weightF === 0) break;
+    sumB += t * hist[t];
+    const meanB = sumB / weightB;
+    const meanF = (sum - sumB) / weightF;
+    const between = weightB * weightF * (meanB - meanF) ** 2;
+    if (between > best) {
+      best = between;
+      threshold = t;
+    }
+  }
+  return threshold;
+}
+
+// --------------------------
+// Auto-crop: bounding box of rows/columns that are mostly bright paper.
+// Returns null when no clear receipt edge is found (keep the full frame).
+// --------------------------
+export function findReceiptBounds({ pixels, width, height }, minFill = 0.5) {
+  const t = otsuThreshold(pixels);
+  const rowFill = new Array(height).fill(0);
+  const colFill = new Array(width).fill(0);
+
+  for (let y = 0; y < height; y++) {
+    for (let x = 0; x < width; x++) {
+      if (pixels[y * width + x] > t) {
+        rowFill[y]++;
+        colFill[x]++;
+      }
+    }
+  }
+
+  const rows = rowFill.map((n) => n / width >= minFill * 0.5);
+  const cols = colFill.map((n) => n / height >= minFill);
+  const top = rows.indexOf(true);
+  const bottom = rows.lastIndexOf(true);
+  const left = cols.indexOf(true);
+  const right = cols.lastIndexOf(true);
+  if (top < 0 || left < 0) return null;
+
+  const bounds = { x: left, y: top, width: right - left + 1, height: bottom - top + 1 };
+  const coverage = (bounds.width * bounds.height) / (width * height);
+  // Tiny boxes are noise; a box that is (almost) the whole frame means nothing to crop
+  if (coverage < 0.15 || coverage > 0.97) return null;
+  return bounds;
+}
+
+export function crop({ pixels, width }, bounds) {
+  const out = new Uint8ClampedArray(bounds.width * bounds.height);
+  for (let y = 0; y < bounds.height; y++) {
+    const start = (bounds.y + y) * width + bounds.x;
+    out.set(pixels.subarray(start, start + bounds.width), y * bounds.width);
+  }
+  return { pixels: out, width: bounds.width, height: bounds.height };
+}
+
+// --------------------------
+// Deskew: pick the angle whose horizontal projection of dark pixels is the
+// "peakiest" (text lines line up with rows). Searches ±maxAngle degrees.
+// --------------------------
+export function estimateSkew({ pixels, width, height }, { maxAngle = 10, step = 0.5 } = {}) {
+  const t = otsuThreshold(pixels);
+  const stride = Math.max(1, Math.floor(Math.sqrt((width * height) / 40000))); // sample ~40k pixels
+  const dark = [];
+  for (let y = 0; y < height; y += stride) {
+    for (let x = 0; x < width; x += stride) {
+      if (pixels[y * width + x] <= t) dark.push(x, y);
+    }
+  }
+  if (dark.length < 20) return 0;
+
+  let bestAngle = 0;
+  let bestScore = -1;
+  for (let angle = -maxAngle; angle <= maxAngle + 1e-9; angle += step) {
+    const rad = (angle * Math.PI) / 180;
+    const sin = Math.sin(rad);
+    const cos = Math.cos(rad);
+    const bins = new Map();
+    for (let i = 0; i < dark.length; i += 2) {
+      const row = Math.round(dark[i + 1] * cos - dark[i] * sin);
+      bins.set(row, (bins.get(row) || 0) + 1);
+    }
+    let score = 0;
+    for (const n of bins.values()) score += n * n;
+    if (score > bestScore + 1e-9 || (Math.abs(score - bestScore) < 1e-9 && Math.abs(angle) < Math.abs(bestAngle))) {
+      bestScore = score;
+      bestAngle = angle;
+    }
+  }
+  return Math.round(bestAngle * 100) / 100;
+}
+
+// Rotate by -angle degrees around the centre (nearest neighbour, white fill)
+export function rotate({ pixels, width, height }, angle) {
+  if (!angle) return { pixels: pixels.slice(), width, height };
+  const rad = (angle * Math.PI) / 180;
+  const sin = Math.sin(rad);
+  const cos = Math.cos(rad);
+  const cx = width / 2;
+  const cy = height / 2;
+  const out = new Uint8ClampedArray(width * height).fill(255);
+
+  for (let y = 0; y < height; y++) {
+    for (let x = 0; x < width; x++) {
+      // Inverse mapping: where in the source does this output pixel come from?
+      const dx = x - cx;
+      const dy = y - cy;
+      const sx = Math.round(dx * cos - dy * sin + cx);
+      const sy = Math.round(dx * sin + dy * cos + cy);
+      if (sx >= 0 && sx < width && sy >= 0 && sy < height) {
+        out[y * width + x] = pixels[sy * width + sx];
+      }
+    }
+  }
+  return { pixels: out, width, height };
+}
+
+// --------------------------
+// Adaptive threshold (Bradley–Roth): a pixel is ink when it is `sensitivity`
+// darker than the mean of its neighbourhood. Copes with shadows and fading.
+// --------------------------
+export function adaptiveThreshold({ pixels, width, height }, { windowRatio = 1 / 16, sensitivity = 0.15 } = {}) {
+  const integral = new Float64Array((width + 1) * (height + 1));
+  for (let y = 1; y <= height; y++) {
+    let rowSum = 0;
+    for (let x = 1; x <= width; x++) {
+      rowSum += pixels[(y - 1) * width + (x - 1)];
+      integral[y * (width + 1) + x] = integral[(y - 1) * (width + 1) + x] + rowSum;
+    }
+  }
+
+  const half = Math.max(1, Math.floor((Math.max(width, height) * windowRatio) / 2));
+  const out = new Uint8ClampedArray(width * height);
+  for (let y = 0; y < height; y++) {
+    const y0 = Math.max(0, y - half);
+    const y1 = Math.min(height, y + half + 1);
+    for (let x = 0; x < width; x++) {
+      const x0 = Math.max(0, x - half);
+      const x1 = Math.min(width, x + half + 1);
+      const area = (x1 - x0) * (y1 - y0);
+      const sum =
+        integral[y1 * (width + 1) + x1] -
+        integral[y0 * (width + 1) + x1] -
+        integral[y1 * (width + 1) + x0] +
+        integral[y0 * (width + 1) + x0];
+      out[y * width + x] = pixels[y * width + x] * area <= sum * (1 - sensitivity) ? 0 : 255;
+    }
+  }
+  return { pixels: out, width, height };
+}
+
+// --------------------------
+// Full pipeline on RGBA ImageData-like input → grayscale buffer + what was done
+// --------------------------
+export function preprocessImageData(imageData) {
+  let img = stretchContrast(toGrayscale(imageData));
+
+  const bounds = findReceiptBounds(img);
+  if (bounds) img = crop(img, bounds);
+
+  const skew = estimateSkew(img);
+  if (skew) img = rotate(img, skew);
+
+  img = adaptiveThreshold(img);
+  return { ...img, steps: { cropped: Boolean(bounds), skew } };
+}
+
+// ==========================
+// BROWSER GLUE
+// ==========================
+const loadImage = (src) =>
+  new Promise((resolve, reject) => {
+    const img = new Image();
+    img.onload = () => resolve(img);
+    img.onerror = () => reject(new Error('Could not read the image file.'));
+    img.src = src;
+  });
+
+// File/Blob → { blob (PNG), steps }. Runs on a canvas in the main thread.
+export async function enhanceReceiptImage(file) {
+  const url = URL.createObjectURL(file);
+  try {
+    const img = await loadImage(url);
+    const scale = Math.min(1, MAX_SIDE / Math.max(img.naturalWidth, img.naturalHeight));
+    const width = Math.round(img.naturalWidth * scale);
+    const height = Math.round(img.naturalHeight * scale);
+
+    const canvas = document.createElement('canvas');
+    canvas.width = width;
+    canvas.height = height;
+    const ctx = canvas.getContext('2d');
+    ctx.drawImage(img, 0, 0, width, height);
+
+    const result = preprocessImageData(ctx.getImageData(0, 0, width, height));
+
+    canvas.width = result.width;
+    canvas.height = result.height;
+    const out = ctx.createImageData(result.width, result.height);
+    for (let p = 0, i = 0; p < result.pixels.length; p++, i += 4) {
+      out.data[i] = out.data[i + 1] = out.data[i + 2] = result.pixels[p];
+      out.data[i + 3] = 255;
+    }
+    ctx.putImageData(out, 0, 0);
+
+    const blob = await new Promise((resolve) => canvas.toBlob(resolve, 'image/png'));
+    if (!blob) throw new Error('Could not encode the enhanced image.');
+    return { blob, steps: result.steps };
+  } finally {
+    URL.revokeObjectURL(url);
+  }
+}
@@ -0,0 +1,69 @@
+import {
+  adaptiveThreshold,
+  estimateSkew,
+  findReceiptBounds,
+  rotate,
+  stretchContrast,
+  toGrayscale,
+} from './imagePreprocess';
+
+// Grayscale test image filled with `value`, with `paint(x, y)` overriding pixels
+const makeImage = (width, height, value, paint = () => undefined) => {
+  const pixels = new Uint8ClampedArray(width * height);
+  for (let y = 0; y < height; y++) {
+    for (let x = 0; x < width; x++) {
+      pixels[y * width + x] = paint(x, y) ?? value;
+    }
+  }
+  return { pixels, width, height };
+};
+
+// White page with dark text-like lines tilted by `angle` degrees
+const linedPage = (angle) => {
+  const slope = Math.tan((angle * Math.PI) / 180);
+  return makeImage(200, 200, 255, (x, y) => {
+    const row = y - x * slope;
+    return row > 20 && row < 180 && Math.round(row) % 12 < 3 && x > 20 && x < 180 ? 0 : undefined;
+  });
+};
+
+test('toGrayscale converts RGBA to one byte per pixel', () => {
+  const data = new Uint8ClampedArray([255, 255, 255, 255, 0, 0, 0, 255]);
+  expect(Array.from(toGrayscale({ data, width: 2, height: 1 }).pixels)).toEqual([255, 0]);
+});
+
+test('stretchContrast spreads a washed-out image over the full range', () => {
+  const img = makeImage(10, 10, 150, (x) => (x < 5 ? 100 : undefined));
+  const out = stretchContrast(img);
+  expect(Math.min(...out.pixels)).toBe(0);
+  expect(Math.max(...out.pixels)).toBe(255);
+});
+
+test('findReceiptBounds finds bright paper on a dark table', () => {
+  const img = makeImage(200, 300, 30, (x, y) => (x >= 50 && x < 150 && y >= 40 && y < 260 ? 230 : undefined));
+  expect(findReceiptBounds(img)).toEqual({ x: 50, y: 40, width: 100, height: 220 });
+});
+
+test('findReceiptBounds leaves a full-frame receipt alone', () => {
+  expect(findReceiptBounds(makeImage(50, 50, 240))).toBeNull();
+});
+
+test('estimateSkew recovers the tilt of text lines and rotate undoes it', () => {
+  const tilted = linedPage(4);
+  const skew = estimateSkew(tilted);
+  expect(skew).toBeCloseTo(4, 0);
+  expect(Math.abs(estimateSkew(rotate(tilted, skew)))).toBeLessThanOrEqual(0.5);
+  expect(estimateSkew(linedPage(0))).toBe(0);
+});
+
+test('adaptiveThreshold keeps dark text under an uneven shadow', () => {
+  // Background fades from 250 to 120 left→right; text is 60 darker than its surroundings
+  const img = makeImage(120, 40, 0, (x, y) => {
+    const bg = 250 - x;
+    return y >= 18 && y < 22 && x % 10 < 5 ? bg - 60 : bg;
+  });
+  const out = adaptiveThreshold(img, { windowRatio: 1 / 4 });
+  expect(out.pixels[20 * 120 + 2]).toBe(0);     // text on the bright side
+  expect(out.pixels[20 * 120 + 112]).toBe(0);   // text in the shadow
+  expect(out.pixels[5 * 120 + 112]).toBe(255);  // shadowed background stays white
+});
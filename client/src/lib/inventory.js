@@ -0,0 +1,22 @@
+// ==========================
+// INVENTORY HELPERS
+// ==========================
+import { DEFAULT_UNIT, roundQuantity } from './units';
+import { itemKey } from './duplicates';
+
+// Sum quantities per item and unit across fridge rows
+// ("🥛 Milk" and "Whole Milk" → one line with both quantities added).
+// Names match like duplicates do (see lib/duplicates.js).
+// Returns [{ item_name, unit, quantity, rows }] sorted by name.
+export function totalsByItem(items, shelfLife) {
+  const totals = new Map();
+  for (const it of items) {
+    const unit = it.unit || DEFAULT_UNIT;
+    const key = `${itemKey(it.item_name, shelfLife)}|${unit}`;
+    const entry = totals.get(key) || { item_name: it.item_name.trim(), unit, quantity: 0, rows: 0 };
+    entry.quantity = roundQuantity(entry.quantity + Number(it.quantity ?? 1));
+    entry.rows += 1;
+    totals.set(key, entry);
+  }
+  return [...totals.values()].sort((a, b) => a.item_name.localeCompare(b.item_name));
+}
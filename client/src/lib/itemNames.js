@@ -0,0 +1,40 @@
+// ==========================
+// ITEM NAME NORMALIZATION
+// ==========================
+// Fridge rows are free text ("🥛 Whole Milk", "Eggs", "2% MILK"). Anything
+// that compares items by name goes through normalizeItemName() first, so
+// emoji, case, punctuation and simple plurals don't matter.
+
+// Pictographs plus the joiners/variation selectors used to build emoji
+const EMOJI = /[\p{Extended_Pictographic}\u{1F3FB}-\u{1F3FF}\u{FE0F}\u{200D}]/gu;
+
+// Words where dropping the trailing "s" would be wrong
+const KEEP_S = new Set(['hummus', 'couscous', 'asparagus', 'citrus', 'swiss', 'molasses', 'grass', 'bass', 'oats', 'grits', 'greens', 'chips', 'brussels']);
+
+// Plurals that don't just add "s" (olives, chives and cloves do)
+const IRREGULAR = { loaves: 'loaf', halves: 'half', leaves: 'leaf' };
+
+export function singularize(word) {
+  if (word.length <= 3 || KEEP_S.has(word)) return word;
+  if (IRREGULAR[word]) return IRREGULAR[word];                       // loaves → loaf
+  if (word.endsWith('ies')) return `${word.slice(0, -3)}y`;          // berries → berry
+  if (word.endsWith('oes')) return word.slice(0, -2);                // tomatoes → tomato
+  if (/(ch|sh|x|ss)es$/.test(word)) return word.slice(0, -2);        // peaches → peach
+  if (word.endsWith('s') && !/(ss|us|is)$/.test(word)) return word.slice(0, -1);
+  return word;
+}
+
+// "🥛 Whole Milks!" → "whole milk"
+export function normalizeItemName(name) {
+  return String(name || '')
+    .replace(EMOJI, ' ')
+    .toLowerCase()
+    .replace(/[^a-z0-9%\s]/g, ' ')
+    .split(/\s+/)
+    .filter(Boolean)
+    .map(singularize)
+    .join(' ');
+}
+
+// Strip the leading emoji for display next to other text
+export const stripEmoji = (name) => String(name || '').replace(EMOJI, '').trim();
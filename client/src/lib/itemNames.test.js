@@ -0,0 +1,7 @@
+import { normalizeItemName, singularize } from './itemNames';
+
+test('plurals become singular, irregular ones from the list', () => {
+  const words = ['berries', 'tomatoes', 'peaches', 'loaves', 'leaves', 'olives', 'chives', 'cloves', 'oats', 'hummus'];
+  expect(words.map(singularize)).toEqual(['berry', 'tomato', 'peach', 'loaf', 'leaf', 'olive', 'chive', 'clove', 'oats', 'hummus']);
+  expect(normalizeItemName('🫒 Kalamata Olives!')).toBe('kalamata olive');
+});
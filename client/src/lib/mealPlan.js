@@ -0,0 +1,190 @@
+// ==========================
+// WEEKLY MEAL PLAN
+// ==========================
+// Assigns candidate recipes (generated and saved ones) to the meals of the
+// next PLAN_DAYS days so fridge items are eaten before their expires_on.
+// The plan is built day by day against a simulated fridge: every meal takes
+// what its recipe needs — scaled from the recipe's servings to the
+// household's — from the soonest-expiring matching rows that are still good
+// that day. Each free slot gets the recipe that rescues the most food, where
+// food counts more the closer it is to expiring; recipes already planned
+// count less so the week doesn't repeat itself. A slot stays empty when no
+// candidate uses anything from the fridge.
+//
+// Amounts that can't be converted (grams of a "pack") use up the row;
+// "to taste" ingredients take nothing. Whatever is left in a row on its
+// expiry day is reported as at risk of being wasted.
+//
+// Slots are addressed as "day:meal" ("0:1" = today's second meal); `fixed`
+// pins a recipe (or null) to a slot, `avoid` keeps titles out of a slot —
+// that's how locking and "regenerate this day" work.
+
+import { convertAmount } from './cooking';
+import { isoDate } from './dates';
+import { EXPIRING_SOON_DAYS, daysUntil, sameIngredient } from './recipes';
+import { DEFAULT_UNIT, roundQuantity } from './units';
+
+export const PLAN_DAYS = 7;
+export const MAX_MEALS_PER_DAY = 3;
+
+const REPEAT_PENALTY = 0.75;    // score multiplier per time a recipe is already planned
+const NO_EXPIRY_URGENCY = 0.05; // rice, tins… still worth using, just not urgently
+
+export const slotKey = (day, meal) => `${day}:${meal}`;
+
+export const startOfDay = (date = new Date()) => {
+  const d = new Date(date);
+  d.setHours(0, 0, 0, 0);
+  return d;
+};
+
+const addDays = (date, days) => {
+  const d = new Date(date);
+  d.setDate(d.getDate() + days);
+  return d;
+};
+
+// --------------------------
+// Simulated fridge
+// --------------------------
+// { item, left, lastDay }: lastDay is the last plan day the row is good on
+const toStock = (items, start) =>
+  items
+    .filter((it) => Number(it.quantity ?? 1) > 0)
+    .map((it) => ({
+      item: it,
+      left: Number(it.quantity ?? 1),
+      lastDay: it.expires_on ? daysUntil(it.expires_on, start) : Infinity,
+    }));
+
+// What cooking `recipe` on `day` would take → Map(stock entry → amount in its unit)
+function takeFor(recipe, stock, day, { servings, shelfLife }) {
+  const scale = servings / (recipe.servings || servings);
+  const taken = new Map();
+  const available = (e) => e.left - (taken.get(e) || 0);
+
+  for (const ing of recipe.ingredients) {
+    if (ing.quantity === null || ing.quantity === undefined) continue;
+    const rows = stock
+      .filter((e) => e.lastDay >= day && available(e) > 0 && sameIngredient(ing.name, e.item.item_name, shelfLife))
+      .sort((a, b) => a.lastDay - b.lastDay);
+
+    let need = ing.quantity * scale;
+    for (const e of rows) {
+      if (need <= 0) break;
+      const unit = e.item.unit || DEFAULT_UNIT;
+      const wanted = convertAmount(need, ing.unit, unit);
+      if (wanted === null) {
+        taken.set(e, e.left);
+        break;
+      }
+      const amount = Math.min(wanted, available(e));
+      taken.set(e, (taken.get(e) || 0) + amount);
+      need -= convertAmount(amount, unit, ing.unit);
+    }
+  }
+  return taken;
+}
+
+const urgency = (entry, day) => (entry.lastDay === Infinity ? NO_EXPIRY_URGENCY : 1 / (1 + entry.lastDay - day));
+
+// Food rescued, weighted by how soon it would go off
+const rescueScore = (taken, day) =>
+  [...taken].reduce(
+    (sum, [entry, amount]) => sum + urgency(entry, day) * Math.min(1, amount / Number(entry.item.quantity ?? 1)),
+    0
+  );
+
+// --------------------------
+// Plan
+// --------------------------
+// → { days: [{ date, meals: [{ recipe, uses } | null], fridge }], atRisk }
+//   uses    [{ name, amount, unit, expiring }] taken from the fridge for that meal
+//   fridge  rows still in the fridge that morning (quantities as planned)
+//   atRisk  [{ item, quantity, expires_on, day }] left over on their expiry day
+export function planWeek({
+  candidates,
+  items,
+  start = startOfDay(),
+  days = PLAN_DAYS,
+  mealsPerDay = 2,
+  servings = 2,
+  fixed = {},
+  avoid = {},
+  shelfLife,
+}) {
+  const stock = toStock(items, start);
+  const planned = new Map(); // title → times in the plan so far
+  const options = { servings, shelfLife };
+
+  const pick = (day, key) => {
+    let best = null;
+    for (const recipe of candidates) {
+      if (avoid[key]?.includes(recipe.title)) continue;
+      const taken = takeFor(recipe, stock, day, options);
+      const score = rescueScore(taken, day) * REPEAT_PENALTY ** (planned.get(recipe.title) || 0);
+      if (score > 0 && (!best || score > best.score)) best = { recipe, score };
+    }
+    return best?.recipe || null;
+  };
+
+  const planDays = [];
+  for (let day = 0; day < days; day += 1) {
+    const fridge = stock
+      .filter((e) => e.left > 0 && e.lastDay >= day)
+      .map((e) => ({ ...e.item, quantity: roundQuantity(e.left) }));
+    const meals = [];
+    for (let meal = 0; meal < mealsPerDay; meal += 1) {
+      const key = slotKey(day, meal);
+      const recipe = key in fixed ? fixed[key] : pick(day, key);
+      if (!recipe) {
+        meals.push(null);
+        continue;
+      }
+      const taken = takeFor(recipe, stock, day, options);
+      const uses = [...taken].map(([entry, amount]) => {
+        entry.left = roundQuantity(entry.left - amount);
+        return {
+          name: entry.item.item_name,
+          amount: roundQuantity(amount),
+          unit: entry.item.unit || DEFAULT_UNIT,
+          expiring: entry.lastDay - day < EXPIRING_SOON_DAYS,
+        };
+      });
+      planned.set(recipe.title, (planned.get(recipe.title) || 0) + 1);
+      meals.push({ recipe, uses });
+    }
+    planDays.push({ date: isoDate(addDays(start, day)), meals, fridge });
+  }
+
+  const atRisk = stock
+    .filter((e) => e.left > 0 && e.lastDay >= 0 && e.lastDay < days)
+    .sort((a, b) => a.lastDay - b.lastDay)
+    .map((e) => ({ item: e.item, quantity: roundQuantity(e.left), expires_on: e.item.expires_on, day: e.lastDay }));
+
+  return { days: planDays, atRisk };
+}
+
+// Current slots [{ locked, meals: [recipe|null] }] → `fixed` for planWeek:
+// every slot when just recomputing, locked days only when regenerating all,
+// everything but `day` (unless locked) when regenerating one day
+export function fixedSlots(slots, { regenerate = 'none', day = null } = {}) {
+  const fixed = {};
+  slots.forEach((slot, d) => {
+    const keep = regenerate === 'none' || slot.locked || (regenerate === 'day' && d !== day);
+    if (!keep) return;
+    slot.meals.forEach((recipe, m) => {
+      fixed[slotKey(d, m)] = recipe;
+    });
+  });
+  return fixed;
+}
+
+// Slots of a plan that started `days` days ago, re-based on today: past
+// days drop off the front and empty, unlocked days are added at the end
+export const shiftSlots = (slots, days, length = PLAN_DAYS) =>
+  Array.from({ length }, (_, d) => slots[d + days] || { locked: false, meals: [] });
+
+// Titles currently in a day's slots, to ask for something different there
+export const avoidDay = (slots, day) =>
+  Object.fromEntries((slots[day]?.meals || []).map((recipe, m) => [slotKey(day, m), recipe ? [recipe.title] : []]));
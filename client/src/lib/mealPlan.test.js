@@ -0,0 +1,75 @@
+import { fromIsoDate } from './dates';
+import { avoidDay, fixedSlots, planWeek, shiftSlots, slotKey } from './mealPlan';
+import { DEFAULT_SHELF_LIFE } from './shelfLife';
+
+const start = new Date(2026, 9, 19); // local midnight, Monday 19 Oct 2026
+const inDays = (n) => new Date(2026, 9, 19 + n, 12).toISOString();
+
+const fridge = [
+  { id: 1, item_name: 'Spinach', quantity: 200, unit: 'g', expires_on: inDays(1) },
+  { id: 2, item_name: 'Chicken', quantity: 400, unit: 'g', expires_on: inDays(3) },
+  { id: 3, item_name: 'Eggs', quantity: 6, unit: 'pcs', expires_on: inDays(20) },
+  { id: 4, item_name: 'Yogurt', quantity: 1, unit: 'pcs', expires_on: inDays(2) },
+  { id: 5, item_name: 'Rice', quantity: 1, unit: 'kg', expires_on: null },
+];
+
+const recipe = (title, servings, ingredients) => ({
+  title,
+  servings,
+  time_minutes: 20,
+  ingredients: ingredients.map(([name, quantity, unit = null]) => ({ name, quantity, unit })),
+  steps: ['Cook'],
+  tags: [],
+});
+
+const candidates = [
+  recipe('Omelette', 1, [['Eggs', 2]]),
+  recipe('Spinach Omelette', 2, [['Eggs', 3], ['Spinach', 100, 'g']]),
+  recipe('Chicken Rice', 4, [['Chicken', 400, 'g'], ['Rice', 300, 'g']]),
+];
+
+const plan = (options = {}) =>
+  planWeek({ candidates, items: fridge, start, mealsPerDay: 1, servings: 2, shelfLife: DEFAULT_SHELF_LIFE, ...options });
+
+const titles = (result) => result.days.map((d) => d.meals.map((m) => m?.recipe.title ?? null));
+
+test('items are scheduled before they expire and what is left over is at risk', () => {
+  const result = plan();
+  expect(result.days).toHaveLength(7);
+  expect(result.days[0].date).toBe('2026-10-19');
+  // Spinach goes off tomorrow, so it beats a second chicken meal even as a repeat
+  expect(titles(result).slice(0, 4)).toEqual([['Spinach Omelette'], ['Spinach Omelette'], ['Chicken Rice'], ['Chicken Rice']]);
+
+  // Chicken Rice serves 4, the household 2: half the chicken, 150 g of rice
+  expect(result.days[2].meals[0].uses).toEqual([
+    { name: 'Chicken', amount: 200, unit: 'g', expiring: true },
+    { name: 'Rice', amount: 0.15, unit: 'kg', expiring: false },
+  ]);
+  expect(result.days[3].fridge.find((it) => it.id === 2).quantity).toBe(200);
+
+  // No recipe uses the yogurt
+  expect(result.atRisk.map((r) => [r.item.item_name, r.quantity, r.day])).toEqual([['Yogurt', 1, 2]]);
+});
+
+test('slots stay empty once nothing in the fridge can be used', () => {
+  const result = plan({ candidates: [candidates[1]] });
+  expect(titles(result)).toEqual([['Spinach Omelette'], ['Spinach Omelette'], [null], [null], [null], [null], [null]]);
+});
+
+test('locked days are kept and a regenerated day avoids its previous recipes', () => {
+  const slots = plan().days.map((d, idx) => ({ locked: idx === 0, meals: d.meals.map((m) => m?.recipe ?? null) }));
+
+  const regenerated = plan({ fixed: fixedSlots(slots, { regenerate: 'all' }) });
+  expect(titles(regenerated)[0]).toEqual(['Spinach Omelette']);
+
+  const dayTwo = plan({ fixed: fixedSlots(slots, { regenerate: 'day', day: 2 }), avoid: avoidDay(slots, 2) });
+  expect(titles(dayTwo)[2]).not.toEqual(['Chicken Rice']);
+  expect(titles(dayTwo)[1]).toEqual(titles(plan())[1]);
+  expect(Object.keys(fixedSlots(slots))).toContain(slotKey(6, 0));
+
+  // Two days later the week moves on: day 2 becomes day 0, two open days at the end
+  const later = shiftSlots(slots, 2);
+  expect(later[0]).toBe(slots[2]);
+  expect(later.slice(5)).toEqual([{ locked: false, meals: [] }, { locked: false, meals: [] }]);
+  expect(fromIsoDate('2026-10-19')).toEqual(start);
+});
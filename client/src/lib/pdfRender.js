@@ -0,0 +1,38 @@
+// ==========================
+// PDF → PAGE IMAGES
+// ==========================
+// Loaded on demand (dynamic import) so pdf.js stays out of the main bundle.
+// Each page is rendered to a canvas at OCR-friendly resolution and encoded as PNG.
+
+import * as pdfjs from 'pdfjs-dist/build/pdf';
+
+pdfjs.GlobalWorkerOptions.workerSrc = new URL('pdfjs-dist/build/pdf.worker.min.js', import.meta.url).toString();
+
+const RENDER_SCALE = 2; // ~150 dpi for a typical e-receipt; enough for Tesseract
+
+export async function renderPdfPages(file) {
+  const pdf = await pdfjs.getDocument({ data: await file.arrayBuffer() }).promise;
+  const pages = [];
+
+  try {
+    for (let n = 1; n <= pdf.numPages; n++) {
+      const page = await pdf.getPage(n);
+      const viewport = page.getViewport({ scale: RENDER_SCALE });
+      const canvas = document.createElement('canvas');
+      canvas.width = viewport.width;
+      canvas.height = viewport.height;
+
+      const ctx = canvas.getContext('2d');
+      ctx.fillStyle = '#fff'; // transparent PDFs would otherwise OCR as black
+      ctx.fillRect(0, 0, canvas.width, canvas.height);
+      await page.render({ canvasContext: ctx, viewport }).promise;
+
+      const blob = await new Promise((resolve) => canvas.toBlob(resolve, 'image/png'));
+      if (!blob) throw new Error(`Could not render page ${n} of ${file.name}.`);
+      pages.push(blob);
+    }
+  } finally {
+    pdf.destroy();
+  }
+  return pages;
+}
@@ -0,0 +1,42 @@
+// ==========================
+// RECEIPT PARSING (server + offline fallback)
+// ==========================
+// Shared by the scan flow and the receipts history ("Re-parse").
+import { parseReceiptText } from './receiptParser';
+import { applyShelfLife } from './shelfLife';
+
+const API_URL = process.env.REACT_APP_API_URL || 'http://localhost:5001';
+
+// POST /api/receipts/parse → validated items. Failed requests throw an Error
+// carrying the server's `code` and `details` (see server/lib/errors.js).
+export async function parseReceipt(ocrText) {
+  const response = await fetch(`${API_URL}/api/receipts/parse`, {
+    method: 'POST',
+    headers: { 'Content-Type': 'application/json' },
+    body: JSON.stringify({ text: ocrText }),
+  });
+
+  const data = await response.json();
+  if (!response.ok) {
+    const err = new Error(data.error || 'Receipt parsing failed.');
+    err.code = data.code;
+    err.details = data.details;
+    throw err;
+  }
+  return data.items;
+}
+
+// Server parse with expiry from the shelf-life table, falling back to the
+// offline parser when the LLM route fails.
+//   → { items, parser: 'llm' | 'offline' }
+export async function parseReceiptWithFallback(ocrText, shelfLife) {
+  try {
+    const items = await parseReceipt(ocrText);
+    return { items: items.map((it) => applyShelfLife(it, shelfLife)), parser: 'llm' };
+  } catch (parseErr) {
+    console.warn('LLM parse failed, using offline parser:', parseErr);
+    const items = parseReceiptText(ocrText, { shelfLife });
+    if (items.length === 0) throw parseErr;
+    return { items, parser: 'offline' };
+  }
+}
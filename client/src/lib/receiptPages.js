@@ -0,0 +1,72 @@
+// ==========================
+// MULTI-PAGE RECEIPTS
+// ==========================
+// A receipt can arrive as several photos (long paper receipts) or a PDF
+// (emailed receipts). These helpers turn the selected files into an ordered
+// list of page images, and stitch the per-page OCR text back together while
+// dropping lines repeated where two photos overlap.
+
+let nextPageId = 1;
+const newPage = (name, blob) => ({ id: nextPageId++, name, blob });
+
+const isPdf = (file) => file.type === 'application/pdf' || /\.pdf$/i.test(file.name);
+
+// Files → [{ id, name, blob }], in selection order; PDFs expand to one entry per page
+export async function loadReceiptPages(files) {
+  const pages = [];
+  for (const file of files) {
+    if (isPdf(file)) {
+      const { renderPdfPages } = await import('./pdfRender');
+      const rendered = await renderPdfPages(file);
+      rendered.forEach((blob, idx) => pages.push(newPage(`${file.name} · p${idx + 1}`, blob)));
+    } else if (file.type.startsWith('image/')) {
+      pages.push(newPage(file.name, file));
+    } else {
+      throw new Error(`${file.name} is not an image or PDF.`);
+    }
+  }
+  return pages;
+}
+
+// Compare lines the way OCR output varies between two photos of the same paper
+const normalizeLine = (line) => line.toLowerCase().replace(/[^a-z0-9]/g, '');
+
+// Longest k such that the last k lines of `prev` equal the first k of `next`
+function overlapLength(prev, next, maxOverlap) {
+  const limit = Math.min(prev.length, next.length, maxOverlap);
+  for (let k = limit; k > 0; k--) {
+    let match = true;
+    for (let i = 0; i < k; i++) {
+      if (prev[prev.length - k + i] !== next[i]) {
+        match = false;
+        break;
+      }
+    }
+    if (match) return k;
+  }
+  return 0;
+}
+
+// Join per-page OCR texts in order, skipping the overlapping lines at each seam.
+// Blank and punctuation-only lines (OCR specks) are dropped; very short lines
+// are kept but ignored when matching, since they can't be told apart.
+export function stitchPageTexts(texts, { maxOverlap = 15 } = {}) {
+  const lines = [];
+  const keys = [];
+
+  for (const text of texts) {
+    const pageLines = String(text || '')
+      .split(/\r?\n/)
+      .map((l) => l.trim())
+      .filter((l) => normalizeLine(l));
+    const matchable = pageLines
+      .map((line, idx) => ({ idx, key: normalizeLine(line) }))
+      .filter(({ key }) => key.length >= 3);
+
+    const skip = overlapLength(keys, matchable.map(({ key }) => key), maxOverlap);
+    const from = skip ? matchable[skip - 1].idx + 1 : 0;
+    lines.push(...pageLines.slice(from));
+    keys.push(...matchable.filter(({ idx }) => idx >= from).map(({ key }) => key));
+  }
+  return lines.join('\n');
+}
@@ -0,0 +1,21 @@
+import { stitchPageTexts } from './receiptPages';
+
+test('stitchPageTexts joins pages in order', () => {
+  expect(stitchPageTexts(['MLK 3.49\nBRD 2.99', 'EGGS 4.19\nTOTAL 10.67'])).toBe(
+    'MLK 3.49\nBRD 2.99\nEGGS 4.19\nTOTAL 10.67'
+  );
+});
+
+test('stitchPageTexts drops lines repeated where photos overlap', () => {
+  const top = 'FRESHWAY\nMLK 3.49\nBRD 2.99\nAVCD 1.25';
+  const bottom = 'BRD 2.99\nAVCD  1.25\nEGGS 4.19\nTOTAL 11.92';
+  expect(stitchPageTexts([top, bottom])).toBe('FRESHWAY\nMLK 3.49\nBRD 2.99\nAVCD 1.25\nEGGS 4.19\nTOTAL 11.92');
+});
+
+test('stitchPageTexts ignores OCR specks and blank lines at the seam', () => {
+  expect(stitchPageTexts(['MLK 3.49\nBRD 2.99\n\n.', '~\nBRD 2.99\nEGGS 4.19'])).toBe('MLK 3.49\nBRD 2.99\nEGGS 4.19');
+});
+
+test('stitchPageTexts keeps short lines away from the overlap', () => {
+  expect(stitchPageTexts(['KIWI\n2 @\n0.99\nBRD 2.99', 'BRD 2.99\nFIG\n1.50'])).toBe('KIWI\n2 @\n0.99\nBRD 2.99\nFIG\n1.50');
+});
@@ -0,0 +1,227 @@
+// ==========================
+// OFFLINE RECEIPT PARSER
+// ==========================
+// Deterministic, rule-based fallback for when the LLM route is unavailable
+// (no key, rate-limited, server down). Works directly on Tesseract output and
+// returns items in the same shape as POST /api/receipts/parse:
+//   [{ name, emoji, perish_in_days, quantity, unit, price, location }]
+//
+// Pipeline per line: skip non-item lines (totals, tax, loyalty, payment…) →
+// pull out price and quantity multipliers → strip codes → expand store
+// abbreviations → merge duplicates → location and expiry from the shelf-life
+// table (category-level guess for items the table doesn't know).
+
+import ABBREVIATIONS, { CONTEXTUAL } from './abbreviations';
+import { suggestLocation } from './storage';
+import { DEFAULT_SHELF_LIFE } from './shelfLife';
+
+// Lines that are never grocery items
+const SKIP_PATTERNS = [
+  /\b(sub\s*-?\s*total|total|balance|amount\s+due|change\s+due|change)\b/i,
+  /\b(tax|hst|gst|pst|vat)\b/i,
+  /\b(cash|visa|mastercard|master\s*card|amex|discover|debit|credit|card|tender|payment|paid|approved|auth(orization)?|ref\s*#?|acct|account)\b/i,
+  /\b(loyalty|rewards?|points|member(ship)?|club\s*card|savings|you\s+saved|saved|coupon|discount|promo)\b/i,
+  /\b(thank\s*you|receipt|cashier|register|reg\s*#\s*\d+|trans(action)?|store\s*#|tel|phone|www\.|\.com|items?\s+sold|qty\s+sold)\b/i,
+  /^\s*\d{1,2}[/.-]\d{1,2}[/.-]\d{2,4}\b/, // date/time line
+];
+
+// "2 @ 1.49", "3 X 0.99", "2 @ 2/1.00"
+const MULTIPLIER = /(\d+(?:\.\d+)?)\s*(?:@|x|X|\*)\s*\$?(\d+[.,]\d{2})(?:\s*(?:ea|each))?/;
+// "1.52 lb @ 0.69 /lb", "0.84 kg @ $3.99/kg"
+const WEIGHT = /(\d+(?:\.\d+)?)\s*(lb|lbs|kg|g|oz)\s*@\s*\$?(\d+[.,]\d{2})\s*\/\s*(?:lb|lbs|kg|g|oz)/i;
+// Package size inside a name ("1GAL", "5OZ", "2 LB")
+const SIZE = /\b\d+(?:\.\d+)?\s*(?:gal|oz|lbs?|kg|g|ml|l|ct|pk)\b/gi;
+// Trailing line price, optionally followed by a tax flag ("2.99 F", "$4.50 T")
+const LINE_PRICE = /(-?)\$?\s?(\d+[.,]\d{2})\s*-?\s*[A-Z]{0,2}\s*$/;
+
+const toNumber = (str) => Number(String(str).replace(',', '.'));
+const round2 = (n) => Math.round(n * 100) / 100;
+const titleCase = (str) => str.replace(/\b([a-z])/g, (c) => c.toUpperCase());
+
+const normalizeUnit = (unit) => {
+  const u = unit.toLowerCase();
+  return u === 'lbs' ? 'lb' : u;
+};
+
+// Expand "ORG BNNA" → "banana" using the dictionary (keys are upper-case tokens)
+export function expandAbbreviations(name, abbreviations = ABBREVIATIONS) {
+  const tokens = name.split(/\s+/).filter(Boolean);
+  const keys = tokens.map((token) => token.toUpperCase());
+  // A contextual token expands only when every other token is a dropped qualifier or an allowed neighbour
+  const inContext = (key) =>
+    keys.every((other) => other === key || abbreviations[other] === '' || CONTEXTUAL[key].with.includes(other));
+
+  return tokens
+    .map((token, idx) => {
+      const key = keys[idx];
+      if (key in abbreviations) return abbreviations[key];
+      if (key in CONTEXTUAL && inContext(key)) return CONTEXTUAL[key].expansion;
+      return token.toLowerCase();
+    })
+    .filter(Boolean)
+    .join(' ')
+    .trim();
+}
+
+const isSkippable = (line) => SKIP_PATTERNS.some((re) => re.test(line));
+const hasLetters = (line) => /[a-z]{2,}/i.test(line);
+
+// Reduce an OCR line to its item-name tokens
+const extractName = (line) =>
+  line
+    .replace(WEIGHT, ' ')
+    .replace(MULTIPLIER, ' ')
+    .replace(LINE_PRICE, ' ')
+    .replace(/([a-z])0(?=[a-z])/gi, '$1o') // OCR zero-for-O ("CARR0TS")
+    .replace(SIZE, ' ')
+    .replace(/^\s*\d{4,}\s+/, ' ')   // leading SKU / PLU
+    .replace(/\s\d{4,}\s*$/, ' ')    // trailing SKU
+    .replace(/[^a-z0-9%\s]/gi, ' ')  // OCR noise and punctuation
+    .replace(/\b\d+\b(?!%)/g, ' ')   // stray numbers (keeps "2%")
+    .replace(/\s+/g, ' ')
+    .trim();
+
+// Quantity / price details found on one line (any may be absent)
+function readAmounts(line) {
+  const weight = line.match(WEIGHT);
+  if (weight) {
+    const quantity = toNumber(weight[1]);
+    return { quantity, unit: normalizeUnit(weight[2]), price: round2(quantity * toNumber(weight[3])) };
+  }
+
+  const amounts = {};
+  const multiplier = line.match(MULTIPLIER);
+  if (multiplier) {
+    amounts.quantity = toNumber(multiplier[1]);
+    amounts.price = round2(amounts.quantity * toNumber(multiplier[2]));
+  }
+  const linePrice = line.replace(MULTIPLIER, ' ').match(LINE_PRICE);
+  if (linePrice) {
+    amounts.price = toNumber(linePrice[2]) * (linePrice[1] ? -1 : 1);
+  }
+  return amounts;
+}
+
+export function parseReceiptText(text, { abbreviations = {}, shelfLife = DEFAULT_SHELF_LIFE } = {}) {
+  const dictionary = { ...ABBREVIATIONS, ...abbreviations };
+  const items = [];
+  let pendingName = null;    // name line whose price is on the next line
+  let pendingAmounts = null; // quantity line printed above its item line
+
+  const lines = String(text || '')
+    .split(/\r?\n/)
+    .map((l) => l.trim())
+    .filter(Boolean);
+
+  for (const line of lines) {
+    if (isSkippable(line)) {
+      pendingName = null;
+      pendingAmounts = null;
+      continue;
+    }
+
+    const amounts = readAmounts(line);
+
+    // Discounts and refunds print as negative amounts
+    if (amounts.price < 0) continue;
+
+    // A bare quantity line ("2 @ 1.49   2.98") completes a price-less name
+    // line above it; otherwise it describes the item line that follows.
+    if (!hasLetters(extractName(line))) {
+      if (amounts.price === undefined) continue;
+      if (pendingName) {
+        items.push({ rawName: pendingName, ...amounts });
+        pendingName = null;
+      } else if (amounts.quantity) {
+        pendingAmounts = amounts;
+      }
+      continue;
+    }
+
+    const rawName = extractName(line);
+    if (amounts.price === undefined) {
+      pendingName = rawName; // price probably on the next line
+      continue;
+    }
+    // The item line's own price wins over the one computed from the multiplier
+    items.push({ rawName, ...pendingAmounts, ...amounts });
+    pendingName = null;
+    pendingAmounts = null;
+  }
+
+  // Expand, normalize and merge duplicates (same generic name and unit)
+  const merged = new Map();
+  for (const it of items) {
+    const name = titleCase(expandAbbreviations(it.rawName, dictionary));
+    if (!name) continue;
+
+    const unit = it.unit || 'pcs';
+    const quantity = it.quantity || 1;
+    const key = `${name.toLowerCase()}|${unit}`;
+    const existing = merged.get(key);
+
+    if (existing) {
+      existing.quantity = round2(existing.quantity + quantity);
+      existing.price = existing.price === null || it.price === undefined ? existing.price : round2(existing.price + it.price);
+    } else {
+      const location = suggestLocation(name, shelfLife);
+      merged.set(key, {
+        name,
+        emoji: '',
+        perish_in_days: shelfLife.estimate(name, location).days,
+        quantity,
+        unit,
+        price: it.price === undefined ? null : round2(it.price),
+        location,
+      });
+    }
+  }
+
+  return [...merged.values()];
+}
+
+// ==========================
+// RECEIPT HEADER / FOOTER
+// ==========================
+// Store name, purchase date and total for the receipts history. Best effort:
+// any of them may come back null and the user can fill them in.
+//   → { store, purchased_on (yyyy-mm-dd), total }
+
+const DATE_US = /\b(\d{1,2})[/.-](\d{1,2})[/.-](\d{2,4})\b/; // 10/14/2026, 10-14-26
+const DATE_ISO = /\b(\d{4})-(\d{2})-(\d{2})\b/;
+const TOTAL_LINE = /^\s*(total|balance\s+due|amount\s+due|grand\s+total)\b/i;
+
+const pad2 = (n) => String(n).padStart(2, '0');
+
+function readDate(line) {
+  const iso = line.match(DATE_ISO);
+  if (iso) return `${iso[1]}-${iso[2]}-${iso[3]}`;
+  const us = line.match(DATE_US);
+  if (!us) return null;
+  const [month, day] = [Number(us[1]), Number(us[2])];
+  if (month < 1 || month > 12 || day < 1 || day > 31) return null;
+  const year = us[3].length === 2 ? 2000 + Number(us[3]) : Number(us[3]);
+  return `${year}-${pad2(month)}-${pad2(day)}`;
+}
+
+export function parseReceiptMeta(text) {
+  const lines = String(text || '')
+    .split(/\r?\n/)
+    .map((l) => l.trim())
+    .filter(Boolean);
+
+  // Store: first line with words that isn't an address, phone or web line
+  const storeLine = lines.find(
+    (l) => hasLetters(l) && !/^\d/.test(l) && !/\b(tel|phone|www\.|\.com|cashier)\b/i.test(l)
+  );
+  const store = storeLine
+    ? titleCase(storeLine.replace(/#\s*\d+/g, ' ').replace(/[^a-z0-9&'\s]/gi, ' ').toLowerCase().replace(/\s+/g, ' ').trim())
+    : null;
+
+  const purchased_on = lines.map(readDate).find(Boolean) || null;
+
+  const totalLine = lines.find((l) => TOTAL_LINE.test(l) && LINE_PRICE.test(l));
+  const total = totalLine ? toNumber(totalLine.match(LINE_PRICE)[2]) : null;
+
+  return { store: store || null, purchased_on, total };
+}
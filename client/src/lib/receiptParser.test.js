@@ -0,0 +1,75 @@
+import fs from 'fs';
+import path from 'path';
+import { expandAbbreviations, parseReceiptMeta, parseReceiptText } from './receiptParser';
+
+// Every <name>.txt in __fixtures__/receipts is raw OCR output; <name>.json next
+// to it is the expected parse. Drop in a new pair to cover a new store.
+const FIXTURES = path.join(__dirname, '__fixtures__', 'receipts');
+const samples = fs
+  .readdirSync(FIXTURES)
+  .filter((file) => file.endsWith('.txt'))
+  .map((file) => file.replace(/\.txt$/, ''));
+
+describe('parseReceiptText on sample receipts', () => {
+  test.each(samples)('%s', (name) => {
+    const text = fs.readFileSync(path.join(FIXTURES, `${name}.txt`), 'utf8');
+    const expected = JSON.parse(fs.readFileSync(path.join(FIXTURES, `${name}.json`), 'utf8'));
+    expect(parseReceiptText(text)).toEqual(expected);
+  });
+});
+
+describe('parseReceiptText', () => {
+  test('drops totals, tax, payment and loyalty lines', () => {
+    const text = 'MLK 3.49\nSUBTOTAL 3.49\nTAX 0.00\nTOTAL 3.49\nVISA 3.49\nLOYALTY POINTS 3';
+    expect(parseReceiptText(text).map((it) => it.name)).toEqual(['Milk']);
+  });
+
+  test('keeps items that start with REG, skipping only register numbers', () => {
+    const text = 'REG #04 TRN 5521\nREG COLA 1.99\nMLK 3.49';
+    expect(parseReceiptText(text).map((it) => it.price)).toEqual([1.99, 3.49]);
+  });
+
+  test('expands POT to potato only on its own or after a variety', () => {
+    expect(expandAbbreviations('POT')).toBe('potato');
+    expect(expandAbbreviations('ORG SWT POT')).toBe('sweet potato');
+    expect(expandAbbreviations('BF POT ROAST')).toBe('beef pot roast');
+  });
+
+  test('applies a quantity multiplier to the price-less name line above it', () => {
+    const [item] = parseReceiptText('GRK YGRT\n2 @ 1.49     2.98');
+    expect(item).toMatchObject({ name: 'Greek Yogurt', quantity: 2, price: 2.98 });
+  });
+
+  test('accepts extra abbreviations that override the defaults', () => {
+    const [item] = parseReceiptText('KRM FRCH 4.99', { abbreviations: { KRM: 'creme', FRCH: 'fraiche' } });
+    expect(item.name).toBe('Creme Fraiche');
+  });
+});
+
+describe('expandAbbreviations', () => {
+  test('expands known tokens and drops qualifiers', () => {
+    expect(expandAbbreviations('ORG BNNA')).toBe('banana');
+    expect(expandAbbreviations('BNLS CHKN BRST')).toBe('boneless chicken breast');
+  });
+});
+
+describe('parseReceiptMeta', () => {
+  const read = (name) => fs.readFileSync(path.join(FIXTURES, `${name}.txt`), 'utf8');
+
+  test('reads store, date and total from the header and footer', () => {
+    expect(parseReceiptMeta(read('grocery-outlet'))).toEqual({
+      store: 'Freshway Market',
+      purchased_on: '2026-10-14',
+      total: 25.92,
+    });
+  });
+
+  test('skips subtotals, drops store numbers and accepts "balance due"', () => {
+    expect(parseReceiptMeta(read('corner-store'))).toMatchObject({ store: 'Quick Stop', total: 12.84 });
+    expect(parseReceiptMeta(read('ocr-noise'))).toMatchObject({ store: 'Supersave Foods', total: 13.62 });
+  });
+
+  test('returns nulls when nothing is found', () => {
+    expect(parseReceiptMeta('')).toEqual({ store: null, purchased_on: null, total: null });
+  });
+});
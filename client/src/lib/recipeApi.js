@@ -0,0 +1,59 @@
+// ==========================
+// RECIPE GENERATION (server)
+// ==========================
+// POST /api/recipes/generate → structured recipes (see lib/recipes.js for the
+// shape), following the household's dietary profile (lib/dietary.js); any
+// that still break it carry `violations`. Failed requests throw an Error
+// carrying the server's `code` and `details` (see server/lib/errors.js),
+// like parseReceipt does. streamRecipes() is the same request streamed, so
+// cards can fill in while the model writes.
+import { stripEmoji } from './itemNames';
+import { readEventStream } from './eventStream';
+
+const API_URL = `${process.env.REACT_APP_API_URL || 'http://localhost:5001'}/api/recipes`;
+
+// Fridge rows → what the prompt needs (soonest expiry first, used-up rows dropped)
+export const fridgeIngredients = (items) =>
+  items
+    .filter((it) => Number(it.quantity ?? 1) > 0)
+    .map((it) => ({ name: stripEmoji(it.item_name), quantity: it.quantity ?? null, unit: it.unit || null, expires_on: it.expires_on || null }));
+
+const requestError = (data) => {
+  const err = new Error(data?.error || 'Recipe generation failed.');
+  err.code = data?.code;
+  err.details = data?.details;
+  return err;
+};
+
+const post = (path, { items, profile, count }, signal) =>
+  fetch(`${API_URL}${path}`, {
+    method: 'POST',
+    headers: { 'Content-Type': 'application/json' },
+    body: JSON.stringify({ ingredients: fridgeIngredients(items), profile, count }),
+    signal,
+  });
+
+export async function generateRecipes({ items, profile, count = 3 }) {
+  const response = await post('/generate', { items, profile, count });
+  const data = await response.json();
+  if (!response.ok) throw requestError(data);
+  return data.recipes;
+}
+
+// onPartial(recipes, attempt) gets every readable version of the reply as it
+// grows (fields may still be null or empty; a retry starts from nothing).
+// Aborting `signal` cancels the model request too; the promise then rejects
+// with an AbortError.
+export async function streamRecipes({ items, profile, count = 3, signal, onPartial }) {
+  const response = await post('/generate/stream', { items, profile, count }, signal);
+  if (!response.ok) throw requestError(await response.json().catch(() => null));
+
+  let recipes = null;
+  await readEventStream(response, (event, data) => {
+    if (event === 'partial') onPartial?.(data.recipes, data.attempt);
+    else if (event === 'done') recipes = data.recipes;
+    else if (event === 'error') throw requestError(data);
+  });
+  if (!recipes) throw new Error('The connection closed before the recipes were finished.');
+  return recipes;
+}
@@ -0,0 +1,102 @@
+// ==========================
+// RECIPES & FRIDGE MATCHING
+// ==========================
+// Generated recipes are structured data (see server/lib/recipeSchema.js):
+//   { title, servings, time_minutes, ingredients: [{ name, quantity, unit }], steps, tags }
+// Each ingredient is matched against the fridge rows and marked
+//   in_fridge  a matching row with something left
+//   expiring   …that expires within EXPIRING_SOON_DAYS (or already has)
+//   missing    nothing matches
+// Names match when they are the same word for word or aliases of one
+// shelf-life entry ("Scallions" ↔ "Spring Onion"), ignoring prep words such
+// as "fresh" or "chopped". A longer name also matches when its extra words
+// only qualify the same food ("Chicken" ↔ "Chicken Breast", "Milk" ↔ "Whole
+// Milk"); any other extra word makes a different food ("Butter" ≠ "Peanut
+// Butter", "Pepper" ≠ "Bell Pepper").
+
+import { normalizeItemName } from './itemNames';
+import { roundQuantity } from './units';
+
+export const EXPIRING_SOON_DAYS = 3;
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+// Words recipes add that don't change what the ingredient is
+const PREP_WORDS = new Set([
+  'fresh', 'large', 'small', 'medium', 'chopped', 'diced', 'sliced', 'minced', 'grated', 'shredded',
+  'ripe', 'boneless', 'skinless', 'optional', 'cooked', 'leftover', 'of', 'and', 'to', 'taste',
+]);
+
+// Words that narrow an ingredient down without making it another food
+const QUALIFIER_WORDS = new Set([
+  'whole', 'skim', 'skimmed', 'semi', 'low', 'fat', 'full', 'free', 'range', 'organic', 'salted', 'unsalted',
+  'plain', 'natural', 'greek', 'mature', 'mild', 'sharp', 'extra', 'virgin', 'baby', 'cherry', 'lean',
+  'breast', 'thigh', 'leg', 'wing', 'drumstick', 'fillet', 'mince', 'ground', 'frozen', 'canned', 'tinned', 'dried',
+]);
+
+const nameWords = (name) => normalizeItemName(name).split(' ').filter((w) => w && !PREP_WORDS.has(w));
+
+// Key of the shelf-life entry the words name exactly (key or alias), if any
+function aliasKey(words, shelfLife) {
+  const name = words.join(' ');
+  const entry = shelfLife?.lookup(name);
+  return entry && [entry.key, ...(entry.aliases || [])].some((alias) => normalizeItemName(alias) === name)
+    ? entry.key
+    : null;
+}
+
+export function sameIngredient(ingredientName, itemName, shelfLife) {
+  const a = nameWords(ingredientName);
+  const b = nameWords(itemName);
+  if (!a.length || !b.length) return false;
+  const key = aliasKey(a, shelfLife);
+  if (key && key === aliasKey(b, shelfLife)) return true;
+  const [shorter, longer] = a.length <= b.length ? [a, b] : [b, a];
+  return (
+    shorter.every((w) => longer.includes(w)) &&
+    longer.every((w) => shorter.includes(w) || QUALIFIER_WORDS.has(w))
+  );
+}
+
+// Whole days from now until the date (negative once past)
+export const daysUntil = (date, now = new Date()) => Math.floor((new Date(date) - now) / DAY_MS);
+
+// One ingredient → { ...ingredient, status, matches: [fridge rows], expires_on }
+export function matchIngredient(ingredient, items, { shelfLife, now = new Date() } = {}) {
+  const matches = items.filter(
+    (it) => Number(it.quantity ?? 1) > 0 && sameIngredient(ingredient.name, it.item_name, shelfLife)
+  );
+  const soonest = matches
+    .map((it) => it.expires_on)
+    .filter(Boolean)
+    .sort((x, y) => new Date(x) - new Date(y))[0] || null;
+
+  let status = 'missing';
+  if (matches.length) status = soonest && daysUntil(soonest, now) < EXPIRING_SOON_DAYS ? 'expiring' : 'in_fridge';
+  return { ...ingredient, status, matches, expires_on: soonest };
+}
+
+// Recipe → { ...recipe, ingredients: [matched], counts: { in_fridge, expiring, missing } }
+export function matchRecipe(recipe, items, options) {
+  const ingredients = recipe.ingredients.map((ing) => matchIngredient(ing, items, options));
+  const counts = { in_fridge: 0, expiring: 0, missing: 0 };
+  ingredients.forEach((ing) => {
+    counts[ing.status] += 1;
+  });
+  return { ...recipe, ingredients, counts };
+}
+
+// "2", "250 g", "1.5 tbsp", "to taste"
+export function formatAmount(quantity, unit) {
+  if (quantity === null || quantity === undefined) return unit ? unit : 'to taste';
+  const q = roundQuantity(quantity);
+  return unit ? `${q} ${unit}` : `${q}`;
+}
+
+// "1 h 15 min", "25 min"
+export function formatMinutes(minutes) {
+  const h = Math.floor(minutes / 60);
+  const m = minutes % 60;
+  if (!h) return `${m} min`;
+  return m ? `${h} h ${m} min` : `${h} h`;
+}
@@ -0,0 +1,70 @@
+import { formatAmount, formatMinutes, matchRecipe, sameIngredient } from './recipes';
+import { DEFAULT_SHELF_LIFE } from './shelfLife';
+
+const now = new Date('2026-10-19T12:00:00Z');
+
+const fridge = [
+  { id: 1, item_name: '🥚 Eggs', quantity: 6, unit: 'pcs', expires_on: '2026-11-02T00:00:00Z' },
+  { id: 2, item_name: 'Baby Spinach', quantity: 1, unit: 'pack', expires_on: '2026-10-20T00:00:00Z' },
+  { id: 3, item_name: 'Whole Milk', quantity: 0, unit: 'l', expires_on: '2026-10-25T00:00:00Z' },
+  { id: 4, item_name: 'Chicken', quantity: 500, unit: 'g', expires_on: null },
+];
+
+const recipe = {
+  title: 'Spinach Omelette',
+  servings: 2,
+  time_minutes: 15,
+  ingredients: [
+    { name: 'Eggs', quantity: 4, unit: null },
+    { name: 'Fresh spinach', quantity: 50, unit: 'g' },
+    { name: 'Milk', quantity: 2, unit: 'tbsp' },
+    { name: 'Chicken breast', quantity: 200, unit: 'g' },
+    { name: 'Feta', quantity: 40, unit: 'g' },
+  ],
+  steps: ['Whisk', 'Cook'],
+  tags: ['vegetarian'],
+};
+
+test('ingredients are marked in fridge, expiring soon or missing', () => {
+  const matched = matchRecipe(recipe, fridge, { shelfLife: DEFAULT_SHELF_LIFE, now });
+  expect(matched.ingredients.map((i) => [i.name, i.status])).toEqual([
+    ['Eggs', 'in_fridge'],
+    ['Fresh spinach', 'expiring'],
+    ['Milk', 'missing'], // the only milk row is used up
+    ['Chicken breast', 'in_fridge'],
+    ['Feta', 'missing'],
+  ]);
+  expect(matched.counts).toEqual({ in_fridge: 2, expiring: 1, missing: 2 });
+  expect(matched.ingredients[1].matches.map((r) => r.id)).toEqual([2]);
+  expect(matched.ingredients[1].expires_on).toBe('2026-10-20T00:00:00Z');
+});
+
+test('names match by key or by words, not by partial words', () => {
+  expect(sameIngredient('Tomatoes', '🍅 Tomato', DEFAULT_SHELF_LIFE)).toBe(true);
+  expect(sameIngredient('Grated cheddar', 'Cheddar', DEFAULT_SHELF_LIFE)).toBe(true);
+  expect(sameIngredient('Pea', 'Peanut butter', undefined)).toBe(false);
+  expect(sameIngredient('Fresh', 'Fresh', undefined)).toBe(false);
+  expect(sameIngredient('Chicken', 'Chicken breasts', DEFAULT_SHELF_LIFE)).toBe(true);
+});
+
+test('a longer name only matches when its extra words qualify the same food', () => {
+  for (const [short, long] of [
+    ['Butter', 'Peanut Butter'],
+    ['Milk', 'Coconut Milk'],
+    ['Cream', 'Ice Cream'],
+    ['Pepper', 'Bell Pepper'],
+  ]) {
+    expect([short, long, sameIngredient(short, long, DEFAULT_SHELF_LIFE)]).toEqual([short, long, false]);
+    expect(sameIngredient(long, short, undefined)).toBe(false);
+  }
+  expect(sameIngredient('Unsalted butter', 'Butter', DEFAULT_SHELF_LIFE)).toBe(true);
+});
+
+test('amounts and times read naturally', () => {
+  expect(formatAmount(2, null)).toBe('2');
+  expect(formatAmount(1.333, 'cup')).toBe('1.33 cup');
+  expect(formatAmount(null, null)).toBe('to taste');
+  expect(formatMinutes(25)).toBe('25 min');
+  expect(formatMinutes(75)).toBe('1 h 15 min');
+  expect(formatMinutes(120)).toBe('2 h');
+});
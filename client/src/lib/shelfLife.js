@@ -0,0 +1,166 @@
+// ==========================
+// SHELF-LIFE KNOWLEDGE BASE
+// ==========================
+// Bundled table (src/data/shelfLife.json) of food categories and items with
+// their aliases and days per storage location, merged with the household's
+// overrides from the `shelf_life_overrides` table and what it has learned
+// from expiry corrections (see lib/expiryHistory.js).
+//
+// Lookup order for a name: exact alias → longest alias contained in the name
+// → category keyword → nothing. Expiry estimates prefer, in order: a household
+// override, the learned median, the item's table days, the category's days;
+// callers decide whether a category-level guess beats the LLM's (see applyShelfLife).
+
+import TABLE from '../data/shelfLife.json';
+import { normalizeItemName } from './itemNames';
+import { learnShelfLife } from './expiryHistory';
+
+export const STORAGE_KEYS = ['fridge', 'freezer', 'pantry'];
+export const CATEGORY_NAMES = Object.keys(TABLE.categories);
+
+const pickDays = (source) => {
+  const days = {};
+  for (const key of [...STORAGE_KEYS, 'thawed']) {
+    if (Number.isFinite(source?.[key])) days[key] = source[key];
+  }
+  return days;
+};
+
+// Override row columns → days object (null columns mean "use the table")
+const overrideDays = (row) =>
+  pickDays({ fridge: row.fridge_days, freezer: row.freezer_days, pantry: row.pantry_days });
+
+// overrides: rows of shelf_life_overrides
+//   { item_key, category, aliases, fridge_days, freezer_days, pantry_days }
+// corrections: rows of expiry_corrections
+//   { item_name, location, predicted_days, corrected_days, created_at }
+export function createShelfLife(overrides = [], corrections = []) {
+  const categories = {};
+  for (const [name, info] of Object.entries(TABLE.categories)) {
+    categories[name] = {
+      location: info.location,
+      days: pickDays(info),
+      keywords: info.keywords.map(normalizeItemName),
+    };
+  }
+
+  // ---- Entries: bundled items, then household overrides on top
+  const entries = new Map();
+  for (const item of TABLE.items) {
+    const category = categories[item.category] ? item.category : 'other';
+    const key = normalizeItemName(item.key);
+    entries.set(key, {
+      key,
+      label: item.key,
+      category,
+      aliases: item.aliases || [],
+      location: item.location || categories[category].location,
+      days: { ...categories[category].days, ...pickDays(item) },
+      tableDays: { ...categories[category].days, ...pickDays(item) },
+      source: 'table',
+      overridden: false,
+    });
+  }
+
+  for (const row of overrides) {
+    const key = normalizeItemName(row.item_key);
+    if (!key) continue;
+    const base = entries.get(key);
+    const category = categories[row.category] ? row.category : base?.category || 'other';
+    const categoryDays = categories[category].days;
+    entries.set(key, {
+      key,
+      label: base?.label || row.item_key,
+      category,
+      aliases: [...new Set([...(base?.aliases || []), ...(row.aliases || [])])],
+      location: base?.location || categories[category].location,
+      days: { ...(base && base.category === category ? base.tableDays : categoryDays), ...overrideDays(row) },
+      tableDays: base?.tableDays || null,
+      householdDays: overrideDays(row),
+      source: 'household',
+      overridden: true,
+      custom: !base,
+    });
+  }
+
+  // ---- Alias index, longest phrase first so "chicken breast" beats "chicken"
+  const aliasIndex = [];
+  for (const entry of entries.values()) {
+    for (const alias of [entry.key, ...entry.aliases]) {
+      const normalized = normalizeItemName(alias);
+      if (normalized) aliasIndex.push([normalized, entry.key]);
+    }
+  }
+  aliasIndex.sort((a, b) => b[0].length - a[0].length);
+
+  const lookup = (name) => {
+    const n = normalizeItemName(name);
+    if (!n) return null;
+    const exact = aliasIndex.find(([alias]) => alias === n);
+    if (exact) return entries.get(exact[1]);
+    const padded = ` ${n} `;
+    const partial = aliasIndex.find(([alias]) => padded.includes(` ${alias} `));
+    return partial ? entries.get(partial[1]) : null;
+  };
+
+  const categorize = (name) => {
+    const entry = lookup(name);
+    if (entry) return entry.category;
+    const padded = ` ${normalizeItemName(name)} `;
+    for (const [category, info] of Object.entries(categories)) {
+      if (info.keywords.some((kw) => padded.includes(` ${kw} `))) return category;
+    }
+    return 'other';
+  };
+
+  // Known items pool their history under the table key, so "Whole Milk"
+  // and "Skim Milk" corrections both teach "milk"
+  const keyFor = (name) => lookup(name)?.key ?? normalizeItemName(name);
+  const learned = learnShelfLife(corrections, keyFor);
+
+  // { days, category, source: 'household' | 'learned' | 'table' | 'category', samples? }
+  const estimate = (name, location) => {
+    const entry = lookup(name);
+    const category = entry ? entry.category : categorize(name);
+    if (entry?.source === 'household' && Number.isFinite(entry.householdDays[location])) {
+      return { days: entry.days[location], category, source: 'household' };
+    }
+    const history = learned.get(`${keyFor(name)}|${location}`);
+    if (history) return { days: history.days, category, source: 'learned', samples: history.samples };
+    if (entry) return { days: entry.days[location], category, source: entry.custom ? 'household' : 'table' };
+    return { days: categories[category].days[location], category, source: 'category' };
+  };
+
+  const defaultLocation = (name) => {
+    const entry = lookup(name);
+    return entry ? entry.location : categories[categorize(name)].location;
+  };
+
+  return {
+    lookup,
+    categorize,
+    estimate,
+    defaultLocation,
+    categoryDays: (category) => (categories[category] || categories.other).days,
+    entries: () => [...entries.values()].sort((a, b) => a.label.localeCompare(b.label)),
+  };
+}
+
+// Table without household overrides (tests, offline parser default)
+export const DEFAULT_SHELF_LIFE = createShelfLife();
+
+// Set perish_in_days (and location, if missing) on a parsed receipt item from
+// the table. Known items and items with learned history always beat the LLM;
+// other unknown items keep the LLM's guess unless `useCategory` is set (the
+// offline parser has no guess of its own).
+// Adds `expiry_source`: 'household' | 'learned' | 'table' | 'category' | 'llm'.
+export function applyShelfLife(item, shelfLife, { useCategory = false } = {}) {
+  const name = item.name ?? item.item;
+  const location = item.location || shelfLife.defaultLocation(name);
+  const { days, source } = shelfLife.estimate(name, location);
+
+  if (source === 'category' && !useCategory && Number.isFinite(item.perish_in_days)) {
+    return { ...item, location, expiry_source: 'llm' };
+  }
+  return { ...item, location, perish_in_days: days, expiry_source: source };
+}
@@ -0,0 +1,64 @@
+import { applyShelfLife, createShelfLife, DEFAULT_SHELF_LIFE } from './shelfLife';
+
+describe('shelf-life table', () => {
+  test('finds items by alias regardless of emoji, case and plurals', () => {
+    expect(DEFAULT_SHELF_LIFE.lookup('🥛 Whole Milk').key).toBe('milk');
+    expect(DEFAULT_SHELF_LIFE.lookup('Strawberries').key).toBe('berry');
+    expect(DEFAULT_SHELF_LIFE.lookup('Boneless Chicken Breast').key).toBe('chicken breast');
+    expect(DEFAULT_SHELF_LIFE.lookup('Mystery Snack')).toBeNull();
+    expect(DEFAULT_SHELF_LIFE.estimate('Potato Chips', 'pantry')).toEqual({ days: 60, category: 'pantry', source: 'table' });
+  });
+
+  test('falls back to category keywords for unknown items', () => {
+    expect(DEFAULT_SHELF_LIFE.estimate('Lamb Shoulder', 'fridge')).toEqual({ days: 4, category: 'meat', source: 'category' });
+  });
+
+  test('household overrides replace table days and can add new items', () => {
+    const shelfLife = createShelfLife([
+      { item_key: 'milk', fridge_days: 10 },
+      { item_key: 'Kimchi', category: 'prepared', aliases: ['napa kimchi'], fridge_days: 90 },
+    ]);
+    expect(shelfLife.estimate('Skim Milk', 'fridge')).toMatchObject({ days: 10, source: 'household' });
+    expect(shelfLife.estimate('Skim Milk', 'freezer').days).toBe(90);
+    expect(shelfLife.estimate('Napa Kimchi', 'fridge')).toMatchObject({ days: 90, category: 'prepared' });
+  });
+});
+
+describe('applyShelfLife', () => {
+  test('overrides the LLM estimate for known items', () => {
+    const item = applyShelfLife({ name: 'Eggs', perish_in_days: 3, location: 'fridge' }, DEFAULT_SHELF_LIFE);
+    expect(item).toMatchObject({ perish_in_days: 28, expiry_source: 'table' });
+  });
+
+  test('keeps the LLM estimate for unknown items unless asked to use the category', () => {
+    const llm = { name: 'Lamb Shoulder', perish_in_days: 5, location: 'fridge' };
+    expect(applyShelfLife(llm, DEFAULT_SHELF_LIFE)).toMatchObject({ perish_in_days: 5, expiry_source: 'llm' });
+    expect(applyShelfLife(llm, DEFAULT_SHELF_LIFE, { useCategory: true })).toMatchObject({
+      perish_in_days: 4,
+      expiry_source: 'category',
+    });
+  });
+});
+
+describe('learned shelf life', () => {
+  const corrections = [
+    { item_name: 'Whole Milk', location: 'fridge', corrected_days: 12, created_at: '2026-10-01' },
+    { item_name: '🥛 Skim Milk', location: 'fridge', corrected_days: 10, created_at: '2026-10-05' },
+    { item_name: 'milk', location: 'fridge', corrected_days: 11, created_at: '2026-10-09' },
+    { item_name: 'Lamb Shoulder', location: 'fridge', corrected_days: 6, created_at: '2026-10-09' },
+  ];
+
+  test('uses the median correction ahead of the table, pooling aliases', () => {
+    const shelfLife = createShelfLife([], corrections);
+    expect(shelfLife.estimate('2% Milk', 'fridge')).toMatchObject({ days: 11, source: 'learned', samples: 3 });
+    expect(shelfLife.estimate('Milk', 'freezer')).toMatchObject({ days: 90, source: 'table' });
+  });
+
+  test('beats the LLM for unknown items but not an explicit household override', () => {
+    const shelfLife = createShelfLife([{ item_key: 'milk', fridge_days: 8 }], corrections);
+    expect(shelfLife.estimate('Milk', 'fridge')).toMatchObject({ days: 8, source: 'household' });
+
+    const llm = { name: 'Lamb Shoulder', perish_in_days: 3, location: 'fridge' };
+    expect(applyShelfLife(llm, shelfLife)).toMatchObject({ perish_in_days: 6, expiry_source: 'learned' });
+  });
+});
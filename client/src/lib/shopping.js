@@ -0,0 +1,91 @@
+// ==========================
+// SHOPPING LIST & STAPLES
+// ==========================
+// `shopping_items` rows: { name, quantity|null, unit|null, source, note }
+// where source says how the item got there —
+//   recipe  a missing ingredient (note: the recipe title)
+//   staple  an "always keep" item that is out or below its minimum
+//   manual  typed in
+// Names are compared like recipe ingredients (sameIngredient in ./recipes.js),
+// so "Eggs" isn't added twice and a scanned "Free Range Eggs" ticks it off.
+// A staple's stock is the sum of matching fridge rows whose unit converts
+// to the staple's (see ./cooking.js).
+
+import { convertAmount } from './cooking';
+import { sameIngredient } from './recipes';
+import { DEFAULT_UNIT, formatQuantity, roundQuantity } from './units';
+
+export const SOURCES = {
+  recipe: { label: 'Recipe', className: 'bg-emerald-100 text-emerald-800' },
+  staple: { label: 'Staple', className: 'bg-amber-100 text-amber-800' },
+  manual: { label: 'Added', className: 'bg-gray-100 text-gray-600' },
+};
+
+// Missing ingredients of a matched recipe → new list rows
+export const missingItems = (recipe) =>
+  recipe.ingredients
+    .filter((ing) => ing.status === 'missing')
+    .map((ing) => ({
+      name: ing.name,
+      quantity: ing.quantity,
+      unit: ing.unit,
+      source: 'recipe',
+      note: recipe.title,
+    }));
+
+// → { have, status: 'ok' | 'low' | 'out' }
+export function stapleStatus(staple, items, shelfLife) {
+  const have = roundQuantity(
+    items
+      .filter((it) => sameIngredient(staple.name, it.item_name, shelfLife))
+      .reduce((sum, it) => sum + (convertAmount(it.quantity ?? 1, it.unit, staple.unit) || 0), 0)
+  );
+  if (have <= 0) return { have, status: 'out' };
+  return { have, status: have < Number(staple.min_quantity) ? 'low' : 'ok' };
+}
+
+// Staples that are out or low → list rows topping them back up to the minimum
+export const staplesToBuy = (staples, items, shelfLife) =>
+  staples.flatMap((staple) => {
+    const { have, status } = stapleStatus(staple, items, shelfLife);
+    if (status === 'ok') return [];
+    return [{
+      name: staple.name,
+      quantity: roundQuantity(Number(staple.min_quantity) - have),
+      unit: staple.unit,
+      source: 'staple',
+      note: status === 'out' ? 'out' : 'running low',
+    }];
+  });
+
+// Rows not already on the list (or earlier in `rows`)
+export function newListItems(list, rows, shelfLife) {
+  const kept = [];
+  for (const row of rows) {
+    const known = [...list, ...kept].some((it) => sameIngredient(row.name, it.name, shelfLife));
+    if (!known) kept.push(row);
+  }
+  return kept;
+}
+
+// List rows matched by names on a scanned receipt
+export const boughtItems = (list, names, shelfLife) =>
+  list.filter((it) => names.some((name) => sameIngredient(it.name, name, shelfLife)));
+
+// --------------------------
+// Export
+// --------------------------
+const amount = (it) => (it.quantity == null ? '' : formatQuantity(it.quantity, it.unit || DEFAULT_UNIT));
+
+// format: 'text' | 'markdown'
+export function exportList(list, format = 'text') {
+  if (format === 'markdown') {
+    const lines = list.map((it) => {
+      const details = [amount(it) && ` — ${amount(it)}`, it.note && ` _(${it.note})_`].filter(Boolean).join('');
+      return `- [ ] **${it.name}**${details}`;
+    });
+    return ['## Shopping list', '', ...lines, ''].join('\n');
+  }
+  const lines = list.map((it) => (amount(it) ? `${it.name} (${amount(it)})` : it.name));
+  return ['Shopping list', '', ...lines, ''].join('\n');
+}
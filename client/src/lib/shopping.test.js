@@ -0,0 +1,58 @@
+import { boughtItems, exportList, missingItems, newListItems, stapleStatus, staplesToBuy } from './shopping';
+import { matchRecipe } from './recipes';
+import { DEFAULT_SHELF_LIFE } from './shelfLife';
+
+const fridge = [
+  { id: 1, item_name: '🥚 Eggs', quantity: 2, unit: 'pcs' },
+  { id: 2, item_name: 'Whole Milk', quantity: 500, unit: 'ml' },
+  { id: 3, item_name: 'Whole Milk', quantity: 1, unit: 'l' },
+];
+
+const staples = [
+  { name: 'Eggs', min_quantity: 6, unit: 'pcs' },
+  { name: 'Milk', min_quantity: 1, unit: 'l' },
+  { name: 'Butter', min_quantity: 250, unit: 'g' },
+];
+
+test('staples are out, low or fine from the fridge totals in their own unit', () => {
+  expect(stapleStatus(staples[0], fridge, DEFAULT_SHELF_LIFE)).toEqual({ have: 2, status: 'low' });
+  expect(stapleStatus(staples[1], fridge, DEFAULT_SHELF_LIFE)).toEqual({ have: 1.5, status: 'ok' });
+  expect(stapleStatus(staples[2], fridge, DEFAULT_SHELF_LIFE)).toEqual({ have: 0, status: 'out' });
+  expect(staplesToBuy(staples, fridge, DEFAULT_SHELF_LIFE)).toEqual([
+    { name: 'Eggs', quantity: 4, unit: 'pcs', source: 'staple', note: 'running low' },
+    { name: 'Butter', quantity: 250, unit: 'g', source: 'staple', note: 'out' },
+  ]);
+});
+
+test('missing recipe ingredients are added once; a scanned receipt ticks them off', () => {
+  const recipe = matchRecipe(
+    {
+      title: 'Pancakes',
+      ingredients: [
+        { name: 'Eggs', quantity: 2, unit: null },
+        { name: 'Flour', quantity: 200, unit: 'g' },
+        { name: 'Butter', quantity: 1, unit: 'tbsp' },
+      ],
+    },
+    fridge,
+    { shelfLife: DEFAULT_SHELF_LIFE }
+  );
+  const list = [{ id: 1, name: 'Butter', quantity: 250, unit: 'g', source: 'staple' }];
+  const rows = newListItems(list, [...missingItems(recipe), { name: 'flour', source: 'manual' }], DEFAULT_SHELF_LIFE);
+  expect(rows).toEqual([{ name: 'Flour', quantity: 200, unit: 'g', source: 'recipe', note: 'Pancakes' }]);
+
+  const full = [...list, { id: 2, ...rows[0] }, { id: 3, name: 'Lemons', quantity: null, unit: null }];
+  expect(boughtItems(full, ['Plain Flour', 'Bananas', 'Butter'], DEFAULT_SHELF_LIFE).map((it) => it.id)).toEqual([1, 2]);
+});
+
+test('the list exports as plain text or a markdown checklist', () => {
+  const list = [
+    { name: 'Flour', quantity: 200, unit: 'g', note: 'Pancakes' },
+    { name: 'Eggs', quantity: 4, unit: 'pcs', note: null },
+    { name: 'Lemons', quantity: null, unit: null, note: null },
+  ];
+  expect(exportList(list, 'text')).toBe('Shopping list\n\nFlour (200 g)\nEggs (4)\nLemons\n');
+  expect(exportList(list, 'markdown')).toBe(
+    '## Shopping list\n\n- [ ] **Flour** — 200 g _(Pancakes)_\n- [ ] **Eggs** — 4\n- [ ] **Lemons**\n'
+  );
+});
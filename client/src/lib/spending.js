@@ -0,0 +1,142 @@
+// ==========================
+// SPENDING & PRICE HISTORY
+// ==========================
+// Pure helpers behind the Spending panel. Input is rows of the `receipts`
+// table ({ store, purchased_on, total, items, created_at }); each item is a
+// parsed line ({ name, quantity, unit, price, ... }).
+//
+// Receipt totals drive spend per week / month / store (falling back to the
+// sum of line prices when the total couldn't be read); line prices drive
+// spend per category and per-item price history. Prices are compared per
+// unit ($/l, $/pcs…) so a 2 l bottle and a 1 l bottle line up.
+
+import { DEFAULT_UNIT, roundQuantity } from './units';
+import { itemKey } from './duplicates';
+import { DEFAULT_SHELF_LIFE } from './shelfLife';
+
+// A jump is a unit price this much above the previous purchase (0.2 = +20%)
+export const PRICE_JUMP_THRESHOLD = 0.2;
+
+const round2 = (n) => Math.round(n * 100) / 100;
+
+// yyyy-mm-dd the receipt was paid (scan date when the receipt had none)
+export const receiptDate = (receipt) => receipt.purchased_on || String(receipt.created_at || '').slice(0, 10);
+
+export function receiptTotal(receipt) {
+  if (receipt.total != null) return Number(receipt.total);
+  return round2((receipt.items || []).reduce((sum, it) => sum + (Number(it.price) || 0), 0));
+}
+
+// Monday of the week (UTC) as yyyy-mm-dd
+export function weekStart(dateStr) {
+  const d = new Date(`${dateStr}T00:00:00Z`);
+  d.setUTCDate(d.getUTCDate() - ((d.getUTCDay() + 6) % 7));
+  return d.toISOString().slice(0, 10);
+}
+
+// --------------------------
+// Totals
+// --------------------------
+// → [{ period, total }] oldest first; period is the week's Monday or 'yyyy-mm'
+export function spendByPeriod(receipts, period = 'month') {
+  const totals = new Map();
+  for (const r of receipts) {
+    const date = receiptDate(r);
+    if (!date) continue;
+    const key = period === 'week' ? weekStart(date) : date.slice(0, 7);
+    totals.set(key, round2((totals.get(key) || 0) + receiptTotal(r)));
+  }
+  return [...totals.entries()]
+    .map(([key, total]) => ({ period: key, total }))
+    .sort((a, b) => a.period.localeCompare(b.period));
+}
+
+// → [{ store, total, visits }] biggest first
+export function spendByStore(receipts) {
+  const stores = new Map();
+  for (const r of receipts) {
+    const store = r.store || 'Unknown store';
+    const entry = stores.get(store) || { store, total: 0, visits: 0 };
+    entry.total = round2(entry.total + receiptTotal(r));
+    entry.visits += 1;
+    stores.set(store, entry);
+  }
+  return [...stores.values()].sort((a, b) => b.total - a.total);
+}
+
+// --------------------------
+// Line items
+// --------------------------
+// Every priced line of every receipt, oldest first
+//   → [{ date, store, name, key, category, quantity, unit, price, unitPrice }]
+export function purchaseLines(receipts, shelfLife = DEFAULT_SHELF_LIFE) {
+  const lines = [];
+  for (const r of receipts) {
+    const date = receiptDate(r);
+    for (const it of r.items || []) {
+      const price = Number(it.price);
+      if (!it.name || !Number.isFinite(price) || price <= 0) continue;
+      const quantity = Number(it.quantity) > 0 ? Number(it.quantity) : 1;
+      lines.push({
+        date,
+        store: r.store || 'Unknown store',
+        name: it.name,
+        key: itemKey(it.name, shelfLife),
+        category: shelfLife.categorize(it.name),
+        quantity,
+        unit: it.unit || DEFAULT_UNIT,
+        price,
+        unitPrice: round2(price / quantity),
+      });
+    }
+  }
+  return lines.sort((a, b) => a.date.localeCompare(b.date));
+}
+
+// → [{ category, total }] biggest first
+export function spendByCategory(lines) {
+  const totals = new Map();
+  for (const l of lines) totals.set(l.category, round2((totals.get(l.category) || 0) + l.price));
+  return [...totals.entries()]
+    .map(([category, total]) => ({ category, total }))
+    .sort((a, b) => b.total - a.total);
+}
+
+// Items bought at least `minPurchases` times in the same unit
+//   → [{ key, name, unit, points: [{ date, unitPrice, store, quantity }] }] most bought first
+export function priceHistory(lines, minPurchases = 2) {
+  const series = new Map();
+  for (const l of lines) {
+    const id = `${l.key}|${l.unit}`;
+    const entry = series.get(id) || { key: l.key, name: l.name, unit: l.unit, points: [] };
+    entry.points.push({ date: l.date, unitPrice: l.unitPrice, store: l.store, quantity: roundQuantity(l.quantity) });
+    series.set(id, entry);
+  }
+  return [...series.values()]
+    .filter((s) => s.points.length >= minPurchases)
+    .sort((a, b) => b.points.length - a.points.length || a.name.localeCompare(b.name));
+}
+
+// Latest purchase noticeably pricier (per unit) than the one before
+//   → [{ key, name, unit, previous, latest, change (fraction), date, store }]
+export function priceJumps(history, threshold = PRICE_JUMP_THRESHOLD) {
+  const jumps = [];
+  for (const s of history) {
+    const [previous, latest] = s.points.slice(-2);
+    if (!previous || !(previous.unitPrice > 0)) continue;
+    const change = (latest.unitPrice - previous.unitPrice) / previous.unitPrice;
+    if (change >= threshold) {
+      jumps.push({
+        key: s.key,
+        name: s.name,
+        unit: s.unit,
+        previous: previous.unitPrice,
+        latest: latest.unitPrice,
+        change: round2(change),
+        date: latest.date,
+        store: latest.store,
+      });
+    }
+  }
+  return jumps.sort((a, b) => b.change - a.change);
+}
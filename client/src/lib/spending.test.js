@@ -0,0 +1,77 @@
+import {
+  priceHistory,
+  priceJumps,
+  purchaseLines,
+  spendByCategory,
+  spendByPeriod,
+  spendByStore,
+  weekStart,
+} from './spending';
+
+const receipts = [
+  {
+    store: 'Freshway Market',
+    purchased_on: '2026-09-28',
+    total: 12.5,
+    items: [
+      { name: 'Eggs', quantity: 12, unit: 'pcs', price: 3.6 },
+      { name: 'Whole Milk', quantity: 1, unit: 'l', price: 1.5 },
+    ],
+  },
+  {
+    store: 'Quick Stop',
+    purchased_on: '2026-10-02',
+    total: null,
+    items: [
+      { name: 'Milk', quantity: 2, unit: 'l', price: 3.0 },
+      { name: 'Bag Fee', quantity: 1, unit: 'pcs', price: null },
+    ],
+  },
+  {
+    store: 'Freshway Market',
+    purchased_on: '2026-10-09',
+    total: 9.9,
+    items: [
+      { name: '🥚 Eggs', quantity: 12, unit: 'pcs', price: 4.8 },
+      { name: 'Bread', quantity: 1, unit: 'pcs', price: 2.5 },
+    ],
+  },
+];
+
+test('weekStart is the Monday of the week', () => {
+  expect(weekStart('2026-10-09')).toBe('2026-10-05'); // Friday
+  expect(weekStart('2026-10-05')).toBe('2026-10-05'); // Monday
+  expect(weekStart('2026-10-04')).toBe('2026-09-28'); // Sunday
+});
+
+test('spend per month and week uses totals, or line prices when the total is missing', () => {
+  expect(spendByPeriod(receipts, 'month')).toEqual([
+    { period: '2026-09', total: 12.5 },
+    { period: '2026-10', total: 12.9 },
+  ]);
+  expect(spendByPeriod(receipts, 'week').map((w) => w.period)).toEqual(['2026-09-28', '2026-10-05']);
+});
+
+test('spend per store counts visits', () => {
+  expect(spendByStore(receipts)[0]).toEqual({ store: 'Freshway Market', total: 22.4, visits: 2 });
+});
+
+test('spend per category adds up line prices', () => {
+  const byCategory = spendByCategory(purchaseLines(receipts));
+  expect(byCategory.find((c) => c.category === 'eggs').total).toBe(8.4);
+  expect(byCategory.find((c) => c.category === 'dairy').total).toBe(4.5);
+});
+
+test('price history pools aliases and compares unit prices', () => {
+  const history = priceHistory(purchaseLines(receipts));
+  expect(history.map((s) => s.key).sort()).toEqual(['egg', 'milk']);
+  const milk = history.find((s) => s.key === 'milk');
+  expect(milk.points.map((p) => p.unitPrice)).toEqual([1.5, 1.5]);
+});
+
+test('flags items whose unit price jumped since the last purchase', () => {
+  const jumps = priceJumps(priceHistory(purchaseLines(receipts)));
+  expect(jumps).toEqual([
+    expect.objectContaining({ key: 'egg', previous: 0.3, latest: 0.4, change: 0.33, date: '2026-10-09' }),
+  ]);
+});
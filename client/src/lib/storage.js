@@ -0,0 +1,58 @@
+// ==========================
+// STORAGE LOCATIONS
+// ==========================
+// Items live in the fridge, freezer or pantry. Freezing an item pushes its
+// expiry out by its freezer shelf life; thawing it gives it the (short)
+// thawed shelf life instead. Days come from the shelf-life table (lib/shelfLife.js).
+
+import { DEFAULT_SHELF_LIFE } from './shelfLife';
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+export const LOCATIONS = [
+  { key: 'fridge', label: 'Fridge', emoji: '🧊' },
+  { key: 'freezer', label: 'Freezer', emoji: '❄️' },
+  { key: 'pantry', label: 'Pantry', emoji: '🥫' },
+];
+
+export const DEFAULT_LOCATION = 'fridge';
+
+// Default location for a newly bought item
+export const suggestLocation = (name, shelfLife = DEFAULT_SHELF_LIFE) => shelfLife.defaultLocation(name);
+
+// --------------------------
+// Moving between locations
+// --------------------------
+// Returns the fridge-row patch for moving `item` to `location`:
+// - into the freezer: expiry = now + freezer shelf life, frozen_on = now
+// - out of the freezer: expiry = now + thawed shelf life (never later than
+//   the frozen expiry), frozen_on cleared
+// - fridge ↔ pantry: location only
+export function moveItemPatch(item, location, now = new Date(), shelfLife = DEFAULT_SHELF_LIFE) {
+  const from = item.location || DEFAULT_LOCATION;
+  if (from === location) return {};
+
+  if (location === 'freezer') {
+    const { days, source } = shelfLife.estimate(item.item_name, 'freezer');
+    return {
+      location,
+      frozen_on: now.toISOString(),
+      expires_on: new Date(now.getTime() + days * DAY_MS).toISOString(),
+      expiry_source: source,
+      batches: [],                                      // every batch now keeps equally long
+    };
+  }
+  if (from === 'freezer') {
+    const { thawed } = shelfLife.categoryDays(shelfLife.categorize(item.item_name));
+    const thawedUntil = now.getTime() + thawed * DAY_MS;
+    const frozenExpiry = item.expires_on ? new Date(item.expires_on).getTime() : Infinity;
+    return {
+      location,
+      frozen_on: null,
+      expires_on: new Date(Math.min(thawedUntil, frozenExpiry)).toISOString(),
+      expiry_source: thawedUntil < frozenExpiry ? 'category' : item.expiry_source,
+      batches: [],
+    };
+  }
+  return { location };
+}
@@ -0,0 +1,18 @@
+// ==========================
+// QUANTITY UNITS
+// ==========================
+// Same list as UNITS in server/lib/receiptSchema.js and the fridge.unit check
+// constraint — keep all three in sync.
+
+export const UNITS = ['pcs', 'g', 'kg', 'ml', 'l', 'oz', 'lb', 'pack', 'dozen'];
+
+export const DEFAULT_UNIT = 'pcs';
+
+// Avoid 0.30000000000000004 after repeated partial use
+export const roundQuantity = (n) => Math.round(Number(n) * 100) / 100;
+
+// "3", "1.5 l", "250 g" — pieces read fine without the unit
+export const formatQuantity = (quantity, unit = DEFAULT_UNIT) => {
+  const q = roundQuantity(quantity ?? 1);
+  return unit === DEFAULT_UNIT ? `${q}` : `${q} ${unit}`;
+};
@@ -0,0 +1,73 @@
+// ==========================
+// OUTCOMES & WASTE REPORT
+// ==========================
+// Items never just disappear from the fridge: every removal (and every
+// "Use some") is recorded in `fridge_events` with an outcome —
+//   consumed  eaten / used up
+//   wasted    thrown out (spoiled, expired)
+//   mistake   shouldn't have been there (bad scan, typo); ignored by reports
+// The waste report is computed from those events.
+
+import { DEFAULT_UNIT, roundQuantity } from './units';
+import { itemKey } from './duplicates';
+
+export const OUTCOMES = [
+  { key: 'consumed', label: 'Eaten', emoji: '✅' },
+  { key: 'wasted', label: 'Thrown out', emoji: '🗑️' },
+  { key: 'mistake', label: 'Removed by mistake', emoji: '↩️' },
+];
+
+// fridge row (or one of its batches) → fridge_events row
+export function outcomeEvent(item, outcome, quantity, { expires_on = item.expires_on, receipt_id = item.receipt_id } = {}) {
+  return {
+    fridge_id: item.id ?? null,
+    item_name: item.item_name,
+    quantity: roundQuantity(quantity ?? item.quantity ?? 1),
+    unit: item.unit || DEFAULT_UNIT,
+    unit_price: item.unit_price ?? null,
+    location: item.location || 'fridge',
+    expires_on: expires_on ?? null,
+    receipt_id: receipt_id ?? null,
+    outcome,
+  };
+}
+
+// Estimated value of an event, or null when the purchase price is unknown
+export const eventCost = (event) =>
+  event.unit_price == null ? null : Math.round(Number(event.unit_price) * Number(event.quantity) * 100) / 100;
+
+const wastedOnly = (events) => events.filter((e) => e.outcome === 'wasted');
+
+// → [{ month: 'yyyy-mm', items, cost, unpriced }] newest first
+export function wasteByMonth(events) {
+  const months = new Map();
+  for (const e of wastedOnly(events)) {
+    const month = String(e.occurred_at).slice(0, 7);
+    const entry = months.get(month) || { month, items: 0, cost: 0, unpriced: 0 };
+    const cost = eventCost(e);
+    entry.items += 1;
+    if (cost === null) entry.unpriced += 1;
+    else entry.cost = Math.round((entry.cost + cost) * 100) / 100;
+    months.set(month, entry);
+  }
+  return [...months.values()].sort((a, b) => b.month.localeCompare(a.month));
+}
+
+// Items thrown out most often → [{ key, name, times, cost }]
+export function mostWasted(events, shelfLife, limit = 5) {
+  const items = new Map();
+  for (const e of wastedOnly(events)) {
+    const key = itemKey(e.item_name, shelfLife);
+    const entry = items.get(key) || { key, name: e.item_name, times: 0, cost: 0 };
+    entry.times += 1;
+    entry.cost = Math.round((entry.cost + (eventCost(e) || 0)) * 100) / 100;
+    items.set(key, entry);
+  }
+  return [...items.values()].sort((a, b) => b.times - a.times || b.cost - a.cost).slice(0, limit);
+}
+
+// Share of recorded outcomes (by event, mistakes excluded) that were wasted
+export function wasteRate(events) {
+  const counted = events.filter((e) => e.outcome !== 'mistake');
+  return counted.length ? wastedOnly(counted).length / counted.length : 0;
+}
@@ -0,0 +1,58 @@
+import { eventCost, mostWasted, outcomeEvent, wasteByMonth, wasteRate } from './waste';
+import { DEFAULT_SHELF_LIFE } from './shelfLife';
+
+const event = (item_name, outcome, occurred_at, extra = {}) => ({
+  item_name,
+  outcome,
+  occurred_at,
+  quantity: 1,
+  unit: 'pcs',
+  unit_price: null,
+  ...extra,
+});
+
+const events = [
+  event('🥬 Spinach', 'wasted', '2026-09-12T10:00:00Z', { unit_price: 3.49 }),
+  event('Baby Spinach', 'wasted', '2026-10-03T10:00:00Z', { unit_price: 3.29 }),
+  event('Milk', 'wasted', '2026-10-05T10:00:00Z', { quantity: 0.5, unit: 'l', unit_price: 1.2 }),
+  event('Bread', 'wasted', '2026-10-06T10:00:00Z'),
+  event('Eggs', 'consumed', '2026-10-06T10:00:00Z', { unit_price: 0.3 }),
+  event('Tofu', 'mistake', '2026-10-07T10:00:00Z', { unit_price: 2 }),
+];
+
+test('outcomeEvent copies what the report needs from a fridge row', () => {
+  const item = { id: 7, item_name: 'Milk', quantity: 2, unit: 'l', unit_price: 1.2, location: 'fridge', expires_on: 'x', receipt_id: 3 };
+  expect(outcomeEvent(item, 'wasted', 0.5)).toEqual({
+    fridge_id: 7,
+    item_name: 'Milk',
+    quantity: 0.5,
+    unit: 'l',
+    unit_price: 1.2,
+    location: 'fridge',
+    expires_on: 'x',
+    receipt_id: 3,
+    outcome: 'wasted',
+  });
+});
+
+test('eventCost is unknown without a price', () => {
+  expect(eventCost(events[2])).toBe(0.6);
+  expect(eventCost(events[3])).toBeNull();
+});
+
+test('wasteByMonth counts wasted items and money lost, newest month first', () => {
+  expect(wasteByMonth(events)).toEqual([
+    { month: '2026-10', items: 3, cost: 3.89, unpriced: 1 },
+    { month: '2026-09', items: 1, cost: 3.49, unpriced: 0 },
+  ]);
+});
+
+test('mostWasted pools name variants and ignores eaten and mistaken items', () => {
+  const top = mostWasted(events, DEFAULT_SHELF_LIFE);
+  expect(top[0]).toMatchObject({ key: 'spinach', times: 2, cost: 6.78 });
+  expect(top.map((t) => t.key)).not.toContain('tofu');
+});
+
+test('wasteRate leaves mistakes out', () => {
+  expect(wasteRate(events)).toBe(4 / 5);
+});
@@ -0,0 +1,55 @@
+/* eslint-disable no-restricted-globals */
+// ==========================
+// SERVICE WORKER
+// ==========================
+// Built by react-scripts (Workbox InjectManifest) into build/service-worker.js
+// and registered from index.js in production builds. It makes the app shell
+// load without a connection; fridge data itself is cached in IndexedDB by
+// the data layer (src/db/offline.js), so API and Supabase calls are never
+// served from here.
+import { clientsClaim } from 'workbox-core';
+import { ExpirationPlugin } from 'workbox-expiration';
+import { CacheableResponsePlugin } from 'workbox-cacheable-response';
+import { createHandlerBoundToURL, precacheAndRoute } from 'workbox-precaching';
+import { registerRoute } from 'workbox-routing';
+import { CacheFirst, StaleWhileRevalidate } from 'workbox-strategies';
+
+clientsClaim();
+
+// Every file of the build (JS, CSS, index.html…)
+precacheAndRoute(self.__WB_MANIFEST);
+
+// Page navigations → the cached index.html (the app routes itself)
+const fileExtension = /\/[^/?]+\.[^/]+$/;
+registerRoute(({ request, url }) => {
+  if (request.mode !== 'navigate') return false;
+  if (url.pathname.startsWith('/_')) return false;
+  return !url.pathname.match(fileExtension);
+}, createHandlerBoundToURL(`${process.env.PUBLIC_URL}/index.html`));
+
+// Icons and other same-origin images in /public
+registerRoute(
+  ({ url }) => url.origin === self.location.origin && /\.(png|ico|svg|jpg)$/.test(url.pathname),
+  new StaleWhileRevalidate({
+    cacheName: 'images',
+    plugins: [new ExpirationPlugin({ maxEntries: 50 })],
+  })
+);
+
+// Tesseract's worker, WASM core and language data come from a CDN; keeping
+// them lets receipts be OCR'd offline (the offline parser then reads them)
+registerRoute(
+  ({ url }) => /(^|\.)jsdelivr\.net$|(^|\.)projectnaptha\.com$/.test(url.hostname),
+  new CacheFirst({
+    cacheName: 'ocr-engine',
+    plugins: [
+      new CacheableResponsePlugin({ statuses: [0, 200] }),
+      new ExpirationPlugin({ maxEntries: 20, maxAgeSeconds: 60 * 60 * 24 * 90 }),
+    ],
+  })
+);
+
+// "Update available" → the page can ask the new worker to take over
+self.addEventListener('message', (event) => {
+  if (event.data && event.data.type === 'SKIP_WAITING') self.skipWaiting();
+});
@@ -0,0 +1,27 @@
+// ==========================
+// SERVICE WORKER REGISTRATION
+// ==========================
+// Production builds only: the dev server doesn't build src/service-worker.js
+// and a cached shell would hide hot reloads. A new version takes over as
+// soon as it has installed, so the next page load runs it.
+
+export function register() {
+  if (process.env.NODE_ENV !== 'production' || !('serviceWorker' in navigator)) return;
+
+  window.addEventListener('load', async () => {
+    try {
+      const registration = await navigator.serviceWorker.register(`${process.env.PUBLIC_URL}/service-worker.js`);
+      registration.onupdatefound = () => {
+        const installing = registration.installing;
+        if (!installing) return;
+        installing.onstatechange = () => {
+          if (installing.state === 'installed' && navigator.serviceWorker.controller) {
+            installing.postMessage({ type: 'SKIP_WAITING' });
+          }
+        };
+      };
+    } catch (err) {
+      console.error('Service worker registration failed:', err);
+    }
+  });
+}
@@ -0,0 +1,154 @@
+import express from "express";
+import cors from "cors";
+import bodyParser from "body-parser";
+import { ApiError, ErrorCodes, errorResponse, sendError } from "./lib/errors.js";
+import { generateContent } from "./lib/llm.js";
+import { generateStructured } from "./lib/structuredOutput.js";
+import { buildCorrectionPrompt, buildReceiptPrompt, validateReceiptItems } from "./lib/receiptSchema.js";
+import {
+  buildRecipeCorrectionPrompt,
+  buildRecipePrompt,
+  partialRecipes,
+  validateRecipeRequest,
+  validateRecipes,
+} from "./lib/recipeSchema.js";
+import { profileViolations } from "./lib/dietaryProfile.js";
+import { createLocalStore } from "./lib/localStore.js";
+import { localDbRouter } from "./lib/localDbRoutes.js";
+import { openEventStream } from "./lib/sse.js";
+
+// The Express app with every route; index.js loads .env and listens. Tests
+// build their own with createApp() (LLM_PROVIDER=mock needs no network).
+
+// Fridge ingredients + dietary profile → validated structured recipes
+// ({ title, servings, time_minutes, ingredients, steps, tags }, see lib/recipeSchema.js).
+// Recipes that break the profile are sent back for another try; any still
+// breaking it after the last attempt come back with `violations`.
+function recipeJob(request) {
+  const check = (recipe) => profileViolations(recipe, request.profile);
+  return {
+    job: {
+      prompt: buildRecipePrompt(request),
+      validate: (parsed) => {
+        const { recipes, errors } = validateRecipes(parsed, request.count);
+        const warnings = recipes.flatMap((recipe, idx) =>
+          check(recipe).map((problem) => `recipes[${idx}] "${recipe.title}": ${problem} breaks the dietary profile`)
+        );
+        return { value: recipes, errors, warnings };
+      },
+      correction: buildRecipeCorrectionPrompt,
+      task: "recipes",
+      label: "Recipe generation",
+    },
+    flag: (recipes) =>
+      recipes.map((recipe) => {
+        const violations = check(recipe);
+        return violations.length ? { ...recipe, violations } : recipe;
+      }),
+  };
+}
+
+export function createApp() {
+  const app = express();
+
+  app.use(cors());
+  app.use(bodyParser.json({ limit: "2mb" }));
+
+  // Local data backend (SQLite) for running the app without Supabase.
+  // LOCAL_DB=./data/chopchop.db keeps a file; LOCAL_DB=:memory: starts empty every run.
+  if (process.env.LOCAL_DB) {
+    app.use("/api/db", localDbRouter(createLocalStore(process.env.LOCAL_DB)));
+    console.log(`🗄️  Local database: ${process.env.LOCAL_DB}`);
+  }
+
+  // Raw passthrough: Gemini-style { contents } → { text } from the configured
+  // provider (lib/llm.js). Kept under its old path for existing callers.
+  app.post("/api/gemini", async (req, res) => {
+    try {
+      const { contents } = req.body;
+      if (!contents) {
+        return res.status(400).json({ error: 'Missing "contents" in request body' });
+      }
+
+      const text = await generateContent(contents, { task: "default" });
+      res.json({ text });
+    } catch (err) {
+      sendError(res, err);
+    }
+  });
+
+  // Receipt OCR text → validated grocery items (retries with the schema errors,
+  // see lib/structuredOutput.js).
+  app.post("/api/receipts/parse", async (req, res) => {
+    try {
+      const { text } = req.body ?? {};
+      if (typeof text !== "string" || !text.trim()) {
+        throw new ApiError(400, ErrorCodes.INVALID_REQUEST, 'Missing "text" (OCR output) in request body');
+      }
+
+      const { value, attempts } = await generateStructured({
+        prompt: buildReceiptPrompt(text),
+        validate: (parsed) => {
+          const { items, errors } = validateReceiptItems(parsed);
+          return { value: items, errors };
+        },
+        correction: buildCorrectionPrompt,
+        task: "receipts",
+        label: "Receipt parse",
+      });
+      res.json({ items: value, attempts });
+    } catch (err) {
+      sendError(res, err);
+    }
+  });
+
+  app.post("/api/recipes/generate", async (req, res) => {
+    try {
+      const { job, flag } = recipeJob(validateRecipeRequest(req.body));
+      const { value, attempts } = await generateStructured(job);
+      res.json({ recipes: flag(value), attempts });
+    } catch (err) {
+      sendError(res, err);
+    }
+  });
+
+  // The same, as server-sent events while the model writes:
+  //   partial  { attempt, recipes }  what can be read so far (fields may be missing;
+  //                                  a new attempt starts over)
+  //   done     { recipes, attempts } as from /api/recipes/generate
+  //   error    { error, code, details }
+  // Closing the connection aborts the model request.
+  app.post("/api/recipes/generate/stream", async (req, res) => {
+    let request;
+    try {
+      request = validateRecipeRequest(req.body);
+    } catch (err) {
+      return sendError(res, err);
+    }
+
+    const upstream = new AbortController();
+    const stream = openEventStream(req, res, { onClose: () => upstream.abort() });
+    const { job, flag } = recipeJob(request);
+    let last = "";
+
+    try {
+      const { value, attempts } = await generateStructured({
+        ...job,
+        signal: upstream.signal,
+        onText: (text, attempt) => {
+          const partial = { attempt, recipes: partialRecipes(text) };
+          const key = JSON.stringify(partial);
+          if (key === last) return; // Nothing new readable yet
+          last = key;
+          stream.send("partial", partial);
+        },
+      });
+      stream.send("done", { recipes: flag(value), attempts });
+    } catch (err) {
+      if (!upstream.signal.aborted) stream.send("error", errorResponse(err).body);
+    }
+    stream.end();
+  });
+
+  return app;
+}
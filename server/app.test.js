@@ -0,0 +1,82 @@
+import { test, before, after, mock } from "node:test";
+import assert from "node:assert/strict";
+import { createApp } from "./app.js";
+
+// The routes end to end against the mock provider: no network, no API key.
+let server;
+let base;
+
+before(async () => {
+  process.env.LLM_PROVIDER = "mock";
+  process.env.LLM_MOCK_DELAY_MS = "0";
+  delete process.env.LOCAL_DB;
+  mock.method(console, "warn", () => {}); // Rejected attempts are logged
+  server = createApp().listen(0);
+  await new Promise((resolve) => server.once("listening", resolve));
+  base = `http://localhost:${server.address().port}`;
+});
+
+after(() => server.close());
+
+const post = (path, body) =>
+  fetch(`${base}${path}`, { method: "POST", headers: { "Content-Type": "application/json" }, body: JSON.stringify(body) });
+
+// Server-sent events text → [{ event, data }]
+const events = (text) =>
+  text
+    .split("\n\n")
+    .map((block) => ({
+      event: block.match(/^event: (.*)$/m)?.[1],
+      data: block.match(/^data: (.*)$/m)?.[1],
+    }))
+    .filter(({ event }) => event)
+    .map(({ event, data }) => ({ event, data: JSON.parse(data) }));
+
+const fridge = [{ name: "Spinach", expires_on: "2026-10-20" }, { name: "Eggs" }, { name: "Feta" }];
+
+test("receipt parsing returns validated items", async () => {
+  const response = await post("/api/receipts/parse", { text: "FRESHWAY\nBABY SPINACH 2.49\nTOTAL 2.49\nVISA 2.49" });
+  assert.equal(response.status, 200);
+  const { items, attempts } = await response.json();
+  assert.equal(attempts, 1);
+  assert.deepEqual(
+    items.map((it) => [it.name, it.price]),
+    [["Baby Spinach", 2.49]]
+  );
+});
+
+test("the recipe stream sends partial recipes, then the validated ones", async () => {
+  const response = await post("/api/recipes/generate/stream", { ingredients: fridge, count: 2 });
+  assert.equal(response.headers.get("content-type"), "text/event-stream");
+  const sent = events(await response.text());
+
+  const done = sent.at(-1);
+  assert.equal(done.event, "done");
+  assert.equal(done.data.attempts, 1);
+  assert.deepEqual(
+    done.data.recipes.map((r) => r.title),
+    ["Spinach Skillet", "Eggs Salad"]
+  );
+
+  const partials = sent.filter(({ event }) => event === "partial");
+  assert.ok(partials.length > 1);
+  assert.ok(partials.every(({ data }) => data.attempt === 1));
+  assert.deepEqual(partials.at(-1).data.recipes, done.data.recipes);
+});
+
+test("recipes that break the dietary profile come back flagged", async () => {
+  const response = await post("/api/recipes/generate", {
+    ingredients: fridge,
+    count: 1,
+    profile: { allergens: ["Dairy"], excluded: ["eggs"] },
+  });
+  const { recipes, attempts } = await response.json();
+  assert.equal(attempts, 3);
+  assert.deepEqual(recipes[0].violations, ["Eggs (excluded)", "Feta (Dairy allergy)"]);
+});
+
+test("bad requests are a JSON 400, not a stream", async () => {
+  const response = await post("/api/recipes/generate/stream", { ingredients: [] });
+  assert.equal(response.status, 400);
+  assert.equal((await response.json()).code, "INVALID_REQUEST");
+});
@@ -1,48 +1,12 @@
-import express from "express";
-import cors from "cors";
-import bodyParser from "body-parser";
 import dotenv from "dotenv";
-import fetch from "node-fetch";
+import { createApp } from "./app.js";
+import { describeLlm } from "./lib/llm.js";
 
 dotenv.config();
 
-const app = express();
 const PORT = process.env.PORT || 5001;
 
-app.use(cors());
-app.use(bodyParser.json());
-
-app.post("/api/gemini", async (req, res) => {
-  try {
-    const { contents } = req.body;
-    if (!contents) {
-      return res.status(400).json({ error: 'Missing "contents" in request body' });
-    }
-
-    // ✅ Use v1 API and gemini-1.5-flash (the free, correct model)
-    const url = `https://generativelanguage.googleapis.com/v1/models/gemini-2.5-flash:generateContent?key=${encodeURIComponent(process.env.GEMINI_API_KEY)}`;
-
-    const response = await fetch(url, {
-      method: "POST",
-      headers: { "Content-Type": "application/json" },
-      body: JSON.stringify({ contents })
-    });
-
-    const data = await response.json();
-
-    if (!response.ok) {
-      console.error("Error from Gemini:", data);
-      return res.status(502).json({ error: "Gemini API error", details: data });
-    }
-
-    const text = data.candidates?.[0]?.content?.parts?.[0]?.text ?? "";
-    res.json({ text });
-  } catch (err) {
-    console.error("Server error:", err);
-    res.status(500).json({ error: "Server error", details: String(err) });
-  }
-});
-
-app.listen(PORT, () => {
+createApp().listen(PORT, () => {
   console.log(`✅ Server running on http://localhost:${PORT}`);
+  console.log(`🤖 LLM: ${describeLlm()}`);
 });
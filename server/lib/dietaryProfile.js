@@ -0,0 +1,173 @@
+import { ApiError, ErrorCodes } from "./errors.js";
+
+// Household dietary profile, sent with every recipe request:
+//   allergens    labels such as "Peanuts", "Dairy"; known ones expand to the
+//                ingredients that contain them (ALLERGENS), others are matched
+//                by name ("Kiwi")
+//   excluded     ingredients never to use ("mushrooms", "coriander")
+//   diets        labels such as "Vegetarian", "High protein"; the restrictive
+//                ones also exclude ingredients (DIETS)
+//   cuisines     preferred cuisines ("Italian", "Thai")
+//   max_minutes  total time limit, or null
+//   servings     servings per recipe, or null
+//   equipment    what the kitchen has ("Oven", "Microwave"), empty = anything
+//
+// The prompt asks the model to follow it; profileViolations() checks the
+// recipes that come back.
+
+const MAX_ENTRIES = 30;
+
+const MEAT = [
+  "meat", "chicken", "beef", "pork", "bacon", "ham", "lamb", "mutton", "turkey", "duck", "veal", "venison",
+  "sausage", "chorizo", "salami", "pepperoni", "prosciutto", "pancetta", "mince", "steak", "gelatin",
+];
+const FISH = [
+  "fish", "salmon", "tuna", "cod", "haddock", "trout", "sardine", "anchovy", "anchovies", "mackerel",
+  "tilapia", "fish sauce",
+];
+const SHELLFISH = [
+  "shellfish", "shrimp", "prawn", "crab", "lobster", "mussel", "clam", "oyster", "scallop", "squid",
+  "calamari",
+];
+const DAIRY = [
+  "milk", "cheese", "butter", "cream", "yogurt", "yoghurt", "ghee", "whey", "mozzarella", "cheddar",
+  "parmesan", "feta", "ricotta", "mascarpone", "paneer", "creme fraiche", "buttermilk",
+];
+const EGGS = ["egg", "mayonnaise", "mayo", "meringue"];
+const GLUTEN = [
+  "wheat", "flour", "bread", "breadcrumbs", "pasta", "spaghetti", "noodle", "couscous", "barley", "rye",
+  "semolina", "bulgur", "tortilla", "pita", "bun", "roll", "bagel", "croissant", "baguette", "cracker",
+  "crouton", "soy sauce", "seitan",
+];
+
+// Label (lowercase) → { terms, except }: names containing a term count,
+// unless they also contain one of `except` ("peanut butter" isn't dairy)
+const ALLERGENS = {
+  peanuts: { terms: ["peanut", "groundnut"] },
+  "tree nuts": {
+    terms: [
+      "almond", "cashew", "walnut", "pecan", "hazelnut", "pistachio", "macadamia", "brazil nut", "pine nut",
+      "praline",
+    ],
+  },
+  dairy: {
+    terms: DAIRY,
+    except: [
+      "peanut butter", "almond butter", "cocoa butter", "coconut milk", "coconut cream", "almond milk", "oat milk",
+      "soy milk", "rice milk",
+    ],
+  },
+  eggs: { terms: EGGS, except: ["eggplant"] },
+  gluten: {
+    terms: GLUTEN,
+    except: [
+      "rice flour", "almond flour", "coconut flour", "corn flour", "cornflour", "rice noodle", "corn tortilla",
+      "sushi roll", "rice paper roll", "gluten-free",
+    ],
+  },
+  soy: { terms: ["soy", "soya", "tofu", "tempeh", "edamame", "miso"] },
+  fish: { terms: FISH },
+  shellfish: { terms: SHELLFISH },
+  sesame: { terms: ["sesame", "tahini"] },
+};
+
+const DIETS = {
+  vegetarian: { terms: [...MEAT, ...FISH, ...SHELLFISH] },
+  vegan: { terms: [...MEAT, ...FISH, ...SHELLFISH, ...DAIRY, ...EGGS, "honey"], except: ALLERGENS.dairy.except },
+  pescatarian: { terms: MEAT },
+  "dairy-free": ALLERGENS.dairy,
+  "gluten-free": ALLERGENS.gluten,
+};
+
+const invalid = (message) => new ApiError(400, ErrorCodes.INVALID_REQUEST, message);
+
+const textList = (value, field) => {
+  if (value === undefined || value === null) return [];
+  const valid =
+    Array.isArray(value) && value.length <= MAX_ENTRIES && value.every((v) => typeof v === "string" && v.length <= 80);
+  if (!valid) {
+    throw invalid(`"profile.${field}" must be an array of at most ${MAX_ENTRIES} short strings`);
+  }
+  return [...new Set(value.map((v) => v.trim()).filter(Boolean))];
+};
+
+const optionalInt = (value, field, min, max) => {
+  if (value === undefined || value === null) return null;
+  if (!Number.isInteger(value) || value < min || value > max) {
+    throw invalid(`"profile.${field}" must be an integer between ${min} and ${max}, or null`);
+  }
+  return value;
+};
+
+// Request body's `profile` → the cleaned profile; throws ApiError 400 when unusable
+export function validateProfile(profile) {
+  if (profile === undefined || profile === null) profile = {};
+  if (typeof profile !== "object" || Array.isArray(profile)) throw invalid('"profile" must be an object');
+  return {
+    allergens: textList(profile.allergens, "allergens"),
+    excluded: textList(profile.excluded, "excluded"),
+    diets: textList(profile.diets, "diets"),
+    cuisines: textList(profile.cuisines, "cuisines"),
+    max_minutes: optionalInt(profile.max_minutes, "max_minutes", 1, 1440),
+    servings: optionalInt(profile.servings, "servings", 1, 24),
+    equipment: textList(profile.equipment, "equipment"),
+  };
+}
+
+// Prompt lines for the profile (empty when there's nothing to follow)
+export function describeProfile(profile) {
+  const lines = [];
+  if (profile.allergens.length) {
+    lines.push(`Allergies — never use anything containing: ${profile.allergens.join(", ")}`);
+  }
+  if (profile.excluded.length) lines.push(`Never use: ${profile.excluded.join(", ")}`);
+  if (profile.diets.length) lines.push(`Diets: ${profile.diets.join(", ")}`);
+  if (profile.cuisines.length) lines.push(`Preferred cuisines: ${profile.cuisines.join(", ")}`);
+  if (profile.max_minutes) lines.push(`Total time (prep + cooking) at most ${profile.max_minutes} minutes`);
+  if (profile.servings) lines.push(`Every recipe serves ${profile.servings}`);
+  if (profile.equipment.length) lines.push(`Only this equipment is available: ${profile.equipment.join(", ")}`);
+  return lines;
+}
+
+// --------------------------
+// Checking recipes
+// --------------------------
+const escape = (text) => text.replace(/[.*+?^${}()|[\]\\]/g, "\\$&");
+
+// Whole words, singular or plural: "egg" matches "Eggs", not "Eggplant";
+// "mushrooms" matches "Mushroom"
+const mentions = (name, term) =>
+  new RegExp(`\\b${escape(term.replace(/e?s$/i, ""))}(e?s)?\\b`, "i").test(name);
+
+// [{ reason, terms, except }] every ingredient name is checked against
+function forbidden(profile) {
+  const rules = [];
+  for (const allergen of profile.allergens) {
+    const known = ALLERGENS[allergen.toLowerCase()];
+    rules.push({ reason: `${allergen} allergy`, terms: known ? known.terms : [allergen], except: known?.except || [] });
+  }
+  for (const name of profile.excluded) {
+    rules.push({ reason: "excluded", terms: [name], except: [] });
+  }
+  for (const diet of profile.diets) {
+    const known = DIETS[diet.toLowerCase()];
+    if (known) rules.push({ reason: `not ${diet.toLowerCase()}`, terms: known.terms, except: known.except || [] });
+  }
+  return rules;
+}
+
+// Recipe → ["Peanuts (Peanuts allergy)", "takes 45 minutes (limit 30)"], empty when it fits
+export function profileViolations(recipe, profile) {
+  const rules = forbidden(profile);
+  const problems = [];
+  for (const { name } of recipe.ingredients) {
+    for (const rule of rules) {
+      const hit = rule.terms.some((term) => mentions(name, term)) && !rule.except.some((term) => mentions(name, term));
+      if (hit) problems.push(`${name} (${rule.reason})`);
+    }
+  }
+  if (profile.max_minutes && recipe.time_minutes > profile.max_minutes) {
+    problems.push(`takes ${recipe.time_minutes} minutes (limit ${profile.max_minutes})`);
+  }
+  return [...new Set(problems)];
+}
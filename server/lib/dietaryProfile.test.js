@@ -0,0 +1,47 @@
+import { test } from "node:test";
+import assert from "node:assert/strict";
+import { profileViolations, validateProfile } from "./dietaryProfile.js";
+
+const recipe = (names, time_minutes = 20) => ({ time_minutes, ingredients: names.map((name) => ({ name })) });
+
+test("allergens expand to the ingredients that contain them, with exceptions", () => {
+  const profile = validateProfile({ allergens: ["Dairy", "Eggs"] });
+  assert.deepEqual(profileViolations(recipe(["Butter", "Peanut Butter", "Eggplant", "Eggs"]), profile), [
+    "Butter (Dairy allergy)",
+    "Eggs (Eggs allergy)",
+  ]);
+});
+
+test("gluten covers the bread family, not gluten-free or rice-based versions", () => {
+  const profile = validateProfile({ allergens: ["Gluten"] });
+  const names = ["Hamburger buns", "Dinner Rolls", "Bagel", "Flour Tortillas", "Pita", "Corn Tortillas", "Sushi Roll", "Rice"];
+  assert.deepEqual(profileViolations(recipe(names), profile), [
+    "Hamburger buns (Gluten allergy)",
+    "Dinner Rolls (Gluten allergy)",
+    "Bagel (Gluten allergy)",
+    "Flour Tortillas (Gluten allergy)",
+    "Pita (Gluten allergy)",
+  ]);
+});
+
+test("excluded ingredients match singular or plural, whole words only", () => {
+  const profile = validateProfile({ excluded: ["mushrooms"], allergens: ["Kiwi"] });
+  assert.deepEqual(profileViolations(recipe(["Mushroom", "Kiwifruit", "Kiwi"]), profile), [
+    "Mushroom (excluded)",
+    "Kiwi (Kiwi allergy)",
+  ]);
+});
+
+test("diets and the time limit are checked; an empty profile allows anything", () => {
+  const profile = validateProfile({ diets: ["Vegetarian"], max_minutes: 30 });
+  assert.deepEqual(profileViolations(recipe(["Bacon", "Spinach"], 45), profile), [
+    "Bacon (not vegetarian)",
+    "takes 45 minutes (limit 30)",
+  ]);
+  assert.deepEqual(profileViolations(recipe(["Bacon"], 600), validateProfile(undefined)), []);
+});
+
+test("unusable profiles are rejected with 400", () => {
+  assert.throws(() => validateProfile({ max_minutes: 0 }), { status: 400, code: "INVALID_REQUEST" });
+  assert.throws(() => validateProfile(["Vegan"]), { status: 400 });
+});
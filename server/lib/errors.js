@@ -0,0 +1,35 @@
+// Typed API errors. Route handlers throw these and the catch block turns them
+// into `{ error, code, details }` with the matching HTTP status, so clients can
+// branch on `code` instead of parsing messages.
+export class ApiError extends Error {
+  constructor(status, code, message, details) {
+    super(message);
+    this.name = "ApiError";
+    this.status = status;
+    this.code = code;
+    this.details = details;
+  }
+}
+
+export const ErrorCodes = {
+  INVALID_REQUEST: "INVALID_REQUEST",       // 400: bad or missing body fields
+  NOT_FOUND: "NOT_FOUND",                   // 404: no such record or file
+  LLM_NOT_CONFIGURED: "LLM_NOT_CONFIGURED", // 503: no API key or invalid LLM_* settings
+  LLM_UPSTREAM_ERROR: "LLM_UPSTREAM_ERROR", // 502: provider returned an error
+  LLM_INVALID_OUTPUT: "LLM_INVALID_OUTPUT", // 422: output failed validation after retries
+};
+
+// Error → { status, body } (also sent as an event by streaming routes)
+export function errorResponse(err) {
+  if (err instanceof ApiError) {
+    return { status: err.status, body: { error: err.message, code: err.code, details: err.details } };
+  }
+  console.error("Server error:", err);
+  return { status: 500, body: { error: "Server error", code: "SERVER_ERROR", details: String(err) } };
+}
+
+// Shared catch-block helper for route handlers
+export function sendError(res, err) {
+  const { status, body } = errorResponse(err);
+  return res.status(status).json(body);
+}
@@ -0,0 +1,21 @@
+import { test } from "node:test";
+import assert from "node:assert/strict";
+import { ApiError, ErrorCodes, sendError } from "./errors.js";
+
+const fakeRes = () => ({
+  status(code) { this.statusCode = code; return this; },
+  json(body) { this.body = body; return this; },
+});
+
+test("ApiError is sent with its status, code and details", () => {
+  const res = sendError(fakeRes(), new ApiError(422, ErrorCodes.LLM_INVALID_OUTPUT, "Bad output", ["x"]));
+  assert.equal(res.statusCode, 422);
+  assert.deepEqual(res.body, { error: "Bad output", code: "LLM_INVALID_OUTPUT", details: ["x"] });
+});
+
+test("anything else becomes a 500 SERVER_ERROR", (t) => {
+  t.mock.method(console, "error", () => {});
+  const res = sendError(fakeRes(), new Error("boom"));
+  assert.equal(res.statusCode, 500);
+  assert.equal(res.body.code, "SERVER_ERROR");
+});
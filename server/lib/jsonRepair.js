@@ -0,0 +1,127 @@
+// Best-effort repair of near-valid JSON coming back from an LLM.
+//
+// Handles the mistakes models actually make: ``` fences, prose before or after
+// the value, trailing commas, single or curly quotes, unquoted keys, comments,
+// Python literals (True/False/None), raw newlines inside strings, and output
+// that was cut off mid-array. Anything it cannot fix still throws SyntaxError.
+
+const CLOSERS = { "{": "}", "[": "]" };
+const QUOTE_PAIRS = { '"': '"', "'": "'", "“": "”", "‘": "’" };
+const LITERALS = { true: "true", True: "true", false: "false", False: "false", null: "null", None: "null", undefined: "null", NaN: "null" };
+
+const closeAll = (stack) => stack.slice().reverse().map((open) => CLOSERS[open]).join("");
+
+export function repairJson(raw) {
+  const text = String(raw ?? "")
+    .trim()
+    .replace(/^```[a-z]*\s*/i, "")
+    .replace(/```\s*$/, "")
+    .trim();
+
+  const start = text.search(/[[{]/);
+  if (start === -1) throw new SyntaxError("No JSON object or array found in model output");
+
+  let out = "";
+  const stack = [];
+  const cutPoints = []; // { length, stack } at each top-level-safe comma, for truncated output
+  let i = start;
+
+  while (i < text.length) {
+    const ch = text[i];
+
+    // ---- Strings (any quote style) → double-quoted JSON strings
+    if (QUOTE_PAIRS[ch]) {
+      const close = QUOTE_PAIRS[ch];
+      let value = "";
+      i++;
+      while (i < text.length && text[i] !== close && !(ch === "“" && text[i] === '"')) {
+        if (text[i] === "\\" && i + 1 < text.length) {
+          value += text[i + 1] === "'" ? "'" : text[i] + text[i + 1];
+          i += 2;
+          continue;
+        }
+        if (text[i] === '"') value += '\\"';
+        else if (text[i] === "\n") value += "\\n";
+        else if (text[i] === "\r") value += "";
+        else if (text[i] === "\t") value += "\\t";
+        else value += text[i];
+        i++;
+      }
+      out += `"${value}"`;
+      i++;
+      continue;
+    }
+
+    // ---- Comments
+    if (ch === "/" && text[i + 1] === "/") {
+      while (i < text.length && text[i] !== "\n") i++;
+      continue;
+    }
+    if (ch === "/" && text[i + 1] === "*") {
+      const end = text.indexOf("*/", i + 2);
+      i = end === -1 ? text.length : end + 2;
+      continue;
+    }
+
+    // ---- Containers
+    if (ch === "{" || ch === "[") {
+      // Missing comma between adjacent values: `} {` or `] [`
+      if (/[}\]]\s*$/.test(out)) out = out.replace(/\s*$/, ",");
+      stack.push(ch);
+      out += ch;
+      i++;
+      continue;
+    }
+    if (ch === "}" || ch === "]") {
+      out = out.replace(/[\s,]*$/, "");
+      const open = stack.pop();
+      out += open ? CLOSERS[open] : ch;
+      i++;
+      if (stack.length === 0) break; // ignore whatever prose follows the value
+      continue;
+    }
+    if (ch === ",") {
+      out += ch;
+      cutPoints.push({ length: out.length - 1, stack: stack.slice() });
+      i++;
+      continue;
+    }
+
+    // ---- Numbers (read whole so exponents aren't mistaken for bare words)
+    const number = /[-\d.]/.test(ch) && text.slice(i).match(/^-?\d*\.?\d+(?:[eE][+-]?\d+)?/);
+    if (number) {
+      out += number[0].startsWith(".") || number[0].startsWith("-.") ? number[0].replace(".", "0.") : number[0];
+      i += number[0].length;
+      continue;
+    }
+
+    // ---- Bare words: unquoted keys, Python/JS literals, unquoted strings
+    if (/[A-Za-z_$]/.test(ch)) {
+      const word = text.slice(i).match(/^[A-Za-z_$][\w$-]*/)[0];
+      i += word.length;
+      const isKey = /^\s*:/.test(text.slice(i));
+      if (isKey) out += JSON.stringify(word);
+      else out += LITERALS[word] ?? JSON.stringify(word);
+      continue;
+    }
+
+    out += ch;
+    i++;
+  }
+
+  // Output ended inside a container: close it, or back off to the last
+  // complete element if the tail is a half-written key/value.
+  const candidates = [out.replace(/[\s,:]*$/, "") + closeAll(stack)];
+  for (let c = cutPoints.length - 1; c >= 0; c--) {
+    candidates.push(out.slice(0, cutPoints[c].length) + closeAll(cutPoints[c].stack));
+  }
+
+  for (const candidate of stack.length ? candidates : candidates.slice(0, 1)) {
+    try {
+      return JSON.parse(candidate);
+    } catch {
+      // try the next, shorter candidate
+    }
+  }
+  throw new SyntaxError("Model output is not valid JSON and could not be repaired");
+}
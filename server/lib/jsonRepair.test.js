@@ -0,0 +1,16 @@
+import { test } from "node:test";
+import assert from "node:assert/strict";
+import { repairJson } from "./jsonRepair.js";
+
+test("fences, trailing commas, single quotes, bare keys and Python literals are fixed", () => {
+  assert.deepEqual(repairJson("```json\n[{'a': True, b: None,},]\n```"), [{ a: true, b: null }]);
+});
+
+test("prose around the value is ignored and cut-off output is closed", () => {
+  assert.deepEqual(repairJson('Here you go: {"x": [1, 2'), { x: [1, 2] });
+  assert.deepEqual(repairJson('[{"a":1},{"b":'), [{ a: 1 }]);
+});
+
+test("text without any JSON still throws", () => {
+  assert.throws(() => repairJson("Sorry, I can't help with that."), SyntaxError);
+});
@@ -0,0 +1,87 @@
+import { ApiError, ErrorCodes } from "./errors.js";
+import * as gemini from "./providers/gemini.js";
+import * as openai from "./providers/openai.js";
+import * as mock from "./providers/mock.js";
+
+// Which model answers, picked by configuration. Routes name a task and this
+// module resolves the provider, model and temperature for it:
+//   LLM_PROVIDER                gemini (default), openai (any OpenAI-compatible
+//                               server, see providers/openai.js) or mock
+//   LLM_MODEL, LLM_TEMPERATURE  for every task (default: the provider's model)
+//   LLM_<TASK>_MODEL, LLM_<TASK>_TEMPERATURE
+//                               for one task, e.g. LLM_RECEIPTS_TEMPERATURE=0
+// Settings are read on every call, so they apply without touching the routes.
+//
+// A provider module exports `defaultModel` and
+//   generate({ contents, task, model, temperature, signal }) → text
+//   stream({ ...the same, onText(textSoFar) }) → text
+// where `contents` is the Gemini-style turn list the routes build and a null
+// temperature means the provider's default.
+
+const PROVIDERS = { gemini, openai, mock };
+
+// Receipts are transcription (no creativity wanted); recipes should vary
+export const TASKS = {
+  receipts: { temperature: 0 },
+  recipes: { temperature: 0.9 },
+  default: { temperature: null },
+};
+
+const notConfigured = (message) => new ApiError(503, ErrorCodes.LLM_NOT_CONFIGURED, message);
+
+function temperatureFrom(name, fallback) {
+  const value = process.env[name];
+  if (value === undefined || value === "") return fallback;
+  const temperature = Number(value);
+  if (!Number.isFinite(temperature) || temperature < 0 || temperature > 2) {
+    throw notConfigured(`${name} must be a number between 0 and 2`);
+  }
+  return temperature;
+}
+
+// Task → { name, provider, model, temperature }; throws ApiError 503 on bad settings
+export function settingsFor(task = "default") {
+  if (!TASKS[task]) throw new Error(`Unknown LLM task: ${task}`);
+  const name = (process.env.LLM_PROVIDER || "gemini").toLowerCase();
+  const provider = PROVIDERS[name];
+  if (!provider) {
+    throw notConfigured(`LLM_PROVIDER must be one of ${Object.keys(PROVIDERS).join(", ")} (got "${name}")`);
+  }
+
+  const prefix = `LLM_${task.toUpperCase()}_`;
+  const base = temperatureFrom("LLM_TEMPERATURE", TASKS[task].temperature);
+  return {
+    name,
+    provider,
+    model: process.env[`${prefix}MODEL`] || process.env.LLM_MODEL || provider.defaultModel,
+    temperature: temperatureFrom(`${prefix}TEMPERATURE`, base),
+  };
+}
+
+// Send `contents` for a task and return the reply text. Throws ApiError for
+// missing configuration or an upstream failure; `signal` aborts.
+export async function generateContent(contents, { task, signal } = {}) {
+  const { provider, model, temperature } = settingsFor(task);
+  return provider.generate({ contents, task, model, temperature, signal });
+}
+
+// Same, streamed: `onText(textSoFar)` runs as each chunk arrives and the
+// whole text is returned at the end.
+export async function streamContent(contents, { task, signal, onText = () => {} } = {}) {
+  const { provider, model, temperature } = settingsFor(task);
+  return provider.stream({ contents, task, model, temperature, signal, onText });
+}
+
+// One line per task for the startup log
+export function describeLlm() {
+  try {
+    return Object.keys(TASKS)
+      .map((task) => {
+        const { name, model, temperature } = settingsFor(task);
+        return `${task}: ${name}/${model}${temperature === null ? "" : ` @ ${temperature}`}`;
+      })
+      .join(", ");
+  } catch (err) {
+    return `not configured (${err.message})`;
+  }
+}
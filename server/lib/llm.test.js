@@ -0,0 +1,113 @@
+import { test, beforeEach } from "node:test";
+import assert from "node:assert/strict";
+import http from "node:http";
+import { generateContent, settingsFor, streamContent } from "./llm.js";
+
+const SETTINGS = [
+  "LLM_PROVIDER", "LLM_MODEL", "LLM_TEMPERATURE", "LLM_RECEIPTS_MODEL", "LLM_RECEIPTS_TEMPERATURE",
+  "LLM_RECIPES_MODEL", "LLM_RECIPES_TEMPERATURE", "LLM_FIXTURES", "GEMINI_API_KEY", "OPENAI_BASE_URL", "OPENAI_API_KEY",
+];
+
+beforeEach(() => {
+  for (const name of SETTINGS) delete process.env[name];
+  process.env.LLM_MOCK_DELAY_MS = "0";
+});
+
+const prompt = (text) => [{ role: "user", parts: [{ text }] }];
+
+test("each task has its own default temperature on the default provider", () => {
+  const pick = (task) => {
+    const { name, model, temperature } = settingsFor(task);
+    return { name, model, temperature };
+  };
+  assert.deepEqual(pick("receipts"), { name: "gemini", model: "gemini-2.5-flash", temperature: 0 });
+  assert.deepEqual(pick("recipes"), { name: "gemini", model: "gemini-2.5-flash", temperature: 0.9 });
+  assert.deepEqual(pick("default"), { name: "gemini", model: "gemini-2.5-flash", temperature: null });
+});
+
+test("per-task model and temperature override the global ones", () => {
+  Object.assign(process.env, {
+    LLM_PROVIDER: "OpenAI",
+    LLM_MODEL: "llama3.1",
+    LLM_TEMPERATURE: "0.5",
+    LLM_RECIPES_MODEL: "qwen2.5",
+    LLM_RECEIPTS_TEMPERATURE: "0.1",
+  });
+  assert.deepEqual(
+    ["receipts", "recipes"].map((task) => {
+      const { name, model, temperature } = settingsFor(task);
+      return [name, model, temperature];
+    }),
+    [
+      ["openai", "llama3.1", 0.1],
+      ["openai", "qwen2.5", 0.5],
+    ]
+  );
+});
+
+test("bad settings are a 503 naming the setting", () => {
+  process.env.LLM_PROVIDER = "claude";
+  assert.throws(() => settingsFor("recipes"), { status: 503, code: "LLM_NOT_CONFIGURED", message: /LLM_PROVIDER/ });
+
+  process.env.LLM_PROVIDER = "mock";
+  process.env.LLM_RECIPES_TEMPERATURE = "warm";
+  assert.throws(() => settingsFor("recipes"), { status: 503, message: /LLM_RECIPES_TEMPERATURE/ });
+  assert.throws(() => settingsFor("poems"), /Unknown LLM task/);
+});
+
+test("gemini without an API key fails before any request", async () => {
+  await assert.rejects(generateContent(prompt("hi"), { task: "recipes" }), { status: 503, code: "LLM_NOT_CONFIGURED" });
+});
+
+test("the mock replies offline, streamed or not", async () => {
+  process.env.LLM_PROVIDER = "mock";
+  assert.equal(await generateContent(prompt("hello there")), "Mock reply to: hello there");
+
+  const seen = [];
+  const text = await streamContent(prompt("x".repeat(100)), { onText: (t) => seen.push(t.length) });
+  assert.equal(text, `Mock reply to: ${"x".repeat(100)}`);
+  assert.deepEqual(seen, [40, 80, 115]);
+
+  const aborted = AbortSignal.abort();
+  await assert.rejects(streamContent(prompt("hi"), { signal: aborted }), { name: "AbortError" });
+});
+
+test("the OpenAI-compatible provider sends the task's model and temperature", async (t) => {
+  const requests = [];
+  const server = http.createServer((req, res) => {
+    let body = "";
+    req.on("data", (chunk) => (body += chunk));
+    req.on("end", () => {
+      requests.push({ url: req.url, auth: req.headers.authorization, ...JSON.parse(body) });
+      if (!requests.at(-1).stream) return res.end(JSON.stringify({ choices: [{ message: { content: "[]" } }] }));
+      res.writeHead(200, { "Content-Type": "text/event-stream" });
+      for (const piece of ["[", "]"]) res.write(`data: ${JSON.stringify({ choices: [{ delta: { content: piece } }] })}\n\n`);
+      res.end("data: [DONE]\n\n");
+    });
+  });
+  await new Promise((resolve) => server.listen(0, resolve));
+  t.after(() => server.close());
+
+  Object.assign(process.env, {
+    LLM_PROVIDER: "openai",
+    OPENAI_BASE_URL: `http://localhost:${server.address().port}/v1/`,
+    LLM_RECEIPTS_MODEL: "llama3.1",
+  });
+  const contents = [...prompt("a"), { role: "model", parts: [{ text: "b" }] }];
+  assert.equal(await generateContent(contents, { task: "receipts" }), "[]");
+  assert.equal(await streamContent(contents, { task: "recipes" }), "[]");
+
+  const messages = [
+    { role: "user", content: "a" },
+    { role: "assistant", content: "b" },
+  ];
+  assert.deepEqual(requests, [
+    { url: "/v1/chat/completions", auth: undefined, model: "llama3.1", messages, temperature: 0 },
+    { url: "/v1/chat/completions", auth: undefined, model: "gpt-4o-mini", messages, temperature: 0.9, stream: true },
+  ]);
+});
+
+test("an OpenAI-compatible server that isn't running is a 502", async () => {
+  Object.assign(process.env, { LLM_PROVIDER: "openai", OPENAI_BASE_URL: "http://127.0.0.1:9/v1" });
+  await assert.rejects(generateContent(prompt("hi")), { status: 502, code: "LLM_UPSTREAM_ERROR" });
+});
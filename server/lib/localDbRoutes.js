@@ -0,0 +1,75 @@
+import express from "express";
+import { ApiError, ErrorCodes, sendError } from "./errors.js";
+import { openEventStream } from "./sse.js";
+
+// /api/db routes for the client's local backend (client/src/db/localAdapter.js).
+// Every response is { data } on success, like the rows supabase-js returns.
+//   POST   /:table/query  { filters, order, limit }
+//   POST   /:table        { rows, onConflict? }   insert / upsert
+//   PATCH  /:table        { filters, patch }
+//   DELETE /:table        { filters }
+//   POST   /batch         { ops }  several writes in one transaction
+//   PUT    /files/*path   raw bytes (receipt photos)
+//   GET    /files/*path
+//   GET    /changes       server-sent events: `change` { table, op, ids } after
+//                         every successful write, so open apps can refresh
+
+const MAX_PHOTO_BYTES = "15mb";
+
+export function localDbRouter(store) {
+  const router = express.Router();
+  const feeds = new Set(); // open /changes streams
+
+  const broadcast = (table, op, rows) => {
+    const change = { table, op, ids: (rows || []).map((r) => r.id) };
+    feeds.forEach((feed) => feed.send("change", change));
+  };
+
+  const announce = (op) => (req, rows) => broadcast(req.params.table, op, rows);
+
+  // Synchronous store calls → { data } or the usual error shape; constraint
+  // violations (missing required column, bad reference…) are the caller's fault.
+  // `onWritten(req, data)` runs after a successful write (see /changes).
+  const handle = (fn, onWritten) => (req, res) => {
+    try {
+      const data = fn(req);
+      res.json({ data });
+      onWritten?.(req, data);
+    } catch (err) {
+      if (String(err.code).startsWith("SQLITE_CONSTRAINT")) {
+        return sendError(res, new ApiError(400, ErrorCodes.INVALID_REQUEST, err.message));
+      }
+      sendError(res, err);
+    }
+  };
+
+  router.put("/files/*path", express.raw({ type: () => true, limit: MAX_PHOTO_BYTES }), handle((req) => ({
+    path: store.saveFile(req.params.path, req.get("content-type"), req.body),
+  })));
+
+  router.get("/files/*path", (req, res) => {
+    try {
+      const file = store.readFile(req.params.path);
+      if (!file) throw new ApiError(404, ErrorCodes.NOT_FOUND, "No such file");
+      res.type(file.contentType).send(file.bytes);
+    } catch (err) {
+      sendError(res, err);
+    }
+  });
+
+  router.get("/changes", (req, res) => {
+    const feed = openEventStream(req, res, { onClose: () => feeds.delete(feed) });
+    feeds.add(feed);
+  });
+
+  router.post("/batch", handle((req) => store.batch(req.body?.ops), (req, results) =>
+    req.body.ops.forEach((o, idx) => broadcast(o.table, o.op === "remove" ? "delete" : o.op, results[idx]))
+  ));
+
+  router.post("/:table/query", handle((req) => store.list(req.params.table, req.body ?? {})));
+  router.post("/:table", handle((req) => store.insert(req.params.table, req.body?.rows, req.body?.onConflict), announce("insert")));
+  router.patch("/:table", handle((req) => store.update(req.params.table, req.body?.filters, req.body?.patch), announce("update")));
+  router.delete("/:table", handle((req) => store.remove(req.params.table, req.body?.filters), announce("delete")));
+
+  return router;
+}
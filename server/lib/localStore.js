@@ -0,0 +1,351 @@
+import fs from "node:fs";
+import path from "node:path";
+import Database from "better-sqlite3";
+import { ApiError, ErrorCodes } from "./errors.js";
+
+// SQLite copy of the app tables for running without Supabase (the client's
+// "local" backend, see client/src/db/). Columns mirror supabase/migrations;
+// there are no accounts or households — whoever reaches the server shares
+// one fridge. Arrays and objects are stored as JSON text and parsed on the
+// way out. Query semantics match client/src/db/query.js.
+
+const SCHEMA = `
+  create table if not exists receipts (
+    id integer primary key autoincrement,
+    store text,
+    purchased_on text,
+    total real,
+    ocr_text text not null default '',
+    image_paths text not null default '[]',
+    items text not null default '[]',
+    parser text,
+    created_at text not null default (strftime('%Y-%m-%dT%H:%M:%fZ', 'now')),
+    reparsed_at text
+  );
+  create table if not exists fridge (
+    id integer primary key autoincrement,
+    item_name text not null,
+    quantity real not null default 1,
+    unit text not null default 'pcs',
+    location text not null default 'fridge',
+    frozen_on text,
+    added_on text not null default (strftime('%Y-%m-%dT%H:%M:%fZ', 'now')),
+    expires_on text,
+    expiry_source text,
+    batches text not null default '[]',
+    receipt_id integer references receipts (id) on delete set null,
+    unit_price real,
+    updated_at text not null default (strftime('%Y-%m-%dT%H:%M:%fZ', 'now'))
+  );
+  create table if not exists fridge_events (
+    id integer primary key autoincrement,
+    fridge_id integer references fridge (id) on delete set null,
+    item_name text not null,
+    quantity real not null,
+    unit text not null default 'pcs',
+    unit_price real,
+    location text,
+    expires_on text,
+    receipt_id integer references receipts (id) on delete set null,
+    outcome text not null check (outcome in ('consumed', 'wasted', 'mistake')),
+    occurred_at text not null default (strftime('%Y-%m-%dT%H:%M:%fZ', 'now'))
+  );
+  create table if not exists expiry_corrections (
+    id integer primary key autoincrement,
+    item_name text not null,
+    location text not null default 'fridge',
+    predicted_days integer not null,
+    corrected_days integer not null,
+    created_at text not null default (strftime('%Y-%m-%dT%H:%M:%fZ', 'now'))
+  );
+  create table if not exists shelf_life_overrides (
+    id integer primary key autoincrement,
+    item_key text not null unique,
+    category text,
+    aliases text not null default '[]',
+    fridge_days integer,
+    freezer_days integer,
+    pantry_days integer,
+    updated_at text not null default (strftime('%Y-%m-%dT%H:%M:%fZ', 'now'))
+  );
+  create table if not exists recipes (
+    id integer primary key autoincrement,
+    title text not null,
+    recipe text not null default '{}',
+    rating integer check (rating between 1 and 5),
+    notes text not null default '',
+    tags text not null default '[]',
+    cooked_count integer not null default 0 check (cooked_count >= 0),
+    last_cooked_at text,
+    created_at text not null default (strftime('%Y-%m-%dT%H:%M:%fZ', 'now')),
+    updated_at text not null default (strftime('%Y-%m-%dT%H:%M:%fZ', 'now'))
+  );
+  create table if not exists shopping_items (
+    id integer primary key autoincrement,
+    name text not null check (length(trim(name)) > 0),
+    quantity real check (quantity > 0),
+    unit text,
+    source text not null default 'manual' check (source in ('manual', 'recipe', 'staple')),
+    note text,
+    created_at text not null default (strftime('%Y-%m-%dT%H:%M:%fZ', 'now'))
+  );
+  create table if not exists staples (
+    id integer primary key autoincrement,
+    name text not null check (length(trim(name)) > 0),
+    min_quantity real not null default 1 check (min_quantity > 0),
+    unit text not null default 'pcs',
+    created_at text not null default (strftime('%Y-%m-%dT%H:%M:%fZ', 'now'))
+  );
+  create table if not exists meal_plans (
+    id integer primary key autoincrement,
+    week_start text not null unique,
+    meals_per_day integer not null default 2 check (meals_per_day between 1 and 3),
+    servings integer not null default 2 check (servings > 0),
+    days text not null default '[]',
+    created_at text not null default (strftime('%Y-%m-%dT%H:%M:%fZ', 'now')),
+    updated_at text not null default (strftime('%Y-%m-%dT%H:%M:%fZ', 'now'))
+  );
+  create table if not exists dietary_profiles (
+    id integer primary key autoincrement,
+    allergens text not null default '[]',
+    excluded text not null default '[]',
+    diets text not null default '[]',
+    cuisines text not null default '[]',
+    max_minutes integer check (max_minutes between 1 and 1440),
+    servings integer check (servings between 1 and 24),
+    equipment text not null default '[]',
+    updated_at text not null default (strftime('%Y-%m-%dT%H:%M:%fZ', 'now'))
+  );
+`;
+
+// Columns holding JSON, per table
+const JSON_COLUMNS = {
+  receipts: ["image_paths", "items"],
+  fridge: ["batches"],
+  fridge_events: [],
+  expiry_corrections: [],
+  shelf_life_overrides: ["aliases"],
+  recipes: ["recipe", "tags"],
+  shopping_items: [],
+  staples: [],
+  meal_plans: ["days"],
+  dietary_profiles: ["allergens", "excluded", "diets", "cuisines", "equipment"],
+};
+
+// Columns added after the first release, for databases created before them
+// (SQLite can't add a column with a non-constant default, so those are
+// backfilled with `fill`)
+const NOW_SQL = "strftime('%Y-%m-%dT%H:%M:%fZ', 'now')";
+const ADDED_COLUMNS = [
+  { table: "fridge", column: "updated_at", type: "text", fill: NOW_SQL },
+  { table: "recipes", column: "rating", type: "integer check (rating between 1 and 5)" },
+  { table: "recipes", column: "notes", type: "text not null default ''" },
+  { table: "recipes", column: "tags", type: "text not null default '[]'" },
+  { table: "recipes", column: "cooked_count", type: "integer not null default 0 check (cooked_count >= 0)" },
+  { table: "recipes", column: "last_cooked_at", type: "text" },
+  { table: "recipes", column: "updated_at", type: "text", fill: NOW_SQL },
+];
+
+// Tables whose updated_at moves on every update unless the update sets it
+// (offline replays do — the client's last-writer-wins check relies on it)
+const TOUCHED_ON_UPDATE = new Set(["fridge", "recipes", "meal_plans", "dietary_profiles"]);
+
+const invalid = (message) => new ApiError(400, ErrorCodes.INVALID_REQUEST, message);
+
+// `file` is a path, or ":memory:" for a throwaway database (photos then stay in memory too)
+export function createLocalStore(file) {
+  const inMemory = file === ":memory:";
+  if (!inMemory) fs.mkdirSync(path.dirname(path.resolve(file)), { recursive: true });
+
+  const db = new Database(file);
+  db.pragma("journal_mode = WAL");
+  db.pragma("foreign_keys = ON");
+  db.exec(SCHEMA);
+  for (const { table, column, type, fill } of ADDED_COLUMNS) {
+    const existing = db.prepare(`pragma table_info(${table})`).all().map((c) => c.name);
+    if (existing.includes(column)) continue;
+    db.exec(`alter table ${table} add column "${column}" ${type};`);
+    if (fill) db.exec(`update ${table} set "${column}" = ${fill};`);
+  }
+
+  const columns = Object.fromEntries(
+    Object.keys(JSON_COLUMNS).map((table) => [
+      table,
+      new Set(db.prepare(`pragma table_info(${table})`).all().map((c) => c.name)),
+    ])
+  );
+
+  // --------------------------
+  // Validation + conversion
+  // --------------------------
+  const checkTable = (table) => {
+    if (!columns[table]) throw invalid(`Unknown table "${table}"`);
+  };
+  const checkColumn = (table, column) => {
+    if (!columns[table].has(column)) throw invalid(`Unknown column "${column}" on ${table}`);
+  };
+
+  const toSql = (table, column, value) => {
+    if (JSON_COLUMNS[table].includes(column)) return JSON.stringify(value ?? null);
+    if (typeof value === "boolean") return value ? 1 : 0;
+    if (value !== null && typeof value === "object") return JSON.stringify(value);
+    return value ?? null;
+  };
+  const fromSql = (table, row) => {
+    for (const column of JSON_COLUMNS[table]) {
+      if (typeof row[column] === "string") row[column] = JSON.parse(row[column]);
+    }
+    return row;
+  };
+
+  // { column: value | [values] | null } → "where ..." + params
+  const whereClause = (table, filters = {}) => {
+    const parts = [];
+    const params = [];
+    for (const [column, value] of Object.entries(filters)) {
+      checkColumn(table, column);
+      if (Array.isArray(value)) {
+        if (value.length === 0) {
+          parts.push("0");
+          continue;
+        }
+        parts.push(`"${column}" in (${value.map(() => "?").join(", ")})`);
+        params.push(...value.map((v) => toSql(table, column, v)));
+      } else if (value === null) {
+        parts.push(`"${column}" is null`);
+      } else {
+        parts.push(`"${column}" = ?`);
+        params.push(toSql(table, column, value));
+      }
+    }
+    return { sql: parts.length ? ` where ${parts.join(" and ")}` : "", params };
+  };
+
+  // Nulls last ascending / first descending (Postgres), unless nullsFirst is given
+  const orderClause = (table, order = []) => {
+    const parts = order.map(({ column, ascending = true, nullsFirst = !ascending }) => {
+      checkColumn(table, column);
+      return `"${column}" ${ascending ? "asc" : "desc"} nulls ${nullsFirst ? "first" : "last"}`;
+    });
+    return parts.length ? ` order by ${parts.join(", ")}` : "";
+  };
+
+  const rowColumns = (table, row) => {
+    const keys = Object.keys(row).filter((k) => k !== "id" || row.id != null);
+    keys.forEach((k) => checkColumn(table, k));
+    return keys;
+  };
+
+  // --------------------------
+  // Table operations (each returns the affected rows)
+  // --------------------------
+  function list(table, { filters, order, limit } = {}) {
+    checkTable(table);
+    const where = whereClause(table, filters);
+    let sql = `select * from ${table}${where.sql}${orderClause(table, order)}`;
+    if (limit) sql += ` limit ${Math.max(0, Math.floor(Number(limit)))}`;
+    return db.prepare(sql).all(...where.params).map((r) => fromSql(table, r));
+  }
+
+  function insertRow(table, row, onConflict) {
+    const keys = rowColumns(table, row);
+    const values = keys.map((k) => toSql(table, k, row[k]));
+    let sql = keys.length
+      ? `insert into ${table} (${keys.map((k) => `"${k}"`).join(", ")}) values (${keys.map(() => "?").join(", ")})`
+      : `insert into ${table} default values`;
+    if (onConflict?.length) {
+      onConflict.forEach((c) => checkColumn(table, c));
+      const updates = keys.filter((k) => !onConflict.includes(k)).map((k) => `"${k}" = excluded."${k}"`);
+      sql += ` on conflict (${onConflict.map((c) => `"${c}"`).join(", ")}) do ${updates.length ? `update set ${updates.join(", ")}` : "nothing"}`;
+    }
+    return fromSql(table, db.prepare(`${sql} returning *`).get(...values));
+  }
+
+  const insert = db.transaction((table, rows, onConflict) => {
+    checkTable(table);
+    if (!Array.isArray(rows)) throw invalid('"rows" must be an array');
+    return rows.map((row) => insertRow(table, row, onConflict)).filter(Boolean);
+  });
+
+  function update(table, filters, patch) {
+    checkTable(table);
+    const keys = rowColumns(table, patch || {}).filter((k) => k !== "id");
+    if (!keys.length) throw invalid("Nothing to update");
+    const where = whereClause(table, filters);
+    if (!where.sql) throw invalid("Refusing to update without filters");
+    const sets = keys.map((k) => `"${k}" = ?`);
+    if (TOUCHED_ON_UPDATE.has(table) && !keys.includes("updated_at")) sets.push(`"updated_at" = ${NOW_SQL}`);
+    const sql = `update ${table} set ${sets.join(", ")}${where.sql} returning *`;
+    return db
+      .prepare(sql)
+      .all(...keys.map((k) => toSql(table, k, patch[k])), ...where.params)
+      .map((r) => fromSql(table, r));
+  }
+
+  function remove(table, filters) {
+    checkTable(table);
+    const where = whereClause(table, filters);
+    if (!where.sql) throw invalid("Refusing to delete without filters");
+    return db.prepare(`delete from ${table}${where.sql} returning *`).all(...where.params).map((r) => fromSql(table, r));
+  }
+
+  // Several writes, all or nothing (the client's db batch(), e.g. "Cook this").
+  // ops: [{ op: "insert", table, rows } | { op: "update", table, filters, patch }
+  //       | { op: "remove", table, filters }] → one array of affected rows per op
+  const OPS = {
+    insert: (o) => insert(o.table, o.rows),
+    update: (o) => update(o.table, o.filters, o.patch),
+    remove: (o) => remove(o.table, o.filters),
+  };
+  const batch = db.transaction((ops) => {
+    if (!Array.isArray(ops)) throw invalid('"ops" must be an array');
+    return ops.map((o) => {
+      if (!OPS[o?.op]) throw invalid(`Unknown batch op "${o?.op}"`);
+      return OPS[o.op](o);
+    });
+  });
+
+  // --------------------------
+  // Receipt photos (files next to the database, or in memory)
+  // --------------------------
+  const memoryFiles = new Map();
+  const filesDir = inMemory ? null : path.join(path.dirname(path.resolve(file)), "files");
+
+  // Each photo's content type sits next to it in "<name>.type"; those names are
+  // not photos themselves, so they can be neither uploaded nor downloaded.
+  const safePath = (segments) => {
+    const bad = (s) => !s || s === "." || s === ".." || s.includes("\\") || s.endsWith(".type");
+    if (!segments.length || segments.some(bad)) {
+      throw invalid("Invalid file path");
+    }
+    return segments.join("/");
+  };
+
+  function saveFile(segments, contentType, bytes) {
+    const key = safePath(segments);
+    if (inMemory) {
+      memoryFiles.set(key, { contentType, bytes });
+    } else {
+      const target = path.join(filesDir, ...segments);
+      fs.mkdirSync(path.dirname(target), { recursive: true });
+      fs.writeFileSync(target, bytes);
+      fs.writeFileSync(`${target}.type`, contentType || "application/octet-stream");
+    }
+    return key;
+  }
+
+  // → { contentType, bytes } or null
+  function readFile(segments) {
+    const key = safePath(segments);
+    if (inMemory) return memoryFiles.get(key) || null;
+    const target = path.join(filesDir, ...segments);
+    if (!fs.existsSync(target)) return null;
+    const typeFile = `${target}.type`;
+    return {
+      contentType: fs.existsSync(typeFile) ? fs.readFileSync(typeFile, "utf8") : "application/octet-stream",
+      bytes: fs.readFileSync(target),
+    };
+  }
+
+  return { list, insert, update, remove, batch, saveFile, readFile, close: () => db.close() };
+}
@@ -0,0 +1,69 @@
+import { test } from "node:test";
+import assert from "node:assert/strict";
+import fs from "node:fs";
+import os from "node:os";
+import path from "node:path";
+import { createLocalStore } from "./localStore.js";
+
+test("rows round-trip with JSON columns parsed and filters applied", () => {
+  const store = createLocalStore(":memory:");
+  store.insert("fridge", [
+    { item_name: "Milk", batches: [{ quantity: 1 }] },
+    { item_name: "Eggs", quantity: 12 },
+  ]);
+  assert.deepEqual(store.list("fridge", { filters: { item_name: "Milk" } })[0].batches, [{ quantity: 1 }]);
+
+  const [eggs] = store.update("fridge", { item_name: "Eggs" }, { quantity: 6 });
+  assert.equal(eggs.quantity, 6);
+  assert.equal(store.remove("fridge", { id: [eggs.id] }).length, 1);
+  assert.deepEqual(store.list("fridge").map((r) => r.item_name), ["Milk"]);
+  store.close();
+});
+
+test("unfiltered updates and deletes and unknown columns are refused", () => {
+  const store = createLocalStore(":memory:");
+  store.insert("fridge", [{ item_name: "Milk" }]);
+  assert.throws(() => store.update("fridge", {}, { quantity: 0 }), /Refusing to update without filters/);
+  assert.throws(() => store.remove("fridge", {}), /Refusing to delete without filters/);
+  assert.throws(() => store.list("fridge", { filters: { owner: "me" } }), /Unknown column "owner"/);
+  assert.equal(store.list("fridge")[0].quantity, 1);
+  store.close();
+});
+
+test("a batch applies every op or, when one fails, none", () => {
+  const store = createLocalStore(":memory:");
+  const [milk] = store.insert("fridge", [{ item_name: "Milk" }]);
+
+  const results = store.batch([
+    { op: "insert", table: "fridge_events", rows: [{ fridge_id: milk.id, item_name: "Milk", quantity: 1, outcome: "wasted" }] },
+    { op: "remove", table: "fridge", filters: { id: [milk.id] } },
+  ]);
+  assert.deepEqual(results.map((rows) => rows.length), [1, 1]);
+
+  const [eggs] = store.insert("fridge", [{ item_name: "Eggs", quantity: 6 }]);
+  assert.throws(
+    () =>
+      store.batch([
+        { op: "insert", table: "fridge_events", rows: [{ item_name: "Eggs", quantity: 6, outcome: "consumed" }] },
+        { op: "update", table: "fridge", filters: { id: eggs.id }, patch: { owner: "me" } },
+      ]),
+    /Unknown column "owner"/
+  );
+  assert.equal(store.list("fridge_events").length, 1);
+  assert.equal(store.list("fridge", { filters: { id: eggs.id } })[0].quantity, 6);
+  store.close();
+});
+
+test("photos are stored on disk and content-type sidecars are not served", (t) => {
+  const dir = fs.mkdtempSync(path.join(os.tmpdir(), "chopchop-"));
+  t.after(() => fs.rmSync(dir, { recursive: true, force: true }));
+  const store = createLocalStore(path.join(dir, "local.db"));
+
+  store.saveFile(["1", "page-1.png"], "image/png", Buffer.from("png"));
+  assert.deepEqual(store.readFile(["1", "page-1.png"]), { contentType: "image/png", bytes: Buffer.from("png") });
+  assert.equal(store.readFile(["1", "page-2.png"]), null);
+  assert.throws(() => store.readFile(["1", "page-1.png.type"]), /Invalid file path/);
+  assert.throws(() => store.saveFile(["1", "page-1.png.type"], "text/plain", Buffer.from("x")), /Invalid file path/);
+  assert.throws(() => store.readFile(["..", "local.db"]), /Invalid file path/);
+  store.close();
+});
@@ -0,0 +1,42 @@
+import { ApiError, ErrorCodes } from "../errors.js";
+import { postJson, sseData, upstreamError } from "./http.js";
+
+// Google Gemini (v1 API). Needs GEMINI_API_KEY.
+const NAME = "Gemini";
+
+export const defaultModel = "gemini-2.5-flash";
+
+const endpoint = (model, method, query = "") => {
+  if (!process.env.GEMINI_API_KEY) {
+    throw new ApiError(503, ErrorCodes.LLM_NOT_CONFIGURED, "GEMINI_API_KEY is not set on the server");
+  }
+  return `https://generativelanguage.googleapis.com/v1/models/${encodeURIComponent(model)}:${method}?key=${encodeURIComponent(process.env.GEMINI_API_KEY)}${query}`;
+};
+
+const body = (contents, temperature) =>
+  temperature === null ? { contents } : { contents, generationConfig: { temperature } };
+
+const textOf = (data) => data.candidates?.[0]?.content?.parts?.map((part) => part.text ?? "").join("") ?? "";
+
+export async function generate({ contents, model, temperature, signal }) {
+  const response = await postJson(endpoint(model, "generateContent"), body(contents, temperature), { name: NAME, signal });
+  const data = await response.json();
+
+  if (!response.ok) throw upstreamError(NAME, data);
+  return textOf(data);
+}
+
+export async function stream({ contents, model, temperature, signal, onText }) {
+  const url = endpoint(model, "streamGenerateContent", "&alt=sse");
+  const response = await postJson(url, body(contents, temperature), { name: NAME, signal });
+  if (!response.ok) throw upstreamError(NAME, await response.json().catch(() => null));
+
+  let text = "";
+  for await (const data of sseData(response)) {
+    const piece = textOf(JSON.parse(data));
+    if (!piece) continue;
+    text += piece;
+    onText(text);
+  }
+  return text;
+}
@@ -0,0 +1,41 @@
+import fetch from "node-fetch";
+import { ApiError, ErrorCodes } from "../errors.js";
+
+// Shared HTTP plumbing for the hosted providers.
+
+// POST a JSON body → the response. A server that can't be reached (a local
+// model server that isn't running) is an upstream error, not a crash; an
+// aborted `signal` still rejects with AbortError.
+export async function postJson(url, body, { name, headers = {}, signal }) {
+  try {
+    return await fetch(url, {
+      method: "POST",
+      headers: { "Content-Type": "application/json", ...headers },
+      body: JSON.stringify(body),
+      signal,
+    });
+  } catch (err) {
+    if (err.name === "AbortError") throw err;
+    throw new ApiError(502, ErrorCodes.LLM_UPSTREAM_ERROR, `Could not reach ${name}`, err.message);
+  }
+}
+
+// Error reply → ApiError 502 (logged with the provider's details)
+export function upstreamError(name, data) {
+  console.error(`Error from ${name}:`, data);
+  return new ApiError(502, ErrorCodes.LLM_UPSTREAM_ERROR, `${name} API error`, data);
+}
+
+// The `data:` payloads of a server-sent event response, as they arrive
+export async function* sseData(response) {
+  const decoder = new TextDecoder();
+  let buffer = "";
+  for await (const chunk of response.body) {
+    buffer += decoder.decode(chunk, { stream: true });
+    const lines = buffer.split("\n");
+    buffer = lines.pop();
+    for (const line of lines) {
+      if (line.startsWith("data:")) yield line.slice(5).trim();
+    }
+  }
+}
@@ -0,0 +1,94 @@
+import fs from "node:fs";
+import path from "node:path";
+import { setTimeout as sleep } from "node:timers/promises";
+
+// Deterministic offline provider for development and tests: no network, and
+// the same prompt always gets the same reply.
+//
+// With LLM_FIXTURES=<dir>, replies come from files named after the task,
+// `<task>.<attempt>.txt` first (attempt 2 answers the first correction turn)
+// and then `<task>.txt`, so a fixture can be wrong on purpose to exercise the
+// retries. Without a matching file the reply is built from the prompt:
+//   receipts  lines ending in a price become items, totals and payment skipped
+//   recipes   the requested number of recipes made from the fridge list
+//   anything else echoes the last message
+// Streaming sends the reply in chunks LLM_MOCK_DELAY_MS (default 20) apart.
+
+export const defaultModel = "mock";
+
+const CHUNK = 40;
+const SKIP_LINE = /total|subtotal|tax|vat|change|cash|card|visa|mastercard|discount|saving|balance|payment/i;
+const DISHES = ["Skillet", "Salad", "Soup", "Stir-Fry", "Bake", "Wrap", "Bowl", "Frittata", "Pasta", "Curry"];
+
+const textOf = (turn) => turn.parts.map((part) => part.text ?? "").join("");
+
+// Lines below a "<heading>:" line of the first prompt
+function section(contents, heading) {
+  const prompt = textOf(contents[0]);
+  const at = prompt.lastIndexOf(`\n${heading}:\n`);
+  return at === -1 ? [] : prompt.slice(at + heading.length + 3).split("\n").map((l) => l.trim()).filter(Boolean);
+}
+
+const titleCase = (text) => text.toLowerCase().replace(/\b[a-z]/g, (c) => c.toUpperCase());
+
+function receiptReply(contents) {
+  const items = new Map();
+  for (const line of section(contents, "Receipt")) {
+    const match = line.match(/^(.*[a-z].*?)\s+\$?(\d+[.,]\d{2})$/i);
+    if (!match || SKIP_LINE.test(match[1])) continue;
+    const name = titleCase(match[1].replace(/[^a-z\s-]/gi, " ").replace(/\s+/g, " ").trim());
+    if (!name || items.has(name)) continue;
+    const price = Number(match[2].replace(",", "."));
+    items.set(name, { name, emoji: "", location: "fridge", perish_in_days: 7, quantity: 1, unit: "pcs", price });
+  }
+  return JSON.stringify([...items.values()]);
+}
+
+function recipesReply(contents) {
+  const count = Number(textOf(contents[0]).match(/Suggest (\d+) different/)?.[1] ?? 3);
+  const fridge = section(contents, "Fridge").map((line) => line.replace(/^- /, "").replace(/ \(.*\)$/, ""));
+  if (!fridge.length) fridge.push("Rice");
+
+  const recipes = Array.from({ length: count }, (_, i) => {
+    const names = [...new Set([0, 1, 2].map((k) => fridge[(i + k) % fridge.length]))];
+    return {
+      title: `${names[0]} ${DISHES[i % DISHES.length]}${i >= DISHES.length ? ` ${Math.floor(i / DISHES.length) + 1}` : ""}`,
+      servings: 2,
+      time_minutes: 15 + 5 * (i % 4),
+      ingredients: names.map((name) => ({ name, quantity: 1, unit: null })),
+      steps: [`Prepare the ${names.join(", ").toLowerCase()}.`, "Cook everything together and season to taste."],
+      tags: ["quick"],
+    };
+  });
+  return JSON.stringify(recipes);
+}
+
+function reply(contents, task) {
+  const attempt = contents.filter((turn) => turn.role !== "model").length;
+  const dir = process.env.LLM_FIXTURES;
+  if (dir) {
+    for (const file of [`${task}.${attempt}.txt`, `${task}.txt`]) {
+      const fixture = path.join(dir, file);
+      if (fs.existsSync(fixture)) return fs.readFileSync(fixture, "utf8");
+    }
+  }
+
+  if (task === "receipts") return receiptReply(contents);
+  if (task === "recipes") return recipesReply(contents);
+  return `Mock reply to: ${textOf(contents[contents.length - 1]).slice(0, 200)}`;
+}
+
+export async function generate({ contents, task, signal }) {
+  signal?.throwIfAborted();
+  return reply(contents, task);
+}
+
+export async function stream({ contents, task, signal, onText }) {
+  const text = reply(contents, task);
+  const delay = Number(process.env.LLM_MOCK_DELAY_MS ?? 20);
+  for (let end = CHUNK; end < text.length + CHUNK; end += CHUNK) {
+    await sleep(delay, undefined, { signal });
+    onText(text.slice(0, end));
+  }
+  return text;
+}
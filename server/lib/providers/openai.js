@@ -0,0 +1,62 @@
+import { ApiError, ErrorCodes } from "../errors.js";
+import { postJson, sseData, upstreamError } from "./http.js";
+
+// Any OpenAI-compatible chat completions API: OpenAI itself, or a local
+// server such as Ollama (OPENAI_BASE_URL=http://localhost:11434/v1) or
+// llama.cpp's llama-server (http://localhost:8080/v1). OPENAI_API_KEY is
+// sent when set; local servers usually don't need one.
+const NAME = "OpenAI-compatible server";
+
+export const defaultModel = "gpt-4o-mini";
+
+const url = () => `${(process.env.OPENAI_BASE_URL || "https://api.openai.com/v1").replace(/\/+$/, "")}/chat/completions`;
+
+const headers = () => (process.env.OPENAI_API_KEY ? { Authorization: `Bearer ${process.env.OPENAI_API_KEY}` } : {});
+
+// Gemini-style `contents` (what the routes build) → chat messages.
+// Inline images become data URLs; text-only turns stay plain strings.
+function toMessages(contents) {
+  return contents.map(({ role, parts = [] }) => {
+    const content = parts.map((part) => {
+      if (typeof part.text === "string") return { type: "text", text: part.text };
+      if (part.inlineData) {
+        return { type: "image_url", image_url: { url: `data:${part.inlineData.mimeType};base64,${part.inlineData.data}` } };
+      }
+      throw new ApiError(400, ErrorCodes.INVALID_REQUEST, "Only text and inline image parts are supported");
+    });
+    return {
+      role: role === "model" ? "assistant" : "user",
+      content: content.every((c) => c.type === "text") ? content.map((c) => c.text).join("") : content,
+    };
+  });
+}
+
+const body = (contents, model, temperature, stream) => ({
+  model,
+  messages: toMessages(contents),
+  ...(temperature === null ? {} : { temperature }),
+  ...(stream ? { stream } : {}),
+});
+
+export async function generate({ contents, model, temperature, signal }) {
+  const response = await postJson(url(), body(contents, model, temperature), { name: NAME, headers: headers(), signal });
+  const data = await response.json().catch(() => null);
+
+  if (!response.ok) throw upstreamError(NAME, data);
+  return data?.choices?.[0]?.message?.content ?? "";
+}
+
+export async function stream({ contents, model, temperature, signal, onText }) {
+  const response = await postJson(url(), body(contents, model, temperature, true), { name: NAME, headers: headers(), signal });
+  if (!response.ok) throw upstreamError(NAME, await response.json().catch(() => null));
+
+  let text = "";
+  for await (const data of sseData(response)) {
+    if (data === "[DONE]") break;
+    const piece = JSON.parse(data).choices?.[0]?.delta?.content;
+    if (!piece) continue;
+    text += piece;
+    onText(text);
+  }
+  return text;
+}
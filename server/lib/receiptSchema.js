@@ -0,0 +1,105 @@
+// Strict schema for grocery items extracted from a receipt.
+//
+// Every item must have exactly these fields:
+//   name            non-empty string, no emoji (e.g. "Whole Milk")
+//   emoji           single emoji or "" (e.g. "🥛")
+//   perish_in_days  integer 0–3650
+//   quantity        number > 0
+//   unit            one of UNITS
+//   price           number >= 0, or null when the line has no price
+//   location        one of LOCATIONS: where to store it once home
+//
+// validateReceiptItems() never throws; it returns { items, errors } so the
+// caller can feed the errors back to the model in a corrective prompt.
+
+export const UNITS = ["pcs", "g", "kg", "ml", "l", "oz", "lb", "pack", "dozen"];
+export const LOCATIONS = ["fridge", "freezer", "pantry"];
+
+const FIELDS = ["name", "emoji", "perish_in_days", "quantity", "unit", "price", "location"];
+
+const isNumber = (v) => typeof v === "number" && Number.isFinite(v);
+
+function validateItem(item, path) {
+  const errors = [];
+  if (!item || typeof item !== "object" || Array.isArray(item)) {
+    return [`${path}: must be an object`];
+  }
+
+  for (const key of Object.keys(item)) {
+    if (!FIELDS.includes(key)) errors.push(`${path}.${key}: unknown field`);
+  }
+  for (const key of FIELDS) {
+    if (!(key in item)) errors.push(`${path}.${key}: is required`);
+  }
+
+  const { name, emoji, perish_in_days, quantity, unit, price, location } = item;
+  if ("name" in item && (typeof name !== "string" || !name.trim() || name.length > 80)) {
+    errors.push(`${path}.name: must be a non-empty string of at most 80 characters`);
+  }
+  if ("emoji" in item && (typeof emoji !== "string" || emoji.length > 16)) {
+    errors.push(`${path}.emoji: must be a single emoji or ""`);
+  }
+  if ("perish_in_days" in item && (!Number.isInteger(perish_in_days) || perish_in_days < 0 || perish_in_days > 3650)) {
+    errors.push(`${path}.perish_in_days: must be an integer between 0 and 3650`);
+  }
+  if ("quantity" in item && (!isNumber(quantity) || quantity <= 0)) {
+    errors.push(`${path}.quantity: must be a number greater than 0`);
+  }
+  if ("unit" in item && !UNITS.includes(unit)) {
+    errors.push(`${path}.unit: must be one of ${UNITS.join(", ")}`);
+  }
+  if ("price" in item && price !== null && (!isNumber(price) || price < 0)) {
+    errors.push(`${path}.price: must be a number >= 0 or null`);
+  }
+  if ("location" in item && !LOCATIONS.includes(location)) {
+    errors.push(`${path}.location: must be one of ${LOCATIONS.join(", ")}`);
+  }
+  return errors;
+}
+
+export function validateReceiptItems(value) {
+  // Accept { items: [...] } as well as a bare array
+  const list = Array.isArray(value) ? value : value?.items;
+  if (!Array.isArray(list)) {
+    return { items: [], errors: ["root: must be a JSON array of items"] };
+  }
+
+  const errors = list.flatMap((item, idx) => validateItem(item, `items[${idx}]`));
+  if (errors.length) return { items: [], errors };
+
+  const items = list.map((item) => ({
+    name: item.name.trim(),
+    emoji: item.emoji.trim(),
+    perish_in_days: item.perish_in_days,
+    quantity: item.quantity,
+    unit: item.unit,
+    price: item.price,
+    location: item.location,
+  }));
+  return { items, errors: [] };
+}
+
+// Prompt that describes the schema to the model
+export function buildReceiptPrompt(ocrText) {
+  return `Extract a deduplicated list of generic grocery items from this receipt text.
+Skip totals, tax, discounts, loyalty and payment lines.
+Return ONLY a JSON array (no markdown, no commentary) where every element has exactly these fields:
+- "name": generic item name without emoji, e.g. "Whole Milk"
+- "emoji": one relevant food emoji, or "" if none fits
+- "location": where it should be stored at home, one of ${LOCATIONS.map((l) => `"${l}"`).join(", ")}
+- "perish_in_days": integer estimate of days until it spoils when kept in that location
+- "quantity": number bought (default 1)
+- "unit": one of ${UNITS.map((u) => `"${u}"`).join(", ")}
+- "price": line price as a number, or null if not shown
+
+Example: [{"name": "Bread", "emoji": "🍞", "location": "pantry", "perish_in_days": 5, "quantity": 1, "unit": "pcs", "price": 2.99}]
+
+Receipt:
+${ocrText}`;
+}
+
+// Follow-up turn sent after an invalid reply
+export function buildCorrectionPrompt(problem) {
+  return `Your previous reply could not be used: ${problem}
+Reply again with ONLY the corrected JSON array, following the field rules exactly.`;
+}
@@ -0,0 +1,22 @@
+import { test } from "node:test";
+import assert from "node:assert/strict";
+import { validateReceiptItems } from "./receiptSchema.js";
+
+const milk = { name: " Whole Milk ", emoji: "🥛", perish_in_days: 7, quantity: 1, unit: "l", price: 1.29, location: "fridge" };
+
+test("valid items are trimmed; a bare array or { items } both work", () => {
+  const expected = { items: [{ ...milk, name: "Whole Milk" }], errors: [] };
+  assert.deepEqual(validateReceiptItems([milk]), expected);
+  assert.deepEqual(validateReceiptItems({ items: [milk] }), expected);
+});
+
+test("every problem is reported with its path and no items are returned", () => {
+  const { items, errors } = validateReceiptItems([{ ...milk, unit: "cup", price: -1, location: "garage", brand: "Acme" }, {}]);
+  assert.deepEqual(items, []);
+  assert.ok(errors.includes("items[0].brand: unknown field"));
+  assert.ok(errors.includes("items[0].price: must be a number >= 0 or null"));
+  assert.ok(errors.some((e) => e.startsWith("items[0].unit: must be one of")));
+  assert.ok(errors.includes("items[0].location: must be one of fridge, freezer, pantry"));
+  assert.ok(errors.includes("items[1].name: is required"));
+  assert.deepEqual(validateReceiptItems("nope").errors, ["root: must be a JSON array of items"]);
+});
@@ -0,0 +1,223 @@
+import { ApiError, ErrorCodes } from "./errors.js";
+import { describeProfile, validateProfile } from "./dietaryProfile.js";
+import { repairJson } from "./jsonRepair.js";
+
+// Strict schema for generated recipes.
+//
+// Every recipe must have exactly these fields:
+//   title         non-empty string (e.g. "Spinach & Feta Omelette")
+//   servings      integer 1–24
+//   time_minutes  integer 1–1440, total prep + cooking time
+//   ingredients   1–40 of { name, quantity, unit }
+//                   name      non-empty string, generic and without emoji ("Eggs")
+//                   quantity  number > 0, or null for "to taste"
+//                   unit      short string ("g", "tbsp", "cup") or null for a count
+//   steps         1–30 non-empty strings, in order
+//   tags          0–10 short lowercase strings ("vegetarian", "quick", "pasta")
+//
+// validateRecipes() never throws; it returns { recipes, errors } so the
+// caller can feed the errors back to the model in a corrective prompt.
+
+const FIELDS = ["title", "servings", "time_minutes", "ingredients", "steps", "tags"];
+const INGREDIENT_FIELDS = ["name", "quantity", "unit"];
+
+export const MAX_RECIPES = 6;
+const MAX_FRIDGE_ITEMS = 200;
+
+const isNumber = (v) => typeof v === "number" && Number.isFinite(v);
+const isText = (v, max) => typeof v === "string" && v.trim().length > 0 && v.length <= max;
+
+function validateFields(value, fields, path) {
+  const errors = [];
+  for (const key of Object.keys(value)) {
+    if (!fields.includes(key)) errors.push(`${path}.${key}: unknown field`);
+  }
+  for (const key of fields) {
+    if (!(key in value)) errors.push(`${path}.${key}: is required`);
+  }
+  return errors;
+}
+
+function validateIngredient(ingredient, path) {
+  if (!ingredient || typeof ingredient !== "object" || Array.isArray(ingredient)) {
+    return [`${path}: must be an object`];
+  }
+  const errors = validateFields(ingredient, INGREDIENT_FIELDS, path);
+  const { name, quantity, unit } = ingredient;
+  if ("name" in ingredient && !isText(name, 80)) {
+    errors.push(`${path}.name: must be a non-empty string of at most 80 characters`);
+  }
+  if ("quantity" in ingredient && quantity !== null && (!isNumber(quantity) || quantity <= 0)) {
+    errors.push(`${path}.quantity: must be a number greater than 0 or null`);
+  }
+  if ("unit" in ingredient && unit !== null && !isText(unit, 20)) {
+    errors.push(`${path}.unit: must be a short string or null`);
+  }
+  return errors;
+}
+
+function validateRecipe(recipe, path) {
+  if (!recipe || typeof recipe !== "object" || Array.isArray(recipe)) {
+    return [`${path}: must be an object`];
+  }
+  const errors = validateFields(recipe, FIELDS, path);
+  const { title, servings, time_minutes, ingredients, steps, tags } = recipe;
+
+  if ("title" in recipe && !isText(title, 120)) {
+    errors.push(`${path}.title: must be a non-empty string of at most 120 characters`);
+  }
+  if ("servings" in recipe && (!Number.isInteger(servings) || servings < 1 || servings > 24)) {
+    errors.push(`${path}.servings: must be an integer between 1 and 24`);
+  }
+  if ("time_minutes" in recipe && (!Number.isInteger(time_minutes) || time_minutes < 1 || time_minutes > 1440)) {
+    errors.push(`${path}.time_minutes: must be an integer between 1 and 1440`);
+  }
+  if ("ingredients" in recipe) {
+    if (!Array.isArray(ingredients) || ingredients.length < 1 || ingredients.length > 40) {
+      errors.push(`${path}.ingredients: must be an array of 1 to 40 ingredients`);
+    } else {
+      errors.push(...ingredients.flatMap((it, idx) => validateIngredient(it, `${path}.ingredients[${idx}]`)));
+    }
+  }
+  if ("steps" in recipe) {
+    if (!Array.isArray(steps) || steps.length < 1 || steps.length > 30) {
+      errors.push(`${path}.steps: must be an array of 1 to 30 steps`);
+    } else if (!steps.every((s) => isText(s, 1000))) {
+      errors.push(`${path}.steps: every step must be a non-empty string`);
+    }
+  }
+  if ("tags" in recipe) {
+    if (!Array.isArray(tags) || tags.length > 10 || !tags.every((t) => isText(t, 30))) {
+      errors.push(`${path}.tags: must be an array of at most 10 short strings`);
+    }
+  }
+  return errors;
+}
+
+export function validateRecipes(value, count) {
+  // Accept { recipes: [...] } as well as a bare array
+  const list = Array.isArray(value) ? value : value?.recipes;
+  if (!Array.isArray(list) || list.length === 0) {
+    return { recipes: [], errors: ["root: must be a non-empty JSON array of recipes"] };
+  }
+  if (count && list.length !== count) {
+    return { recipes: [], errors: [`root: must contain exactly ${count} recipes, got ${list.length}`] };
+  }
+
+  const errors = list.flatMap((recipe, idx) => validateRecipe(recipe, `recipes[${idx}]`));
+  if (errors.length) return { recipes: [], errors };
+
+  const recipes = list.map((r) => ({
+    title: r.title.trim(),
+    servings: r.servings,
+    time_minutes: r.time_minutes,
+    ingredients: r.ingredients.map((it) => ({ name: it.name.trim(), quantity: it.quantity, unit: it.unit?.trim() || null })),
+    steps: r.steps.map((s) => s.trim()),
+    tags: [...new Set(r.tags.map((t) => t.trim().toLowerCase()))],
+  }));
+  return { recipes, errors: [] };
+}
+
+// Recipes from a reply that's still being written, to show progress: what
+// repairJson makes of it so far, with missing fields null or empty. Never throws.
+export function partialRecipes(text) {
+  let parsed;
+  try {
+    parsed = repairJson(text);
+  } catch {
+    return [];
+  }
+  const list = Array.isArray(parsed) ? parsed : parsed?.recipes;
+  if (!Array.isArray(list)) return [];
+
+  const texts = (value) => (Array.isArray(value) ? value.filter((v) => isText(v, 2000)).map((v) => v.trim()) : []);
+  return list
+    .filter((r) => r && typeof r === "object" && typeof r.title === "string")
+    .map((r) => ({
+      title: r.title.trim(),
+      servings: isNumber(r.servings) ? r.servings : null,
+      time_minutes: isNumber(r.time_minutes) ? r.time_minutes : null,
+      ingredients: (Array.isArray(r.ingredients) ? r.ingredients : [])
+        .filter((it) => isText(it?.name, 80))
+        .map((it) => ({
+          name: it.name.trim(),
+          quantity: isNumber(it.quantity) && it.quantity > 0 ? it.quantity : null,
+          unit: typeof it.unit === "string" ? it.unit.trim() || null : null,
+        })),
+      steps: texts(r.steps),
+      tags: texts(r.tags).map((t) => t.toLowerCase()),
+    }));
+}
+
+// --------------------------
+// Request body
+// --------------------------
+// { ingredients: [{ name, quantity?, unit?, expires_on? }], profile?, count? }
+// → the same, cleaned (profile: see lib/dietaryProfile.js); throws ApiError 400 when unusable
+export function validateRecipeRequest(body) {
+  const { ingredients, profile, count = 3 } = body ?? {};
+  const invalid = (message) => new ApiError(400, ErrorCodes.INVALID_REQUEST, message);
+
+  if (!Array.isArray(ingredients) || ingredients.length === 0) {
+    throw invalid('"ingredients" must be a non-empty array of fridge items');
+  }
+  if (ingredients.length > MAX_FRIDGE_ITEMS) throw invalid(`At most ${MAX_FRIDGE_ITEMS} ingredients per request`);
+  if (!ingredients.every((it) => isText(it?.name, 200))) throw invalid('Every ingredient needs a "name"');
+  if (!Number.isInteger(count) || count < 1 || count > MAX_RECIPES) {
+    throw invalid(`"count" must be an integer between 1 and ${MAX_RECIPES}`);
+  }
+
+  return {
+    ingredients: ingredients.map(({ name, quantity, unit, expires_on }) => ({
+      name: name.trim(),
+      quantity: isNumber(quantity) ? quantity : null,
+      unit: typeof unit === "string" ? unit : null,
+      expires_on: typeof expires_on === "string" ? expires_on : null,
+    })),
+    profile: validateProfile(profile),
+    count,
+  };
+}
+
+// --------------------------
+// Prompts
+// --------------------------
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+// "Milk (1.5 l, expires in 2 days)"
+function describeIngredient({ name, quantity, unit, expires_on }, now) {
+  const details = [];
+  if (quantity !== null) details.push(unit && unit !== "pcs" ? `${quantity} ${unit}` : `${quantity}`);
+  if (expires_on) {
+    const days = Math.ceil((Date.parse(expires_on) - now) / DAY_MS);
+    if (Number.isFinite(days)) details.push(days <= 0 ? "expired or expires today" : `expires in ${days} day${days === 1 ? "" : "s"}`);
+  }
+  return details.length ? `${name} (${details.join(", ")})` : name;
+}
+
+// Prompt that describes the schema to the model
+export function buildRecipePrompt({ ingredients, profile, count }, now = Date.now()) {
+  const rules = describeProfile(profile);
+  return `Suggest ${count} different recipes that use the ingredients from my fridge below.
+Prioritize ingredients that expire soonest. Common pantry basics (salt, pepper, oil, water) may be assumed; anything else not in the list may be used sparingly.
+${rules.length ? `Household dietary profile — every recipe must follow it:\n${rules.map((r) => `- ${r}`).join("\n")}` : "Dietary profile: none."}
+
+Return ONLY a JSON array of ${count} recipes (no markdown, no commentary) where every element has exactly these fields:
+- "title": recipe name
+- "servings": integer number of servings
+- "time_minutes": integer total time (prep + cooking) in minutes
+- "ingredients": array of {"name", "quantity", "unit"} — "name" is the generic ingredient name without emoji (use the fridge names where they match), "quantity" a number or null for "to taste", "unit" a short unit such as "g", "ml", "tbsp", "cup", or null when counting pieces
+- "steps": array of instruction strings, in order, without numbering
+- "tags": array of short lowercase tags such as "vegetarian", "quick", "high protein"
+
+Example: [{"title": "Cheese Omelette", "servings": 1, "time_minutes": 10, "ingredients": [{"name": "Eggs", "quantity": 2, "unit": null}, {"name": "Cheddar", "quantity": 30, "unit": "g"}], "steps": ["Whisk the eggs.", "Cook in a hot pan, add the cheese and fold."], "tags": ["vegetarian", "quick"]}]
+
+Fridge:
+${ingredients.map((it) => `- ${describeIngredient(it, now)}`).join("\n")}`;
+}
+
+// Follow-up turn sent after an invalid reply
+export function buildRecipeCorrectionPrompt(problem) {
+  return `Your previous reply could not be used: ${problem}
+Reply again with ONLY the corrected JSON array of recipes, following the field rules exactly.`;
+}
@@ -0,0 +1,48 @@
+import { test } from "node:test";
+import assert from "node:assert/strict";
+import { partialRecipes, validateRecipeRequest, validateRecipes } from "./recipeSchema.js";
+
+const omelette = {
+  title: " Cheese Omelette ",
+  servings: 1,
+  time_minutes: 10,
+  ingredients: [{ name: "Eggs", quantity: 2, unit: null }],
+  steps: ["Whisk the eggs.", "Cook and fold."],
+  tags: ["Quick", "quick"],
+};
+
+test("valid recipes are cleaned; the count and every field are checked", () => {
+  const { recipes, errors } = validateRecipes([omelette], 1);
+  assert.deepEqual(errors, []);
+  assert.equal(recipes[0].title, "Cheese Omelette");
+  assert.deepEqual(recipes[0].tags, ["quick"]);
+
+  assert.deepEqual(validateRecipes([omelette], 2).errors, ["root: must contain exactly 2 recipes, got 1"]);
+  assert.deepEqual(validateRecipes({ recipes: [{ ...omelette, servings: 0, rating: 5 }] }).errors, [
+    "recipes[0].rating: unknown field",
+    "recipes[0].servings: must be an integer between 1 and 24",
+  ]);
+});
+
+test("partialRecipes reads what has been written so far", () => {
+  const text = '[{"title": "Soup", "servings": 2, "ingredients": [{"name": "Leek", "quantity": 1, "unit": null}], "steps": ["Chop the le';
+  assert.deepEqual(partialRecipes(text), [
+    {
+      title: "Soup",
+      servings: 2,
+      time_minutes: null,
+      ingredients: [{ name: "Leek", quantity: 1, unit: null }],
+      steps: ["Chop the le"],
+      tags: [],
+    },
+  ]);
+  assert.deepEqual(partialRecipes("Thinking"), []);
+});
+
+test("request bodies without usable ingredients or count are rejected with 400", () => {
+  assert.throws(() => validateRecipeRequest({ ingredients: [] }), { status: 400, code: "INVALID_REQUEST" });
+  assert.throws(() => validateRecipeRequest({ ingredients: [{ name: "Milk" }], count: 7 }), { status: 400 });
+  assert.deepEqual(validateRecipeRequest({ ingredients: [{ name: " Milk ", quantity: "1" }] }).ingredients, [
+    { name: "Milk", quantity: null, unit: null, expires_on: null },
+  ]);
+});
@@ -0,0 +1,37 @@
+// Server-sent events: `openEventStream(req, res)` switches the response to a
+// text/event-stream and returns `send(event, data)` and `end()`. A comment
+// line goes out every HEARTBEAT_MS so proxies don't close an idle stream;
+// `onClose` runs once when the client goes away or the stream is ended.
+// (It listens on the response: the request's "close" fires as soon as a
+// POST body has been read.)
+
+const HEARTBEAT_MS = 25_000;
+const RETRY_MS = 3_000; // how long EventSource waits before reconnecting
+
+export function openEventStream(req, res, { onClose } = {}) {
+  res.writeHead(200, {
+    "Content-Type": "text/event-stream",
+    "Cache-Control": "no-cache",
+    Connection: "keep-alive",
+    "X-Accel-Buffering": "no",
+  });
+  res.write(`retry: ${RETRY_MS}\n\n`);
+
+  let open = true;
+  const heartbeat = setInterval(() => res.write(": ping\n\n"), HEARTBEAT_MS);
+  res.on("close", () => {
+    open = false;
+    clearInterval(heartbeat);
+    onClose?.();
+  });
+
+  return {
+    send: (event, data) => {
+      if (open) res.write(`event: ${event}\ndata: ${JSON.stringify(data)}\n\n`);
+    },
+    end: () => {
+      if (open) res.end();
+    },
+    isOpen: () => open,
+  };
+}
@@ -0,0 +1,51 @@
+import { test } from "node:test";
+import assert from "node:assert/strict";
+import { EventEmitter } from "node:events";
+import { openEventStream } from "./sse.js";
+
+// Just enough of http.ServerResponse: records writes, "close" once ended
+class FakeResponse extends EventEmitter {
+  chunks = [];
+  writeHead(status, headers) {
+    this.status = status;
+    this.headers = headers;
+  }
+  write(chunk) {
+    this.chunks.push(chunk);
+  }
+  end() {
+    this.emit("close");
+  }
+}
+
+test("events are framed as SSE until the client goes away", () => {
+  const res = new FakeResponse();
+  let closed = 0;
+  const stream = openEventStream(new EventEmitter(), res, { onClose: () => closed++ });
+
+  assert.equal(res.status, 200);
+  assert.equal(res.headers["Content-Type"], "text/event-stream");
+  stream.send("change", { table: "fridge", ids: [1] });
+  assert.deepEqual(res.chunks, ["retry: 3000\n\n", 'event: change\ndata: {"table":"fridge","ids":[1]}\n\n']);
+
+  res.emit("close");
+  stream.send("change", { table: "fridge" });
+  assert.equal(res.chunks.length, 2);
+  assert.equal(stream.isOpen(), false);
+  assert.equal(closed, 1);
+});
+
+test("end() closes the stream once and a heartbeat keeps an idle one open", (t) => {
+  t.mock.timers.enable({ apis: ["setInterval"] });
+  const res = new FakeResponse();
+  let closed = 0;
+  const stream = openEventStream(new EventEmitter(), res, { onClose: () => closed++ });
+
+  t.mock.timers.tick(25_000);
+  assert.equal(res.chunks.at(-1), ": ping\n\n");
+  stream.end();
+  stream.end();
+  t.mock.timers.tick(25_000);
+  assert.equal(res.chunks.length, 2);
+  assert.equal(closed, 1);
+});
@@ -0,0 +1,60 @@
+import { ApiError, ErrorCodes } from "./errors.js";
+import { generateContent, streamContent } from "./llm.js";
+import { repairJson } from "./jsonRepair.js";
+
+// Total model calls per request (first try + corrective retries)
+export const MAX_ATTEMPTS = 3;
+
+// Prompt → JSON the caller's schema accepts.
+// Repairs near-valid JSON first; if the result still fails the schema, the
+// errors go back to the model as a corrective turn and it tries again.
+//   validate(parsed) → { value, errors, warnings? }
+//     warnings are retried like errors, but a reply with only warnings is
+//     still usable: when no attempt is clean, the last such one is returned
+//   correction(problemText) → follow-up prompt
+//   task picks the model and temperature (see lib/llm.js)
+//   onText(textSoFar, attempt) streams each reply as it's written
+//   signal aborts the model request
+// → { value, attempts, warnings }, or throws ApiError 422 with the last problems.
+export async function generateStructured({
+  prompt,
+  validate,
+  correction,
+  task,
+  label = "Model output",
+  onText,
+  signal,
+}) {
+  const contents = [{ role: "user", parts: [{ text: prompt }] }];
+  let problems = [];
+  let usable = null; // Last reply with warnings only
+
+  for (let attempt = 1; attempt <= MAX_ATTEMPTS; attempt++) {
+    const reply = onText
+      ? await streamContent(contents, { task, signal, onText: (text) => onText(text, attempt) })
+      : await generateContent(contents, { task, signal });
+
+    let parsed;
+    try {
+      parsed = repairJson(reply);
+    } catch (err) {
+      problems = [err.message];
+    }
+
+    if (parsed !== undefined) {
+      const { value, errors, warnings = [] } = validate(parsed);
+      if (!errors.length && !warnings.length) return { value, attempts: attempt, warnings };
+      if (!errors.length) usable = { value, attempts: attempt, warnings };
+      problems = errors.length ? errors : warnings;
+    }
+
+    console.warn(`${label} attempt ${attempt} rejected:`, problems.slice(0, 5));
+    contents.push(
+      { role: "model", parts: [{ text: reply }] },
+      { role: "user", parts: [{ text: correction(problems.slice(0, 10).join("; ")) }] }
+    );
+  }
+
+  if (usable) return usable;
+  throw new ApiError(422, ErrorCodes.LLM_INVALID_OUTPUT, "Model output failed validation", problems);
+}
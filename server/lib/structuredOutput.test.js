@@ -0,0 +1,86 @@
+import { test, beforeEach } from "node:test";
+import assert from "node:assert/strict";
+import path from "node:path";
+import { fileURLToPath } from "node:url";
+import { generateStructured, MAX_ATTEMPTS } from "./structuredOutput.js";
+import { buildCorrectionPrompt, buildReceiptPrompt, validateReceiptItems } from "./receiptSchema.js";
+import { buildRecipeCorrectionPrompt, buildRecipePrompt, validateRecipes } from "./recipeSchema.js";
+import { validateProfile } from "./dietaryProfile.js";
+
+// Mock provider replies: built from the prompt, or from the files in
+// __fixtures__/llm/<case>/ (see lib/providers/mock.js)
+const FIXTURES = path.join(path.dirname(fileURLToPath(import.meta.url)), "__fixtures__", "llm");
+
+beforeEach((t) => {
+  process.env.LLM_PROVIDER = "mock";
+  process.env.LLM_MOCK_DELAY_MS = "0";
+  delete process.env.LLM_FIXTURES;
+  t.mock.method(console, "warn", () => {});
+});
+
+const receiptJob = (ocrText) => ({
+  prompt: buildReceiptPrompt(ocrText),
+  validate: (parsed) => {
+    const { items, errors } = validateReceiptItems(parsed);
+    return { value: items, errors };
+  },
+  correction: buildCorrectionPrompt,
+  task: "receipts",
+});
+
+const recipeJob = (validate) => ({
+  prompt: buildRecipePrompt({ ingredients: [{ name: "Bacon" }, { name: "Eggs" }], profile: validateProfile({}), count: 2 }),
+  validate,
+  correction: buildRecipeCorrectionPrompt,
+  task: "recipes",
+});
+
+test("an invalid reply is sent back with its errors and the retry is used", async () => {
+  process.env.LLM_FIXTURES = path.join(FIXTURES, "retry");
+  const { value, attempts } = await generateStructured(receiptJob("WHOLE MILK 1.29\nTOTAL 1.29"));
+  assert.equal(attempts, 2);
+  assert.deepEqual(value, [
+    { name: "Whole Milk", emoji: "", perish_in_days: 7, quantity: 1, unit: "pcs", price: 1.29, location: "fridge" },
+  ]);
+  assert.match(console.warn.mock.calls[0].arguments[1][0], /items\[0\]\.unit: must be one of/);
+});
+
+test("output that never validates is a 422 with the last problems", async () => {
+  process.env.LLM_FIXTURES = path.join(FIXTURES, "invalid");
+  await assert.rejects(
+    generateStructured(recipeJob((parsed) => ({ value: parsed, errors: validateRecipes(parsed, 2).errors }))),
+    { status: 422, code: "LLM_INVALID_OUTPUT", details: ["No JSON object or array found in model output"] }
+  );
+  assert.equal(console.warn.mock.callCount(), MAX_ATTEMPTS);
+});
+
+test("warnings are retried, but the last reply with only warnings is returned", async () => {
+  const { value, attempts, warnings } = await generateStructured(
+    recipeJob((parsed) => {
+      const { recipes, errors } = validateRecipes(parsed, 2);
+      return { value: recipes, errors, warnings: ["recipes[0] uses Bacon"] };
+    })
+  );
+  assert.equal(attempts, MAX_ATTEMPTS);
+  assert.deepEqual(warnings, ["recipes[0] uses Bacon"]);
+  assert.deepEqual(
+    value.map((r) => r.title),
+    ["Bacon Skillet", "Eggs Salad"]
+  );
+});
+
+test("streamed replies report the text so far with the attempt number", async () => {
+  const seen = [];
+  const { value, attempts } = await generateStructured({
+    ...recipeJob((parsed) => {
+      const { recipes, errors } = validateRecipes(parsed, 2);
+      return { value: recipes, errors };
+    }),
+    onText: (text, attempt) => seen.push([attempt, text.length]),
+  });
+  assert.equal(attempts, 1);
+  assert.equal(value.length, 2);
+  assert.ok(seen.length > 1);
+  assert.ok(seen.every(([attempt]) => attempt === 1));
+  assert.equal(seen.at(-1)[1], JSON.stringify(value).length);
+});
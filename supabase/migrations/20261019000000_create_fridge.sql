@@ -0,0 +1,12 @@
+-- Baseline: the fridge table as the app has always used it.
+-- (Created by hand in the Supabase dashboard originally; kept here so a
+-- local database can be built from migrations alone.)
+create table if not exists public.fridge (
+  id bigint generated by default as identity primary key,
+  item_name text not null,
+  added_on timestamptz not null default now(),
+  expires_on timestamptz
+);
+
+-- Demo build: no auth, RLS disabled (see client/src/supabaseClient.js)
+alter table public.fridge disable row level security;
@@ -0,0 +1,6 @@
+-- Quantity and unit per fridge row ("3 pcs yogurt", "1.5 l milk").
+-- Units mirror UNITS in server/lib/receiptSchema.js and client/src/lib/units.js.
+alter table public.fridge
+  add column if not exists quantity numeric not null default 1 check (quantity >= 0),
+  add column if not exists unit text not null default 'pcs'
+    check (unit in ('pcs', 'g', 'kg', 'ml', 'l', 'oz', 'lb', 'pack', 'dozen'));
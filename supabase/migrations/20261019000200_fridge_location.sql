@@ -0,0 +1,6 @@
+-- Where an item is kept. Freezing extends expires_on and records frozen_on;
+-- thawing shortens expires_on again and clears it (see client/src/lib/storage.js).
+alter table public.fridge
+  add column if not exists location text not null default 'fridge'
+    check (location in ('fridge', 'freezer', 'pantry')),
+  add column if not exists frozen_on timestamptz;
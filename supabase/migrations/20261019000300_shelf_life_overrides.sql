@@ -0,0 +1,16 @@
+-- Household overrides for the bundled shelf-life table
+-- (client/src/data/shelfLife.json). A row either changes the days of a
+-- table item (item_key matches its normalized key) or adds a new item.
+-- Null day columns fall back to the table / category value.
+create table if not exists public.shelf_life_overrides (
+  id bigint generated by default as identity primary key,
+  item_key text not null unique,
+  category text,
+  aliases text[] not null default '{}',
+  fridge_days integer check (fridge_days >= 0),
+  freezer_days integer check (freezer_days >= 0),
+  pantry_days integer check (pantry_days >= 0),
+  updated_at timestamptz not null default now()
+);
+
+alter table public.shelf_life_overrides disable row level security;
@@ -0,0 +1,22 @@
+-- Expiry corrections made in the fridge ("Edit" on an item card). The client
+-- learns a per-item shelf life from them (median of recent corrected_days,
+-- see client/src/lib/expiryHistory.js).
+create table if not exists public.expiry_corrections (
+  id bigint generated by default as identity primary key,
+  item_name text not null,
+  location text not null default 'fridge'
+    check (location in ('fridge', 'freezer', 'pantry')),
+  predicted_days integer not null,
+  corrected_days integer not null check (corrected_days >= 0),
+  created_at timestamptz not null default now()
+);
+
+create index if not exists expiry_corrections_created_at_idx
+  on public.expiry_corrections (created_at desc);
+
+alter table public.expiry_corrections disable row level security;
+
+-- Where a fridge row's expires_on came from:
+-- 'household' | 'learned' | 'table' | 'category' | 'llm' | 'manual'
+alter table public.fridge
+  add column if not exists expiry_source text;
@@ -0,0 +1,6 @@
+-- Merged rows keep each purchase as a batch with its own expiry:
+-- [{ "quantity": 1, "expires_on": "...", "added_on": "..." }, ...], soonest first.
+-- Empty for single-purchase rows. quantity / expires_on on the row stay the
+-- sum and the soonest batch (see client/src/lib/duplicates.js).
+alter table public.fridge
+  add column if not exists batches jsonb not null default '[]'::jsonb;
@@ -0,0 +1,38 @@
+-- One row per confirmed scan: the raw OCR text, the parsed line items as
+-- returned by the parser, and the receipt details read from the text
+-- (editable before saving). Photos go to the `receipts` storage bucket under
+-- <receipt id>/page-<n>.<ext>; image_paths lists them in page order.
+create table if not exists public.receipts (
+  id bigint generated by default as identity primary key,
+  store text,
+  purchased_on date,
+  total numeric(10, 2) check (total >= 0),
+  ocr_text text not null,
+  image_paths text[] not null default '{}',
+  items jsonb not null default '[]'::jsonb,
+  parser text check (parser in ('llm', 'offline')),
+  created_at timestamptz not null default now(),
+  reparsed_at timestamptz
+);
+
+create index if not exists receipts_purchased_on_idx on public.receipts (purchased_on desc);
+
+alter table public.receipts disable row level security;
+
+-- Fridge rows remember the scan they came from (merged batches carry their
+-- own receipt_id inside fridge.batches)
+alter table public.fridge
+  add column if not exists receipt_id bigint references public.receipts (id) on delete set null;
+
+create index if not exists fridge_receipt_id_idx on public.fridge (receipt_id);
+
+-- Receipt photos. Demo build: the anon key may read and write this bucket.
+insert into storage.buckets (id, name, public)
+values ('receipts', 'receipts', false)
+on conflict (id) do nothing;
+
+drop policy if exists "receipts bucket anon access" on storage.objects;
+create policy "receipts bucket anon access" on storage.objects
+  for all to anon, authenticated
+  using (bucket_id = 'receipts')
+  with check (bucket_id = 'receipts');
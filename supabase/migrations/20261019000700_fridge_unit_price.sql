@@ -0,0 +1,5 @@
+-- What was paid per unit (per pcs, per l, …) for a fridge row, from the
+-- reviewed receipt line. Merged rows keep the quantity-weighted average.
+-- Null for items added by hand or bought without a readable price.
+alter table public.fridge
+  add column if not exists unit_price numeric(12, 4) check (unit_price >= 0);
@@ -0,0 +1,21 @@
+-- What happened to food that left the fridge. Rows are written whenever an
+-- item (or part of it) is used, thrown out or removed as a mistake; the
+-- fridge row itself is then lowered or deleted. Copies of name / unit /
+-- price keep the history readable after the fridge row is gone.
+create table if not exists public.fridge_events (
+  id bigint generated by default as identity primary key,
+  fridge_id bigint references public.fridge (id) on delete set null,
+  item_name text not null,
+  quantity numeric not null check (quantity >= 0),
+  unit text not null default 'pcs',
+  unit_price numeric(12, 4),
+  location text,
+  expires_on timestamptz,
+  receipt_id bigint references public.receipts (id) on delete set null,
+  outcome text not null check (outcome in ('consumed', 'wasted', 'mistake')),
+  occurred_at timestamptz not null default now()
+);
+
+create index if not exists fridge_events_occurred_at_idx on public.fridge_events (occurred_at desc);
+
+alter table public.fridge_events disable row level security;
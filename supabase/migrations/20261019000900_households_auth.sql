@@ -0,0 +1,245 @@
+-- Accounts, shared households and row-level security.
+--
+-- Every signed-up user gets a profile and a household of their own (see
+-- handle_new_user). Members can invite others by email; accepting an invite
+-- adds the user to that household and makes it their current one.
+--
+-- App data (fridge, receipts, shelf-life overrides, expiry corrections,
+-- fridge events) carries a household_id that defaults to the caller's current
+-- household, so the client never sends it. RLS only lets a signed-in member
+-- see and change rows of their current household; the anon key alone sees
+-- nothing.
+--
+-- Rows created before this migration have no household and stay hidden. To
+-- keep them, assign them once from the SQL editor, e.g.
+--   update public.fridge set household_id = '<household uuid>' where household_id is null;
+
+-- ==========================
+-- HOUSEHOLDS
+-- ==========================
+create table if not exists public.households (
+  id uuid primary key default gen_random_uuid(),
+  name text not null check (length(trim(name)) > 0),
+  created_by uuid references auth.users (id) on delete set null,
+  created_at timestamptz not null default now()
+);
+
+create table if not exists public.household_members (
+  household_id uuid not null references public.households (id) on delete cascade,
+  user_id uuid not null references auth.users (id) on delete cascade,
+  role text not null default 'member' check (role in ('owner', 'member')),
+  joined_at timestamptz not null default now(),
+  primary key (household_id, user_id)
+);
+
+create index if not exists household_members_user_id_idx on public.household_members (user_id);
+
+create table if not exists public.profiles (
+  id uuid primary key references auth.users (id) on delete cascade,
+  email text,
+  current_household_id uuid references public.households (id) on delete set null,
+  created_at timestamptz not null default now()
+);
+
+create table if not exists public.household_invites (
+  id uuid primary key default gen_random_uuid(),
+  household_id uuid not null references public.households (id) on delete cascade,
+  email text,
+  token text not null unique default encode(extensions.gen_random_bytes(16), 'hex'),
+  invited_by uuid references auth.users (id) on delete set null default auth.uid(),
+  created_at timestamptz not null default now(),
+  expires_at timestamptz not null default now() + interval '7 days',
+  accepted_at timestamptz,
+  accepted_by uuid references auth.users (id) on delete set null
+);
+
+-- ==========================
+-- HELPERS (security definer: they read membership without tripping RLS)
+-- ==========================
+-- Households the caller belongs to
+create or replace function public.my_household_ids()
+returns setof uuid
+language sql stable security definer set search_path = public
+as $$
+  select household_id from public.household_members where user_id = auth.uid()
+$$;
+
+-- The caller's current household, only if they are still a member of it
+create or replace function public.current_household_id()
+returns uuid
+language sql stable security definer set search_path = public
+as $$
+  select p.current_household_id
+  from public.profiles p
+  join public.household_members m
+    on m.household_id = p.current_household_id and m.user_id = p.id
+  where p.id = auth.uid()
+$$;
+
+-- Whether the caller owns the household (used by the members policy, which
+-- can't query household_members itself without recursing)
+create or replace function public.is_household_owner(household uuid)
+returns boolean
+language sql stable security definer set search_path = public
+as $$
+  select exists (
+    select 1 from public.household_members
+    where household_id = household and user_id = auth.uid() and role = 'owner'
+  )
+$$;
+
+-- New user → profile + their own household
+create or replace function public.handle_new_user()
+returns trigger
+language plpgsql security definer set search_path = public
+as $$
+declare
+  new_household uuid;
+begin
+  insert into public.households (name, created_by)
+  values (coalesce(nullif(split_part(new.email, '@', 1), ''), 'My') || '''s household', new.id)
+  returning id into new_household;
+
+  insert into public.household_members (household_id, user_id, role) values (new_household, new.id, 'owner');
+  insert into public.profiles (id, email, current_household_id) values (new.id, new.email, new_household);
+  return new;
+end;
+$$;
+
+drop trigger if exists on_auth_user_created on auth.users;
+create trigger on_auth_user_created
+  after insert on auth.users
+  for each row execute function public.handle_new_user();
+
+-- ==========================
+-- RPCs
+-- ==========================
+create or replace function public.create_household(household_name text)
+returns uuid
+language plpgsql security definer set search_path = public
+as $$
+declare
+  new_household uuid;
+begin
+  if auth.uid() is null then
+    raise exception 'Sign in to create a household';
+  end if;
+  insert into public.households (name, created_by) values (household_name, auth.uid()) returning id into new_household;
+  insert into public.household_members (household_id, user_id, role) values (new_household, auth.uid(), 'owner');
+  update public.profiles set current_household_id = new_household where id = auth.uid();
+  return new_household;
+end;
+$$;
+
+create or replace function public.set_current_household(household uuid)
+returns void
+language plpgsql security definer set search_path = public
+as $$
+begin
+  if not exists (select 1 from public.household_members where household_id = household and user_id = auth.uid()) then
+    raise exception 'Not a member of this household';
+  end if;
+  update public.profiles set current_household_id = household where id = auth.uid();
+end;
+$$;
+
+create or replace function public.accept_invite(invite_token text)
+returns uuid
+language plpgsql security definer set search_path = public
+as $$
+declare
+  invite public.household_invites;
+begin
+  if auth.uid() is null then
+    raise exception 'Sign in to accept an invite';
+  end if;
+
+  select * into invite from public.household_invites where token = invite_token for update;
+  if not found or invite.accepted_at is not null or invite.expires_at < now() then
+    raise exception 'This invite is invalid or has expired';
+  end if;
+  if invite.email is not null and lower(invite.email) <> lower(coalesce(auth.jwt() ->> 'email', '')) then
+    raise exception 'This invite was sent to a different email address';
+  end if;
+
+  insert into public.household_members (household_id, user_id, role)
+  values (invite.household_id, auth.uid(), 'member')
+  on conflict do nothing;
+  update public.household_invites set accepted_at = now(), accepted_by = auth.uid() where id = invite.id;
+  update public.profiles set current_household_id = invite.household_id where id = auth.uid();
+  return invite.household_id;
+end;
+$$;
+
+revoke execute on function public.create_household(text), public.set_current_household(uuid), public.accept_invite(text)
+  from public, anon;
+grant execute on function public.create_household(text), public.set_current_household(uuid), public.accept_invite(text)
+  to authenticated;
+
+-- ==========================
+-- RLS: household tables
+-- ==========================
+alter table public.households enable row level security;
+alter table public.household_members enable row level security;
+alter table public.profiles enable row level security;
+alter table public.household_invites enable row level security;
+
+create policy "members read their households" on public.households
+  for select to authenticated using (id in (select public.my_household_ids()));
+create policy "owners rename their households" on public.households
+  for update to authenticated
+  using (public.is_household_owner(id));
+
+create policy "members see each other" on public.household_members
+  for select to authenticated using (household_id in (select public.my_household_ids()));
+create policy "members leave, owners remove" on public.household_members
+  for delete to authenticated
+  using (user_id = auth.uid() or public.is_household_owner(household_id));
+
+create policy "profiles visible to housemates" on public.profiles
+  for select to authenticated
+  using (id = auth.uid()
+         or id in (select user_id from public.household_members
+                   where household_id in (select public.my_household_ids())));
+
+create policy "members manage invites" on public.household_invites
+  for all to authenticated
+  using (household_id in (select public.my_household_ids()))
+  with check (household_id = public.current_household_id() and invited_by = auth.uid());
+
+-- ==========================
+-- RLS: app data, scoped to the current household
+-- ==========================
+do $$
+declare
+  t text;
+begin
+  foreach t in array array['fridge', 'receipts', 'shelf_life_overrides', 'expiry_corrections', 'fridge_events'] loop
+    execute format(
+      'alter table public.%I add column if not exists household_id uuid
+         references public.households (id) on delete cascade
+         default public.current_household_id()', t);
+    execute format('create index if not exists %I on public.%I (household_id)', t || '_household_id_idx', t);
+    execute format('alter table public.%I enable row level security', t);
+    execute format('drop policy if exists "household members only" on public.%I', t);
+    execute format(
+      'create policy "household members only" on public.%I for all to authenticated
+         using (household_id = public.current_household_id())
+         with check (household_id = public.current_household_id())', t);
+  end loop;
+end;
+$$;
+
+-- Overrides are per household now
+alter table public.shelf_life_overrides drop constraint if exists shelf_life_overrides_item_key_key;
+alter table public.shelf_life_overrides
+  add constraint shelf_life_overrides_household_item_key unique (household_id, item_key);
+
+-- ==========================
+-- Receipt photos: <household id>/<receipt id>/page-<n>.<ext>
+-- ==========================
+drop policy if exists "receipts bucket anon access" on storage.objects;
+create policy "receipts bucket household access" on storage.objects
+  for all to authenticated
+  using (bucket_id = 'receipts' and (storage.foldername(name))[1] = public.current_household_id()::text)
+  with check (bucket_id = 'receipts' and (storage.foldername(name))[1] = public.current_household_id()::text);
@@ -0,0 +1,19 @@
+-- Saved recipes, shared within a household like the rest of the app data.
+-- `recipe` holds the recipe as generated (see client/src/db/repositories.js).
+create table if not exists public.recipes (
+  id bigint generated by default as identity primary key,
+  household_id uuid references public.households (id) on delete cascade
+    default public.current_household_id(),
+  title text not null,
+  recipe jsonb not null default '{}'::jsonb,
+  created_at timestamptz not null default now()
+);
+
+create index if not exists recipes_household_id_idx on public.recipes (household_id);
+
+alter table public.recipes enable row level security;
+
+create policy "household members only" on public.recipes
+  for all to authenticated
+  using (household_id = public.current_household_id())
+  with check (household_id = public.current_household_id());
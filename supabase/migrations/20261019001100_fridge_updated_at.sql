@@ -0,0 +1,22 @@
+-- When each fridge row last changed. Offline edits are replayed later with
+-- the time they were made (client/src/db/offline.js) and skipped when the row
+-- changed after that — last writer wins. Any other update bumps it here.
+alter table public.fridge
+  add column if not exists updated_at timestamptz not null default now();
+
+create or replace function public.touch_updated_at()
+returns trigger
+language plpgsql
+as $$
+begin
+  if new.updated_at is not distinct from old.updated_at then
+    new.updated_at := now();
+  end if;
+  return new;
+end;
+$$;
+
+drop trigger if exists fridge_touch_updated_at on public.fridge;
+create trigger fridge_touch_updated_at
+  before update on public.fridge
+  for each row execute function public.touch_updated_at();
@@ -0,0 +1,14 @@
+-- Stream fridge changes to open apps (client/src/db/supabaseAdapter.js
+-- subscribes to them). Realtime applies the "household members only" policy
+-- to inserts and updates; deletes reach every subscriber with just the id,
+-- which the app only uses as a cue to reload.
+do $$
+begin
+  if not exists (
+    select 1 from pg_publication_tables
+    where pubname = 'supabase_realtime' and schemaname = 'public' and tablename = 'fridge'
+  ) then
+    alter publication supabase_realtime add table public.fridge;
+  end if;
+end;
+$$;
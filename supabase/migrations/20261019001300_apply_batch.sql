@@ -0,0 +1,110 @@
+-- Several writes in one transaction, for the client's db batch()
+-- (client/src/db/repositories.js), e.g. "Cook this": consumed events, fridge
+-- updates and removals and a leftovers row land together or not at all.
+-- Runs as the caller (security invoker), so RLS applies exactly as it does
+-- to single requests; only the tables listed below can be written.
+--   ops: [{ "op": "insert", "table": …, "rows": [{…}] }
+--         | { "op": "update", "table": …, "filters": {…}, "patch": {…} }
+--         | { "op": "remove", "table": …, "filters": {…} }]
+--   filters: { column: value | [values] | null }, the client's query shape
+-- Returns one array of affected rows per op.
+
+-- filters → SQL condition on the row alias `t` (identifiers and values quoted)
+create or replace function public.batch_where(filters jsonb)
+returns text
+language sql
+immutable
+as $$
+  select coalesce(string_agg(
+    case jsonb_typeof(f.value)
+      when 'null' then format('t.%I is null', f.key)
+      when 'array' then format('%L::jsonb @> jsonb_build_array(to_jsonb(t.%I))', f.value, f.key)
+      else format('to_jsonb(t.%I) = %L::jsonb', f.key, f.value)
+    end, ' and '), '')
+  from jsonb_each(coalesce(filters, '{}'::jsonb)) as f;
+$$;
+
+create or replace function public.apply_batch(ops jsonb)
+returns jsonb
+language plpgsql
+security invoker
+set search_path = public
+as $$
+declare
+  op jsonb;
+  r jsonb;
+  tbl text;
+  cols text;
+  cond text;
+  inserted jsonb;
+  affected jsonb;
+  results jsonb := '[]'::jsonb;
+begin
+  if jsonb_typeof(ops) is distinct from 'array' then
+    raise exception 'apply_batch: ops must be an array' using errcode = '22023';
+  end if;
+
+  for op in select value from jsonb_array_elements(ops) loop
+    tbl := op->>'table';
+    if tbl is null or tbl not in ('fridge', 'fridge_events', 'expiry_corrections') then
+      raise exception 'apply_batch: table "%" is not allowed', tbl using errcode = '42501';
+    end if;
+    cond := public.batch_where(op->'filters');
+
+    if op->>'op' = 'insert' then
+      affected := '[]'::jsonb;
+      for r in select value from jsonb_array_elements(coalesce(op->'rows', '[]'::jsonb)) loop
+        -- Only the given columns, so the others keep their defaults
+        select string_agg(format('%I', k), ', ') into cols from jsonb_object_keys(r) as k;
+        if cols is null then
+          execute format('insert into public.%I as t default values returning to_jsonb(t)', tbl) into inserted;
+        else
+          execute format(
+            'insert into public.%1$I as t (%2$s) select %2$s from jsonb_populate_record(null::public.%1$I, $1) returning to_jsonb(t)',
+            tbl, cols
+          ) using r into inserted;
+        end if;
+        affected := affected || jsonb_build_array(inserted);
+      end loop;
+
+    elsif op->>'op' = 'update' then
+      if cond = '' then
+        raise exception 'apply_batch: update without filters' using errcode = '22023';
+      end if;
+      select string_agg(format('%I', k), ', ') into cols from jsonb_object_keys(op->'patch') as k;
+      if cols is null then
+        raise exception 'apply_batch: nothing to update' using errcode = '22023';
+      end if;
+      execute format(
+        'with changed as (
+           update public.%1$I as t set (%2$s) = (select %2$s from jsonb_populate_record(null::public.%1$I, $1))
+           where %3$s returning to_jsonb(t) as r
+         ) select coalesce(jsonb_agg(r), ''[]'') from changed',
+        tbl, cols, cond
+      ) using op->'patch' into affected;
+
+    elsif op->>'op' = 'remove' then
+      if cond = '' then
+        raise exception 'apply_batch: delete without filters' using errcode = '22023';
+      end if;
+      execute format(
+        'with gone as (delete from public.%1$I as t where %2$s returning to_jsonb(t) as r)
+         select coalesce(jsonb_agg(r), ''[]'') from gone',
+        tbl, cond
+      ) into affected;
+
+    else
+      raise exception 'apply_batch: unknown op "%"', op->>'op' using errcode = '22023';
+    end if;
+
+    results := results || jsonb_build_array(affected);
+  end loop;
+
+  return results;
+end;
+$$;
+
+revoke execute on function public.apply_batch(jsonb), public.batch_where(jsonb)
+  from public, anon;
+grant execute on function public.apply_batch(jsonb), public.batch_where(jsonb)
+  to authenticated;
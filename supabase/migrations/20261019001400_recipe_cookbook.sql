@@ -0,0 +1,17 @@
+-- Cookbook: saved recipes get the household's own rating, notes and tags,
+-- and count how often they were cooked. Tags start as the generated ones
+-- and can be edited; `recipe` keeps the recipe as generated.
+alter table public.recipes
+  add column if not exists rating smallint check (rating between 1 and 5),
+  add column if not exists notes text not null default '',
+  add column if not exists tags text[] not null default '{}',
+  add column if not exists cooked_count integer not null default 0 check (cooked_count >= 0),
+  add column if not exists last_cooked_at timestamptz,
+  add column if not exists updated_at timestamptz not null default now();
+
+drop trigger if exists recipes_touch_updated_at on public.recipes;
+create trigger recipes_touch_updated_at
+  before update on public.recipes
+  for each row execute function public.touch_updated_at();
+
+create index if not exists recipes_tags_idx on public.recipes using gin (tags);
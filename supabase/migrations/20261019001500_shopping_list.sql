@@ -0,0 +1,54 @@
+-- Shopping list and "always keep" staples, shared within a household.
+-- List items come from a recipe's missing ingredients, from staples that
+-- ran low, or are typed in; checking one off (or scanning a receipt that
+-- has it) deletes it. A staple is low when the fridge holds less than
+-- min_quantity of it (see client/src/lib/shopping.js).
+create table if not exists public.shopping_items (
+  id bigint generated by default as identity primary key,
+  household_id uuid references public.households (id) on delete cascade
+    default public.current_household_id(),
+  name text not null check (length(trim(name)) > 0),
+  quantity numeric check (quantity > 0),
+  unit text,
+  source text not null default 'manual' check (source in ('manual', 'recipe', 'staple')),
+  note text,
+  created_at timestamptz not null default now()
+);
+
+create table if not exists public.staples (
+  id bigint generated by default as identity primary key,
+  household_id uuid references public.households (id) on delete cascade
+    default public.current_household_id(),
+  name text not null check (length(trim(name)) > 0),
+  min_quantity numeric not null default 1 check (min_quantity > 0),
+  unit text not null default 'pcs',
+  created_at timestamptz not null default now()
+);
+
+create index if not exists shopping_items_household_id_idx on public.shopping_items (household_id);
+create index if not exists staples_household_id_idx on public.staples (household_id);
+
+alter table public.shopping_items enable row level security;
+alter table public.staples enable row level security;
+
+create policy "household members only" on public.shopping_items
+  for all to authenticated
+  using (household_id = public.current_household_id())
+  with check (household_id = public.current_household_id());
+
+create policy "household members only" on public.staples
+  for all to authenticated
+  using (household_id = public.current_household_id())
+  with check (household_id = public.current_household_id());
+
+-- Everyone in the household sees the list change while shopping
+do $$
+begin
+  if not exists (
+    select 1 from pg_publication_tables
+    where pubname = 'supabase_realtime' and schemaname = 'public' and tablename = 'shopping_items'
+  ) then
+    alter publication supabase_realtime add table public.shopping_items;
+  end if;
+end;
+$$;
@@ -0,0 +1,29 @@
+-- Weekly meal plans, one per household and week. `days` holds the chosen
+-- recipes per slot: [{ "locked": bool, "meals": [recipe json | null] }],
+-- day 0 being week_start. What each meal takes from the fridge and what is
+-- still at risk is recomputed from the live fridge on load (see
+-- client/src/lib/mealPlan.js), so only the choices are stored.
+create table if not exists public.meal_plans (
+  id bigint generated by default as identity primary key,
+  household_id uuid references public.households (id) on delete cascade
+    default public.current_household_id(),
+  week_start date not null,
+  meals_per_day integer not null default 2 check (meals_per_day between 1 and 3),
+  servings integer not null default 2 check (servings > 0),
+  days jsonb not null default '[]'::jsonb,
+  created_at timestamptz not null default now(),
+  updated_at timestamptz not null default now(),
+  unique (household_id, week_start)
+);
+
+drop trigger if exists meal_plans_touch_updated_at on public.meal_plans;
+create trigger meal_plans_touch_updated_at
+  before update on public.meal_plans
+  for each row execute function public.touch_updated_at();
+
+alter table public.meal_plans enable row level security;
+
+create policy "household members only" on public.meal_plans
+  for all to authenticated
+  using (household_id = public.current_household_id())
+  with check (household_id = public.current_household_id());
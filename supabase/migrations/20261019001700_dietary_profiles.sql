@@ -0,0 +1,29 @@
+-- The household's dietary profile, one row per household, sent with every
+-- recipe request (see server/lib/dietaryProfile.js for how each field is
+-- used and checked). Allergens and diets are labels ("Peanuts",
+-- "Vegetarian"); excluded ingredients, cuisines and equipment are free text.
+create table if not exists public.dietary_profiles (
+  id bigint generated by default as identity primary key,
+  household_id uuid unique references public.households (id) on delete cascade
+    default public.current_household_id(),
+  allergens text[] not null default '{}',
+  excluded text[] not null default '{}',
+  diets text[] not null default '{}',
+  cuisines text[] not null default '{}',
+  max_minutes integer check (max_minutes between 1 and 1440),
+  servings integer check (servings between 1 and 24),
+  equipment text[] not null default '{}',
+  updated_at timestamptz not null default now()
+);
+
+drop trigger if exists dietary_profiles_touch_updated_at on public.dietary_profiles;
+create trigger dietary_profiles_touch_updated_at
+  before update on public.dietary_profiles
+  for each row execute function public.touch_updated_at();
+
+alter table public.dietary_profiles enable row level security;
+
+create policy "household members only" on public.dietary_profiles
+  for all to authenticated
+  using (household_id = public.current_household_id())
+  with check (household_id = public.current_household_id());
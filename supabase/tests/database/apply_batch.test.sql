@@ -0,0 +1,70 @@
+-- apply_batch(): several writes in one transaction, under the caller's RLS.
+-- Run against the local stack:
+--   supabase start && supabase test db
+begin;
+create extension if not exists pgtap with schema extensions;
+
+select plan(6);
+
+insert into auth.users (id, email) values ('11111111-1111-1111-1111-111111111111', 'alice@example.com');
+
+set local role authenticated;
+set local request.jwt.claims = '{"sub": "11111111-1111-1111-1111-111111111111", "email": "alice@example.com", "role": "authenticated"}';
+
+insert into public.fridge (item_name, quantity, unit) values ('Eggs', 6, 'pcs'), ('Spinach', 1, 'pack');
+
+-- ==========================
+-- Cooking: event + update + remove + leftovers together
+-- ==========================
+select is(
+  jsonb_array_length(public.apply_batch(jsonb_build_array(
+    jsonb_build_object('op', 'insert', 'table', 'fridge_events', 'rows', jsonb_build_array(
+      jsonb_build_object('item_name', 'Eggs', 'quantity', 4, 'outcome', 'consumed'))),
+    jsonb_build_object('op', 'update', 'table', 'fridge',
+      'filters', jsonb_build_object('id', (select id from public.fridge where item_name = 'Eggs')),
+      'patch', jsonb_build_object('quantity', 2)),
+    jsonb_build_object('op', 'remove', 'table', 'fridge',
+      'filters', jsonb_build_object('id', jsonb_build_array((select id from public.fridge where item_name = 'Spinach')))),
+    jsonb_build_object('op', 'insert', 'table', 'fridge', 'rows', jsonb_build_array(
+      jsonb_build_object('item_name', 'Leftovers: Omelette', 'quantity', 1)))
+  ))),
+  4,
+  'one result per op'
+);
+
+select results_eq(
+  $$ select item_name, quantity::int from public.fridge order by item_name $$,
+  $$ values ('Eggs', 2), ('Leftovers: Omelette', 1) $$,
+  'updates, removals and inserts applied'
+);
+
+select is(
+  (select household_id from public.fridge where item_name like 'Leftovers%'),
+  public.current_household_id(),
+  'inserted rows keep their column defaults'
+);
+
+-- ==========================
+-- All or nothing
+-- ==========================
+select throws_ok(
+  $$ select public.apply_batch('[
+       {"op": "update", "table": "fridge", "filters": {"item_name": "Eggs"}, "patch": {"quantity": 0}},
+       {"op": "insert", "table": "fridge_events", "rows": [{"item_name": "Eggs", "quantity": 1, "outcome": "eaten?"}]}
+     ]'::jsonb) $$,
+  '23514',
+  null,
+  'a failing op aborts the batch'
+);
+
+select is((select quantity::int from public.fridge where item_name = 'Eggs'), 2, 'earlier ops were rolled back');
+
+select throws_ok(
+  $$ select public.apply_batch('[{"op": "remove", "table": "household_members", "filters": {"role": "owner"}}]'::jsonb) $$,
+  '42501',
+  null,
+  'only app data tables can be written'
+);
+
+select * from finish();
+rollback;
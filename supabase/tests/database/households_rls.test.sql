@@ -0,0 +1,96 @@
+-- Household scoping and RLS. Run against the local stack:
+--   supabase start && supabase test db
+begin;
+create extension if not exists pgtap with schema extensions;
+
+select plan(11);
+
+-- Two users; the auth trigger gives each a profile and a household
+insert into auth.users (id, email) values
+  ('11111111-1111-1111-1111-111111111111', 'alice@example.com'),
+  ('22222222-2222-2222-2222-222222222222', 'bob@example.com');
+
+select is(
+  (select count(*)::int from public.household_members where user_id = '11111111-1111-1111-1111-111111111111'),
+  1,
+  'new users own a household of their own'
+);
+
+-- Remember Alice's household for the cross-household checks below
+select set_config(
+  'test.alice_household',
+  (select household_id::text from public.household_members where user_id = '11111111-1111-1111-1111-111111111111'),
+  true
+);
+
+-- ==========================
+-- Alice stocks her fridge
+-- ==========================
+set local role authenticated;
+set local request.jwt.claims = '{"sub": "11111111-1111-1111-1111-111111111111", "email": "alice@example.com", "role": "authenticated"}';
+
+insert into public.fridge (item_name, expires_on) values ('Milk', current_date + 5);
+
+select is(
+  (select household_id from public.fridge where item_name = 'Milk'),
+  public.current_household_id(),
+  'rows default to the current household'
+);
+
+insert into public.household_invites (household_id, email, token)
+values (public.current_household_id(), 'bob@example.com', 'test-token');
+
+select is((select count(*)::int from public.household_invites), 1, 'members see their invites');
+
+-- ==========================
+-- Bob can't see or touch it
+-- ==========================
+set local request.jwt.claims = '{"sub": "22222222-2222-2222-2222-222222222222", "email": "bob@example.com", "role": "authenticated"}';
+
+select is((select count(*)::int from public.fridge), 0, 'other households see no fridge rows');
+select is((select count(*)::int from public.household_invites), 0, 'other households see no invites');
+
+delete from public.fridge where item_name = 'Milk';
+update public.fridge set quantity = 99 where item_name = 'Milk';
+
+select throws_ok(
+  $$ insert into public.fridge (item_name, expires_on, household_id)
+     values ('Eggs', current_date, current_setting('test.alice_household')::uuid) $$,
+  '42501',
+  null,
+  'rows cannot be written into another household'
+);
+
+select throws_ok(
+  $$ select public.accept_invite('not-a-token') $$,
+  'This invite is invalid or has expired',
+  'unknown invite tokens are rejected'
+);
+
+-- ==========================
+-- Bob accepts the invite
+-- ==========================
+select ok(public.accept_invite('test-token') is not null, 'invite accepted');
+
+select is(
+  (select quantity::int from public.fridge where item_name = 'Milk'),
+  1,
+  'invited member sees the shared fridge, untouched by the earlier delete/update'
+);
+
+select is(
+  (select count(*)::int from public.household_members where household_id = public.current_household_id()),
+  2,
+  'both users are members'
+);
+
+-- ==========================
+-- The anon key alone sees nothing
+-- ==========================
+reset request.jwt.claims;
+set local role anon;
+
+select is((select count(*)::int from public.fridge), 0, 'anon sees no fridge rows');
+
+select * from finish();
+rollback;